@@ -0,0 +1,363 @@
+/**
+ * SKILLZY ARENA - ACCOUNT LINKS
+ * Graph of accounts that share a device, IP, payout destination or referral
+ *
+ * Features:
+ * - Identities recorded at login, matchmaking and withdrawal; payout details are kept only as hashes
+ * - Accounts count as linked directly or through up to SECURITY_CONFIG.accountLinks.maxDepth others
+ * - Busy public IPs and whitelisted IPs link nothing
+ * - Linked accounts are never paired against each other (match.js, challenge-rooms.js, tournaments.js)
+ * - Risk cases when linked accounts keep passing winnings between them
+ *
+ * Staked results are kept for every pair, linked or not, so a link found after the fact can
+ * still be checked against the matches the two accounts already played. Identities, results
+ * and risk cases are stored in the database, so the graph is the same from every worker.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const money = require('./money');
+const exchangeRates = require('./exchange-rates');
+const repositories = require('./repositories');
+const { store: sharedState } = require('./state-store');
+const { SECURITY_CONFIG } = require('./config');
+
+// Account link logger
+const linkLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/account-links.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// The link graph, staked results and risk cases are stored in the database (see repositories.js).
+// The Maps cache what this worker has read or written; every lookup reads the rows it needs
+// first, so identities recorded and matches played on other workers link accounts here too.
+// Result amounts are integer INR minor units (see money.js)
+const identities = new Map(); // `${kind}:${value}` -> { kind, value, accounts: Set of userIds, storedAccounts }
+const accountIdentities = new Map(); // userId -> Set of identity keys
+const pairResults = new Map(); // `${playerA}|${playerB}` (sorted) -> [{ winnerId, loserId, amount, matchId, at }]
+const resultPartners = new Map(); // userId -> Set of accounts they have staked results against
+const riskCases = repositories.riskCases; // caseId -> risk case
+
+const IDENTITY_KINDS = ['device', 'ip', 'payout', 'referral'];
+const RISK_CASE_STATUSES = ['open', 'investigating', 'confirmed', 'cleared'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper functions
+const generateCaseId = () => 'risk_' + uuidv4().substring(0, 8);
+
+const linkError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Same destination, same hash - whatever else the request carried
+const payoutFingerprint = (method, details = {}) => {
+  const destination = method === 'UPI'
+    ? String(details.upiId || '').toLowerCase()
+    : details.accountNumber
+      ? `${String(details.ifscCode || '').toUpperCase()}:${details.accountNumber}`
+      : JSON.stringify(Object.keys(details).sort().map(field => [field, details[field]]));
+  return crypto.createHash('sha256').update(`${method}:${destination}`).digest('hex');
+};
+
+const identityFor = (key) => {
+  if (!identities.has(key)) {
+    const kind = key.slice(0, key.indexOf(':'));
+    identities.set(key, { kind, value: key.slice(kind.length + 1), accounts: new Set(), storedAccounts: 0 });
+  }
+  return identities.get(key);
+};
+
+const cacheIdentity = ({ key, userId }) => {
+  const identity = identityFor(key);
+  identity.accounts.add(userId);
+  if (!accountIdentities.has(userId)) {
+    accountIdentities.set(userId, new Set());
+  }
+  accountIdentities.get(userId).add(key);
+  return identity;
+};
+
+// Accounts on an identity - those stored are counted even when a busy IP's weren't read
+const accountsOn = (identity) => Math.max(identity.accounts.size, identity.storedAccounts);
+
+// An identity links its accounts unless it's an IP too many accounts share, or a trusted one
+const isLinking = (identity) => {
+  if (identity.kind !== 'ip') return true;
+  return accountsOn(identity) <= SECURITY_CONFIG.accountLinks.sharedIpMaxAccounts &&
+    !SECURITY_CONFIG.antiFraud.ipWhitelist.includes(identity.value);
+};
+
+// Reads the accounts stored on these identities into the cache; an IP too busy to link anything
+// is only counted
+const loadAccountsOn = async (keys) => {
+  if (!repositories.persistent || keys.length === 0) return;
+  const counts = await repositories.accountIdentities.countAccounts(keys);
+  keys.forEach(key => {
+    identityFor(key).storedAccounts = counts[key] || 0;
+  });
+  const linking = keys.filter(key => isLinking(identities.get(key)));
+  if (linking.length > 0) {
+    (await repositories.accountIdentities.readAll({ key: { in: linking } })).forEach(cacheIdentity);
+  }
+};
+
+// Reads the identities these accounts have presented, and the accounts on each, into the cache
+const loadIdentitiesOf = async (userIds) => {
+  if (!repositories.persistent || userIds.length === 0) return;
+  const rows = await repositories.accountIdentities.readAll({ userId: { in: userIds } });
+  rows.forEach(cacheIdentity);
+  await loadAccountsOn([...new Set(rows.map(row => row.key))]);
+};
+
+// Accounts reachable from userId within maxDepth hops, each with the shortest chain that links them
+const linkedAccounts = async (userId) => {
+  const found = new Map(); // accountId -> [{ from, to, kind }]
+  let frontier = [{ accountId: userId, path: [] }];
+
+  for (let depth = 0; depth < SECURITY_CONFIG.accountLinks.maxDepth && frontier.length > 0; depth++) {
+    await loadIdentitiesOf(frontier.map(({ accountId }) => accountId));
+    const next = [];
+    frontier.forEach(({ accountId, path }) => {
+      (accountIdentities.get(accountId) || new Set()).forEach(key => {
+        const identity = identities.get(key);
+        if (!isLinking(identity)) return;
+
+        identity.accounts.forEach(other => {
+          if (other === userId || found.has(other)) return;
+          const hop = [...path, { from: accountId, to: other, kind: identity.kind }];
+          found.set(other, hop);
+          next.push({ accountId: other, path: hop });
+        });
+      });
+    });
+    frontier = next;
+  }
+
+  return found;
+};
+
+// Ids of every account linked to userId - one graph walk to check a whole queue against
+const linkedAccountIds = async (userId) => new Set((await linkedAccounts(userId)).keys());
+
+// The chain of shared identities between two accounts, or null if they aren't linked
+const findLink = async (a, b) => (a === b ? null : (await linkedAccounts(a)).get(b) || null);
+
+const areLinked = async (a, b) => (await findLink(a, b)) !== null;
+
+const formatRiskCase = (riskCase) => ({
+  ...riskCase,
+  netFlow: money.toMajor(riskCase.netFlow, 'INR'),
+  currency: 'INR'
+});
+
+const cacheResult = (result) => {
+  const key = pairKey(result.winnerId, result.loserId);
+  if (!pairResults.has(key)) {
+    pairResults.set(key, []);
+  }
+  const results = pairResults.get(key);
+  if (!results.some(r => r.matchId === result.matchId)) {
+    results.push(result);
+  }
+
+  [[result.winnerId, result.loserId], [result.loserId, result.winnerId]].forEach(([playerId, partnerId]) => {
+    if (!resultPartners.has(playerId)) {
+      resultPartners.set(playerId, new Set());
+    }
+    resultPartners.get(playerId).add(partnerId);
+  });
+};
+
+const windowStart = () => Date.now() - SECURITY_CONFIG.accountLinks.riskCase.windowDays * DAY_MS;
+
+// Reads the stored staked results in the risk window matching a Prisma filter into the cache
+const loadResults = async (where) => {
+  if (!repositories.persistent) return;
+  (await repositories.pairResults.readAll({ ...where, at: { gte: new Date(windowStart()) } })).forEach(cacheResult);
+};
+
+const caseForPair = (key) => Array.from(riskCases.values()).find(c => c.accounts.join('|') === key) || null;
+
+/**
+ * Opens or refreshes the risk case for a linked pair once their staked results in the window
+ * reach minMatches, or the winnings one of them has passed to the other reach minNetFlow.
+ */
+const reviewPair = async (a, b) => {
+  const link = await findLink(a, b);
+  if (!link) return null;
+
+  const { minMatches, minNetFlow } = SECURITY_CONFIG.accountLinks.riskCase;
+  const key = pairKey(a, b);
+  await loadResults({ pairKey: key });
+  const since = windowStart();
+  const results = (pairResults.get(key) || []).filter(r => r.at >= since);
+  const wonBy = (playerId) => results
+    .filter(r => r.winnerId === playerId)
+    .reduce((sum, r) => money.add(sum, r.amount), 0);
+
+  const net = wonBy(a) - wonBy(b); // positive when b has been feeding a
+  if (results.length === 0 || (results.length < minMatches && Math.abs(net) < money.toMinor(minNetFlow, 'INR'))) {
+    return null;
+  }
+
+  // One case per pair, whichever worker sees the results first
+  return sharedState.withLock(`risk_case:${key}`, async () => {
+    await riskCases.find({ pairKey: key });
+    const existing = caseForPair(key);
+    const riskCase = existing || { id: generateCaseId(), accounts: key.split('|'), status: 'open', createdAt: Date.now() };
+
+    // Cleared cases reopen if the pair plays again afterwards
+    if (existing && existing.status === 'cleared' && results.some(r => r.at > existing.reviewedAt)) {
+      riskCase.status = 'open';
+    }
+
+    Object.assign(riskCase, {
+      receiver: net >= 0 ? a : b,
+      feeder: net >= 0 ? b : a,
+      link,
+      matches: results.length,
+      matchIds: results.map(r => r.matchId),
+      netFlow: Math.abs(net),
+      updatedAt: Date.now()
+    });
+    await riskCases.set(riskCase.id, riskCase);
+
+    if (!existing) {
+      linkLogger.warn('Risk case opened', { caseId: riskCase.id, accounts: riskCase.accounts, matches: riskCase.matches, netFlow: riskCase.netFlow });
+    }
+
+    return riskCase;
+  });
+};
+
+// Checks every pair of accounts this one has played for money
+const reviewPartnersOf = async (userId) => {
+  await loadResults({ OR: [{ winnerId: userId }, { loserId: userId }] });
+  for (const partnerId of resultPartners.get(userId) || []) {
+    await reviewPair(userId, partnerId);
+  }
+};
+
+/**
+ * Records that an account presented an identity. kind is one of IDENTITY_KINDS; payout values
+ * should come from payoutFingerprint. A new link is checked against past results straight away.
+ */
+const recordIdentity = async (userId, kind, value) => {
+  if (!userId || !value) return null;
+  if (!IDENTITY_KINDS.includes(kind)) {
+    throw linkError('Unknown identity kind', 'LINK_KIND_INVALID', { kind });
+  }
+
+  const key = `${kind}:${value}`;
+  await loadAccountsOn([key]);
+  const identity = identityFor(key);
+  if (identity.accounts.has(userId)) return identity;
+
+  await repositories.accountIdentities.append({ key, kind, userId, firstSeen: Date.now() });
+  cacheIdentity({ key, userId });
+
+  if (accountsOn(identity) > 1 && isLinking(identity)) {
+    linkLogger.info('Accounts linked', { userId, kind, accounts: accountsOn(identity) });
+    for (const accountId of identity.accounts) {
+      await reviewPartnersOf(accountId);
+    }
+  }
+
+  return identity;
+};
+
+// Referrals link the two accounts directly; chains link through maxDepth
+const recordReferral = async (referrerId, refereeId) => {
+  if (!referrerId || referrerId === refereeId) return null;
+  const value = `${referrerId}>${refereeId}`;
+  await recordIdentity(referrerId, 'referral', value);
+  return recordIdentity(refereeId, 'referral', value);
+};
+
+// Match end listener - keeps every staked result, then checks the pair
+const recordMatchResult = async (match) => {
+  if (match.status !== 'completed' || !match.result.winner || !(match.betAmount > 0)) return null;
+
+  const winnerId = match.result.winner;
+  const loserId = match.players.find(p => p.id !== winnerId).id;
+  const result = {
+    winnerId,
+    loserId,
+    amount: exchangeRates.convert(match.betAmount, match.currency, 'INR'), // the loser's stake
+    matchId: match.id,
+    at: match.endTime
+  };
+
+  await repositories.pairResults.append({ ...result, pairKey: pairKey(winnerId, loserId) });
+  cacheResult(result);
+
+  return reviewPair(winnerId, loserId);
+};
+
+// Linked accounts for an investigation; identity values stay out of it
+const describeLinks = async (userId) => {
+  return Array.from((await linkedAccounts(userId)).entries()).map(([accountId, path]) => ({
+    accountId,
+    hops: path.length,
+    via: path.map(hop => hop.kind)
+  }));
+};
+
+const listRiskCases = async ({ status } = {}) => {
+  await riskCases.find(status ? { status } : undefined);
+  return Array.from(riskCases.values())
+    .filter(c => !status || c.status === status)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(formatRiskCase);
+};
+
+const reviewRiskCase = async (caseId, status, reviewedBy, note) => {
+  await riskCases.reload([caseId]);
+  const found = riskCases.get(caseId);
+  if (!found) {
+    throw linkError('Risk case not found', 'RISK_CASE_NOT_FOUND', { status: 404 });
+  }
+  if (!RISK_CASE_STATUSES.includes(status)) {
+    throw linkError('Unknown risk case status', 'RISK_CASE_STATUS_INVALID', { status: 400 });
+  }
+
+  return sharedState.withLock(`risk_case:${found.accounts.join('|')}`, async () => {
+    await riskCases.reload([caseId]);
+    const riskCase = riskCases.get(caseId);
+    riskCase.status = status;
+    riskCase.reviewedBy = reviewedBy;
+    riskCase.reviewNote = note || null;
+    riskCase.reviewedAt = Date.now();
+    await riskCases.save(riskCase);
+    linkLogger.info('Risk case reviewed', { caseId, status, reviewedBy });
+
+    return formatRiskCase(riskCase);
+  });
+};
+
+module.exports = {
+  IDENTITY_KINDS,
+  RISK_CASE_STATUSES,
+  payoutFingerprint,
+  recordIdentity,
+  recordReferral,
+  recordMatchResult,
+  areLinked,
+  linkedAccountIds,
+  findLink,
+  describeLinks,
+  listRiskCases,
+  reviewRiskCase
+};
@@ -4,10 +4,13 @@
  * 
  * Features:
  * - Developer wallet management
+ * - Ledger trial balance and account statements
  * - Platform earnings tracking  
  * - User management and analytics
- * - Game settings and controls
- * - Security monitoring and KYC
+ * - Game settings and controls, including per-game stake tiers and rake
+ * - Tournament scheduling and cancellation
+ * - Match dispute queue and resolution
+ * - Security monitoring from the anti-cheat alert store and account-link risk cases, and KYC
  * - International payment oversight
  */
 
@@ -15,8 +18,19 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const winston = require('winston');
+const exchangeRates = require('./exchange-rates');
+const stakeTiers = require('./stake-tiers');
+const tournamentSystem = require('./tournaments');
+const disputeSystem = require('./disputes');
+const antiCheat = require('./anti-cheat');
+const accountLinks = require('./account-links');
+const walletSystem = require('./wallet');
+const ledger = require('./ledger');
+const money = require('./money');
+const { rateLimitStore } = require('./state-store');
+const { CURRENCY_CONFIG, GAMING_CONFIG } = require('./config');
 
 const router = express.Router();
 
@@ -24,7 +38,8 @@ const router = express.Router();
 const adminLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 20, // Only 20 requests per 15 minutes
-  message: { error: 'Admin rate limit exceeded', code: 'ADMIN_RATE_LIMIT' }
+  message: { error: 'Admin rate limit exceeded', code: 'ADMIN_RATE_LIMIT' },
+  store: rateLimitStore('admin')
 });
 
 // Logger for admin actions
@@ -185,6 +200,57 @@ router.post('/wallet/withdraw', [
   }
 });
 
+// Ledger trial balance - proves total debits equal total credits
+router.get('/ledger/trial-balance', async (req, res) => {
+  try {
+    // Drift first - it picks up entries other workers posted since this one loaded the ledger
+    const walletDrift = await walletSystem.ledgerDrift();
+    const trialBalance = ledger.getTrialBalance();
+
+    res.json({
+      success: true,
+      units: 'minor',
+      balanced: trialBalance.balanced && walletDrift.length === 0,
+      trialBalance,
+      walletDrift
+    });
+
+  } catch (error) {
+    adminLogger.error('Trial balance error', { error: error.message });
+    res.status(500).json({ error: 'Trial balance failed', code: 'TRIAL_BALANCE_ERROR' });
+  }
+});
+
+// Ledger account statement
+router.get('/ledger/accounts/:accountId', [
+  param('accountId').matches(/^[a-z]+:[\w:-]+$/).withMessage('Valid account ID required'),
+  query('currency').optional().isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { accountId } = req.params;
+    const { currency } = req.query;
+
+    await ledger.refresh();
+
+    res.json({
+      success: true,
+      units: 'minor',
+      account: accountId,
+      balance: ledger.getBalance(accountId, currency),
+      lines: ledger.getAccountLines(accountId)
+    });
+
+  } catch (error) {
+    adminLogger.error('Ledger account error', { error: error.message });
+    res.status(500).json({ error: 'Ledger account lookup failed', code: 'LEDGER_ACCOUNT_ERROR' });
+  }
+});
+
 // Platform analytics and statistics
 router.get('/analytics', async (req, res) => {
   try {
@@ -272,8 +338,7 @@ router.get('/games/settings', async (req, res) => {
   try {
     const gameSettings = {
       globalSettings: {
-        betAmount: 10,
-        payoutSplit: { winner: 80, platform: 20 },
+        defaultStakeTier: GAMING_CONFIG.defaultStakeTier,
         matchDuration: 60,
         maxConcurrentMatches: 1000
       },
@@ -304,9 +369,8 @@ router.get('/games/settings', async (req, res) => {
 
 // Update game settings
 router.put('/games/settings', [
-  body('betAmount').optional().isFloat({ min: 1 }),
-  body('payoutSplit.winner').optional().isFloat({ min: 60, max: 90 }),
-  body('payoutSplit.platform').optional().isFloat({ min: 10, max: 40 })
+  body('matchDuration').optional().isInt({ min: 30, max: 600 }),
+  body('maxConcurrentMatches').optional().isInt({ min: 1 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -327,20 +391,251 @@ router.put('/games/settings', [
   }
 });
 
-// Security monitoring
-router.get('/security', async (req, res) => {
+// Stake tiers for every game, retired ones included
+router.get('/games/stake-tiers', async (req, res) => {
+  try {
+    const tiers = {};
+    for (const gameType of GAMING_CONFIG.availableGames) {
+      tiers[gameType] = (await stakeTiers.listTiers(gameType, { includeInactive: true })).map(t => stakeTiers.formatTier(t));
+    }
+
+    res.json({ success: true, defaultTier: GAMING_CONFIG.defaultStakeTier, tiers });
+
+  } catch (error) {
+    adminLogger.error('Admin stake tiers error', { error: error.message });
+    res.status(500).json({ error: 'Stake tiers error', code: 'ADMIN_STAKE_TIERS_ERROR' });
+  }
+});
+
+// Add or edit a stake tier; stake is in INR
+router.put('/games/stake-tiers/:gameType/:tierId', [
+  param('gameType').isIn(GAMING_CONFIG.availableGames).withMessage('Valid game type required'),
+  param('tierId').matches(/^[a-z0-9_-]{1,32}$/).withMessage('Tier ID must be 1-32 lowercase letters, digits, _ or -'),
+  body('name').optional().isLength({ min: 1, max: 40 }),
+  body('stake').isFloat({ min: 0, max: 10000 }).withMessage('Stake in INR required'),
+  body('rakePercent').isFloat({ min: 0, max: 50 }).withMessage('Rake must be 0-50 percent'),
+  body('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { gameType, tierId } = req.params;
+    const { name, stake, rakePercent, active } = req.body;
+    const tier = await stakeTiers.upsertTier(gameType, {
+      id: tierId,
+      name,
+      stake: Number(stake),
+      rakePercent: Number(rakePercent),
+      active: active === undefined ? true : active === true || active === 'true'
+    }, req.admin.adminId);
+
+    adminLogger.info('Admin stake tier saved', { adminId: req.admin.adminId, gameType, tierId });
+    res.json({ success: true, tier: stakeTiers.formatTier(tier) });
+
+  } catch (error) {
+    if (error.code === 'STAKE_TIER_RAKE_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin stake tier update error', { error: error.message });
+    res.status(500).json({ error: 'Stake tier update failed', code: 'ADMIN_STAKE_TIER_ERROR' });
+  }
+});
+
+// Retire a stake tier; matches already running on it are unaffected
+router.delete('/games/stake-tiers/:gameType/:tierId', [
+  param('gameType').isIn(GAMING_CONFIG.availableGames).withMessage('Valid game type required'),
+  param('tierId').isLength({ min: 1 }).withMessage('Tier ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { gameType, tierId } = req.params;
+    if (tierId === GAMING_CONFIG.defaultStakeTier) {
+      return res.status(409).json({ error: 'The default stake tier cannot be retired', code: 'STAKE_TIER_IS_DEFAULT' });
+    }
+
+    const tier = await stakeTiers.deactivateTier(gameType, tierId, req.admin.adminId);
+
+    adminLogger.info('Admin stake tier retired', { adminId: req.admin.adminId, gameType, tierId });
+    res.json({ success: true, tier: stakeTiers.formatTier(tier) });
+
+  } catch (error) {
+    if (error.code === 'STAKE_TIER_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin stake tier retire error', { error: error.message });
+    res.status(500).json({ error: 'Stake tier retire failed', code: 'ADMIN_STAKE_TIER_ERROR' });
+  }
+});
+
+// Schedule a tournament; entryFee is in the tournament currency
+router.post('/tournaments', [
+  body('name').isLength({ min: 3, max: 80 }).withMessage('Tournament name required'),
+  body('gameType').isIn(GAMING_CONFIG.availableGames).withMessage('Valid game type required'),
+  body('format').isIn(GAMING_CONFIG.tournaments.formats).withMessage('Valid tournament format required'),
+  body('currency').optional().isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
+  body('entryFee').isFloat({ min: 0 }).withMessage('Entry fee required'),
+  body('startsAt').isISO8601().withMessage('Start time required'),
+  body('minPlayers').optional().isInt({ min: 2 }),
+  body('maxPlayers').optional().isInt({ min: 2, max: GAMING_CONFIG.tournaments.maxPlayers }),
+  body('rounds').optional().isInt({ min: 1, max: 20 }),
+  body('prizeTable').optional().isArray({ min: 1, max: 32 }).withMessage('Prize table must list percentages by place'),
+  body('rakePercent').optional().isFloat({ min: 0, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, gameType, format, currency = 'INR', entryFee, startsAt, minPlayers, maxPlayers, rounds, prizeTable, rakePercent } = req.body;
+    const tournament = await tournamentSystem.createTournament({
+      name,
+      gameType,
+      format,
+      currency,
+      entryFee: money.toMinor(Number(entryFee), currency),
+      startsAt: Date.parse(startsAt),
+      minPlayers: minPlayers === undefined ? undefined : parseInt(minPlayers),
+      maxPlayers: maxPlayers === undefined ? undefined : parseInt(maxPlayers),
+      rounds: rounds === undefined ? undefined : parseInt(rounds),
+      prizeTable: prizeTable === undefined ? undefined : prizeTable.map(Number),
+      rakePercent: rakePercent === undefined ? undefined : Number(rakePercent),
+      createdBy: req.admin.adminId
+    });
+
+    adminLogger.info('Admin tournament scheduled', { adminId: req.admin.adminId, tournamentId: tournament.id });
+    res.json({ success: true, tournament: tournamentSystem.formatTournament(tournament) });
+
+  } catch (error) {
+    if (error.code && error.code.startsWith('TOURNAMENT_')) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin tournament create error', { error: error.message });
+    res.status(500).json({ error: 'Tournament creation failed', code: 'ADMIN_TOURNAMENT_ERROR' });
+  }
+});
+
+// Call off a tournament before it starts; every entry fee is refunded
+router.post('/tournaments/:tournamentId/cancel', [
+  param('tournamentId').matches(/^tour_[a-zA-Z0-9]{8}$/).withMessage('Valid tournament ID required'),
+  body('reason').isLength({ min: 1, max: 200 }).withMessage('Cancellation reason required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const tournament = await tournamentSystem.cancelTournament(req.params.tournamentId, req.body.reason, req.admin.adminId);
+
+    adminLogger.info('Admin tournament cancelled', { adminId: req.admin.adminId, tournamentId: tournament.id, reason: req.body.reason });
+    res.json({ success: true, tournament: tournamentSystem.formatTournament(tournament) });
+
+  } catch (error) {
+    if (error.code === 'TOURNAMENT_NOT_CANCELLABLE' || error.code === 'TOURNAMENT_NOT_FOUND') {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin tournament cancel error', { error: error.message });
+    res.status(500).json({ error: 'Tournament cancellation failed', code: 'ADMIN_TOURNAMENT_ERROR' });
+  }
+});
+
+// Dispute queue - open disputes oldest first, or every dispute with status=all
+router.get('/disputes', [
+  query('status').optional().isIn(['all', 'open', ...GAMING_CONFIG.disputes.outcomes]).withMessage('Valid status required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const queue = await disputeSystem.listDisputes({ status: req.query.status });
+
+    adminLogger.info('Admin dispute queue access', { adminId: req.admin.adminId });
+    res.json({ success: true, disputes: queue.map(disputeSystem.formatDispute), total: queue.length });
+
+  } catch (error) {
+    adminLogger.error('Admin dispute queue error', { error: error.message });
+    res.status(500).json({ error: 'Dispute queue failed', code: 'ADMIN_DISPUTE_ERROR' });
+  }
+});
+
+// A dispute with its evidence: the result as filed, dice fairness and the replay log
+router.get('/disputes/:disputeId', [
+  param('disputeId').matches(/^dsp_[a-zA-Z0-9]{8}$/).withMessage('Valid dispute ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const dispute = await disputeSystem.loadDispute(req.params.disputeId);
+    res.json({ success: true, dispute: await disputeSystem.formatDisputeForAdmin(dispute) });
+
+  } catch (error) {
+    if (error.code === 'DISPUTE_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin dispute fetch error', { error: error.message });
+    res.status(500).json({ error: 'Dispute fetch failed', code: 'ADMIN_DISPUTE_ERROR' });
+  }
+});
+
+// Decide a dispute; the frozen payout is released or adjusted to match
+router.post('/disputes/:disputeId/resolve', [
+  param('disputeId').matches(/^dsp_[a-zA-Z0-9]{8}$/).withMessage('Valid dispute ID required'),
+  body('outcome').isIn(GAMING_CONFIG.disputes.outcomes).withMessage('Valid outcome required'),
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { outcome, note } = req.body;
+    const dispute = await disputeSystem.resolveDispute(req.params.disputeId, outcome, req.admin.adminId, note);
+
+    adminLogger.info('Admin dispute resolved', { adminId: req.admin.adminId, disputeId: dispute.id, outcome });
+    res.json({ success: true, dispute: await disputeSystem.formatDisputeForAdmin(dispute) });
+
+  } catch (error) {
+    if (error.code && error.code.startsWith('DISPUTE_')) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin dispute resolve error', { error: error.message });
+    res.status(500).json({ error: 'Dispute resolution failed', code: 'ADMIN_DISPUTE_ERROR' });
+  }
+});
+
+// Security monitoring - anti-cheat alerts newest first, open ones unless status says otherwise
+router.get('/security', [
+  query('status').optional().isIn(antiCheat.ALERT_STATUSES).withMessage('Valid alert status required'),
+  query('severity').optional().isIn(['low', 'medium', 'high']).withMessage('Valid severity required'),
+  query('type').optional().isLength({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Valid limit required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { status = 'open', severity, type, limit = 100 } = req.query;
     const securityData = {
-      alerts: [
-        { type: 'suspicious_activity', userId: 'user_xyz', details: 'Multiple failed login attempts', severity: 'high' },
-        { type: 'unusual_pattern', userId: 'user_abc', details: 'Rapid successive wins', severity: 'medium' }
-      ],
-      kycPending: 23,
-      fraudPrevention: {
-        rulesActive: 15,
-        blockedAttempts: 127,
-        successfulBlocks: 119
-      }
+      alerts: await antiCheat.listAlerts({ status, severity, type, limit: parseInt(limit) }),
+      riskCases: await accountLinks.listRiskCases({ status: 'open' }),
+      kycPending: await walletSystem.countKycPending(),
+      fraudPrevention: await antiCheat.alertSummary()
     };
 
     res.json({ success: true, security: securityData });
@@ -351,6 +646,94 @@ router.get('/security', async (req, res) => {
   }
 });
 
+// Mark an anti-cheat alert as reviewed
+router.put('/security/alerts/:alertId', [
+  param('alertId').matches(/^alt_[a-zA-Z0-9]{8}$/).withMessage('Valid alert ID required'),
+  body('status').isIn(antiCheat.ALERT_STATUSES).withMessage('Valid alert status required'),
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const alert = await antiCheat.reviewAlert(req.params.alertId, req.body.status, req.admin.adminId, req.body.note);
+
+    adminLogger.info('Admin alert reviewed', { adminId: req.admin.adminId, alertId: alert.id, status: alert.status });
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    if (error.code && error.code.startsWith('ALERT_')) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin alert review error', { error: error.message });
+    res.status(500).json({ error: 'Alert review failed', code: 'ADMIN_SECURITY_ERROR' });
+  }
+});
+
+// Collusion and multi-accounting cases from the account link graph
+router.get('/security/risk-cases', [
+  query('status').optional().isIn(accountLinks.RISK_CASE_STATUSES).withMessage('Valid risk case status required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const riskCases = await accountLinks.listRiskCases({ status: req.query.status });
+    res.json({ success: true, riskCases, count: riskCases.length });
+
+  } catch (error) {
+    adminLogger.error('Admin risk cases error', { error: error.message });
+    res.status(500).json({ error: 'Risk case data error', code: 'ADMIN_SECURITY_ERROR' });
+  }
+});
+
+router.put('/security/risk-cases/:caseId', [
+  param('caseId').matches(/^risk_[a-zA-Z0-9]{8}$/).withMessage('Valid risk case ID required'),
+  body('status').isIn(accountLinks.RISK_CASE_STATUSES).withMessage('Valid risk case status required'),
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const riskCase = await accountLinks.reviewRiskCase(req.params.caseId, req.body.status, req.admin.adminId, req.body.note);
+
+    adminLogger.info('Admin risk case reviewed', { adminId: req.admin.adminId, caseId: riskCase.id, status: riskCase.status });
+    res.json({ success: true, riskCase });
+
+  } catch (error) {
+    if (error.code && error.code.startsWith('RISK_CASE_')) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin risk case review error', { error: error.message });
+    res.status(500).json({ error: 'Risk case review failed', code: 'ADMIN_SECURITY_ERROR' });
+  }
+});
+
+// Every account linked to a player, and through which kinds of identity
+router.get('/security/links/:userId', [
+  param('userId').isLength({ min: 1 }).withMessage('User ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    res.json({ success: true, userId: req.params.userId, linkedAccounts: await accountLinks.describeLinks(req.params.userId) });
+
+  } catch (error) {
+    adminLogger.error('Admin account links error', { error: error.message });
+    res.status(500).json({ error: 'Account link data error', code: 'ADMIN_SECURITY_ERROR' });
+  }
+});
+
 // System logs
 router.get('/logs', async (req, res) => {
   try {
@@ -370,4 +753,97 @@ router.get('/logs', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Exchange rates - current snapshot, overrides and recent history
+router.get('/rates', async (req, res) => {
+  try {
+    const snapshot = exchangeRates.getSnapshot();
+
+    res.json({
+      success: true,
+      provider: CURRENCY_CONFIG.exchangeRateProvider,
+      updateInterval: CURRENCY_CONFIG.updateInterval,
+      current: snapshot,
+      overrides: exchangeRates.getOverrides(),
+      overrideHistory: await exchangeRates.listOverrideHistory(),
+      history: exchangeRates.listSnapshots()
+    });
+
+  } catch (error) {
+    adminLogger.error('Admin rates error', { error: error.message });
+    res.status(500).json({ error: 'Exchange rates error', code: 'ADMIN_RATES_ERROR' });
+  }
+});
+
+// Look up the snapshot a transaction was converted at
+router.get('/rates/:rateId', [
+  param('rateId').matches(/^rate_[a-zA-Z0-9]{12}$/).withMessage('Valid rate ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    res.json({ success: true, snapshot: await exchangeRates.loadSnapshot(req.params.rateId) });
+
+  } catch (error) {
+    if (error.code === 'RATE_SNAPSHOT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin rate snapshot error', { error: error.message });
+    res.status(500).json({ error: 'Rate snapshot error', code: 'ADMIN_RATES_ERROR' });
+  }
+});
+
+// Override a rate until cleared
+router.put('/rates/overrides', [
+  body('currency').isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Positive rate required'),
+  body('reason').isLength({ min: 1, max: 200 }).withMessage('Override reason required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { currency, rate, reason } = req.body;
+    const snapshot = await exchangeRates.setOverride(currency, parseFloat(rate), req.admin.adminId, reason);
+
+    adminLogger.info('Admin rate override', { adminId: req.admin.adminId, currency, rate, reason });
+    res.json({ success: true, snapshot });
+
+  } catch (error) {
+    if (error.code === 'RATE_OVERRIDE_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin rate override error', { error: error.message });
+    res.status(500).json({ error: 'Rate override failed', code: 'ADMIN_RATES_ERROR' });
+  }
+});
+
+// Clear an override and go back to provider rates
+router.delete('/rates/overrides/:currency', [
+  param('currency').isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const snapshot = await exchangeRates.clearOverride(req.params.currency, req.admin.adminId);
+
+    adminLogger.info('Admin rate override cleared', { adminId: req.admin.adminId, currency: req.params.currency });
+    res.json({ success: true, snapshot });
+
+  } catch (error) {
+    if (error.code === 'RATE_OVERRIDE_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    adminLogger.error('Admin rate override clear error', { error: error.message });
+    res.status(500).json({ error: 'Rate override clear failed', code: 'ADMIN_RATES_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+/**
+ * SKILLZY ARENA - ANTI-CHEAT
+ * Rules run on every score update and match result; what they flag lands in the alert store
+ *
+ * Features:
+ * - Impossible score jumps in client-scored games (GAMING_CONFIG.antiCheat.scoreLimits)
+ * - Superhuman reaction times in Reaction Time and typing speeds in Speed Typing
+ * - Repeated wins by one account over the same opponent
+ * - Abnormal win streaks
+ * - Alert store behind /api/admin/security, with review status, kept through repositories.js
+ * - Pair results older than the pair-wins window are dropped as new results come in
+ *
+ * Rules only flag; nothing here changes a score or a result. A failing rule is logged and
+ * skipped so it can never hold up a match.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const repositories = require('./repositories');
+const { GAMING_CONFIG } = require('./config');
+
+// Anti-cheat logger
+const antiCheatLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/anti-cheat.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Alerts are stored, one per rule, player and match; the rule state is per process
+const alerts = repositories.antiCheatAlerts;
+const pairResults = new Map(); // `${playerA}|${playerB}` (sorted) -> [{ winnerId, matchId, at }]
+const winStreaks = new Map(); // playerId -> consecutive wins
+let pairsPrunedAt = Date.now();
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'confirmed', 'dismissed'];
+const HOUR_MS = 60 * 60 * 1000;
+
+// Helper functions
+const generateAlertId = () => 'alt_' + uuidv4().substring(0, 8);
+
+const alertError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+const raiseAlert = ({ key, type, severity, userId, match, details, evidence }) => {
+  if (Array.from(alerts.values()).some(a => a.key === key)) {
+    return null;
+  }
+
+  const alert = {
+    id: generateAlertId(),
+    key,
+    type,
+    severity,
+    userId,
+    matchId: match ? match.id : null,
+    gameType: match ? match.gameType : null,
+    details,
+    evidence,
+    status: 'open',
+    createdAt: Date.now()
+  };
+  alerts.set(alert.id, alert).catch(error => {
+    antiCheatLogger.error('Anti-cheat alert not saved', { alertId: alert.id, key, error: error.message });
+  });
+
+  antiCheatLogger.warn('Anti-cheat alert', { alertId: alert.id, type, severity, userId, matchId: alert.matchId });
+  return alert;
+};
+
+// Score update rules - context: { match, playerId, previousScore, previousAt, score, gameData }
+const scoreJumpRule = ({ match, playerId, previousScore, previousAt, score }) => {
+  const limits = GAMING_CONFIG.antiCheat.scoreLimits[match.gameType];
+  if (!limits) return null;
+
+  const jump = score - previousScore;
+  const seconds = Math.max(0, (Date.now() - previousAt) / 1000);
+  const allowed = Math.round(limits.burst + limits.perSecond * seconds);
+  if (score <= limits.max && jump <= allowed) return null;
+
+  return {
+    key: `score_jump:${match.id}:${playerId}`,
+    type: 'score_jump',
+    severity: 'high',
+    details: score > limits.max
+      ? `Score ${score} is above the ${limits.max} maximum for ${match.gameType}`
+      : `Score jumped by ${jump} in ${Math.round(seconds)}s (limit ${allowed})`,
+    evidence: { previousScore, score, jump, seconds: Math.round(seconds), allowed, limits }
+  };
+};
+
+// Reaction Time scores each round at maxRoundScore minus the reaction in ms, so a final score
+// alone gives the average reaction; per-round times come in gameData.reactionTimesMs.
+// A partial score reads as a slow average, so mid-game updates never trip the rule.
+const reactionTimeRule = ({ match, playerId, score, gameData }) => {
+  if (match.gameType !== 'reactionTime') return null;
+  const { rounds, maxRoundScore, floorMs, maxFastRounds, averageFloorMs } = GAMING_CONFIG.antiCheat.reactionTime;
+
+  const times = Array.isArray(gameData && gameData.reactionTimesMs) ? gameData.reactionTimesMs.map(Number) : null;
+  const averageMs = times && times.length > 0
+    ? times.reduce((sum, t) => sum + t, 0) / times.length
+    : maxRoundScore - score / rounds;
+  const fastRounds = times ? times.filter(t => t < floorMs).length : 0;
+  if (averageMs >= averageFloorMs && fastRounds <= maxFastRounds) return null;
+
+  return {
+    key: `superhuman_reaction:${match.id}:${playerId}`,
+    type: 'superhuman_reaction',
+    severity: 'high',
+    details: fastRounds > maxFastRounds
+      ? `${fastRounds} reactions under ${floorMs}ms`
+      : `Average reaction ${Math.round(averageMs)}ms is under the ${averageFloorMs}ms human floor`,
+    evidence: { score, averageMs: Math.round(averageMs), fastRounds, reactionTimesMs: times }
+  };
+};
+
+// Speed Typing sends gameData.wpm, or charsTyped and durationMs to work it out from
+const typingSpeedRule = ({ match, playerId, gameData }) => {
+  if (match.gameType !== 'speedTyping' || !gameData) return null;
+  const { maxWpm } = GAMING_CONFIG.antiCheat.speedTyping;
+
+  const wpm = gameData.wpm !== undefined
+    ? Number(gameData.wpm)
+    : (Number(gameData.charsTyped) / 5) / (Number(gameData.durationMs) / 60000);
+  if (!Number.isFinite(wpm) || wpm <= maxWpm) return null;
+
+  return {
+    key: `superhuman_typing:${match.id}:${playerId}`,
+    type: 'superhuman_typing',
+    severity: 'high',
+    details: `Typing speed ${Math.round(wpm)} WPM is above the ${maxWpm} WPM ceiling`,
+    evidence: { wpm: Math.round(wpm), charsTyped: gameData.charsTyped, durationMs: gameData.durationMs }
+  };
+};
+
+// Match result rules - context: { match, winnerId, loserId }
+const pairWinsRule = ({ match, winnerId, loserId }) => {
+  const { count, windowHours } = GAMING_CONFIG.antiCheat.pairWins;
+  const since = Date.now() - windowHours * HOUR_MS;
+  const wins = (pairResults.get(pairKey(winnerId, loserId)) || [])
+    .filter(r => r.winnerId === winnerId && r.at >= since);
+  // Flag at count and each multiple, not on every win past it
+  if (wins.length === 0 || wins.length % count !== 0) return null;
+
+  return {
+    key: `pair_wins:${match.id}:${winnerId}`,
+    type: 'pair_wins',
+    severity: wins.length >= count * 2 ? 'high' : 'medium',
+    details: `${wins.length} wins over ${loserId} in ${windowHours}h`,
+    evidence: { opponentId: loserId, wins: wins.length, matchIds: wins.map(r => r.matchId), staked: match.betAmount > 0 }
+  };
+};
+
+const winStreakRule = ({ match, winnerId }) => {
+  const threshold = GAMING_CONFIG.antiCheat.winStreak;
+  const streak = winStreaks.get(winnerId) || 0;
+  if (streak === 0 || streak % threshold !== 0) return null;
+
+  return {
+    key: `win_streak:${match.id}:${winnerId}`,
+    type: 'win_streak',
+    severity: streak >= threshold * 2 ? 'high' : 'medium',
+    details: `${streak} wins in a row`,
+    evidence: { streak }
+  };
+};
+
+const SCORE_RULES = [scoreJumpRule, reactionTimeRule, typingSpeedRule];
+const RESULT_RULES = [pairWinsRule, winStreakRule];
+
+const runRules = (rules, context, userId) => {
+  return rules.map(rule => {
+    try {
+      const flag = rule(context);
+      return flag && raiseAlert({ ...flag, userId, match: context.match });
+    } catch (error) {
+      antiCheatLogger.error('Anti-cheat rule failed', { rule: rule.name, matchId: context.match.id, error: error.message });
+      return null;
+    }
+  }).filter(Boolean);
+};
+
+// Called by match.js after it records a client-submitted score; previousAt is when the
+// player's previous score arrived, or when the match was created
+const checkScoreUpdate = (match, playerId, { previousScore, previousAt, score, gameData }) => {
+  return runRules(SCORE_RULES, { match, playerId, previousScore, previousAt, score, gameData }, playerId);
+};
+
+// Drops pair results that have left the pair-wins window, and pairs with none left
+const prunePairResults = (now = Date.now()) => {
+  const since = now - GAMING_CONFIG.antiCheat.pairWins.windowHours * HOUR_MS;
+  pairResults.forEach((results, key) => {
+    const recent = results.filter(r => r.at >= since);
+    if (recent.length === 0) {
+      pairResults.delete(key);
+    } else {
+      pairResults.set(key, recent);
+    }
+  });
+  pairsPrunedAt = now;
+};
+
+// Match end listener - records the result for the pair and streak rules, then runs them
+const checkMatchResult = (match) => {
+  if (match.status !== 'completed') return [];
+  const [a, b] = match.players.map(p => p.id);
+  const winnerId = match.result.winner;
+
+  if (!winnerId) {
+    return []; // a draw neither extends nor breaks a streak
+  }
+  const loserId = winnerId === a ? b : a;
+
+  if (Date.now() - pairsPrunedAt >= HOUR_MS) {
+    prunePairResults();
+  }
+  const key = pairKey(a, b);
+  if (!pairResults.has(key)) {
+    pairResults.set(key, []);
+  }
+  pairResults.get(key).push({ winnerId, matchId: match.id, at: match.endTime });
+  winStreaks.set(winnerId, (winStreaks.get(winnerId) || 0) + 1);
+  winStreaks.set(loserId, 0);
+
+  return runRules(RESULT_RULES, { match, winnerId, loserId }, winnerId);
+};
+
+// Alerts newest first, optionally filtered by status, severity or type
+const listAlerts = async ({ status, severity, type, limit = 100 } = {}) => {
+  await alerts.find({ status, severity, type });
+  return Array.from(alerts.values())
+    .filter(a => (!status || a.status === status) && (!severity || a.severity === severity) && (!type || a.type === type))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+};
+
+const alertSummary = async () => {
+  await alerts.find();
+  const all = Array.from(alerts.values());
+  const count = (field) => all.reduce((counts, a) => {
+    counts[a[field]] = (counts[a[field]] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    rulesActive: SCORE_RULES.length + RESULT_RULES.length,
+    totalAlerts: all.length,
+    openAlerts: all.filter(a => a.status === 'open').length,
+    byType: count('type'),
+    bySeverity: count('severity')
+  };
+};
+
+const reviewAlert = async (alertId, status, reviewedBy, note) => {
+  await alerts.reload([alertId]);
+  const alert = alerts.get(alertId);
+  if (!alert) {
+    throw alertError('Alert not found', 'ALERT_NOT_FOUND', { status: 404 });
+  }
+  if (!ALERT_STATUSES.includes(status)) {
+    throw alertError('Unknown alert status', 'ALERT_STATUS_INVALID', { status: 400 });
+  }
+
+  alert.status = status;
+  alert.reviewedBy = reviewedBy;
+  alert.reviewNote = note || null;
+  alert.reviewedAt = Date.now();
+  await alerts.save(alert);
+  antiCheatLogger.info('Anti-cheat alert reviewed', { alertId, status, reviewedBy });
+
+  return alert;
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  checkScoreUpdate,
+  checkMatchResult,
+  listAlerts,
+  alertSummary,
+  reviewAlert,
+  prunePairResults,
+  alerts
+};
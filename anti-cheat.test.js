@@ -0,0 +1,95 @@
+const repositories = require('./repositories');
+const antiCheat = require('./anti-cheat');
+const { GAMING_CONFIG } = require('./config');
+
+// Players and matches are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+let sequence = 0;
+
+const liveMatch = (gameType) => {
+  sequence += 1;
+  return { id: `match_ac_${run}_${sequence}`, gameType, betAmount: 1000, createdAt: Date.now() };
+};
+
+const wonMatch = (winnerId, loserId) => ({
+  ...liveMatch('chess'),
+  status: 'completed',
+  players: [{ id: winnerId }, { id: loserId }],
+  result: { winner: winnerId },
+  endTime: Date.now()
+});
+
+const types = (raised) => raised.map(alert => alert.type);
+
+afterAll(() => repositories.disconnect());
+
+describe('score rules', () => {
+  test('a score that climbs faster than the game allows is flagged once per player and match', () => {
+    const match = liveMatch('reactionTime');
+    const update = { previousScore: 0, previousAt: Date.now(), score: 5000 };
+
+    const [alert] = antiCheat.checkScoreUpdate(match, `ac_jumper_${run}`, update);
+    expect(alert).toMatchObject({ type: 'score_jump', severity: 'high', matchId: match.id, status: 'open' });
+    expect(antiCheat.checkScoreUpdate(match, `ac_jumper_${run}`, update)).toEqual([]);
+    expect(antiCheat.checkScoreUpdate(liveMatch('reactionTime'), `ac_steady_${run}`, { ...update, score: 900 })).toEqual([]);
+  });
+
+  test('reactions faster than a human can manage are flagged', () => {
+    const { rounds } = GAMING_CONFIG.antiCheat.reactionTime;
+    const check = (reactionTimesMs) => antiCheat.checkScoreUpdate(liveMatch('reactionTime'), `ac_reflex_${run}`, {
+      previousScore: 0, previousAt: Date.now() - 60000, score: 0, gameData: { reactionTimesMs }
+    });
+
+    expect(types(check([60, 70, 80, 240, 250, 260, 230, 220, 210, 200]))).toEqual(['superhuman_reaction']);
+    expect(check(Array(rounds).fill(240))).toEqual([]);
+  });
+
+  test('typing above the words-per-minute ceiling is flagged, worked out from characters and time', () => {
+    const check = (gameData) => antiCheat.checkScoreUpdate(liveMatch('speedTyping'), `ac_typist_${run}`, {
+      previousScore: 0, previousAt: Date.now() - 60000, score: 0, gameData
+    });
+
+    // 1500 characters in a minute is 300 WPM
+    expect(types(check({ charsTyped: 1500, durationMs: 60000 }))).toEqual(['superhuman_typing']);
+    expect(check({ wpm: 90 })).toEqual([]);
+  });
+});
+
+describe('result rules', () => {
+  test('repeated wins over the same opponent are flagged at the configured count', () => {
+    const { count } = GAMING_CONFIG.antiCheat.pairWins;
+    const [winnerId, loserId] = [`ac_farmer_${run}`, `ac_feeder_${run}`];
+
+    const raised = Array.from({ length: count }, () => antiCheat.checkMatchResult(wonMatch(winnerId, loserId)));
+
+    raised.slice(0, -1).forEach(alerts => expect(alerts).toEqual([]));
+    expect(raised[count - 1]).toEqual([expect.objectContaining({ type: 'pair_wins', severity: 'medium', userId: winnerId })]);
+  });
+
+  test('a long win streak is flagged, and a draw neither extends nor breaks it', () => {
+    const threshold = GAMING_CONFIG.antiCheat.winStreak;
+    const winnerId = `ac_streak_${run}`;
+    const win = (n) => antiCheat.checkMatchResult(wonMatch(winnerId, `ac_opponent_${run}_${n}`));
+
+    for (let n = 1; n < threshold; n++) {
+      expect(win(n)).toEqual([]);
+    }
+    expect(antiCheat.checkMatchResult({ ...wonMatch(winnerId, `ac_drawn_${run}`), result: { winner: null } })).toEqual([]);
+    expect(types(win(threshold))).toEqual(['win_streak']);
+  });
+});
+
+describe('alert review', () => {
+  test('an admin moves an alert through review, and an unknown status or alert is refused', async () => {
+    const [alert] = antiCheat.checkScoreUpdate(liveMatch('speedTyping'), `ac_review_${run}`, {
+      previousScore: 0, previousAt: Date.now(), score: 9000
+    });
+
+    const reviewed = await antiCheat.reviewAlert(alert.id, 'confirmed', 'admin_test', 'Replay shows a macro');
+
+    expect(reviewed).toMatchObject({ status: 'confirmed', reviewedBy: 'admin_test', reviewNote: 'Replay shows a macro' });
+    expect((await antiCheat.listAlerts({ status: 'confirmed' })).map(a => a.id)).toContain(alert.id);
+    await expect(antiCheat.reviewAlert(alert.id, 'ignored', 'admin_test')).rejects.toMatchObject({ code: 'ALERT_STATUS_INVALID' });
+    await expect(antiCheat.reviewAlert('alt_missing', 'dismissed', 'admin_test')).rejects.toMatchObject({ code: 'ALERT_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,444 @@
+/**
+ * SKILLZY ARENA - CARROM ENGINE
+ * Server-side carrom for paid matches - clients send shots, the server simulates the board
+ *
+ * Features:
+ * - Fixed-step physics: friction, cushion rebounds, coin and striker collisions, corner pockets
+ * - White and black coins (9 each) plus the queen, which must be covered by an own coin
+ * - Fouls: pocketing the striker, or clearing a colour before the queen is covered
+ * - Penalty coins returned to the centre; own pocket keeps the turn
+ * - Board win by clearing all own coins; points are opponent coins left (+3 for the queen)
+ *
+ * Coordinates are board units with the origin top-left and y pointing down (as on the
+ * client canvas). Shot angles are degrees in the same frame: 0 is +x, -90 is straight up.
+ * Every shot is simulated from the stored state alone, so the same shot always gives the
+ * same board.
+ */
+
+const BOARD_SIZE = 300;
+const COIN_RADIUS = 6;
+const STRIKER_RADIUS = 8;
+const COIN_MASS = 1;
+const STRIKER_MASS = 2.5;
+const POCKET_RADIUS = 11; // a piece drops once its centre is this close to a pocket centre
+const POCKET_POSITIONS = [
+  { x: 16, y: 16 },
+  { x: BOARD_SIZE - 16, y: 16 },
+  { x: 16, y: BOARD_SIZE - 16 },
+  { x: BOARD_SIZE - 16, y: BOARD_SIZE - 16 }
+];
+// Each colour shoots from its own baseline - white from the bottom, black from the top
+const BASELINES = {
+  white: { y: BOARD_SIZE - 45, minX: 60, maxX: BOARD_SIZE - 60 },
+  black: { y: 45, minX: 60, maxX: BOARD_SIZE - 60 }
+};
+const COINS_PER_COLOR = 9;
+const QUEEN_POINTS = 3;
+
+const PHYSICS = {
+  maxSpeed: 700, // units/s at power 100
+  friction: 250, // units/s² deceleration on the board
+  coinRestitution: 0.9,
+  cushionRestitution: 0.75,
+  stepsPerSecond: 480,
+  maxSeconds: 10,
+  framesPerSecond: 30 // trajectory samples sent to clients for rendering
+};
+
+// Helper functions
+const carromError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const opponentOf = (color) => (color === 'white' ? 'black' : 'white');
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Queen in the centre, an alternating inner ring of 6 and an outer ring of 12
+const initialCoins = () => {
+  const centre = BOARD_SIZE / 2;
+  const spacing = COIN_RADIUS * 2 + 0.2;
+  const coins = [{ id: 'queen', type: 'queen', x: centre, y: centre }];
+  const counts = { white: 0, black: 0 };
+  const place = (type, distance, degrees) => {
+    const radians = (degrees * Math.PI) / 180;
+    coins.push({
+      id: `${type}-${counts[type]++}`,
+      type,
+      x: round(centre + Math.cos(radians) * distance, 3),
+      y: round(centre + Math.sin(radians) * distance, 3)
+    });
+  };
+
+  for (let i = 0; i < 6; i++) {
+    const type = i % 2 === 0 ? 'white' : 'black';
+    place(type, spacing, i * 60);
+    place(type, spacing * 2, i * 60); // same spoke, so whites form the "Y"
+    place(i % 2 === 0 ? 'black' : 'white', spacing * Math.sqrt(3), i * 60 + 30);
+  }
+  return coins;
+};
+
+const overlapsAny = (coins, x, y, radius) => {
+  return coins.some(c => Math.hypot(c.x - x, c.y - y) < COIN_RADIUS + radius);
+};
+
+// Returned coins go back to the centre, or the nearest free spot spiralling out from it
+const centreSpot = (coins) => {
+  const centre = BOARD_SIZE / 2;
+  for (let ring = 0; ring < 20; ring++) {
+    const distance = ring * COIN_RADIUS;
+    const points = ring === 0 ? 1 : ring * 6;
+    for (let i = 0; i < points; i++) {
+      const radians = (i / points) * 2 * Math.PI;
+      const x = round(centre + Math.cos(radians) * distance, 3);
+      const y = round(centre + Math.sin(radians) * distance, 3);
+      if (!overlapsAny(coins, x, y, COIN_RADIUS)) {
+        return { x, y };
+      }
+    }
+  }
+  return { x: centre, y: centre };
+};
+
+const returnToCentre = (game, id) => {
+  const spot = centreSpot(game.coins);
+  game.coins.push({ id, type: id === 'queen' ? 'queen' : id.split('-')[0], ...spot });
+};
+
+// Physics - runs until every piece has stopped or dropped into a pocket
+const simulate = (coins, striker) => {
+  const dt = 1 / PHYSICS.stepsPerSecond;
+  const frameEvery = PHYSICS.stepsPerSecond / PHYSICS.framesPerSecond;
+  const bodies = [striker, ...coins].map(b => ({ vx: 0, vy: 0, ...b }));
+  const pocketed = [];
+  const frames = [];
+  const touched = new Set();
+
+  let step = 0;
+  for (; step < PHYSICS.stepsPerSecond * PHYSICS.maxSeconds; step++) {
+    const live = bodies.filter(b => !b.pocketed);
+
+    for (const body of live) {
+      const speed = Math.hypot(body.vx, body.vy);
+      if (speed === 0) continue;
+      const slowed = Math.max(0, speed - PHYSICS.friction * dt);
+      body.vx = (body.vx / speed) * slowed;
+      body.vy = (body.vy / speed) * slowed;
+      body.x += body.vx * dt;
+      body.y += body.vy * dt;
+
+      // Cushions
+      if (body.x < body.r) { body.x = body.r; body.vx = -body.vx * PHYSICS.cushionRestitution; }
+      if (body.x > BOARD_SIZE - body.r) { body.x = BOARD_SIZE - body.r; body.vx = -body.vx * PHYSICS.cushionRestitution; }
+      if (body.y < body.r) { body.y = body.r; body.vy = -body.vy * PHYSICS.cushionRestitution; }
+      if (body.y > BOARD_SIZE - body.r) { body.y = BOARD_SIZE - body.r; body.vy = -body.vy * PHYSICS.cushionRestitution; }
+    }
+
+    for (let i = 0; i < live.length; i++) {
+      for (let j = i + 1; j < live.length; j++) {
+        const a = live[i];
+        const b = live[j];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.hypot(dx, dy);
+        const minDistance = a.r + b.r;
+        if (distance >= minDistance || distance === 0) continue;
+
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const inverseMass = 1 / a.m + 1 / b.m;
+
+        // Push the pair apart in proportion to mass, then exchange momentum along the normal
+        const overlap = minDistance - distance;
+        a.x -= nx * overlap * (1 / a.m) / inverseMass;
+        a.y -= ny * overlap * (1 / a.m) / inverseMass;
+        b.x += nx * overlap * (1 / b.m) / inverseMass;
+        b.y += ny * overlap * (1 / b.m) / inverseMass;
+
+        const closing = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+        if (closing < 0) {
+          const impulse = (-(1 + PHYSICS.coinRestitution) * closing) / inverseMass;
+          a.vx -= (impulse / a.m) * nx;
+          a.vy -= (impulse / a.m) * ny;
+          b.vx += (impulse / b.m) * nx;
+          b.vy += (impulse / b.m) * ny;
+          if (a.id === 'striker' || b.id === 'striker') {
+            touched.add(a.id === 'striker' ? b.id : a.id);
+          }
+        }
+      }
+    }
+
+    for (const body of live) {
+      if (POCKET_POSITIONS.some(p => Math.hypot(body.x - p.x, body.y - p.y) < POCKET_RADIUS)) {
+        body.pocketed = true;
+        body.vx = 0;
+        body.vy = 0;
+        pocketed.push(body.id);
+      }
+    }
+
+    if (step % frameEvery === 0) {
+      frames.push(bodies.filter(b => !b.pocketed).map(b => ({ id: b.id, x: round(b.x, 1), y: round(b.y, 1) })));
+    }
+    if (bodies.every(b => b.pocketed || (b.vx === 0 && b.vy === 0))) {
+      break;
+    }
+  }
+
+  return {
+    coins: bodies
+      .filter(b => b.id !== 'striker' && !b.pocketed)
+      .map(b => ({ id: b.id, type: b.type, x: round(b.x), y: round(b.y) })),
+    striker: bodies[0],
+    pocketed,
+    touched: [...touched],
+    frames,
+    durationMs: Math.round((step / PHYSICS.stepsPerSecond) * 1000)
+  };
+};
+
+// One shot from the given board; the same board and input always give the same result
+const simulateShot = (coins, color, { position, angle, power }) => {
+  const radians = (angle * Math.PI) / 180;
+  const speed = (power / 100) * PHYSICS.maxSpeed;
+  return simulate(coins.map(c => ({ ...c, r: COIN_RADIUS, m: COIN_MASS })), {
+    id: 'striker',
+    x: position,
+    y: BASELINES[color].y,
+    vx: Math.cos(radians) * speed,
+    vy: Math.sin(radians) * speed,
+    r: STRIKER_RADIUS,
+    m: STRIKER_MASS
+  });
+};
+
+// Trajectory frames of a shot played from `coins`, for replays that keep only the shot's input
+const shotFrames = (coins, color, input) => simulateShot(coins, color, input).frames;
+
+// Game state
+const createGame = ({ white, black }) => ({
+  players: { white, black },
+  turn: 'white',
+  coins: initialCoins(),
+  pocketed: { white: [], black: [] },
+  queen: { status: 'board', owner: null }, // board -> pending (needs cover) -> covered
+  fouls: { white: 0, black: 0 },
+  shots: [],
+  status: 'active',
+  result: null
+});
+
+const colorOfPlayer = (game, playerId) => {
+  if (game.players.white === playerId) return 'white';
+  if (game.players.black === playerId) return 'black';
+  return null;
+};
+
+const scores = (game) => ({
+  white: game.pocketed.white.length + (game.queen.status === 'covered' && game.queen.owner === 'white' ? QUEEN_POINTS : 0),
+  black: game.pocketed.black.length + (game.queen.status === 'covered' && game.queen.owner === 'black' ? QUEEN_POINTS : 0)
+});
+
+const endGame = (game, status, winnerColor, reason) => {
+  const loserColor = winnerColor && opponentOf(winnerColor);
+  game.status = status;
+  game.result = {
+    winner: winnerColor ? game.players[winnerColor] : null,
+    winnerColor,
+    reason,
+    // Board points: the loser's coins still on the board, plus the queen if the winner holds it
+    points: winnerColor
+      ? COINS_PER_COLOR - game.pocketed[loserColor].length +
+        (game.queen.status === 'covered' && game.queen.owner === winnerColor ? QUEEN_POINTS : 0)
+      : 0
+  };
+  return game.result;
+};
+
+const validateShot = (game, color, { position, angle, power }) => {
+  const baseline = BASELINES[color];
+  if (![position, angle, power].every(v => typeof v === 'number' && Number.isFinite(v))) {
+    throw carromError('Shot needs numeric position, angle and power', 'CARROM_INVALID_SHOT', { status: 400 });
+  }
+  if (position < baseline.minX || position > baseline.maxX) {
+    throw carromError(`Striker position must be between ${baseline.minX} and ${baseline.maxX}`, 'CARROM_INVALID_SHOT', { status: 400 });
+  }
+  if (power <= 0 || power > 100) {
+    throw carromError('Power must be between 0 and 100', 'CARROM_INVALID_SHOT', { status: 400 });
+  }
+  if (overlapsAny(game.coins, position, baseline.y, STRIKER_RADIUS)) {
+    throw carromError('Striker would be placed on a coin', 'CARROM_STRIKER_BLOCKED', { status: 400 });
+  }
+};
+
+/**
+ * Simulates one shot for the player whose turn it is and applies the rules.
+ * Returns the shot record, including trajectory frames for rendering.
+ */
+const playShot = (game, playerId, { position, angle, power }) => {
+  const color = colorOfPlayer(game, playerId);
+  if (!color) {
+    throw carromError('Player is not in this game', 'CARROM_NOT_A_PLAYER', { status: 403 });
+  }
+  if (game.status !== 'active') {
+    throw carromError('Game is already over', 'CARROM_GAME_OVER', { status: 409 });
+  }
+  if (game.turn !== color) {
+    throw carromError('Not your turn', 'CARROM_NOT_YOUR_TURN', { status: 409 });
+  }
+  validateShot(game, color, { position, angle, power });
+
+  const opponent = opponentOf(color);
+  const sim = simulateShot(game.coins, color, { position, angle, power });
+
+  game.coins = sim.coins;
+  const dropped = sim.pocketed.filter(id => id !== 'striker');
+  const own = dropped.filter(id => id.startsWith(color));
+  const opponents = dropped.filter(id => id.startsWith(opponent));
+  const queenDropped = dropped.includes('queen');
+  const queenWasPending = game.queen.status === 'pending' && game.queen.owner === color;
+  const returned = [];
+  let queenEvent = null;
+
+  // Opponent coins are credited to the opponent whatever happens
+  game.pocketed[opponent].push(...opponents);
+
+  let foul = null;
+  if (sim.pocketed.includes('striker')) {
+    foul = 'striker_pocketed';
+  } else if (game.pocketed[opponent].length === COINS_PER_COLOR && game.queen.status !== 'covered' && opponents.length > 0) {
+    foul = 'opponent_last_coin';
+  } else if (game.pocketed[color].length + own.length === COINS_PER_COLOR &&
+    game.queen.status !== 'covered' && !((queenWasPending || queenDropped) && own.length > 0)) {
+    foul = 'last_coin_before_queen';
+  }
+
+  if (foul) {
+    // Own coins from this shot come back, plus one earlier coin as the penalty
+    returned.push(...own);
+    if (game.pocketed[color].length > 0) {
+      returned.push(game.pocketed[color].pop());
+    }
+    if (foul === 'opponent_last_coin') {
+      returned.push(game.pocketed[opponent].pop());
+    }
+    if (queenDropped || queenWasPending) {
+      returned.push('queen');
+      game.queen = { status: 'board', owner: null };
+      queenEvent = 'returned';
+    }
+    game.fouls[color] += 1;
+  } else {
+    game.pocketed[color].push(...own);
+
+    if (queenDropped) {
+      if (game.pocketed[color].length === 0) {
+        // The queen can only be taken once the player has pocketed a coin of their own
+        returned.push('queen');
+        queenEvent = 'returned';
+      } else if (own.length > 0) {
+        game.queen = { status: 'covered', owner: color };
+        queenEvent = 'covered';
+      } else {
+        game.queen = { status: 'pending', owner: color };
+        queenEvent = 'pending';
+      }
+    } else if (queenWasPending) {
+      if (own.length > 0) {
+        game.queen = { status: 'covered', owner: color };
+        queenEvent = 'covered';
+      } else {
+        game.queen = { status: 'board', owner: null };
+        returned.push('queen');
+        queenEvent = 'returned';
+      }
+    }
+  }
+
+  returned.forEach(id => returnToCentre(game, id));
+
+  const keepsTurn = !foul && (own.length > 0 || game.queen.status === 'pending');
+  if (!keepsTurn) {
+    game.turn = opponent;
+  }
+
+  const record = {
+    shot: game.shots.length + 1,
+    playerId,
+    color,
+    input: { position, angle, power },
+    pocketed: sim.pocketed,
+    touched: sim.touched,
+    returned,
+    foul,
+    queen: queenEvent,
+    keepsTurn,
+    durationMs: sim.durationMs
+  };
+  game.shots.push(record);
+
+  if (game.queen.status === 'covered') {
+    if (game.pocketed[color].length === COINS_PER_COLOR) {
+      endGame(game, 'finished', color, 'board_cleared');
+    } else if (game.pocketed[opponent].length === COINS_PER_COLOR) {
+      endGame(game, 'finished', opponent, 'board_cleared');
+    }
+  }
+
+  return { ...record, frames: sim.frames };
+};
+
+const resign = (game, playerId, reason = 'resignation') => {
+  const color = colorOfPlayer(game, playerId);
+  if (!color) {
+    throw carromError('Player is not in this game', 'CARROM_NOT_A_PLAYER', { status: 403 });
+  }
+  if (game.status !== 'active') {
+    throw carromError('Game is already over', 'CARROM_GAME_OVER', { status: 409 });
+  }
+  return endGame(game, 'resigned', opponentOf(color), reason);
+};
+
+// Match time ran out - the higher score takes the board, equal scores draw
+const expire = (game) => {
+  if (game.status !== 'active') {
+    return game.result;
+  }
+  const { white, black } = scores(game);
+  return endGame(game, 'timeout', white === black ? null : (white > black ? 'white' : 'black'), 'time_expired');
+};
+
+const snapshot = (game) => ({
+  players: game.players,
+  turn: game.turn,
+  turnPlayer: game.players[game.turn],
+  coins: game.coins,
+  pocketed: game.pocketed,
+  queen: game.queen,
+  fouls: game.fouls,
+  scores: scores(game),
+  status: game.status,
+  result: game.result,
+  lastShot: game.shots[game.shots.length - 1] || null,
+  shotCount: game.shots.length
+});
+
+module.exports = {
+  BOARD_SIZE,
+  COIN_RADIUS,
+  STRIKER_RADIUS,
+  POCKET_RADIUS,
+  POCKET_POSITIONS,
+  BASELINES,
+  createGame,
+  colorOfPlayer,
+  playShot,
+  shotFrames,
+  resign,
+  expire,
+  scores,
+  snapshot
+};
@@ -0,0 +1,68 @@
+const carrom = require('./carrom-engine');
+
+const newGame = () => carrom.createGame({ white: 'w1', black: 'b1' });
+
+// Straight up the board from the left of the baseline, clear of the coins in the centre
+const sideShot = { position: 80, angle: -90, power: 40 };
+
+describe('carrom engine', () => {
+  test('a new game has nine coins of each colour and the queen on the board', () => {
+    const { coins } = newGame();
+    expect(coins.filter(c => c.id.startsWith('white'))).toHaveLength(9);
+    expect(coins.filter(c => c.id.startsWith('black'))).toHaveLength(9);
+    expect(coins.filter(c => c.id === 'queen')).toHaveLength(1);
+  });
+
+  test('a shot replays to the same frames from the board it was played on', () => {
+    const game = newGame();
+    const board = game.coins.map(c => ({ ...c }));
+    const shot = carrom.playShot(game, 'w1', { position: carrom.BOARD_SIZE / 2, angle: -90, power: 80 });
+
+    expect(shot.frames.length).toBeGreaterThan(0);
+    expect(carrom.shotFrames(board, 'white', shot.input)).toEqual(shot.frames);
+  });
+
+  test('the turn passes when nothing of the shooter is pocketed', () => {
+    const game = newGame();
+    const shot = carrom.playShot(game, 'w1', sideShot);
+
+    expect(shot.keepsTurn).toBe(false);
+    expect(game.turn).toBe('black');
+    expect(carrom.snapshot(game).turnPlayer).toBe('b1');
+  });
+
+  test('shots are refused out of turn, off the baseline and at invalid power', () => {
+    const game = newGame();
+    expect(() => carrom.playShot(game, 'b1', sideShot)).toThrow(expect.objectContaining({ code: 'CARROM_NOT_YOUR_TURN' }));
+    expect(() => carrom.playShot(game, 'x1', sideShot)).toThrow(expect.objectContaining({ code: 'CARROM_NOT_A_PLAYER' }));
+    expect(() => carrom.playShot(game, 'w1', { ...sideShot, position: 10 })).toThrow(expect.objectContaining({ code: 'CARROM_INVALID_SHOT' }));
+    expect(() => carrom.playShot(game, 'w1', { ...sideShot, power: 0 })).toThrow(expect.objectContaining({ code: 'CARROM_INVALID_SHOT' }));
+    expect(() => carrom.playShot(game, 'w1', { ...sideShot, angle: 'up' })).toThrow(expect.objectContaining({ code: 'CARROM_INVALID_SHOT' }));
+  });
+
+  test('the striker cannot be placed on a coin', () => {
+    const game = newGame();
+    const { y } = carrom.BASELINES.white;
+    game.coins.push({ id: 'white-extra', type: 'white', x: 80, y });
+
+    expect(() => carrom.playShot(game, 'w1', sideShot)).toThrow(expect.objectContaining({ code: 'CARROM_STRIKER_BLOCKED' }));
+  });
+
+  test('resigning gives the board to the opponent with their remaining coins as points', () => {
+    const game = newGame();
+    carrom.resign(game, 'w1');
+
+    expect(game.result).toMatchObject({ winner: 'b1', winnerColor: 'black', reason: 'resignation', points: 9 });
+    expect(() => carrom.playShot(game, 'b1', sideShot)).toThrow(expect.objectContaining({ code: 'CARROM_GAME_OVER' }));
+  });
+
+  test('when time expires the higher score wins and equal scores draw', () => {
+    const drawn = newGame();
+    expect(carrom.expire(drawn)).toMatchObject({ winner: null, reason: 'time_expired' });
+
+    const ahead = newGame();
+    ahead.pocketed.black.push('black-0', 'black-1');
+    expect(carrom.expire(ahead)).toMatchObject({ winner: 'b1', winnerColor: 'black' });
+    expect(carrom.scores(ahead)).toEqual({ white: 0, black: 2 });
+  });
+});
@@ -0,0 +1,439 @@
+/**
+ * SKILLZY ARENA - PRIVATE CHALLENGE ROOMS
+ * Invite-code rooms for challenging a specific friend instead of the public queue
+ *
+ * Features:
+ * - Short invite codes with a shareable deep link
+ * - Invites expire after GAMING_CONFIG.privateRooms.inviteExpiry
+ * - Any active stake tier of the game (see stake-tiers.js), the default tier if none is picked
+ * - Becomes a normal escrowed match (match.js) once both players accept; room matches can't be spectated
+ * - Accounts linked to the host can't join (see account-links.js)
+ * - Neither player may be in another match when the room starts; the match claims both in the
+ *   shared store, and a room starts one match however many accepts arrive at once
+ * - Rooms stored in the database (repositories.js) and changed under a shared lock, so an invite
+ *   made on one worker can be joined and accepted on any other
+ *
+ * The host accepts by creating the room; the guest joins to see the terms, then accepts.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const winston = require('winston');
+const matchSystem = require('./match');
+const walletSystem = require('./wallet');
+const ratings = require('./ratings');
+const accountLinks = require('./account-links');
+const stakeTiers = require('./stake-tiers');
+const money = require('./money');
+const repositories = require('./repositories');
+const { requireIdempotencyKey } = require('./idempotency');
+const { store: sharedState, rateLimitStore } = require('./state-store');
+const { CURRENCY_CONFIG, GAMING_CONFIG } = require('./config');
+
+const router = express.Router();
+
+// Challenge room logger
+const roomLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/rooms.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Rate limiting for room operations
+const roomLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 room operations per minute
+  message: { error: 'Room operation limit exceeded', code: 'ROOM_RATE_LIMIT' },
+  store: rateLimitStore('rooms')
+});
+
+// Rooms are kept in the database (see repositories.js); every change is made through withRoom(),
+// so workers never overwrite each other's
+// Stakes are integer minor units (see money.js)
+const challengeRooms = repositories.challengeRooms; // invite code -> room
+
+// Unambiguous characters only - no 0/O or 1/I in codes read out to friends
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Helper functions
+const generateInviteCode = async () => {
+  let code;
+  do {
+    code = Array.from({ length: GAMING_CONFIG.privateRooms.codeLength },
+      () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    await challengeRooms.reload([code]);
+  } while (challengeRooms.has(code));
+  return code;
+};
+
+const deepLinkFor = (code) => `https://${GAMING_CONFIG.privateRooms.deepLinkDomain}/room/${code}`;
+
+// Any worker's match counts, not only this one's
+const isInActiveMatch = async (playerId) => (await matchSystem.currentMatch(playerId)) !== null;
+
+// Looks a room up by code as stored, marking it expired once its invite has lapsed
+const loadRoom = async (code, now = Date.now()) => {
+  await challengeRooms.reload([code.toUpperCase()], { prune: true });
+  const room = challengeRooms.get(code.toUpperCase());
+  if (room && ['open', 'joined'].includes(room.status) && room.expiresAt <= now) {
+    room.status = 'expired';
+    roomLogger.info('Challenge room expired', { code: room.code, hostId: room.hostId });
+  }
+  return room;
+};
+
+// Runs change on the room as stored (undefined if there is none), under its shared lock, and
+// saves the room once change is done
+const withRoom = (code, change) => sharedState.withLock(`room:${code.toUpperCase()}`, async () => {
+  const room = await loadRoom(code);
+  const result = await change(room);
+  if (room) {
+    await challengeRooms.save(room);
+  }
+  return result;
+});
+
+// Drops rooms that finished or expired more than an invite period ago
+const pruneRooms = async (now = Date.now()) => {
+  const retention = GAMING_CONFIG.privateRooms.inviteExpiry * 1000;
+  await challengeRooms.find({ expiresAt: { lte: new Date(now - retention) } });
+  for (const [code, room] of Array.from(challengeRooms.entries())) {
+    if (room.expiresAt + retention <= now) {
+      await challengeRooms.delete(code);
+    }
+  }
+};
+
+const formatRoom = (room) => ({
+  code: room.code,
+  deepLink: deepLinkFor(room.code),
+  gameType: room.gameType,
+  tierId: room.tierId,
+  hostId: room.hostId,
+  guestId: room.guestId,
+  stake: money.toMajor(room.stake, room.currency),
+  currency: room.currency,
+  status: room.status,
+  accepted: room.accepted,
+  matchId: room.matchId,
+  createdAt: room.createdAt,
+  expiresAt: room.expiresAt
+});
+
+// The first of the players already in a match, on any worker
+const firstInActiveMatch = async (playerIds) => {
+  for (const id of playerIds) {
+    if (await isInActiveMatch(id)) return id;
+  }
+  return null;
+};
+
+const playerInMatch = (res, busyId, playerId) => res.status(409).json({
+  error: busyId === playerId ? 'Player is already in a match' : 'Opponent is already in a match',
+  code: busyId === playerId ? 'PLAYER_IN_MATCH' : 'OPPONENT_IN_MATCH',
+  playerId: busyId
+});
+
+const roomUnavailable = (res, room) => {
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+  }
+  if (room.status === 'expired') {
+    return res.status(410).json({ error: 'Invite has expired', code: 'ROOM_EXPIRED' });
+  }
+  return res.status(409).json({ error: 'Room is no longer open', code: 'ROOM_CLOSED', status: room.status });
+};
+
+// Apply rate limiting
+router.use(roomLimiter);
+
+// Create a room and get an invite code
+router.post('/', [
+  body('gameType').isIn(Object.keys(matchSystem.GAME_CONFIGS)).withMessage('Valid game type required'),
+  body('playerId').isLength({ min: 1 }).withMessage('Player ID required'),
+  body('currency').optional().isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
+  body('tierId').optional().isLength({ min: 1 }).withMessage('Valid stake tier required'),
+  body('clientSeed').optional().matches(/^[\w-]{1,64}$/).withMessage('Client seed must be 1-64 letters, digits, _ or -')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { gameType, playerId, currency = 'INR', clientSeed } = req.body;
+    const tier = await stakeTiers.getTier(gameType, req.body.tierId || GAMING_CONFIG.defaultStakeTier);
+    if (!tier || !tier.active) {
+      return res.status(400).json({
+        error: 'Stake tier not available for this game',
+        code: 'STAKE_TIER_UNAVAILABLE',
+        tiers: (await stakeTiers.listTiers(gameType)).map(t => stakeTiers.formatTier(t, currency))
+      });
+    }
+    const stake = stakeTiers.stakeFor(tier, currency);
+
+    if (await isInActiveMatch(playerId)) {
+      return res.status(409).json({ error: 'Player is already in a match', code: 'PLAYER_IN_MATCH' });
+    }
+
+    if (!(await walletSystem.canCoverStake(playerId, stake, currency))) {
+      return res.status(400).json({
+        error: 'Insufficient balance to cover match stake',
+        code: 'INSUFFICIENT_STAKE_BALANCE',
+        playerId,
+        stake: money.toMajor(stake, currency),
+        currency
+      });
+    }
+
+    const now = Date.now();
+    await pruneRooms(now);
+
+    const room = {
+      code: await generateInviteCode(),
+      gameType,
+      currency,
+      tierId: tier.id,
+      stake,
+      hostId: playerId,
+      hostClientSeed: clientSeed,
+      guestId: null,
+      guestClientSeed: null,
+      accepted: { host: true, guest: false },
+      status: 'open',
+      matchId: null,
+      createdAt: now,
+      expiresAt: now + GAMING_CONFIG.privateRooms.inviteExpiry * 1000
+    };
+    await challengeRooms.set(room.code, room);
+
+    roomLogger.info('Challenge room created', { code: room.code, hostId: playerId, gameType, tierId: tier.id, stake, currency });
+
+    res.json({
+      success: true,
+      inviteCode: room.code,
+      deepLink: deepLinkFor(room.code),
+      expiresAt: room.expiresAt,
+      room: formatRoom(room)
+    });
+
+  } catch (error) {
+    roomLogger.error('Room creation error', { error: error.message });
+    res.status(500).json({ error: 'Room creation failed', code: 'ROOM_CREATE_ERROR' });
+  }
+});
+
+// Room details for an invite code
+router.get('/:code', [
+  param('code').isAlphanumeric().isLength({ min: 4, max: 12 }).withMessage('Valid invite code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const room = await loadRoom(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+    }
+
+    res.json({ success: true, room: formatRoom(room) });
+
+  } catch (error) {
+    roomLogger.error('Room lookup error', { error: error.message });
+    res.status(500).json({ error: 'Room lookup failed', code: 'ROOM_LOOKUP_ERROR' });
+  }
+});
+
+// Join a room by invite code
+router.post('/:code/join', [
+  param('code').isAlphanumeric().isLength({ min: 4, max: 12 }).withMessage('Valid invite code required'),
+  body('playerId').isLength({ min: 1 }).withMessage('Player ID required'),
+  body('clientSeed').optional().matches(/^[\w-]{1,64}$/).withMessage('Client seed must be 1-64 letters, digits, _ or -')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { playerId, clientSeed } = req.body;
+
+    // Under the room's lock, so two guests joining at once on different workers can't both get
+    // in; a refusal is answered here and leaves the room as it was
+    const room = await withRoom(req.params.code, async (stored) => {
+      if (stored && stored.status === 'joined' && stored.guestId === playerId) {
+        return stored;
+      }
+      if (!stored || stored.status !== 'open') {
+        roomUnavailable(res, stored);
+        return null;
+      }
+
+      if (stored.hostId === playerId) {
+        res.status(400).json({ error: 'Cannot join your own room', code: 'ROOM_OWN_INVITE' });
+        return null;
+      }
+
+      if (await accountLinks.areLinked(stored.hostId, playerId)) {
+        res.status(403).json({ error: 'Linked accounts cannot play each other', code: 'ROOM_LINKED_ACCOUNTS' });
+        return null;
+      }
+
+      if (await isInActiveMatch(playerId)) {
+        res.status(409).json({ error: 'Player is already in a match', code: 'PLAYER_IN_MATCH' });
+        return null;
+      }
+
+      if (!(await walletSystem.canCoverStake(playerId, stored.stake, stored.currency))) {
+        res.status(400).json({
+          error: 'Insufficient balance to cover match stake',
+          code: 'INSUFFICIENT_STAKE_BALANCE',
+          playerId,
+          stake: money.toMajor(stored.stake, stored.currency),
+          currency: stored.currency
+        });
+        return null;
+      }
+
+      stored.guestId = playerId;
+      stored.guestClientSeed = clientSeed;
+      stored.status = 'joined';
+      roomLogger.info('Challenge room joined', { code: stored.code, hostId: stored.hostId, guestId: playerId });
+      return stored;
+    });
+
+    if (room) {
+      res.json({ success: true, room: formatRoom(room) });
+    }
+
+  } catch (error) {
+    roomLogger.error('Room join error', { error: error.message });
+    res.status(500).json({ error: 'Room join failed', code: 'ROOM_JOIN_ERROR' });
+  }
+});
+
+// Accept the room's terms; the match starts once host and guest have both accepted
+router.post('/:code/accept', requireIdempotencyKey('room_accept'), [
+  param('code').isAlphanumeric().isLength({ min: 4, max: 12 }).withMessage('Valid invite code required'),
+  body('playerId').isLength({ min: 1 }).withMessage('Player ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { playerId } = req.body;
+    const { code } = req.params;
+    let role = null;
+    let starting = false;
+    const room = await withRoom(code, (stored) => {
+      if (!stored || stored.status !== 'joined') return stored;
+      role = stored.hostId === playerId ? 'host' : stored.guestId === playerId ? 'guest' : null;
+      if (!role) return stored;
+      stored.accepted[role] = true;
+
+      // Both accepted. The room leaves 'joined' before its lock is let go, so a second accept
+      // arriving meanwhile on any worker can't start another match; it reopens if the match
+      // can't be made
+      if (stored.accepted.host && stored.accepted.guest) {
+        stored.status = 'starting';
+        starting = true;
+      }
+      return stored;
+    });
+
+    if (room && room.status === 'open') {
+      return res.status(409).json({ error: 'Waiting for a guest to join', code: 'ROOM_AWAITING_GUEST' });
+    }
+    if (!room || (room.status !== 'joined' && !starting)) {
+      return roomUnavailable(res, room);
+    }
+    if (!role) {
+      return res.status(403).json({ error: 'Player is not in this room', code: 'PLAYER_NOT_IN_ROOM' });
+    }
+    if (!starting) {
+      return res.json({ success: true, matchFound: false, room: formatRoom(room) });
+    }
+
+    const reopen = () => withRoom(code, (stored) => {
+      stored.status = 'joined';
+      stored.accepted[role] = false;
+    });
+
+    // The host plays first, like the waiting player in the public queue; createMatch claims
+    // both players in the shared store, so a match started elsewhere meanwhile still stops it
+    let match;
+    try {
+      const busyId = await firstInActiveMatch([playerId, role === 'host' ? room.guestId : room.hostId]);
+      if (busyId) {
+        await reopen();
+        return playerInMatch(res, busyId, playerId);
+      }
+
+      const [guestRating, hostRating] = await ratings.getRatings([room.guestId, room.hostId], room.gameType);
+      match = await matchSystem.createMatch({
+        gameType: room.gameType,
+        currency: room.currency,
+        tier: await stakeTiers.getTier(room.gameType, room.tierId),
+        betAmount: room.stake,
+        player: { id: room.guestId, rating: guestRating.rating, clientSeed: room.guestClientSeed },
+        opponent: { id: room.hostId, rating: hostRating.rating, clientSeed: room.hostClientSeed },
+        isPrivate: true
+      });
+    } catch (error) {
+      await reopen();
+      if (error.code === 'PLAYER_IN_MATCH') {
+        return playerInMatch(res, error.playerId, playerId);
+      }
+      if (error.code !== 'INSUFFICIENT_STAKE_BALANCE') throw error;
+
+      return res.status(400).json({
+        error: 'Insufficient balance to cover match stake',
+        code: error.playerId === playerId ? 'INSUFFICIENT_STAKE_BALANCE' : 'OPPONENT_STAKE_NOT_COVERED',
+        playerId: error.playerId,
+        stake: money.toMajor(room.stake, room.currency),
+        currency: room.currency
+      });
+    }
+
+    const matched = await withRoom(code, (stored) => {
+      stored.status = 'matched';
+      stored.matchId = match.id;
+      return stored;
+    });
+
+    roomLogger.info('Challenge room matched', { code: room.code, matchId: match.id });
+
+    res.json({
+      success: true,
+      matchFound: true,
+      matchId: match.id,
+      gameType: room.gameType,
+      opponent: role === 'host' ? room.guestId : room.hostId,
+      betAmount: money.toMajor(room.stake, room.currency),
+      currency: room.currency,
+      serverSeedHash: match.dice ? match.dice.serverSeedHash : undefined,
+      room: formatRoom(matched)
+    });
+
+  } catch (error) {
+    roomLogger.error('Room accept error', { error: error.message });
+    res.status(500).json({ error: 'Room accept failed', code: 'ROOM_ACCEPT_ERROR' });
+  }
+});
+
+module.exports = {
+  routes: router,
+  challengeRooms
+};
@@ -0,0 +1,477 @@
+/**
+ * SKILLZY ARENA - CHESS ENGINE
+ * Server-side rules for paid chess matches - clients send moves, the server decides the result
+ *
+ * Features:
+ * - Legal move generation (check, castling, en passant, promotion)
+ * - Checkmate and stalemate detection
+ * - Draws by insufficient material, fifty-move rule and threefold repetition
+ * - Per-player game clock; running out of time loses
+ *
+ * Squares are algebraic ('e4'); pieces are FEN letters, uppercase for white.
+ */
+
+const FILES = 'abcdefgh';
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Helper functions
+const chessError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const squareIndex = (square) => {
+  return /^[a-h][1-8]$/.test(square) ? (Number(square[1]) - 1) * 8 + FILES.indexOf(square[0]) : -1;
+};
+
+const squareName = (index) => FILES[index % 8] + (Math.floor(index / 8) + 1);
+
+// Index reached by stepping (files, ranks) from a square, or -1 off the board
+const step = (index, files, ranks) => {
+  const file = (index % 8) + files;
+  const rank = Math.floor(index / 8) + ranks;
+  return file >= 0 && file < 8 && rank >= 0 && rank < 8 ? rank * 8 + file : -1;
+};
+
+const colorOf = (piece) => (piece === piece.toUpperCase() ? 'w' : 'b');
+const opponentOf = (color) => (color === 'w' ? 'b' : 'w');
+const pieceFor = (color, type) => (color === 'w' ? type.toUpperCase() : type);
+
+// FEN conversion
+const parseFen = (fen) => {
+  const [placement, turn, castling, enPassant, halfmove, fullmove] = fen.trim().split(/\s+/);
+  const board = new Array(64).fill(null);
+
+  placement.split('/').forEach((row, i) => {
+    const rank = 7 - i;
+    let file = 0;
+    for (const char of row) {
+      if (/\d/.test(char)) {
+        file += Number(char);
+      } else {
+        board[rank * 8 + file] = char;
+        file += 1;
+      }
+    }
+  });
+
+  return {
+    board,
+    turn: turn || 'w',
+    castling: castling && castling !== '-' ? castling : '',
+    enPassant: enPassant && enPassant !== '-' ? squareIndex(enPassant) : -1,
+    halfmove: Number(halfmove) || 0,
+    fullmove: Number(fullmove) || 1
+  };
+};
+
+const placementOf = (board) => {
+  const rows = [];
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = '';
+    let empty = 0;
+    for (let file = 0; file < 8; file++) {
+      const piece = board[rank * 8 + file];
+      if (piece) {
+        row += (empty || '') + piece;
+        empty = 0;
+      } else {
+        empty += 1;
+      }
+    }
+    rows.push(row + (empty || ''));
+  }
+  return rows.join('/');
+};
+
+// Position identity for repetition: placement, side to move, castling and en passant
+const positionKey = (position) => {
+  return `${placementOf(position.board)} ${position.turn} ${position.castling || '-'} ${position.enPassant >= 0 ? squareName(position.enPassant) : '-'}`;
+};
+
+const toFen = (position) => `${positionKey(position)} ${position.halfmove} ${position.fullmove}`;
+
+// Attack detection
+const isAttacked = (board, index, byColor) => {
+  const pawnRank = byColor === 'w' ? -1 : 1;
+  if ([-1, 1].some(df => board[step(index, df, pawnRank)] === pieceFor(byColor, 'p'))) {
+    return true;
+  }
+  if (KNIGHT_STEPS.some(([df, dr]) => board[step(index, df, dr)] === pieceFor(byColor, 'n'))) {
+    return true;
+  }
+  if (KING_STEPS.some(([df, dr]) => board[step(index, df, dr)] === pieceFor(byColor, 'k'))) {
+    return true;
+  }
+
+  const slidesTo = (directions, types) => directions.some(([df, dr]) => {
+    let target = step(index, df, dr);
+    while (target !== -1) {
+      const piece = board[target];
+      if (piece) {
+        return colorOf(piece) === byColor && types.includes(piece.toLowerCase());
+      }
+      target = step(target, df, dr);
+    }
+    return false;
+  });
+
+  return slidesTo(ROOK_DIRECTIONS, ['r', 'q']) || slidesTo(BISHOP_DIRECTIONS, ['b', 'q']);
+};
+
+const isInCheck = (position, color) => {
+  const king = position.board.indexOf(pieceFor(color, 'k'));
+  return king !== -1 && isAttacked(position.board, king, opponentOf(color));
+};
+
+// Move generation
+const pseudoLegalMoves = (position) => {
+  const { board, turn, castling, enPassant } = position;
+  const moves = [];
+
+  const add = (from, to, extra = {}) => moves.push({ from, to, ...extra });
+  const addPawnMove = (from, to, extra = {}) => {
+    const lastRank = turn === 'w' ? 7 : 0;
+    if (Math.floor(to / 8) === lastRank) {
+      PROMOTION_PIECES.forEach(promotion => add(from, to, { ...extra, promotion }));
+    } else {
+      add(from, to, extra);
+    }
+  };
+
+  board.forEach((piece, from) => {
+    if (!piece || colorOf(piece) !== turn) {
+      return;
+    }
+    const type = piece.toLowerCase();
+
+    if (type === 'p') {
+      const forward = turn === 'w' ? 1 : -1;
+      const startRank = turn === 'w' ? 1 : 6;
+      const one = step(from, 0, forward);
+      if (one !== -1 && !board[one]) {
+        addPawnMove(from, one);
+        const two = step(from, 0, 2 * forward);
+        if (Math.floor(from / 8) === startRank && !board[two]) {
+          add(from, two, { doublePush: true });
+        }
+      }
+      [-1, 1].forEach(df => {
+        const target = step(from, df, forward);
+        if (target === -1) {
+          return;
+        }
+        if (board[target] && colorOf(board[target]) !== turn) {
+          addPawnMove(from, target);
+        } else if (target === enPassant) {
+          add(from, target, { enPassant: true });
+        }
+      });
+      return;
+    }
+
+    if (type === 'n' || type === 'k') {
+      (type === 'n' ? KNIGHT_STEPS : KING_STEPS).forEach(([df, dr]) => {
+        const target = step(from, df, dr);
+        if (target !== -1 && (!board[target] || colorOf(board[target]) !== turn)) {
+          add(from, target);
+        }
+      });
+    } else {
+      const directions = type === 'r' ? ROOK_DIRECTIONS : type === 'b' ? BISHOP_DIRECTIONS : ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS);
+      directions.forEach(([df, dr]) => {
+        let target = step(from, df, dr);
+        while (target !== -1) {
+          if (board[target]) {
+            if (colorOf(board[target]) !== turn) {
+              add(from, target);
+            }
+            break;
+          }
+          add(from, target);
+          target = step(target, df, dr);
+        }
+      });
+    }
+
+    // Castling: rights intact, path empty, king not in, through or into check
+    if (type === 'k') {
+      const home = turn === 'w' ? 4 : 60;
+      const enemy = opponentOf(turn);
+      if (from !== home || isAttacked(board, home, enemy)) {
+        return;
+      }
+      const kingSide = turn === 'w' ? 'K' : 'k';
+      const queenSide = turn === 'w' ? 'Q' : 'q';
+      if (castling.includes(kingSide) && !board[home + 1] && !board[home + 2] &&
+          !isAttacked(board, home + 1, enemy) && !isAttacked(board, home + 2, enemy)) {
+        add(from, home + 2, { castle: 'king' });
+      }
+      if (castling.includes(queenSide) && !board[home - 1] && !board[home - 2] && !board[home - 3] &&
+          !isAttacked(board, home - 1, enemy) && !isAttacked(board, home - 2, enemy)) {
+        add(from, home - 2, { castle: 'queen' });
+      }
+    }
+  });
+
+  return moves;
+};
+
+// Returns the position after a move, without checking legality
+const makeMove = (position, move) => {
+  const board = position.board.slice();
+  const piece = board[move.from];
+  const turn = position.turn;
+  const forward = turn === 'w' ? 1 : -1;
+  let captured = board[move.to];
+
+  board[move.to] = move.promotion ? pieceFor(turn, move.promotion) : piece;
+  board[move.from] = null;
+
+  if (move.enPassant) {
+    const capturedSquare = step(move.to, 0, -forward);
+    captured = board[capturedSquare];
+    board[capturedSquare] = null;
+  }
+
+  if (move.castle) {
+    const [rookFrom, rookTo] = move.castle === 'king' ? [move.from + 3, move.from + 1] : [move.from - 4, move.from - 1];
+    board[rookTo] = board[rookFrom];
+    board[rookFrom] = null;
+  }
+
+  // Moving the king or a rook, or capturing a rook on its home square, loses those rights
+  const lostRights = { 4: 'KQ', 60: 'kq', 0: 'Q', 7: 'K', 56: 'q', 63: 'k' };
+  let castling = position.castling;
+  [move.from, move.to].forEach(square => {
+    (lostRights[square] || '').split('').forEach(right => {
+      castling = castling.replace(right, '');
+    });
+  });
+
+  const isPawn = piece.toLowerCase() === 'p';
+
+  return {
+    position: {
+      board,
+      turn: opponentOf(turn),
+      castling,
+      enPassant: move.doublePush ? step(move.from, 0, forward) : -1,
+      halfmove: isPawn || captured ? 0 : position.halfmove + 1,
+      fullmove: turn === 'b' ? position.fullmove + 1 : position.fullmove
+    },
+    captured
+  };
+};
+
+const legalMoves = (position) => {
+  return pseudoLegalMoves(position).filter(move => !isInCheck(makeMove(position, move).position, position.turn));
+};
+
+// Can this side never deliver mate (bare king, or king and one minor piece)?
+const cannotMate = (board, color) => {
+  const pieces = board.filter(p => p && colorOf(p) === color && p.toLowerCase() !== 'k').map(p => p.toLowerCase());
+  return pieces.length === 0 || (pieces.length === 1 && ['n', 'b'].includes(pieces[0]));
+};
+
+const isInsufficientMaterial = (board) => {
+  const others = [];
+  board.forEach((piece, index) => {
+    if (piece && piece.toLowerCase() !== 'k') {
+      others.push({ type: piece.toLowerCase(), shade: (index % 8 + Math.floor(index / 8)) % 2 });
+    }
+  });
+  if (others.length <= 1) {
+    return others.every(p => ['n', 'b'].includes(p.type));
+  }
+  // Any number of bishops all on the same square colour cannot mate
+  return others.every(p => p.type === 'b') && others.every(p => p.shade === others[0].shade);
+};
+
+// Game lifecycle
+const createGame = ({ white, black, clockMs, fen = START_FEN, now = Date.now() }) => {
+  const position = parseFen(fen);
+  return {
+    players: { w: white, b: black },
+    position,
+    clocks: { w: clockMs, b: clockMs },
+    turnStartedAt: now,
+    moves: [],
+    repetitions: { [positionKey(position)]: 1 },
+    status: 'active',
+    result: null
+  };
+};
+
+const colorOfPlayer = (game, playerId) => {
+  if (game.players.w === playerId) {
+    return 'w';
+  }
+  return game.players.b === playerId ? 'b' : null;
+};
+
+const endGame = (game, status, winnerColor, reason) => {
+  game.status = status;
+  game.result = {
+    winner: winnerColor ? game.players[winnerColor] : null,
+    winnerColor,
+    reason
+  };
+  return game;
+};
+
+// Time left for each side right now, counting the running clock
+const remainingClocks = (game, now = Date.now()) => {
+  const clocks = { ...game.clocks };
+  if (game.status === 'active') {
+    const turn = game.position.turn;
+    clocks[turn] = Math.max(0, clocks[turn] - (now - game.turnStartedAt));
+  }
+  return clocks;
+};
+
+// Ends the game if the side to move has run out of time; returns true when it did
+const checkClock = (game, now = Date.now()) => {
+  if (game.status !== 'active') {
+    return false;
+  }
+  const turn = game.position.turn;
+  if (remainingClocks(game, now)[turn] > 0) {
+    return false;
+  }
+  game.clocks[turn] = 0;
+  const winner = opponentOf(turn);
+  // A flag only wins if the opponent could still have mated
+  if (cannotMate(game.position.board, winner)) {
+    endGame(game, 'draw', null, 'timeout_vs_insufficient_material');
+  } else {
+    endGame(game, 'timeout', winner, 'timeout');
+  }
+  return true;
+};
+
+/**
+ * Plays a move for a player. Returns the move record, or null if the player's
+ * clock had already run out (the game is then over on time).
+ */
+const playMove = (game, playerId, { from, to, promotion }, now = Date.now()) => {
+  if (game.status !== 'active') {
+    throw chessError('Game is already over', 'CHESS_GAME_OVER', { status: 409 });
+  }
+
+  const color = colorOfPlayer(game, playerId);
+  if (!color) {
+    throw chessError('Player is not in this game', 'CHESS_NOT_A_PLAYER', { status: 403 });
+  }
+  if (color !== game.position.turn) {
+    throw chessError('Not your turn', 'CHESS_NOT_YOUR_TURN', { status: 409 });
+  }
+
+  if (checkClock(game, now)) {
+    return null;
+  }
+
+  const fromIndex = squareIndex(from);
+  const toIndex = squareIndex(to);
+  const candidates = legalMoves(game.position).filter(m => m.from === fromIndex && m.to === toIndex);
+  const move = candidates.find(m => !m.promotion || m.promotion === (promotion || 'q').toLowerCase());
+  if (!move) {
+    throw chessError('Illegal move', 'CHESS_ILLEGAL_MOVE', { status: 400, from, to, promotion });
+  }
+
+  game.clocks[color] = remainingClocks(game, now)[color];
+  game.turnStartedAt = now;
+
+  const { position, captured } = makeMove(game.position, move);
+  game.position = position;
+
+  const key = positionKey(position);
+  game.repetitions[key] = (game.repetitions[key] || 0) + 1;
+
+  const inCheck = isInCheck(position, position.turn);
+  const replies = legalMoves(position);
+
+  const record = {
+    ply: game.moves.length + 1,
+    color,
+    from,
+    to,
+    uci: from + to + (move.promotion || ''),
+    promotion: move.promotion || null,
+    captured: captured || null,
+    castle: move.castle || null,
+    enPassant: !!move.enPassant,
+    check: inCheck,
+    fen: toFen(position),
+    clocks: { ...game.clocks },
+    at: now
+  };
+  game.moves.push(record);
+
+  if (replies.length === 0) {
+    if (inCheck) {
+      endGame(game, 'checkmate', color, 'checkmate');
+    } else {
+      endGame(game, 'stalemate', null, 'stalemate');
+    }
+  } else if (isInsufficientMaterial(position.board)) {
+    endGame(game, 'draw', null, 'insufficient_material');
+  } else if (position.halfmove >= 100) {
+    endGame(game, 'draw', null, 'fifty_move_rule');
+  } else if (game.repetitions[key] >= 3) {
+    endGame(game, 'draw', null, 'threefold_repetition');
+  }
+
+  return record;
+};
+
+// reason is 'resignation' unless the server concedes for the player (e.g. 'disconnect')
+const resign = (game, playerId, reason = 'resignation') => {
+  const color = colorOfPlayer(game, playerId);
+  if (!color) {
+    throw chessError('Player is not in this game', 'CHESS_NOT_A_PLAYER', { status: 403 });
+  }
+  if (game.status !== 'active') {
+    throw chessError('Game is already over', 'CHESS_GAME_OVER', { status: 409 });
+  }
+  return endGame(game, 'resigned', opponentOf(color), reason);
+};
+
+// Client-facing view of the game
+const snapshot = (game, now = Date.now()) => ({
+  fen: toFen(game.position),
+  turn: game.position.turn,
+  players: game.players,
+  clocks: remainingClocks(game, now),
+  check: game.status === 'active' && isInCheck(game.position, game.position.turn),
+  status: game.status,
+  result: game.result,
+  lastMove: game.moves[game.moves.length - 1] || null,
+  moveCount: game.moves.length
+});
+
+module.exports = {
+  START_FEN,
+  parseFen,
+  toFen,
+  legalMoves: (position) => legalMoves(position).map(m => ({
+    from: squareName(m.from),
+    to: squareName(m.to),
+    promotion: m.promotion || null
+  })),
+  isInCheck,
+  createGame,
+  colorOfPlayer,
+  playMove,
+  resign,
+  checkClock,
+  remainingClocks,
+  snapshot
+};
@@ -0,0 +1,103 @@
+const chess = require('./chess-engine');
+
+const newGame = (fen) => chess.createGame({ white: 'w1', black: 'b1', clockMs: 60000, fen, now: 0 });
+
+const play = (game, moves) => moves.forEach(([playerId, from, to, promotion], i) => {
+  chess.playMove(game, playerId, { from, to, promotion }, i + 1);
+});
+
+describe('chess engine', () => {
+  test('the start position has twenty legal moves', () => {
+    expect(chess.legalMoves(chess.parseFen(chess.START_FEN))).toHaveLength(20);
+  });
+
+  test('FEN round-trips through parseFen and toFen', () => {
+    const fen = 'r3k2r/pppq1ppp/2n2n2/3pp3/1b1PP3/2N2N2/PPPQ1PPP/R3K2R w KQkq e6 0 8';
+    expect(chess.toFen(chess.parseFen(fen))).toBe(fen);
+  });
+
+  test("fool's mate ends the game by checkmate", () => {
+    const game = newGame();
+    play(game, [['w1', 'f2', 'f3'], ['b1', 'e7', 'e5'], ['w1', 'g2', 'g4'], ['b1', 'd8', 'h4']]);
+
+    expect(game.status).toBe('checkmate');
+    expect(game.result).toEqual({ winner: 'b1', winnerColor: 'b', reason: 'checkmate' });
+    expect(game.moves[3].check).toBe(true);
+  });
+
+  test('moves are refused out of turn, by outsiders, illegally and after the game', () => {
+    const game = newGame();
+    expect(() => chess.playMove(game, 'b1', { from: 'e7', to: 'e5' }, 1)).toThrow(expect.objectContaining({ code: 'CHESS_NOT_YOUR_TURN' }));
+    expect(() => chess.playMove(game, 'x1', { from: 'e2', to: 'e4' }, 1)).toThrow(expect.objectContaining({ code: 'CHESS_NOT_A_PLAYER' }));
+    expect(() => chess.playMove(game, 'w1', { from: 'e2', to: 'e5' }, 1)).toThrow(expect.objectContaining({ code: 'CHESS_ILLEGAL_MOVE' }));
+
+    chess.resign(game, 'w1');
+    expect(game.result.winner).toBe('b1');
+    expect(() => chess.playMove(game, 'w1', { from: 'e2', to: 'e4' }, 1)).toThrow(expect.objectContaining({ code: 'CHESS_GAME_OVER' }));
+  });
+
+  test('a pinned piece cannot move', () => {
+    const game = newGame('4k3/8/8/8/8/8/4r3/4K2R w K - 0 1');
+    expect(() => chess.playMove(game, 'w1', { from: 'e1', to: 'g1' }, 1)).toThrow(expect.objectContaining({ code: 'CHESS_ILLEGAL_MOVE' }));
+    expect(chess.isInCheck(game.position, 'w')).toBe(true);
+  });
+
+  test('castling moves the rook and clears the castling rights', () => {
+    const game = newGame('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    const record = chess.playMove(game, 'w1', { from: 'e1', to: 'g1' }, 1);
+
+    expect(record.castle).toBeTruthy();
+    expect(chess.toFen(game.position)).toBe('r3k2r/8/8/8/8/8/8/R4RK1 b kq - 1 1');
+  });
+
+  test('en passant captures the pawn that just passed', () => {
+    const game = newGame('4k3/4p3/8/3P4/8/8/8/4K3 b - - 0 1');
+    play(game, [['b1', 'e7', 'e5'], ['w1', 'd5', 'e6']]);
+    const record = game.moves[1];
+
+    expect(record.enPassant).toBe(true);
+    expect(record.captured).toBe('p');
+    expect(game.position.board).not.toContain('p');
+  });
+
+  test('pawns promote to a queen unless another piece is asked for', () => {
+    const queen = newGame('8/P3k3/8/8/8/8/8/4K3 w - - 0 1');
+    const knight = newGame('8/P3k3/8/8/8/8/8/4K3 w - - 0 1');
+
+    expect(chess.playMove(queen, 'w1', { from: 'a7', to: 'a8' }, 1).promotion).toBe('q');
+    expect(chess.playMove(knight, 'w1', { from: 'a7', to: 'a8', promotion: 'N' }, 1).promotion).toBe('n');
+  });
+
+  test('a side with no legal move and no check is stalemated', () => {
+    const game = newGame('7k/8/6Q1/8/8/8/8/K7 w - - 0 1');
+    chess.playMove(game, 'w1', { from: 'g6', to: 'f7' }, 1);
+
+    expect(game.status).toBe('stalemate');
+    expect(game.result.winner).toBeNull();
+  });
+
+  test('bare kings are a draw by insufficient material', () => {
+    const game = newGame('4k3/8/8/8/8/8/3r4/4K3 w - - 0 1');
+    chess.playMove(game, 'w1', { from: 'e1', to: 'd2' }, 1);
+
+    expect(game.status).toBe('draw');
+    expect(game.result.reason).toBe('insufficient_material');
+  });
+
+  test('running out of time loses, or draws when the opponent cannot mate', () => {
+    const flagged = newGame();
+    expect(chess.checkClock(flagged, 60001)).toBe(true);
+    expect(flagged.result).toEqual({ winner: 'b1', winnerColor: 'b', reason: 'timeout' });
+
+    const bareKing = newGame('4k3/8/8/8/8/8/8/R3K3 w - - 0 1');
+    expect(chess.checkClock(bareKing, 60001)).toBe(true);
+    expect(bareKing.status).toBe('draw');
+    expect(bareKing.result.reason).toBe('timeout_vs_insufficient_material');
+  });
+
+  test('a move made after the flag fell ends the game instead', () => {
+    const game = newGame();
+    expect(chess.playMove(game, 'w1', { from: 'e2', to: 'e4' }, 60001)).toBeNull();
+    expect(game.status).toBe('timeout');
+  });
+});
@@ -3,6 +3,7 @@
  * Central configuration for the gaming platform
  */
 
+const os = require('os');
 const path = require('path');
 
 // Environment configuration
@@ -22,10 +23,15 @@ const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'skillzy_encryption_key_32_
 
 // Payment gateway configuration
 const PAYMENT_CONFIG = {
+  // 'live' calls the gateways' APIs; 'sandbox' uses the in-process scriptable gateway
+  mode: process.env.PAYMENT_GATEWAY_MODE || (NODE_ENV === 'production' ? 'live' : 'sandbox'),
+  timeoutMs: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 30000,
+
   razorpay: {
     keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_key',
     keySecret: process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret',
-    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || 'webhook_secret'
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || 'webhook_secret',
+    payoutAccountNumber: process.env.RAZORPAYX_ACCOUNT_NUMBER || ''
   },
   stripe: {
     publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_stripe',
@@ -36,19 +42,33 @@ const PAYMENT_CONFIG = {
     clientId: process.env.PAYPAL_CLIENT_ID || 'paypal_client_id',
     clientSecret: process.env.PAYPAL_CLIENT_SECRET || 'paypal_client_secret',
     sandbox: NODE_ENV !== 'production'
+  },
+  alipay: {
+    appId: process.env.ALIPAY_APP_ID || 'alipay_app_id',
+    privateKey: process.env.ALIPAY_PRIVATE_KEY || '',
+    publicKey: process.env.ALIPAY_PUBLIC_KEY || '',
+    gatewayUrl: process.env.ALIPAY_GATEWAY_URL || 'https://openapi.alipay.com/gateway.do'
+  },
+  pix: {
+    clientId: process.env.PIX_CLIENT_ID || 'pix_client_id',
+    clientSecret: process.env.PIX_CLIENT_SECRET || 'pix_client_secret',
+    baseUrl: process.env.PIX_API_URL || 'https://pix.api.efipay.com.br',
+    pixKey: process.env.PIX_KEY || '',
+    certificatePath: process.env.PIX_CERTIFICATE_PATH || ''
   }
 };
 
 // Gaming configuration
 const GAMING_CONFIG = {
-  // Fixed bet amount in INR (₹10)
-  fixedBetAmount: 10,
-  
-  // Payout split (80% to winner, 20% to platform)
-  payoutSplit: {
-    winner: 80,
-    platform: 20
-  },
+  // Default stake tiers offered for every game; admins can change them per game at runtime
+  // stake is in INR, rakePercent is the platform's share of the pot
+  stakeTiers: [
+    { id: 'free', name: 'Free', stake: 0, rakePercent: 0 },
+    { id: 'inr10', name: '₹10', stake: 10, rakePercent: 20 },
+    { id: 'inr50', name: '₹50', stake: 50, rakePercent: 15 },
+    { id: 'inr100', name: '₹100', stake: 100, rakePercent: 12 }
+  ],
+  defaultStakeTier: 'inr10',
   
   // Match duration (60 seconds)
   matchDuration: 60,
@@ -57,14 +77,86 @@ const GAMING_CONFIG = {
   maxConcurrentMatches: process.env.MAX_CONCURRENT_MATCHES || 1000,
   
   // Game types
-  availableGames: ['chess', 'snakeLadder', 'carrom'],
+  availableGames: ['chess', 'snakeLadder', 'carrom', 'reactionTime', 'speedTyping'],
   
   // Match timeout settings
   matchTimeout: {
     findOpponent: 30, // 30 seconds to find opponent
     gameStart: 10,    // 10 seconds before game starts
     gamePlay: 60,     // 60 seconds gameplay
-    resultProcess: 5  // 5 seconds to process results
+    resultProcess: 5, // 5 seconds to process results
+    reconnectWindow: parseInt(process.env.MATCH_RECONNECT_WINDOW) || 30, // seconds a dropped player has before forfeiting
+    sweepInterval: 5  // seconds between timeout sweeps
+  },
+
+  // Skill ratings (Glicko) and rating-band matchmaking
+  rating: {
+    initial: 1500,
+    initialDeviation: 350, // RD for a new player - their first results move the rating most
+    minDeviation: 50,
+    deviationGrowth: 35,   // RD regained per day without a match
+    band: {
+      base: 100,           // rating gap allowed for an immediate pairing
+      widenPerSecond: 10,  // extra gap per second spent waiting
+      max: 600
+    }
+  },
+
+  // Private challenge rooms
+  privateRooms: {
+    codeLength: 6,
+    inviteExpiry: 15 * 60, // seconds an invite code stays joinable
+    deepLinkDomain: process.env.FLUTTER_DEEP_LINK_DOMAIN || 'skillzyarena.page.link'
+  },
+
+  // Spectators on live matches
+  spectators: {
+    delay: parseInt(process.env.SPECTATOR_DELAY) || 10, // seconds spectators run behind the players, against ghosting
+    maxPerMatch: 500
+  },
+
+  // Tournaments
+  tournaments: {
+    formats: ['single_elimination', 'swiss'],
+    minPlayers: 4,             // fewest registrations a tournament can be scheduled to start with
+    maxPlayers: 128,
+    rakePercent: 10,           // platform share of the entry pool
+    prizeTable: [50, 30, 20],  // default split of the prize pool by final place, in percent
+    matchStartWindow: 120,     // seconds players have to start a bracket game
+    sweepInterval: 15          // seconds between checks for scheduled starts
+  },
+
+  // Match disputes
+  disputes: {
+    window: parseInt(process.env.MATCH_DISPUTE_WINDOW) || 24 * 60 * 60, // seconds after a match ends that it can be disputed
+    reasons: ['cheating', 'server_error', 'wrong_result', 'other'],
+    outcomes: ['upheld', 'reversed', 'voided'], // keep the result, give the win to the other player, or refund both stakes
+    statementMaxLength: 2000
+  },
+
+  // Anti-cheat rules - what they flag goes to the admin security alerts
+  antiCheat: {
+    // Client-scored games: highest possible score, and how fast it can climb - a score update
+    // may add at most burst plus perSecond for each second since the player's last update
+    scoreLimits: {
+      reactionTime: { max: 10000, burst: 1000, perSecond: 400 }, // 1000 points a round, rounds at least 2.5s apart
+      speedTyping: { max: 10000, burst: 1500, perSecond: 250 }
+    },
+    reactionTime: {
+      rounds: 10,
+      maxRoundScore: 1000,  // a round scores 1000 minus the reaction time in ms
+      floorMs: 100,         // faster than this is anticipation, not reaction
+      maxFastRounds: 2,     // rounds under floorMs a lucky guesser might still get
+      averageFloorMs: 150   // best sustained human average
+    },
+    speedTyping: {
+      maxWpm: 200
+    },
+    pairWins: {
+      count: 5,             // wins by the same player over the same opponent, flagged at each multiple...
+      windowHours: 24       // ...within this window
+    },
+    winStreak: 10           // flagged at each multiple
   }
 };
 
@@ -75,9 +167,21 @@ const CURRENCY_CONFIG = {
     'INR', 'USD', 'EUR', 'GBP', 'CNY', 'JPY', 'KRW', 
     'BRL', 'RUB', 'AED', 'SAR', 'CAD', 'AUD'
   ],
-  exchangeRateProvider: 'fixer.io',
+  exchangeRateProvider: process.env.EXCHANGE_RATE_PROVIDER || (NODE_ENV === 'test' ? 'fixture' : 'fixer.io'),
   exchangeRateAPIKey: process.env.EXCHANGE_RATE_API_KEY || 'fixer_api_key',
-  updateInterval: 3600000 // Update rates every hour
+  // Seed rates used at startup, by the fixture provider and whenever the provider is unreachable
+  exchangeRateFixture: process.env.EXCHANGE_RATE_FIXTURE || path.join(__dirname, 'data', 'exchange-rates.json'),
+  updateInterval: 3600000, // Update rates every hour
+  overrideSyncInterval: 30000 // Pick up overrides set on other workers every 30 seconds
+};
+
+// Wallet balance buckets (see wallet.js)
+const WALLET_CONFIG = {
+  buckets: ['deposit', 'winnings', 'bonus'],
+  // Order match stakes and tournament entry fees are drawn from; a bucket left out is never staked
+  stakeSpendOrder: (process.env.WALLET_STAKE_SPEND_ORDER || 'bonus,deposit,winnings').split(','),
+  // Winnings are always withdrawable and bonus credit never is; deposits only where policy allows
+  withdrawableBuckets: process.env.WALLET_WITHDRAW_DEPOSITS === 'true' ? ['winnings', 'deposit'] : ['winnings']
 };
 
 // Multi-language configuration
@@ -146,6 +250,33 @@ const RATE_LIMIT_CONFIG = {
   }
 };
 
+// Shared state across clustered workers - match queue, active matches, OTPs and rate limits (see state-store.js)
+const STATE_STORE_CONFIG = {
+  redisUrl: process.env.REDIS_URL || null, // unset: in-process memory, for tests and single-process development
+  rateLimitRedisUrl: process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL || null,
+  keyPrefix: process.env.STATE_KEY_PREFIX || 'skillzy:',
+  lockTtlMs: 5000,       // a lock held by a crashed worker is released after this
+  lockWaitMs: 2000,      // how long to wait for a busy lock before giving up
+  lockRetryMs: 25,
+  claimTtl: 4 * 60 * 60, // seconds; a player's match claim outlives any match, but not a crashed worker
+  // Names this worker in shared match state; PM2's instance number keeps it the same across restarts
+  workerId: process.env.WORKER_ID || `${os.hostname()}:${process.env.NODE_APP_INSTANCE || 0}`,
+  // Where sibling workers reach this one with requests for the matches it runs (see match.js)
+  workerHost: process.env.WORKER_HOST || '127.0.0.1',
+  workerPort: Number(process.env.WORKER_PORT_BASE || 4100) + Number(process.env.NODE_APP_INSTANCE || 0)
+};
+
+// Persistence for wallets, the ledger, matches and withdrawals (see repositories.js)
+const PERSISTENCE_CONFIG = {
+  // 'database' (DATABASE_URL, prisma/schema.prisma), 'sqlite' (prisma/test/schema.prisma) or 'memory'
+  mode: process.env.PERSISTENCE_MODE ||
+    (NODE_ENV === 'test' ? 'sqlite' : process.env.DATABASE_URL ? 'database' : 'memory'),
+  databaseUrl: process.env.DATABASE_URL || null,
+  testDatabaseUrl: process.env.TEST_DATABASE_URL || `file:${__dirname}/prisma/test/test.db`,
+  transactionTimeoutMs: 10000, // longest a money transaction may hold its rows
+  conflictRetries: 3           // attempts at a transaction whose rows another worker changed first
+};
+
 // Security configuration
 const SECURITY_CONFIG = {
   // Password requirements
@@ -179,6 +310,17 @@ const SECURITY_CONFIG = {
     suspiciousActivityThreshold: 10,
     ipWhitelist: [], // Add trusted IPs
     ipBlacklist: [] // Add blocked IPs
+  },
+
+  // Multi-accounting and collusion - accounts linked by a shared device, IP, payout destination or referral
+  accountLinks: {
+    maxDepth: 2,              // accounts this many hops apart still count as linked
+    sharedIpMaxAccounts: 5,   // an IP seen on more accounts than this is public (carrier NAT, cafe) and links nothing
+    riskCase: {
+      windowDays: 30,
+      minMatches: 3,          // staked results between linked accounts that open a case...
+      minNetFlow: 50          // ...or net winnings in one direction, in INR
+    }
   }
 };
 
@@ -344,9 +486,12 @@ module.exports = {
   GAMING_CONFIG,
   PAYMENT_CONFIG,
   CURRENCY_CONFIG,
+  WALLET_CONFIG,
   LANGUAGE_CONFIG,
   KYC_CONFIG,
   RATE_LIMIT_CONFIG,
+  STATE_STORE_CONFIG,
+  PERSISTENCE_CONFIG,
   SECURITY_CONFIG,
   LOGGING_CONFIG,
   EMAIL_CONFIG,
@@ -392,8 +537,9 @@ module.exports = {
     multiCurrency: true,
     kycVerification: true,
     referralSystem: true,
-    tournaments: false, // Coming soon
-    liveStreaming: false, // Coming soon
+    tournaments: true,
+    liveStreaming: true,
+    matchDisputes: true,
     socialFeatures: false // Coming soon
   },
   
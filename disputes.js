@@ -0,0 +1,434 @@
+/**
+ * SKILLZY ARENA - MATCH DISPUTES
+ * Lets players contest a finished match and admins decide the outcome
+ *
+ * Features:
+ * - Either player can dispute a won match for GAMING_CONFIG.disputes.window after it ends
+ * - Filing freezes the winner's payout in a dispute account (see wallet.js)
+ * - The match's replay log and fairness record are attached as evidence
+ * - One statement from each player
+ * - Admin queue: uphold, reverse or void the result; ledger adjustments are posted automatically
+ * - Disputes are stored through repositories.js, one per match, and changed under a shared lock
+ *   on the match so two workers can't file or decide the same one twice
+ * - Players act as the user in their JWT; a dispute can't be filed in someone else's name
+ *
+ * Draws and cancellations already returned both stakes, so only wins can be disputed.
+ * Tournament games can't be either - the bracket has moved on by the time a dispute is decided.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const winston = require('winston');
+const matchSystem = require('./match');
+const walletSystem = require('./wallet');
+const matchLog = require('./match-log');
+const money = require('./money');
+const repositories = require('./repositories');
+const { requireIdempotencyKey } = require('./idempotency');
+const { store: sharedState, rateLimitStore } = require('./state-store');
+const { GAMING_CONFIG, JWT_SECRET } = require('./config');
+
+const router = express.Router();
+
+// Dispute logger
+const disputeLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/disputes.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Rate limiting for dispute filing
+const disputeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 dispute actions per hour
+  message: { error: 'Dispute limit exceeded', code: 'DISPUTE_RATE_LIMIT' },
+  store: rateLimitStore('disputes')
+});
+
+const disputes = repositories.disputes;
+
+// Helper functions
+const generateDisputeId = () => 'dsp_' + uuidv4().substring(0, 8);
+
+const disputeError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const findDispute = (disputeId) => {
+  const dispute = disputes.get(disputeId);
+  if (!dispute) {
+    throw disputeError('Dispute not found', 'DISPUTE_NOT_FOUND', { status: 404 });
+  }
+  return dispute;
+};
+
+const loadDispute = async (disputeId) => {
+  await disputes.reload([disputeId]);
+  return findDispute(disputeId);
+};
+
+const disputeForMatch = async (matchId) => {
+  await disputes.find({ matchId });
+  return Array.from(disputes.values()).find(d => d.matchId === matchId) || null;
+};
+
+// The match as stored; one still live here is the live copy
+const loadMatch = async (matchId) => matchSystem.activeMatches.get(matchId)
+  || (await matchSystem.matchHistory.reload([matchId]))[0]
+  || matchSystem.matchHistory.get(matchId)
+  || null;
+
+// Filing and deciding both rewrite the match result, so they share one lock per match
+const withMatchLock = (matchId, fn) => sharedState.withLock(`dispute:${matchId}`, fn);
+
+const disputeDeadline = (match) => match.endTime + GAMING_CONFIG.disputes.window * 1000;
+
+// A finished match the player took part in and can still contest
+const contestableMatch = async (matchId, playerId) => {
+  const match = await loadMatch(matchId);
+  if (!match) {
+    throw disputeError('Match not found', 'MATCH_NOT_FOUND', { status: 404 });
+  }
+  if (!['completed', 'cancelled'].includes(match.status)) {
+    throw disputeError('Match has not finished', 'DISPUTE_MATCH_NOT_FINISHED', { status: 409 });
+  }
+  if (!match.players.some(p => p.id === playerId)) {
+    throw disputeError('Only players in the match can dispute it', 'DISPUTE_NOT_A_PLAYER', { status: 403 });
+  }
+  if (match.tournament) {
+    throw disputeError('Tournament games cannot be disputed', 'DISPUTE_TOURNAMENT_MATCH', { status: 409 });
+  }
+  if (match.status !== 'completed' || match.result.type !== 'win') {
+    throw disputeError('Only a won match can be disputed', 'DISPUTE_RESULT_NOT_CONTESTABLE', { status: 409 });
+  }
+  if (Date.now() > disputeDeadline(match)) {
+    throw disputeError('Dispute window has closed', 'DISPUTE_WINDOW_CLOSED', { status: 410 });
+  }
+  const existing = await disputeForMatch(matchId);
+  if (existing) {
+    throw disputeError('Match is already disputed', 'DISPUTE_EXISTS', { status: 409, disputeId: existing.id });
+  }
+  return match;
+};
+
+const formatFrozen = (frozen) => frozen && {
+  playerId: frozen.playerId,
+  amount: money.toMajor(frozen.amount, frozen.currency),
+  currency: frozen.currency,
+  frozenAt: frozen.frozenAt
+};
+
+// What players see; the evidence itself is for admins
+const formatDispute = (dispute) => ({
+  id: dispute.id,
+  matchId: dispute.matchId,
+  gameType: dispute.gameType,
+  players: dispute.players,
+  filedBy: dispute.filedBy,
+  reason: dispute.reason,
+  status: dispute.status,
+  statements: dispute.statements,
+  frozenPayout: formatFrozen(dispute.frozenPayout),
+  replayUrl: `/api/match/${dispute.matchId}/replay`,
+  openedAt: dispute.openedAt,
+  resolvedAt: dispute.resolvedAt || null,
+  resolutionNote: dispute.resolutionNote || null
+});
+
+const formatDisputeForAdmin = async (dispute) => {
+  const match = await loadMatch(dispute.matchId);
+  return {
+    ...formatDispute(dispute),
+    resolvedBy: dispute.resolvedBy || null,
+    adjustments: dispute.adjustments ? {
+      payouts: dispute.adjustments.payouts.map(p => ({ ...p, amount: money.toMajor(p.amount, p.currency) })),
+      clawback: money.toMajor(dispute.adjustments.clawback, dispute.frozenPayout.currency),
+      journalId: dispute.adjustments.journalId
+    } : null,
+    evidence: {
+      result: dispute.evidence.result,
+      fairness: dispute.evidence.fairness,
+      replay: dispute.evidence.replay
+    },
+    match: {
+      tierId: match.tierId,
+      betAmount: money.toMajor(match.betAmount, match.currency),
+      currency: match.currency,
+      startTime: match.startTime,
+      endTime: match.endTime,
+      currentResult: match.result.type
+    }
+  };
+};
+
+const addStatement = (dispute, playerId, text) => {
+  if (dispute.statements.some(s => s.playerId === playerId)) {
+    throw disputeError('Statement already submitted', 'DISPUTE_STATEMENT_EXISTS', { status: 409 });
+  }
+  dispute.statements.push({ playerId, text, submittedAt: Date.now() });
+};
+
+/**
+ * Opens a dispute on a finished match, freezing the winner's payout and capturing the
+ * replay log as it stood at filing time.
+ */
+const fileDispute = ({ matchId, playerId, reason, statement }) => withMatchLock(matchId, async () => {
+  const match = await contestableMatch(matchId, playerId);
+  const hold = await walletSystem.freezeMatchPayout(matchId);
+
+  const dispute = {
+    id: generateDisputeId(),
+    matchId,
+    gameType: match.gameType,
+    players: match.players.map(p => p.id),
+    filedBy: playerId,
+    reason,
+    status: 'open',
+    statements: [],
+    frozenPayout: hold.frozen,
+    evidence: {
+      result: { ...match.result },
+      fairness: match.dice ? matchSystem.diceFairness(match) : null,
+      replay: await matchLog.getEntries(matchId)
+    },
+    openedAt: Date.now()
+  };
+  addStatement(dispute, playerId, statement);
+
+  match.result.dispute = { id: dispute.id, status: 'open' };
+  await Promise.all([disputes.set(dispute.id, dispute), matchSystem.matchHistory.save(match)]);
+
+  disputeLogger.info('Dispute filed', { disputeId: dispute.id, matchId, playerId, reason, frozen: hold.frozen.amount });
+
+  return dispute;
+});
+
+// The result the match should have had under the admin's decision
+const resultFor = (match, outcome, hold) => {
+  const previous = match.result;
+  if (outcome === 'upheld') {
+    return previous;
+  }
+
+  if (outcome === 'reversed') {
+    const winner = match.players.find(p => p.id !== previous.winner);
+    return {
+      ...previous,
+      winner: winner.id,
+      winnerScore: previous.loserScore,
+      loserScore: previous.winnerScore,
+      payouts: [
+        { playerId: winner.id, amount: match.payout.winner, currency: match.currency, type: 'win' },
+        { playerId: previous.winner, amount: 0, currency: match.currency, type: 'loss' }
+      ]
+    };
+  }
+
+  return {
+    ...previous,
+    type: 'void',
+    winner: null,
+    payouts: hold.resolution.payouts.map(p => ({ playerId: p.playerId, amount: p.amount, currency: p.currency, type: 'refund' })),
+    platformEarnings: 0
+  };
+};
+
+/**
+ * Decides an open dispute. The frozen payout is released, moved to the other player or
+ * refunded as stakes, and the match result is rewritten to match.
+ */
+const resolveDispute = async (disputeId, outcome, adminId, note) => {
+  if (!GAMING_CONFIG.disputes.outcomes.includes(outcome)) {
+    throw disputeError('Unknown dispute outcome', 'DISPUTE_OUTCOME_INVALID', { status: 400 });
+  }
+
+  const { matchId } = await loadDispute(disputeId);
+  return withMatchLock(matchId, async () => {
+    const dispute = await loadDispute(disputeId);
+    if (dispute.status !== 'open') {
+      throw disputeError('Dispute already resolved', 'DISPUTE_CLOSED', { status: 409 });
+    }
+
+    const match = await loadMatch(matchId);
+    const hold = await walletSystem.resolveFrozenPayout(match.id, outcome, match.payout);
+
+    match.result = { ...resultFor(match, outcome, hold), dispute: { id: dispute.id, status: outcome } };
+    match.escrow.status = hold.status;
+
+    dispute.status = outcome;
+    dispute.resolvedAt = Date.now();
+    dispute.resolvedBy = adminId;
+    dispute.resolutionNote = note || null;
+    dispute.adjustments = hold.resolution;
+    await Promise.all([disputes.save(dispute), matchSystem.matchHistory.save(match)]);
+
+      disputeLogger.info('Dispute resolved', { disputeId, matchId: match.id, outcome, adminId, clawback: hold.resolution.clawback });
+
+    return dispute;
+  });
+};
+
+// Admin queue, oldest first so nothing waits behind newer disputes
+const listDisputes = async ({ status = 'open' } = {}) => {
+  await disputes.find(status === 'all' ? undefined : { status });
+  return Array.from(disputes.values())
+    .filter(d => status === 'all' || d.status === status)
+    .sort((a, b) => a.openedAt - b.openedAt);
+};
+
+// Player authentication - disputes are filed and answered as the user the token was issued to
+const authenticatePlayer = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'Authorization header required', code: 'AUTH_REQUIRED' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.userId) {
+      return res.status(403).json({ error: 'Player token required', code: 'AUTH_INVALID' });
+    }
+    req.playerId = decoded.userId;
+    next();
+  } catch (error) {
+    disputeLogger.warn('Dispute token rejected', { error: error.message });
+    return res.status(401).json({ error: 'Invalid token', code: 'AUTH_INVALID' });
+  }
+};
+
+// Routes
+router.use(disputeLimiter);
+
+// Dispute a finished match
+router.post('/', authenticatePlayer, requireIdempotencyKey('dispute_file'), [
+  body('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required'),
+  body('reason').isIn(GAMING_CONFIG.disputes.reasons).withMessage('Valid dispute reason required'),
+  body('statement').isLength({ min: 10, max: GAMING_CONFIG.disputes.statementMaxLength }).withMessage('Statement required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { matchId, reason, statement } = req.body;
+    const dispute = await fileDispute({ matchId, playerId: req.playerId, reason, statement });
+
+    res.json({ success: true, dispute: formatDispute(dispute) });
+
+  } catch (error) {
+    if (error.code && (error.code.startsWith('DISPUTE_') || error.code === 'MATCH_NOT_FOUND')) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code, disputeId: error.disputeId });
+    }
+    disputeLogger.error('Dispute filing error', { error: error.message });
+    res.status(500).json({ error: 'Dispute filing failed', code: 'DISPUTE_FILE_ERROR' });
+  }
+});
+
+// The other player's side of the story
+router.post('/:disputeId/statement', authenticatePlayer, [
+  param('disputeId').matches(/^dsp_[a-zA-Z0-9]{8}$/).withMessage('Valid dispute ID required'),
+  body('statement').isLength({ min: 10, max: GAMING_CONFIG.disputes.statementMaxLength }).withMessage('Statement required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { playerId } = req;
+    const { matchId } = await loadDispute(req.params.disputeId);
+    const dispute = await withMatchLock(matchId, async () => {
+      const stored = await loadDispute(req.params.disputeId);
+      if (!stored.players.includes(playerId)) {
+        throw disputeError('Only players in the match can add statements', 'DISPUTE_NOT_A_PLAYER', { status: 403 });
+      }
+      if (stored.status !== 'open') {
+        throw disputeError('Dispute already resolved', 'DISPUTE_CLOSED', { status: 409 });
+      }
+
+      addStatement(stored, playerId, req.body.statement);
+      await disputes.save(stored);
+      return stored;
+    });
+    disputeLogger.info('Dispute statement added', { disputeId: dispute.id, playerId });
+
+    res.json({ success: true, dispute: formatDispute(dispute) });
+
+  } catch (error) {
+    if (error.code && error.code.startsWith('DISPUTE_')) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+    disputeLogger.error('Dispute statement error', { error: error.message });
+    res.status(500).json({ error: 'Dispute statement failed', code: 'DISPUTE_STATEMENT_ERROR' });
+  }
+});
+
+// A player's disputes, newest first
+router.get('/player/:playerId', [
+  param('playerId').isLength({ min: 1 }).withMessage('Player ID required'),
+  query('status').optional().isIn(['open', ...GAMING_CONFIG.disputes.outcomes]).withMessage('Valid status required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { playerId } = req.params;
+    await disputes.find({ match: { players: { some: { playerId } } } });
+    const playerDisputes = Array.from(disputes.values())
+      .filter(d => d.players.includes(playerId) && (!req.query.status || d.status === req.query.status))
+      .sort((a, b) => b.openedAt - a.openedAt);
+
+    res.json({ success: true, disputes: playerDisputes.map(formatDispute), total: playerDisputes.length });
+
+  } catch (error) {
+    disputeLogger.error('Dispute list error', { error: error.message });
+    res.status(500).json({ error: 'Failed to list disputes', code: 'DISPUTE_LIST_ERROR' });
+  }
+});
+
+router.get('/:disputeId', [
+  param('disputeId').matches(/^dsp_[a-zA-Z0-9]{8}$/).withMessage('Valid dispute ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    res.json({ success: true, dispute: formatDispute(await loadDispute(req.params.disputeId)) });
+
+  } catch (error) {
+    if (error.code === 'DISPUTE_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    disputeLogger.error('Dispute fetch error', { error: error.message });
+    res.status(500).json({ error: 'Failed to get dispute', code: 'DISPUTE_FETCH_ERROR' });
+  }
+});
+
+module.exports = {
+  routes: router,
+  disputes,
+  findDispute,
+  loadDispute,
+  fileDispute,
+  resolveDispute,
+  listDisputes,
+  formatDispute,
+  formatDisputeForAdmin,
+  disputeDeadline
+};
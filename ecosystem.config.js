@@ -9,6 +9,8 @@ module.exports = {
       // Main application server
       name: 'skillzy-arena-app',
       script: 'index.js',
+      // Workers share the match queue, match claims, OTPs and rate limits through REDIS_URL (see state-store.js),
+      // and pass match requests to the worker running the game on WORKER_PORT_BASE + instance
       instances: 'max',
       exec_mode: 'cluster',
       env: {
@@ -0,0 +1,316 @@
+/**
+ * SKILLZY ARENA - EXCHANGE RATE SERVICE
+ * Single source of currency rates for the match, wallet and withdrawal systems
+ *
+ * Features:
+ * - Pluggable rate providers (fixer.io, local fixture file for tests)
+ * - Cached rates refreshed on CURRENCY_CONFIG.updateInterval
+ * - Immutable rate snapshots so every conversion can be traced to a rate id; each one is stored
+ *   through repositories.js, so a rate id in the ledger still resolves after a restart
+ * - Admin overrides layered on top of provider rates, stored with an audit trail of who set and
+ *   cleared each one; clearing falls back to the provider's last rate
+ * - Every worker reads the stored overrides back on CURRENCY_CONFIG.overrideSyncInterval and
+ *   before each refresh, so an override set on one worker is converted at by all of them
+ */
+
+const fs = require('fs');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const money = require('./money');
+const repositories = require('./repositories');
+const { CURRENCY_CONFIG, EXCHANGE_RATE_URL } = require('./config');
+
+// Exchange rate logger
+const ratesLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/exchange-rates.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Snapshots made or read by this process; older ones are read back from the database
+const snapshots = new Map();
+const overrides = repositories.rateOverrides; // currency -> { currency, rate, adminId, reason, setAt }
+const overrideHistory = []; // audit events, in memory mode; with a database they are read back from it
+let lastProviderRates = null; // what the provider last returned, before overrides
+let currentSnapshot = null;
+let refreshTimer = null;
+let syncTimer = null;
+
+// Rate providers - each resolves to { CURRENCY: units per 1 baseCurrency }
+const readFixture = () => JSON.parse(fs.readFileSync(CURRENCY_CONFIG.exchangeRateFixture, 'utf8')).rates;
+
+const RATE_PROVIDERS = {
+  fixture: {
+    fetchRates: async () => readFixture()
+  },
+
+  'fixer.io': {
+    fetchRates: () => new Promise((resolve, reject) => {
+      const symbols = CURRENCY_CONFIG.supportedCurrencies.join(',');
+      const baseUrl = EXCHANGE_RATE_URL.replace(/\/latest\/?$/, '');
+      const url = `${baseUrl}/latest?access_key=${CURRENCY_CONFIG.exchangeRateAPIKey}&symbols=${symbols}`;
+
+      https.get(url, (response) => {
+        let raw = '';
+        response.on('data', chunk => { raw += chunk; });
+        response.on('end', () => {
+          try {
+            const data = JSON.parse(raw);
+            if (!data.success) {
+              return reject(new Error(data.error?.info || 'Exchange rate provider error'));
+            }
+
+            // Fixer quotes against EUR; rebase onto the platform's base currency
+            const baseRate = data.rates[CURRENCY_CONFIG.baseCurrency];
+            const rates = {};
+            Object.entries(data.rates).forEach(([currency, rate]) => {
+              rates[currency] = rate / baseRate;
+            });
+            resolve(rates);
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }).on('error', reject).setTimeout(10000, function () {
+        this.destroy(new Error('Exchange rate provider timeout'));
+      });
+    })
+  }
+};
+
+// Helper functions
+const ratesError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const freezeSnapshot = ({ id, base, source, rates, overrides: overridden, createdAt }) => Object.freeze({
+  id,
+  base,
+  source,
+  rates: Object.freeze(rates),
+  overrides: Object.freeze(overridden),
+  createdAt
+});
+
+const createSnapshot = (providerRates, source) => {
+  const rates = { ...providerRates };
+  overrides.forEach((override, currency) => {
+    rates[currency] = override.rate;
+  });
+  rates[CURRENCY_CONFIG.baseCurrency] = 1;
+
+  const missing = CURRENCY_CONFIG.supportedCurrencies.filter(c => !(rates[c] > 0));
+  if (missing.length > 0) {
+    throw ratesError('Exchange rates missing for supported currencies', 'RATES_INCOMPLETE', { missing });
+  }
+
+  const snapshot = freezeSnapshot({
+    id: 'rate_' + uuidv4().substring(0, 12),
+    base: CURRENCY_CONFIG.baseCurrency,
+    source,
+    rates,
+    overrides: Array.from(overrides.keys()),
+    createdAt: Date.now()
+  });
+
+  snapshots.set(snapshot.id, snapshot);
+  currentSnapshot = snapshot;
+  // Queued ahead of any ledger entry that converts at it, so it is committed first
+  repositories.rateSnapshots.append(snapshot).catch(error => {
+    ratesLogger.error('Rate snapshot not saved', { rateId: snapshot.id, error: error.message });
+  });
+  return snapshot;
+};
+
+const getSnapshot = (rateId) => {
+  if (!rateId) {
+    return currentSnapshot;
+  }
+  const snapshot = snapshots.get(rateId);
+  if (!snapshot) {
+    throw ratesError('Rate snapshot not found', 'RATE_SNAPSHOT_NOT_FOUND', { rateId });
+  }
+  return snapshot;
+};
+
+// Like getSnapshot, but also finds snapshots made before this process started
+const loadSnapshot = async (rateId) => {
+  if (!rateId || snapshots.has(rateId)) {
+    return getSnapshot(rateId);
+  }
+  const [stored] = await repositories.rateSnapshots.readAll({ id: rateId });
+  if (stored) {
+    snapshots.set(rateId, freezeSnapshot(stored));
+  }
+  return getSnapshot(rateId);
+};
+
+const listSnapshots = (limit = 24) => {
+  return Array.from(snapshots.values())
+    .slice(-limit)
+    .reverse()
+    .map(({ id, source, overrides: overridden, createdAt }) => ({ id, source, overrides: overridden, createdAt }));
+};
+
+const getRate = (fromCurrency, toCurrency, snapshot = currentSnapshot) => {
+  return snapshot.rates[toCurrency] / snapshot.rates[fromCurrency];
+};
+
+// Converts integer minor units at the given (default: current) snapshot
+const convert = (amount, fromCurrency, toCurrency, snapshot = currentSnapshot) => {
+  return money.convert(amount, fromCurrency, toCurrency, getRate(fromCurrency, toCurrency, snapshot));
+};
+
+// Compares override sets regardless of the order they were read in
+const overridesKey = () => Array.from(overrides.values())
+  .map(({ currency, rate, setAt }) => `${currency}:${rate}:${setAt}`)
+  .sort()
+  .join(',');
+
+// Reads the overrides other workers have set or cleared; a new snapshot is made only if they changed
+const syncOverrides = async () => {
+  if (!repositories.persistent) {
+    return currentSnapshot;
+  }
+  try {
+    const before = overridesKey();
+    await overrides.reload(CURRENCY_CONFIG.supportedCurrencies, { prune: true });
+    if (overridesKey() === before) {
+      return currentSnapshot;
+    }
+    const snapshot = createSnapshot(lastProviderRates, 'override');
+    ratesLogger.info('Exchange rate overrides synced', { overrides: snapshot.overrides, rateId: snapshot.id });
+    return snapshot;
+  } catch (error) {
+    ratesLogger.error('Exchange rate override sync failed', { error: error.message });
+    return currentSnapshot;
+  }
+};
+
+const refresh = async () => {
+  const providerName = CURRENCY_CONFIG.exchangeRateProvider;
+  const provider = RATE_PROVIDERS[providerName];
+
+  try {
+    await syncOverrides();
+    if (!provider) {
+      throw ratesError(`Unknown exchange rate provider: ${providerName}`, 'RATE_PROVIDER_UNKNOWN');
+    }
+    const fetched = await provider.fetchRates();
+    const snapshot = createSnapshot(fetched, providerName);
+    lastProviderRates = fetched;
+    ratesLogger.info('Exchange rates refreshed', { rateId: snapshot.id, provider: providerName });
+    return snapshot;
+  } catch (error) {
+    // Keep converting at the last good snapshot until the provider recovers
+    ratesLogger.error('Exchange rate refresh failed', { provider: providerName, error: error.message });
+    return currentSnapshot;
+  }
+};
+
+const start = () => {
+  // Overrides stored before a restart apply from the first snapshot, even if the provider is down
+  if (overrides.size > 0) {
+    createSnapshot(lastProviderRates, 'override');
+  }
+  if (!refreshTimer) {
+    refreshTimer = setInterval(refresh, CURRENCY_CONFIG.updateInterval);
+    refreshTimer.unref();
+  }
+  if (!syncTimer) {
+    syncTimer = setInterval(syncOverrides, CURRENCY_CONFIG.overrideSyncInterval);
+    syncTimer.unref();
+  }
+  return refresh();
+};
+
+const stop = () => {
+  clearInterval(refreshTimer);
+  clearInterval(syncTimer);
+  refreshTimer = null;
+  syncTimer = null;
+};
+
+const registerProvider = (name, provider) => {
+  RATE_PROVIDERS[name] = provider;
+};
+
+// Each set and clear is kept, with the rate it replaced and the snapshot it made
+const recordOverrideEvent = (event) => {
+  const record = { id: 'rovr_' + uuidv4().substring(0, 12), at: Date.now(), ...event };
+  if (!repositories.persistent) {
+    overrideHistory.push(record);
+  }
+  repositories.rateOverrideEvents.append(record).catch(error => {
+    ratesLogger.error('Rate override event not saved', { id: record.id, currency: record.currency, error: error.message });
+  });
+  return record;
+};
+
+// Admin overrides pin a rate across provider refreshes until cleared
+const setOverride = async (currency, rate, adminId, reason) => {
+  if (currency === CURRENCY_CONFIG.baseCurrency || !CURRENCY_CONFIG.supportedCurrencies.includes(currency)) {
+    throw ratesError('Rate cannot be overridden for this currency', 'RATE_OVERRIDE_INVALID', { currency });
+  }
+  await syncOverrides();
+  const previousRate = currentSnapshot.rates[currency];
+  await overrides.set(currency, { currency, rate, adminId, reason, setAt: Date.now() });
+  const snapshot = createSnapshot(lastProviderRates, 'override');
+  recordOverrideEvent({ action: 'set', currency, rate, previousRate, adminId, reason, rateId: snapshot.id });
+  ratesLogger.info('Exchange rate overridden', { currency, rate, adminId, reason, rateId: snapshot.id });
+  return snapshot;
+};
+
+const clearOverride = async (currency, adminId) => {
+  // The override may have been set on another worker since the last sync
+  await syncOverrides();
+  const override = overrides.get(currency);
+  if (!override) {
+    throw ratesError('No override set for currency', 'RATE_OVERRIDE_NOT_FOUND', { currency });
+  }
+  await overrides.delete(currency);
+  // The provider's last rate applies again, as it would have without the override
+  const snapshot = createSnapshot(lastProviderRates, 'override');
+  recordOverrideEvent({ action: 'cleared', currency, rate: snapshot.rates[currency], previousRate: override.rate, adminId, rateId: snapshot.id });
+  ratesLogger.info('Exchange rate override cleared', { currency, adminId, rateId: snapshot.id });
+  return snapshot;
+};
+
+const getOverrides = () => Object.fromEntries(overrides);
+
+// Newest first; read from the database when there is one, so other workers' changes are included
+const listOverrideHistory = async (limit = 50) => {
+  const events = repositories.persistent ? await repositories.rateOverrideEvents.readAll() : overrideHistory;
+  return events.slice(-limit).reverse();
+};
+
+// Seed from the fixture so conversions work before the first provider refresh
+lastProviderRates = readFixture();
+createSnapshot(lastProviderRates, 'fixture');
+
+module.exports = {
+  RATE_PROVIDERS,
+  registerProvider,
+  start,
+  stop,
+  refresh,
+  syncOverrides,
+  getSnapshot,
+  loadSnapshot,
+  listSnapshots,
+  getRate,
+  convert,
+  setOverride,
+  clearOverride,
+  getOverrides,
+  listOverrideHistory
+};
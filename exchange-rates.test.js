@@ -0,0 +1,70 @@
+const repositories = require('./repositories');
+const exchangeRates = require('./exchange-rates');
+const { CURRENCY_CONFIG } = require('./config');
+
+const fixtureRates = { ...exchangeRates.getSnapshot().rates };
+const providerRates = { ...fixtureRates, USD: 0.0125 };
+let providerDown = false;
+
+beforeAll(() => {
+  // Stands in for the configured provider, quoting a USD rate the fixture doesn't have
+  exchangeRates.registerProvider(CURRENCY_CONFIG.exchangeRateProvider, {
+    fetchRates: async () => {
+      if (providerDown) throw new Error('provider unavailable');
+      return providerRates;
+    }
+  });
+});
+
+afterEach(async () => {
+  providerDown = false;
+  if (exchangeRates.getOverrides().USD) {
+    await exchangeRates.clearOverride('USD', 'cleanup');
+  }
+});
+
+afterAll(() => repositories.disconnect());
+
+describe('exchange rate overrides', () => {
+  test('an override pins its rate through provider refreshes', async () => {
+    await exchangeRates.refresh();
+    await exchangeRates.setOverride('USD', 0.02, 'admin_1', 'provider outage');
+    const refreshed = await exchangeRates.refresh();
+
+    expect(refreshed.rates.USD).toBe(0.02);
+    expect(refreshed.overrides).toEqual(['USD']);
+    expect(exchangeRates.getOverrides().USD).toMatchObject({ rate: 0.02, adminId: 'admin_1', reason: 'provider outage' });
+  });
+
+  test("clearing an override goes back to the provider's last rate, not the fixture's", async () => {
+    await exchangeRates.refresh();
+    await exchangeRates.setOverride('USD', 0.02, 'admin_1', 'provider outage');
+    providerDown = true;
+    await exchangeRates.refresh();
+
+    const snapshot = await exchangeRates.clearOverride('USD', 'admin_2');
+
+    expect(snapshot.rates.USD).toBe(providerRates.USD);
+    expect(snapshot.rates.USD).not.toBe(fixtureRates.USD);
+    expect(snapshot.overrides).toEqual([]);
+  });
+
+  test('only supported currencies other than the base can be overridden, and only set ones cleared', async () => {
+    await expect(exchangeRates.setOverride(CURRENCY_CONFIG.baseCurrency, 2, 'admin_1', 'no'))
+      .rejects.toMatchObject({ code: 'RATE_OVERRIDE_INVALID' });
+    await expect(exchangeRates.setOverride('XYZ', 2, 'admin_1', 'no'))
+      .rejects.toMatchObject({ code: 'RATE_OVERRIDE_INVALID' });
+    await expect(exchangeRates.clearOverride('EUR', 'admin_1'))
+      .rejects.toMatchObject({ code: 'RATE_OVERRIDE_NOT_FOUND' });
+  });
+
+  test('every set and clear is kept with who did it and the rate it replaced', async () => {
+    await exchangeRates.refresh();
+    const set = await exchangeRates.setOverride('USD', 0.03, 'admin_3', 'manual correction');
+    const cleared = await exchangeRates.clearOverride('USD', 'admin_4');
+
+    const [latest, previous] = await exchangeRates.listOverrideHistory();
+    expect(previous).toMatchObject({ action: 'set', currency: 'USD', rate: 0.03, previousRate: providerRates.USD, adminId: 'admin_3', reason: 'manual correction', rateId: set.id });
+    expect(latest).toMatchObject({ action: 'cleared', currency: 'USD', rate: providerRates.USD, previousRate: 0.03, adminId: 'admin_4', rateId: cleared.id });
+  });
+});
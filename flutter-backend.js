@@ -4,11 +4,17 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { body, param, validationResult } = require('express-validator');
 const winston = require('winston');
+const stakeTiers = require('./stake-tiers');
+const accountLinks = require('./account-links');
+const repositories = require('./repositories');
+const { store: sharedState, rateLimitStore } = require('./state-store');
+const { CURRENCY_CONFIG, GAMING_CONFIG } = require('./config');
 
 const router = express.Router();
 
@@ -29,9 +35,26 @@ const flutterLogger = winston.createLogger({
 const flutterLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 200, // 200 requests per 15 minutes for mobile app
-  message: { error: 'Flutter API rate limit exceeded', code: 'FLUTTER_RATE_LIMIT' }
+  message: { error: 'Flutter API rate limit exceeded', code: 'FLUTTER_RATE_LIMIT' },
+  store: rateLimitStore('flutter')
 });
 
+// OTPs expire after 5 minutes
+const OTP_TTL = 5 * 60;
+const otpKey = (mobile) => `otp:${mobile}`;
+
+// Referral codes use the invite-code alphabet - no 0/O or 1/I
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+const generateReferralCode = () => Array.from({ length: REFERRAL_CODE_LENGTH },
+  () => REFERRAL_CODE_ALPHABET[crypto.randomInt(REFERRAL_CODE_ALPHABET.length)]).join('');
+
+// The player a referral code belongs to, or null if no one has it
+const findReferrer = async (referralCode) => {
+  await repositories.users.find({ referralCode });
+  return Array.from(repositories.users.values()).find(u => u.referralCode === referralCode) || null;
+};
+
 // CORS configuration for Flutter mobile app
 const flutterCors = cors({
   origin: ['http://localhost:3001', 'https://skillzyarena.com', '*'], // Allow Flutter development
@@ -69,6 +92,14 @@ router.use((req, res, next) => {
 // Flutter app configuration endpoint
 router.get('/config', async (req, res) => {
   try {
+    // Stake tiers are priced in the app's display currency when it asks for one
+    const currency = CURRENCY_CONFIG.supportedCurrencies.includes(req.query.currency) ? req.query.currency : 'INR';
+    const tiers = {};
+    for (const gameType of GAMING_CONFIG.availableGames) {
+      tiers[gameType] = (await stakeTiers.listTiers(gameType)).map(t => stakeTiers.formatTier(t, currency));
+    }
+    const tiersFor = (gameType) => tiers[gameType];
+
     const config = {
       apiBaseUrl: process.env.API_BASE_URL || 'http://localhost:3000',
       supportedLanguages: [
@@ -106,7 +137,8 @@ router.get('/config', async (req, res) => {
           description: 'Strategic skill-based chess battles',
           icon: 'chess_icon',
           color: '#4CAF50',
-          betAmount: 10,
+          stakeTiers: tiersFor('chess'),
+          defaultStakeTier: GAMING_CONFIG.defaultStakeTier,
           estimatedDuration: 60,
           skillRequired: 'high'
         },
@@ -116,7 +148,8 @@ router.get('/config', async (req, res) => {
           description: 'Classic board game with strategy',
           icon: 'snake_ladder_icon',
           color: '#2196F3',
-          betAmount: 10,
+          stakeTiers: tiersFor('snakeLadder'),
+          defaultStakeTier: GAMING_CONFIG.defaultStakeTier,
           estimatedDuration: 60,
           skillRequired: 'medium'
         },
@@ -126,9 +159,32 @@ router.get('/config', async (req, res) => {
           description: 'Precision-based skill game',
           icon: 'carrom_icon',
           color: '#FF9800',
-          betAmount: 10,
+          stakeTiers: tiersFor('carrom'),
+          defaultStakeTier: GAMING_CONFIG.defaultStakeTier,
           estimatedDuration: 60,
           skillRequired: 'high'
+        },
+        {
+          id: 'reactionTime',
+          name: 'Reaction Time',
+          description: 'Hit the targets faster than your opponent',
+          icon: 'reaction_time_icon',
+          color: '#F44336',
+          stakeTiers: tiersFor('reactionTime'),
+          defaultStakeTier: GAMING_CONFIG.defaultStakeTier,
+          estimatedDuration: 60,
+          skillRequired: 'medium'
+        },
+        {
+          id: 'speedTyping',
+          name: 'Speed Typing',
+          description: 'Type accurately against the clock',
+          icon: 'speed_typing_icon',
+          color: '#9C27B0',
+          stakeTiers: tiersFor('speedTyping'),
+          defaultStakeTier: GAMING_CONFIG.defaultStakeTier,
+          estimatedDuration: 60,
+          skillRequired: 'medium'
         }
       ],
       paymentMethods: {
@@ -163,7 +219,6 @@ router.get('/config', async (req, res) => {
       platformInfo: {
         name: 'Skillzy Arena',
         version: '1.0.0',
-        payoutSplit: { winner: 80, platform: 20 },
         supportEmail: 'support@skillzyarena.com'
       }
     };
@@ -196,7 +251,7 @@ router.post('/auth/mobile-login', [
       Math.floor(100000 + Math.random() * 900000).toString() : 
       '123456';
 
-    // Store OTP temporarily (use Redis in production)
+    // OTPs live in the shared state store, so any worker can verify them
     const otpData = {
       mobile,
       otp,
@@ -207,9 +262,7 @@ router.post('/auth/mobile-login', [
       attempts: 0
     };
 
-    // Mock OTP storage
-    global.flutterOtpStore = global.flutterOtpStore || new Map();
-    global.flutterOtpStore.set(mobile, otpData);
+    await sharedState.set(otpKey(mobile), otpData, { ttl: OTP_TTL });
 
     // Send OTP via SMS (mock implementation)
     flutterLogger.info('OTP sent for Flutter app', { mobile, deviceId, otp });
@@ -218,7 +271,7 @@ router.post('/auth/mobile-login', [
       success: true,
       message: 'OTP sent successfully',
       otpSent: true,
-      expiresIn: 300, // 5 minutes
+      expiresIn: OTP_TTL,
       // In development, show OTP for testing
       ...(process.env.NODE_ENV !== 'production' && { testOtp: otp })
     });
@@ -234,7 +287,9 @@ router.post('/auth/verify-mobile', [
   body('mobile').isMobilePhone().withMessage('Valid mobile number required'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('Valid 6-digit OTP required'),
   body('deviceId').isLength({ min: 1 }).withMessage('Device ID required'),
-  body('username').optional().isLength({ min: 3, max: 20 }).withMessage('Username must be 3-20 characters')
+  body('username').optional().isLength({ min: 3, max: 20 }).withMessage('Username must be 3-20 characters'),
+  body('referralCode').optional().customSanitizer(v => String(v).toUpperCase())
+    .matches(new RegExp(`^[${REFERRAL_CODE_ALPHABET}]{${REFERRAL_CODE_LENGTH}}$`)).withMessage('Valid referral code required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -242,10 +297,10 @@ router.post('/auth/verify-mobile', [
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { mobile, otp, deviceId, username } = req.body;
+    const { mobile, otp, deviceId, username, referralCode } = req.body;
 
     // Verify OTP
-    const storedOtpData = global.flutterOtpStore?.get(mobile);
+    const storedOtpData = await sharedState.get(otpKey(mobile));
     
     if (!storedOtpData) {
       return res.status(400).json({ 
@@ -264,12 +319,13 @@ router.post('/auth/verify-mobile', [
     if (storedOtpData.otp !== otp) {
       storedOtpData.attempts += 1;
       if (storedOtpData.attempts >= 3) {
-        global.flutterOtpStore.delete(mobile);
+        await sharedState.del(otpKey(mobile));
         return res.status(400).json({ 
           error: 'Too many incorrect attempts', 
           code: 'OTP_ATTEMPTS_EXCEEDED' 
         });
       }
+      await sharedState.set(otpKey(mobile), storedOtpData, { keepTtl: true });
       return res.status(400).json({ 
         error: 'Invalid OTP', 
         code: 'INVALID_OTP',
@@ -278,24 +334,35 @@ router.post('/auth/verify-mobile', [
     }
 
     // Check if OTP is expired (5 minutes)
-    if (Date.now() - storedOtpData.timestamp > 5 * 60 * 1000) {
-      global.flutterOtpStore.delete(mobile);
+    if (Date.now() - storedOtpData.timestamp > OTP_TTL * 1000) {
+      await sharedState.del(otpKey(mobile));
       return res.status(400).json({ 
         error: 'OTP expired', 
         code: 'OTP_EXPIRED' 
       });
     }
 
-    // Create or get user
+    // Create or get user; read back first so a sign-up on another worker counts as existing
     const userId = 'flutter_user_' + mobile.replace(/\D/g, '');
+    const existingUser = (await repositories.users.reload([userId]))[0] || repositories.users.get(userId);
+
+    // A referral counts only on first sign-up, and only from a code some other player holds
+    let referrer = null;
+    if (!existingUser && referralCode) {
+      referrer = await findReferrer(referralCode);
+      if (!referrer || referrer.userId === userId) {
+        flutterLogger.warn('Referral code not applied', { userId, referralCode });
+        referrer = null;
+      }
+    }
     const userProfile = {
       userId,
       mobile,
-      username: username || `Player${mobile.slice(-4)}`,
+      username: username || (existingUser && existingUser.username) || `Player${mobile.slice(-4)}`,
       language: storedOtpData.language,
       currency: storedOtpData.currency,
       deviceId,
-      createdAt: Date.now(),
+      createdAt: existingUser ? existingUser.createdAt : Date.now(),
       lastLogin: Date.now(),
       platform: 'flutter',
       walletBalance: 10, // Welcome bonus
@@ -317,8 +384,30 @@ router.post('/auth/verify-mobile', [
       { expiresIn: '30d' } // 30 days for mobile app
     );
 
+    const storedUser = {
+      userId,
+      mobile,
+      username: userProfile.username,
+      deviceId,
+      currency: userProfile.currency,
+      language: userProfile.language,
+      platform: userProfile.platform,
+      createdAt: userProfile.createdAt,
+      lastLogin: userProfile.lastLogin,
+      referralCode: (existingUser && existingUser.referralCode) || generateReferralCode(),
+      referredBy: existingUser ? existingUser.referredBy : referrer && referrer.userId
+    };
+    await repositories.users.set(userId, storedUser);
+
     // Clean up OTP
-    global.flutterOtpStore.delete(mobile);
+    await sharedState.del(otpKey(mobile));
+
+    // Device, network and referrer feed the account link graph used by matchmaking
+    await accountLinks.recordIdentity(userId, 'device', deviceId);
+    await accountLinks.recordIdentity(userId, 'ip', req.ip);
+    if (referrer) {
+      await accountLinks.recordReferral(referrer.userId, userId);
+    }
 
     flutterLogger.info('Flutter user authenticated', { 
       userId, 
@@ -338,6 +427,8 @@ router.post('/auth/verify-mobile', [
         currency: userProfile.currency,
         walletBalance: userProfile.walletBalance,
         kycStatus: userProfile.kycStatus,
+        referralCode: storedUser.referralCode,
+        referredBy: storedUser.referredBy || null,
         welcomeBonus: 10
       },
       token,
@@ -443,7 +534,7 @@ router.get('/wallet/balance', async (req, res) => {
 
 // Flutter match finding
 router.post('/match/find-opponent', [
-  body('gameType').isIn(['chess', 'snakeLadder', 'carrom']).withMessage('Valid game type required')
+  body('gameType').isIn(GAMING_CONFIG.availableGames).withMessage('Valid game type required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
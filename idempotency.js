@@ -0,0 +1,133 @@
+/**
+ * SKILLZY ARENA - IDEMPOTENCY KEYS
+ * Deduplicates retried money-moving requests using the Idempotency-Key header
+ *
+ * The first request with a key runs normally and its response is stored with
+ * a hash of the request. A retry with the same key and body gets the stored
+ * response back; the same key with a different body is rejected.
+ *
+ * Records live in the shared state store, so a retry that lands on another
+ * worker is still recognised. The first request claims its key atomically;
+ * a claim left behind by a worker that died mid-request expires after
+ * inProgressTtl, and a finished response is kept for ttl.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { store: sharedState } = require('./state-store');
+
+// Idempotency logger
+const idempotencyLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/idempotency.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const IDEMPOTENCY_CONFIG = {
+  header: 'idempotency-key',
+  keyPattern: /^[\w-]{8,128}$/,
+  ttl: 24 * 60 * 60, // seconds - keys are remembered for 24 hours
+  inProgressTtl: 5 * 60 // seconds
+};
+
+// Helper functions
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl.split('?')[0]} ${canonicalJson(req.body || {})}`)
+    .digest('hex');
+};
+
+// Keys are the client's own, so routes that act for an authenticated player keep each player's keys apart
+const recordKeyFor = (scope, key, playerId) => (playerId ? `idempotency:${scope}:${playerId}:${key}` : `idempotency:${scope}:${key}`);
+
+// Answers a request whose key is already taken, from the record that holds it
+const replay = (res, existing, requestHash) => {
+  if (existing.requestHash !== requestHash) {
+    return res.status(409).json({
+      error: 'Idempotency-Key was already used with a different request',
+      code: 'IDEMPOTENCY_KEY_REUSED'
+    });
+  }
+
+  if (existing.status === 'in_progress') {
+    return res.status(409).json({
+      error: 'Original request with this Idempotency-Key is still processing',
+      code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(existing.responseStatus).json(existing.responseBody);
+};
+
+// Middleware factory - `scope` keeps keys from different routes apart
+const requireIdempotencyKey = (scope) => async (req, res, next) => {
+  const key = req.headers[IDEMPOTENCY_CONFIG.header];
+
+  if (!key || !IDEMPOTENCY_CONFIG.keyPattern.test(key)) {
+    return res.status(400).json({
+      error: 'Idempotency-Key header required (8-128 letters, digits, - or _)',
+      code: 'IDEMPOTENCY_KEY_REQUIRED'
+    });
+  }
+
+  const recordKey = recordKeyFor(scope, key, req.playerId);
+  const requestHash = hashRequest(req);
+  const record = { requestHash, status: 'in_progress', createdAt: Date.now() };
+
+  try {
+    const claimed = await sharedState.claim({ [recordKey]: record }, { ttl: IDEMPOTENCY_CONFIG.inProgressTtl });
+    if (!claimed) {
+      // A record that expired between the claim and this read was still in progress a moment ago
+      const existing = await sharedState.get(recordKey);
+      return replay(res, existing || record, requestHash);
+    }
+  } catch (error) {
+    idempotencyLogger.error('Idempotency key claim failed', { scope, error: error.message });
+    return res.status(503).json({
+      error: 'Request deduplication is unavailable, retry shortly',
+      code: 'IDEMPOTENCY_STORE_UNAVAILABLE'
+    });
+  }
+
+  // Capture the response; server errors are forgotten so the client can retry
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const settled = res.statusCode >= 500
+      ? sharedState.release({ [recordKey]: record })
+      : sharedState.set(recordKey, {
+        ...record,
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: body,
+        completedAt: Date.now()
+      }, { ttl: IDEMPOTENCY_CONFIG.ttl });
+    settled.catch(error => {
+      idempotencyLogger.error('Idempotency record not stored', { scope, status: res.statusCode, error: error.message });
+    });
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  requireIdempotencyKey,
+  IDEMPOTENCY_CONFIG
+};
@@ -0,0 +1,129 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const repositories = require('./repositories');
+const walletSystem = require('./wallet');
+const { requireIdempotencyKey } = require('./idempotency');
+const { ADMIN_JWT_SECRET } = require('./config');
+
+const { userWallets } = walletSystem;
+
+// Keys and players are named per run so a store left from an earlier run doesn't replay them
+const run = Date.now().toString(36);
+const STAKE = 10000; // ₹100
+let sequence = 0;
+let handled = 0;
+let server;
+let baseUrl;
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+const adminToken = jwt.sign({ adminId: 'dev_skillzy_owner_2024', role: 'admin' }, ADMIN_JWT_SECRET);
+const asAdmin = (key) => ({ authorization: `Bearer ${adminToken}`, 'Idempotency-Key': key });
+
+// A match with both stakes held and the 90/10 split it would have been created with
+const heldMatch = async () => {
+  sequence += 1;
+  const players = [`idem_p1_${run}_${sequence}`, `idem_p2_${run}_${sequence}`];
+  const matchId = `match_${run.slice(-6)}${String(sequence).padStart(2, '0')}`;
+  await Promise.all(players.map(playerId => walletSystem.creditBonus(playerId, STAKE, 'INR', 'test_funding')));
+  await walletSystem.holdMatchStakes(matchId, players, STAKE, 'INR');
+  await repositories.matches.set(matchId, { id: matchId, players: players.map(id => ({ id })), payout: { winner: 18000, platform: 2000 } });
+  return { matchId, players };
+};
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+
+  const app = express();
+  app.use(express.json());
+  app.post('/charge', requireIdempotencyKey('test_charge'), (req, res) => {
+    handled += 1;
+    res.status(201).json({ charged: req.body.amount, handled });
+  });
+  app.use('/api/wallet', walletSystem.routes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await repositories.disconnect();
+});
+
+describe('idempotency keys', () => {
+  test('a request without a usable key is refused', async () => {
+    const missing = await post('/charge', { amount: 100 });
+    const malformed = await post('/charge', { amount: 100 }, { 'Idempotency-Key': 'short' });
+
+    [missing, malformed].forEach(response => expect(response.status).toBe(400));
+    expect(await missing.json()).toMatchObject({ code: 'IDEMPOTENCY_KEY_REQUIRED' });
+  });
+
+  test('a retry with the same key and body replays the first response without running again', async () => {
+    const key = `charge-${run}-replay`;
+    const first = await post('/charge', { amount: 100 }, { 'Idempotency-Key': key });
+    const firstBody = await first.json();
+    const retry = await post('/charge', { amount: 100 }, { 'Idempotency-Key': key });
+
+    expect(retry.status).toBe(201);
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+    expect(await retry.json()).toEqual(firstBody);
+    expect(handled).toBe(firstBody.handled);
+  });
+
+  test('the same key with a different body is a conflict', async () => {
+    const key = `charge-${run}-reuse`;
+    await post('/charge', { amount: 100 }, { 'Idempotency-Key': key });
+    const reused = await post('/charge', { amount: 999 }, { 'Idempotency-Key': key });
+
+    expect(reused.status).toBe(409);
+    expect(await reused.json()).toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED' });
+  });
+});
+
+describe('process winnings', () => {
+  test('only an admin can settle a match by hand', async () => {
+    const { matchId, players: [winner] } = await heldMatch();
+
+    const anonymous = await post('/api/wallet/process-winnings', { matchId, winner }, { 'Idempotency-Key': `winnings-${run}-anon` });
+    const player = await post('/api/wallet/process-winnings', { matchId, winner }, {
+      authorization: `Bearer ${jwt.sign({ adminId: winner, role: 'player' }, ADMIN_JWT_SECRET)}`,
+      'Idempotency-Key': `winnings-${run}-player`
+    });
+
+    expect(anonymous.status).toBe(401);
+    expect(player.status).toBe(403);
+    expect(walletSystem.matchHolds.get(matchId).status).toBe('held');
+  });
+
+  test("the winner is paid the match's own split once, however often the request is retried", async () => {
+    const { matchId, players: [winner] } = await heldMatch();
+    const key = `winnings-${run}-${matchId}`;
+
+    const first = await post('/api/wallet/process-winnings', { matchId, winner, amount: 200 }, asAdmin(key));
+    const firstBody = await first.json();
+    const retry = await post('/api/wallet/process-winnings', { matchId, winner, amount: 200 }, asAdmin(key));
+
+    expect(firstBody).toMatchObject({ success: true, winnings: 180, platformEarnings: 20, currency: 'INR' });
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+    expect(await retry.json()).toEqual(firstBody);
+    expect(userWallets.get(winner).buckets.winnings).toBe(18000);
+  });
+
+  test('a winner who did not play and an already settled match are refused', async () => {
+    const { matchId, players: [winner] } = await heldMatch();
+
+    const outsider = await post('/api/wallet/process-winnings', { matchId, winner: 'someone_else' }, asAdmin(`winnings-${run}-outsider`));
+    await post('/api/wallet/process-winnings', { matchId, winner }, asAdmin(`winnings-${run}-settle`));
+    const again = await post('/api/wallet/process-winnings', { matchId, winner }, asAdmin(`winnings-${run}-again`));
+
+    expect(await outsider.json()).toMatchObject({ code: 'ESCROW_WINNER_INVALID' });
+    expect(again.status).toBe(409);
+    expect(await again.json()).toMatchObject({ code: 'ESCROW_ALREADY_RELEASED' });
+  });
+});
@@ -8,6 +8,7 @@
  * - Real-time gaming with SpacetimeDB
  * - 80/20 payout split (₹16 winner, ₹4 platform)
  * - Network-resilient architecture
+ * - Wallets, ledger, matches and withdrawals survive restarts (repositories.js)
  * - Professional UI matching MPL/WinZO standards
  */
 
@@ -24,6 +25,10 @@ const { createProxyMiddleware } = require('http-proxy-middleware');
 const adminRoutes = require('./admin');
 const matchSystem = require('./match');
 const walletSystem = require('./wallet');
+const exchangeRates = require('./exchange-rates');
+const stakeTiers = require('./stake-tiers');
+const repositories = require('./repositories');
+const { rateLimitStore } = require('./state-store');
 const config = require('./config');
 
 // Environment configuration
@@ -57,7 +62,8 @@ const limiter = rateLimit({
   message: {
     error: 'Too many requests, please try again later.',
     code: 'RATE_LIMIT_EXCEEDED'
-  }
+  },
+  store: rateLimitStore('api')
 });
 
 // Gaming-specific rate limit for match operations
@@ -67,10 +73,21 @@ const gamingLimiter = rateLimit({
   message: {
     error: 'Gaming rate limit exceeded. Please wait before next action.',
     code: 'GAMING_RATE_LIMIT'
-  }
+  },
+  store: rateLimitStore('gaming')
 });
 
-app.prepare().then(() => {
+// Reload persisted state before taking requests: wallets and the ledger first, so the
+// withdrawals and matches a restart interrupted can be paid out or refunded
+const restoreState = async () => {
+  await repositories.load();
+  await stakeTiers.seedTiers();
+  await walletSystem.restore();
+  require('./withdrawal').restoreWithdrawals();
+  await matchSystem.recoverInterruptedMatches();
+};
+
+app.prepare().then(restoreState).then(() => {
   const server = express();
 
   // Security middleware
@@ -94,14 +111,19 @@ app.prepare().then(() => {
       : true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
   }));
 
   // Compression for better performance
   server.use(compression());
 
   // Body parsing middleware
-  server.use(express.json({ limit: '10mb' }));
+  server.use(express.json({
+    limit: '10mb',
+    // Keep the exact request bytes for webhook signature checks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+  }));
   server.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
   // Request logging
@@ -130,12 +152,23 @@ app.prepare().then(() => {
   server.use('/api', limiter);
   server.use('/api/game', gamingLimiter);
   server.use('/api/match', gamingLimiter);
+  server.use('/api/rooms', gamingLimiter);
+  server.use('/api/tournaments', gamingLimiter);
+  server.use('/api/disputes', gamingLimiter);
   server.use('/api/wallet', limiter);
 
   // Core system routes
   server.use('/api/admin', adminRoutes);
   server.use('/api/match', matchSystem.routes);
+  server.use('/api/rooms', require('./challenge-rooms').routes);
+  if (config.FEATURE_FLAGS.tournaments) {
+    server.use('/api/tournaments', require('./tournaments').routes);
+  }
+  if (config.FEATURE_FLAGS.matchDisputes) {
+    server.use('/api/disputes', require('./disputes').routes);
+  }
   server.use('/api/wallet', walletSystem.routes);
+  server.use('/webhooks/payments', require('./payment-webhooks').routes);
 
   // SpacetimeDB proxy for real-time gaming
   server.use('/spacetimedb', createProxyMiddleware({
@@ -184,8 +217,19 @@ app.prepare().then(() => {
     return handle(req, res);
   });
 
+  // Keep exchange rates fresh on CURRENCY_CONFIG.updateInterval
+  exchangeRates.start();
+
+  // Expire stale queue entries and matches on GAMING_CONFIG.matchTimeout
+  matchSystem.startTimeoutSweeper();
+
+  // Start or call off scheduled tournaments on GAMING_CONFIG.tournaments.sweepInterval
+  if (config.FEATURE_FLAGS.tournaments) {
+    require('./tournaments').startScheduler();
+  }
+
   // Server startup
-  server.listen(port, (err) => {
+  const httpServer = server.listen(port, (err) => {
     if (err) {
       logger.error('Failed to start server:', err);
       throw err;
@@ -198,20 +242,53 @@ app.prepare().then(() => {
     logger.info(`🛡️ Security, rate limiting, and anti-fraud measures active`);
   });
 
-  // Graceful shutdown handling
+  // Real-time match channel - other upgrade paths are left to their own handlers
+  httpServer.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname === matchSystem.MATCH_SOCKET_PATH) {
+      matchSystem.handleUpgrade(req, socket, head);
+    }
+  });
+
+  // Sibling workers pass on requests and sockets for the matches this worker runs (see match.js);
+  // they were rate limited where they came in, and are served here without going round again
+  const { workerHost, workerPort } = config.STATE_STORE_CONFIG;
+  const workerServer = express();
+  workerServer.use(express.json({ limit: '10mb' }));
+  workerServer.use((req, res, next) => {
+    req.forwarded = true;
+    next();
+  });
+  workerServer.use('/api/match', matchSystem.routes);
+  const workerHttpServer = workerServer.listen(workerPort, workerHost, () => {
+    logger.info(`Match worker listening on ${workerHost}:${workerPort}`);
+  });
+  workerHttpServer.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname === matchSystem.MATCH_SOCKET_PATH) {
+      req.forwarded = true;
+      matchSystem.handleUpgrade(req, socket, head);
+    }
+  });
+
+  // Graceful shutdown handling - queued database writes are committed before exit
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-      logger.info('Server closed');
-      process.exit(0);
+    workerHttpServer.close();
+    httpServer.close(() => {
+      repositories.disconnect().finally(() => {
+        logger.info('Server closed');
+        process.exit(0);
+      });
     });
   });
 
   process.on('SIGINT', () => {
     logger.info('SIGINT received, shutting down gracefully');
-    server.close(() => {
-      logger.info('Server closed');
-      process.exit(0);
+    workerHttpServer.close();
+    httpServer.close(() => {
+      repositories.disconnect().finally(() => {
+        logger.info('Server closed');
+        process.exit(0);
+      });
     });
   });
 
@@ -0,0 +1,218 @@
+/**
+ * SKILLZY ARENA - DOUBLE-ENTRY LEDGER
+ * Journal of balanced debit/credit entries behind every wallet movement
+ * All line amounts are integer minor units (see money.js)
+ *
+ * Accounts:
+ * - user:<userId>:<bucket>     Player wallet, one account per balance bucket (deposit, winnings, bonus)
+ * - escrow:<matchId>           Stakes held for a live match
+ * - dispute:<matchId>          A disputed match's winnings, frozen until an admin decides
+ * - platform:fees              Platform earnings (developer wallet)
+ * - promotions:bonus           Bonus credit the platform has given players
+ * - gateway:<id>:clearing      Money in flight with a payment gateway
+ * - gateway:<id>:fees          Gateway processing fees
+ * - fx:conversion              Currency conversion between legs of one entry
+ * - equity:opening             Opening balances carried in at startup
+ *
+ * Entries are appended to the ledger_entries table as they post (see repositories.js) and read
+ * back by load() when the server restarts. An entry whose write fails is taken back out. Other
+ * workers post to the same table, so reports call refresh() first to read in what they posted.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const money = require('./money');
+const repositories = require('./repositories');
+
+// Journal and per-account lines, loaded from the database at startup
+const journal = [];
+const accountLines = new Map();
+const entryIds = new Set();
+let refreshedAt = 0; // when the journal last read the table
+
+// Entries commit a moment after they are stamped, so each refresh reads back this far again
+const REFRESH_OVERLAP_MS = 60 * 1000;
+
+// Accounts whose balance grows with debits; everything else grows with credits
+const DEBIT_NORMAL_PREFIXES = ['gateway:', 'fx:', 'equity:', 'promotions:'];
+
+// Helper functions
+const generateJournalId = () => 'jrn_' + uuidv4().substring(0, 12);
+
+const isDebitNormal = (accountId) => {
+  return DEBIT_NORMAL_PREFIXES.some(prefix => accountId.startsWith(prefix)) && !accountId.endsWith(':fees');
+};
+
+const ledgerError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const debit = (account, amount, currency) => ({ account, currency, debit: amount, credit: 0 });
+const credit = (account, amount, currency) => ({ account, currency, debit: 0, credit: amount });
+
+// Adds fx:conversion legs so each currency nets to zero within a cross-currency entry
+const balanceWithFx = (lines) => {
+  const netByCurrency = {};
+  lines.forEach(line => {
+    netByCurrency[line.currency] = (netByCurrency[line.currency] || 0) + line.debit - line.credit;
+  });
+
+  const currencies = Object.keys(netByCurrency).filter(c => netByCurrency[c] !== 0);
+  if (currencies.length < 2) {
+    return lines;
+  }
+
+  return lines.concat(currencies.map(currency => {
+    const net = netByCurrency[currency];
+    return net > 0 ? credit('fx:conversion', net, currency) : debit('fx:conversion', -net, currency);
+  }));
+};
+
+// Adds an entry to the journal and to each of its accounts' lines
+const record = (entry) => {
+  entryIds.add(entry.id);
+  journal.push(entry);
+  entry.lines.forEach(line => {
+    if (!accountLines.has(line.account)) {
+      accountLines.set(line.account, []);
+    }
+    accountLines.get(line.account).push({ entryId: entry.id, type: entry.type, reference: entry.reference, ...line, timestamp: entry.timestamp });
+  });
+};
+
+// Takes back an entry whose write didn't commit (see repositories.transaction)
+const unrecord = (entry) => {
+  const index = journal.indexOf(entry);
+  if (index !== -1) {
+    journal.splice(index, 1);
+  }
+  entryIds.delete(entry.id);
+  entry.lines.forEach(line => {
+    const lines = (accountLines.get(line.account) || []).filter(l => l.entryId !== entry.id);
+    if (lines.length > 0) {
+      accountLines.set(line.account, lines);
+    } else {
+      accountLines.delete(line.account);
+    }
+  });
+};
+
+const postJournal = ({ type, reference = null, lines, metadata = {} }) => {
+  const postedLines = lines.filter(line => line.debit > 0 || line.credit > 0);
+
+  if (postedLines.length < 2) {
+    throw ledgerError('Journal entry needs at least two lines', 'LEDGER_ENTRY_INCOMPLETE');
+  }
+
+  // Every currency must balance on its own
+  const totals = {};
+  postedLines.forEach(line => {
+    money.add(line.debit, line.credit); // throws unless both are integer minor units
+    if (line.debit < 0 || line.credit < 0) {
+      throw ledgerError('Journal amounts must be positive', 'LEDGER_NEGATIVE_AMOUNT', { account: line.account });
+    }
+    totals[line.currency] = totals[line.currency] || { debit: 0, credit: 0 };
+    totals[line.currency].debit += line.debit;
+    totals[line.currency].credit += line.credit;
+  });
+
+  const unbalanced = Object.keys(totals).find(c => totals[c].debit !== totals[c].credit);
+  if (unbalanced) {
+    throw ledgerError('Journal entry does not balance', 'LEDGER_UNBALANCED', {
+      currency: unbalanced,
+      debits: totals[unbalanced].debit,
+      credits: totals[unbalanced].credit
+    });
+  }
+
+  const entry = {
+    id: generateJournalId(),
+    type,
+    reference,
+    lines: postedLines,
+    metadata,
+    timestamp: Date.now()
+  };
+
+  record(entry);
+  repositories.ledgerEntries.append(entry, unrecord);
+
+  return entry;
+};
+
+// Reloads the journal from the database; run once at startup, before anything posts
+const load = async () => {
+  refreshedAt = Date.now();
+  const entries = await repositories.ledgerEntries.readAll();
+  entries.forEach(record);
+  return entries.length;
+};
+
+// Reads in the entries other workers have posted since the last load or refresh
+const refresh = async () => {
+  const since = new Date(refreshedAt - REFRESH_OVERLAP_MS);
+  refreshedAt = Date.now();
+  const entries = (await repositories.ledgerEntries.readAll({ timestamp: { gte: since } })).filter(entry => !entryIds.has(entry.id));
+  entries.forEach(record);
+  return entries.length;
+};
+
+const getBalance = (accountId, currency) => {
+  const lines = (accountLines.get(accountId) || []).filter(line => !currency || line.currency === currency);
+  const net = lines.reduce((sum, line) => sum + line.credit - line.debit, 0);
+  return isDebitNormal(accountId) ? -net : net;
+};
+
+const getAccountLines = (accountId) => accountLines.get(accountId) || [];
+
+const getTrialBalance = () => {
+  const accounts = {};
+  const currencies = {};
+
+  journal.forEach(entry => {
+    entry.lines.forEach(line => {
+      const key = `${line.account}|${line.currency}`;
+      accounts[key] = accounts[key] || { account: line.account, currency: line.currency, debits: 0, credits: 0 };
+      accounts[key].debits += line.debit;
+      accounts[key].credits += line.credit;
+
+      currencies[line.currency] = currencies[line.currency] || { debits: 0, credits: 0 };
+      currencies[line.currency].debits += line.debit;
+      currencies[line.currency].credits += line.credit;
+    });
+  });
+
+  const byCurrency = Object.entries(currencies).map(([currency, t]) => ({
+    currency,
+    totalDebits: t.debits,
+    totalCredits: t.credits,
+    balanced: t.debits === t.credits
+  }));
+
+  return {
+    entries: journal.length,
+    balanced: byCurrency.every(c => c.balanced),
+    currencies: byCurrency,
+    accounts: Object.values(accounts).map(a => ({
+      account: a.account,
+      currency: a.currency,
+      debits: a.debits,
+      credits: a.credits,
+      balance: isDebitNormal(a.account) ? a.debits - a.credits : a.credits - a.debits
+    }))
+  };
+};
+
+module.exports = {
+  journal,
+  debit,
+  credit,
+  balanceWithFx,
+  postJournal,
+  load,
+  refresh,
+  getBalance,
+  getAccountLines,
+  getTrialBalance
+};
@@ -0,0 +1,86 @@
+const ledger = require('./ledger');
+const repositories = require('./repositories');
+
+// Accounts are named per run so a test database left from an earlier run doesn't add to them
+const run = Date.now().toString(36);
+const player = (name) => `user:${name}_${run}:deposit`;
+const gateway = `gateway:test_${run}:clearing`;
+
+afterAll(() => repositories.disconnect());
+
+describe('ledger', () => {
+  test('a balanced entry posts and moves both accounts', () => {
+    const entry = ledger.postJournal({
+      type: 'deposit',
+      reference: 'tx_1',
+      lines: [ledger.debit(gateway, 50000, 'INR'), ledger.credit(player('alice'), 50000, 'INR')]
+    });
+
+    expect(entry.id).toMatch(/^jrn_/);
+    expect(ledger.getBalance(player('alice'), 'INR')).toBe(50000);
+    // Gateway clearing grows with debits, so money in flight shows as positive
+    expect(ledger.getBalance(gateway, 'INR')).toBe(50000);
+    expect(ledger.getAccountLines(player('alice'))).toEqual([expect.objectContaining({ entryId: entry.id, credit: 50000, reference: 'tx_1' })]);
+  });
+
+  test('an entry that does not balance is refused and leaves the journal alone', () => {
+    const entries = ledger.journal.length;
+    expect(() => ledger.postJournal({
+      type: 'deposit',
+      lines: [ledger.debit(gateway, 50000, 'INR'), ledger.credit(player('bob'), 49999, 'INR')]
+    })).toThrow(expect.objectContaining({ code: 'LEDGER_UNBALANCED', currency: 'INR', debits: 50000, credits: 49999 }));
+
+    expect(ledger.journal).toHaveLength(entries);
+    expect(ledger.getBalance(player('bob'), 'INR')).toBe(0);
+  });
+
+  test('each currency has to balance on its own', () => {
+    expect(() => ledger.postJournal({
+      type: 'transfer',
+      lines: [ledger.debit(player('alice'), 100, 'USD'), ledger.credit(player('bob'), 100, 'INR')]
+    })).toThrow(expect.objectContaining({ code: 'LEDGER_UNBALANCED' }));
+  });
+
+  test('incomplete, negative and fractional entries are refused', () => {
+    expect(() => ledger.postJournal({
+      type: 'deposit',
+      lines: [ledger.debit(gateway, 100, 'INR'), ledger.credit(player('bob'), 0, 'INR')]
+    })).toThrow(expect.objectContaining({ code: 'LEDGER_ENTRY_INCOMPLETE' }));
+
+    expect(() => ledger.postJournal({
+      type: 'deposit',
+      lines: [{ ...ledger.debit(gateway, 200, 'INR'), credit: -100 }, ledger.credit(player('bob'), 100, 'INR')]
+    })).toThrow(expect.objectContaining({ code: 'LEDGER_NEGATIVE_AMOUNT' }));
+
+    expect(() => ledger.postJournal({
+      type: 'deposit',
+      lines: [ledger.debit(gateway, 10.5, 'INR'), ledger.credit(player('bob'), 10.5, 'INR')]
+    })).toThrow(expect.objectContaining({ code: 'MONEY_NOT_MINOR_UNITS' }));
+  });
+
+  test('balanceWithFx nets a cross-currency entry through fx:conversion', () => {
+    const lines = ledger.balanceWithFx([
+      ledger.debit(player('carol'), 1000, 'USD'),
+      ledger.credit(player('dave'), 83000, 'INR')
+    ]);
+
+    expect(lines).toEqual(expect.arrayContaining([
+      ledger.credit('fx:conversion', 1000, 'USD'),
+      ledger.debit('fx:conversion', 83000, 'INR')
+    ]));
+    expect(() => ledger.postJournal({ type: 'transfer', lines })).not.toThrow();
+  });
+
+  test('a single-currency entry is left as it is', () => {
+    const lines = [ledger.debit(gateway, 100, 'INR'), ledger.credit(player('bob'), 100, 'INR')];
+    expect(ledger.balanceWithFx(lines)).toBe(lines);
+  });
+
+  test('the trial balance stays balanced across everything posted', () => {
+    const trial = ledger.getTrialBalance();
+
+    expect(trial.entries).toBe(ledger.journal.length);
+    expect(trial.balanced).toBe(true);
+    trial.currencies.forEach(currency => expect(currency.totalDebits).toBe(currency.totalCredits));
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * SKILLZY ARENA - MATCH EVENT LOG
+ * Append-only record of everything that changed a match, for replays and disputes
+ *
+ * Features:
+ * - One log per match, in the order events were broadcast to the players
+ * - Entries are copied and frozen on append; nothing can edit or remove them
+ * - Millisecond timestamps plus the offset from the first entry, for playback timing
+ *
+ * The log holds the same events the players saw, so a replay shows exactly what happened
+ * on their screens. Entries are written to the match_events table as they are appended
+ * (see repositories.js). Only the logs of matches live in this process are kept in memory;
+ * a finished match's log is read back from the database a page at a time. Memory mode has
+ * nowhere to read them back from, so it keeps every log.
+ */
+
+const repositories = require('./repositories');
+
+// Logs of the matches live in this process
+const matchLogs = new Map(); // matchId -> array of frozen entries
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Appends an event to a match's log. The event is stored as a JSON copy, so later
+ * changes to the live game objects it came from never reach the log.
+ */
+const append = (matchId, event, at = Date.now()) => {
+  if (!matchLogs.has(matchId)) {
+    matchLogs.set(matchId, []);
+  }
+  const log = matchLogs.get(matchId);
+
+  const entry = deepFreeze({
+    seq: log.length,
+    type: event.type,
+    at,
+    offsetMs: log.length > 0 ? at - log[0].at : 0,
+    event: JSON.parse(JSON.stringify(event))
+  });
+  log.push(entry);
+  repositories.matchEvents.append({ matchId, ...entry });
+
+  return entry;
+};
+
+const storedEntry = ({ seq, type, at, event }, firstAt) => deepFreeze({ seq, type, at, offsetMs: at - firstAt, event });
+
+// Whether a match's log has to be read from the database rather than memory
+const stored = (matchId) => repositories.persistent && !matchLogs.has(matchId);
+
+/**
+ * Takes a match's stored log back into memory so appends carry on its numbering - for a match
+ * picked up again after a restart. Returns the number of entries.
+ */
+const resume = async (matchId) => {
+  const entries = await repositories.matchEvents.readAll({ matchId });
+  if (entries.length > 0) {
+    matchLogs.set(matchId, entries.map(entry => storedEntry(entry, entries[0].at)));
+  }
+  return entries.length;
+};
+
+// Lets a finished match's log go from memory; it is read back from the database from now on
+const forget = (matchId) => {
+  if (repositories.persistent) {
+    matchLogs.delete(matchId);
+  }
+};
+
+// A copy of the entries from `from` on; the entries themselves are frozen
+const getEntries = async (matchId, { from = 0, limit = Infinity } = {}) => {
+  if (!stored(matchId)) {
+    return (matchLogs.get(matchId) || []).slice(from, from + limit);
+  }
+
+  // Entries this process appended may still be on their way to the database
+  await repositories.flush();
+  const seq = Number.isFinite(limit) ? { gte: from, lt: from + limit } : { gte: from };
+  const [entries, first] = await Promise.all([
+    repositories.matchEvents.readAll({ matchId, seq }),
+    from > 0 ? repositories.matchEvents.readAll({ matchId, seq: 0 }) : null
+  ]);
+  const start = from > 0 ? first[0] : entries[0];
+  return entries.map(entry => storedEntry(entry, start ? start.at : entry.at));
+};
+
+const countEntries = (entries) => entries.reduce((counts, entry) => {
+  counts[entry.type] = (counts[entry.type] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Entry counts by event type for a page of matches, for history summaries:
+ * { matchId: { type: count } }. The stored logs are counted in one query between them.
+ */
+const countByTypeForMatches = async (matchIds) => {
+  const storedIds = matchIds.filter(stored);
+  let storedCounts = {};
+  if (storedIds.length > 0) {
+    await repositories.flush();
+    storedCounts = await repositories.matchEvents.countByType(storedIds);
+  }
+  return Object.fromEntries(matchIds.map(matchId => [
+    matchId,
+    stored(matchId) ? storedCounts[matchId] || {} : countEntries(matchLogs.get(matchId) || [])
+  ]));
+};
+
+// Entry counts by event type for one match
+const countByType = async (matchId) => (await countByTypeForMatches([matchId]))[matchId];
+
+const length = async (matchId) => Object.values(await countByType(matchId)).reduce((sum, count) => sum + count, 0);
+
+module.exports = {
+  append,
+  resume,
+  forget,
+  getEntries,
+  length,
+  countByType,
+  countByTypeForMatches
+};
@@ -0,0 +1,32 @@
+const matchLog = require('./match-log');
+const repositories = require('./repositories');
+
+// Matches are named per run so a test database left from an earlier run doesn't add to them
+const run = Date.now().toString(36);
+
+afterAll(() => repositories.disconnect());
+
+describe('match log', () => {
+  test('entries are numbered in order and frozen', async () => {
+    const matchId = `match_log_${run}_order`;
+    matchLog.append(matchId, { type: 'match_found' }, 1000);
+    const entry = matchLog.append(matchId, { type: 'score_update', score: 10 }, 1250);
+
+    expect(entry).toMatchObject({ seq: 1, type: 'score_update', offsetMs: 250 });
+    expect(Object.isFrozen(entry.event)).toBe(true);
+    expect(await matchLog.getEntries(matchId, { from: 1 })).toEqual([entry]);
+  });
+
+  test('a page of matches is counted by event type together', async () => {
+    const [moves, rolls, empty] = ['moves', 'rolls', 'empty'].map(name => `match_log_${run}_${name}`);
+    ['match_found', 'chess_move', 'chess_move'].forEach(type => matchLog.append(moves, { type }));
+    ['match_found', 'dice_roll'].forEach(type => matchLog.append(rolls, { type }));
+
+    expect(await matchLog.countByTypeForMatches([moves, rolls, empty])).toEqual({
+      [moves]: { match_found: 1, chess_move: 2 },
+      [rolls]: { match_found: 1, dice_roll: 1 },
+      [empty]: {}
+    });
+    expect(await matchLog.length(moves)).toBe(3);
+  });
+});
@@ -5,18 +5,50 @@
  * Features:
  * - Real-time matchmaking and opponent finding
  * - Live match monitoring and scoring
- * - 80/20 payout system (₹16 winner, ₹4 platform)
- * - Anti-cheat and fair play enforcement
- * - Multi-game support (Chess, Snake & Ladder, Carrom)
+ * - Stake tiers per game (free up to ₹100), each with its own rake (see stake-tiers.js)
+ * - Anti-cheat rules on every client score and match result (see anti-cheat.js)
+ * - Linked accounts (shared device, IP, payout or referral) are never paired (see account-links.js)
+ * - Multi-game support (Chess, Snake & Ladder, Carrom, Reaction Time, Speed Typing)
+ * - Server-decided chess: moves over the match channel, results from chess-engine.js
+ * - Server-simulated carrom: shots over the match channel, board from carrom-engine.js
+ * - Provably fair Snake & Ladder dice (commit-reveal seeds, see provably-fair.js); the rolls move
+ *   the board in snake-ladder-engine.js, which decides the result
+ * - Reconnection window for dropped players; forfeit and settle when it runs out
+ * - Timeout sweeper: stale queue entries expire, unstarted matches refund, overdue ones settle
+ * - Glicko ratings per game; the queue pairs within a rating band that widens with waiting
+ * - Queue and each player's current match kept in the shared state store (state-store.js), so
+ *   players on different cluster workers pair with each other and never land in two matches
+ * - Requests and sockets for a match live on another worker are passed through to that worker
+ * - Match-ended listeners, so tournaments can advance their brackets on ordinary matches
+ * - Read-only spectators on public matches, fed on a delay so they can't ghost for a player
+ * - Every state change recorded in an append-only event log (match-log.js) and replayable once finished
+ * - Matches stored in the database (repositories.js); a restart cancels the ones it interrupted
  * - International currency support
  */
 
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-const { body, param, validationResult } = require('express-validator');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { body, param, query, validationResult } = require('express-validator');
 const winston = require('winston');
+const walletSystem = require('./wallet');
+const chessEngine = require('./chess-engine');
+const carromEngine = require('./carrom-engine');
+const snakeLadderEngine = require('./snake-ladder-engine');
+const fairDice = require('./provably-fair');
+const ratings = require('./ratings');
+const antiCheat = require('./anti-cheat');
+const accountLinks = require('./account-links');
+const matchLog = require('./match-log');
+const repositories = require('./repositories');
+const stakeTiers = require('./stake-tiers');
+const money = require('./money');
+const { requireIdempotencyKey } = require('./idempotency');
+const { store: sharedState, rateLimitStore } = require('./state-store');
+const { CURRENCY_CONFIG, GAMING_CONFIG, FEATURE_FLAGS, JWT_SECRET, STATE_STORE_CONFIG } = require('./config');
 
 const router = express.Router();
 
@@ -37,86 +69,1170 @@ const matchLogger = winston.createLogger({
 const matchLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 10, // 10 match operations per minute
-  message: { error: 'Match operation limit exceeded', code: 'MATCH_RATE_LIMIT' }
+  message: { error: 'Match operation limit exceeded', code: 'MATCH_RATE_LIMIT' },
+  store: rateLimitStore('match'),
+  // Already counted by the worker that passed it on
+  skip: (req) => req.forwarded === true
 });
 
-// In-memory match storage (replace with SpacetimeDB in production)
+// Match storage - every match is saved to the database when it is created and again when it
+// ends; finished matches stay cached in matchHistory (see repositories.js)
+// Bet, payout and earnings amounts are integer minor units (see money.js)
+// The live game runs on the worker that created it; the queue and the player -> match claims
+// every worker needs are in the shared state store (see the shared match state section below),
+// and requests for the game are routed to its worker
 const activeMatches = new Map();
-const waitingPlayers = new Map();
-const matchHistory = new Map();
-
-// WebSocket server for real-time match updates
+const queueLengths = new Map(); // waitingKey -> queue length when this worker last read or wrote it
+const matchHistory = repositories.matches;
+const gameClocks = new Map(); // matchId -> timer that ends a server-decided game (chess flag, carrom match time)
+const diceSeeds = new Map(); // matchId -> secret server seed, kept off the match object until it is revealed
+const disconnectTimers = new Map(); // `${matchId}:${playerId}` -> timer that forfeits a dropped player
+const matchEndListeners = []; // called with each match once it completes or is cancelled
+const spectators = new Map(); // matchId -> Set of spectator sockets
+const settlingMatches = new Set(); // matchIds whose money is moving, so a second ending waits its turn out
+let timeoutSweepTimer = null;
+
+// WebSocket server for real-time match updates, attached to the HTTP server on MATCH_SOCKET_PATH
+const MATCH_SOCKET_PATH = '/ws/match';
 const wss = new WebSocket.Server({ noServer: true });
 
+// Events spectators see - game state and outcome, never anything meant for one player
+const SPECTATOR_EVENTS = new Set([
+  'chess_move',
+  'chess_state',
+  'carrom_shot',
+  'carrom_state',
+  'dice_roll',
+  'dice_state',
+  'score_update',
+  'player_disconnected',
+  'player_reconnected',
+  'match_completed',
+  'match_cancelled'
+]);
+
+// Events kept in the match's replay log - what spectators see, plus the match's creation
+const RECORDED_EVENTS = new Set(['match_found', ...SPECTATOR_EVENTS]);
+
 // Game configurations
 const GAME_CONFIGS = {
   chess: {
     name: 'Chess Master',
-    duration: 60, // 60 seconds
+    duration: 60, // 60 seconds on each player's clock
     maxPlayers: 2,
-    betAmount: 10,
-    payoutSplit: { winner: 16, platform: 4 }
+    scoring: 'server', // result decided by chess-engine.js from moves
+    clockOnDisconnect: 'run' // a dropped player's clock keeps ticking, as in online chess
   },
   snakeLadder: {
     name: 'Snake & Ladder',
     duration: 60,
     maxPlayers: 2,
-    betAmount: 10,
-    payoutSplit: { winner: 16, platform: 4 }
+    scoring: 'server', // board moved by snake-ladder-engine.js from the provably fair rolls
+    clockOnDisconnect: 'pause'
   },
   carrom: {
     name: 'Carrom Board',
     duration: 60,
     maxPlayers: 2,
-    betAmount: 10,
-    payoutSplit: { winner: 16, platform: 4 }
+    scoring: 'server', // board simulated by carrom-engine.js from shots
+    clockOnDisconnect: 'pause'
+  },
+  reactionTime: {
+    name: 'Reaction Time',
+    duration: 60,
+    maxPlayers: 2,
+    scoring: 'client', // reaction times travel in gameData for the anti-cheat rules
+    clockOnDisconnect: 'pause'
+  },
+  speedTyping: {
+    name: 'Speed Typing',
+    duration: 60,
+    maxPlayers: 2,
+    scoring: 'client', // typing speed travels in gameData for the anti-cheat rules
+    clockOnDisconnect: 'pause'
+  }
+};
+
+
+// Helper functions
+const formatResult = (result, currency) => ({
+  ...result,
+  payouts: result.payouts.map(p => ({ ...p, amount: money.toMajor(p.amount, p.currency || currency) })),
+  platformEarnings: money.toMajor(result.platformEarnings, currency)
+});
+
+const generateMatchId = () => 'match_' + uuidv4().substring(0, 8);
+
+// What a history entry carries about the game itself, from its log's entry counts by type; the
+// full record is behind replayUrl
+const replaySummary = (match, counts) => ({
+  replayUrl: `/api/match/${match.id}/replay`,
+  steps: Object.values(counts).reduce((sum, count) => sum + count, 0),
+  moves: (counts.chess_move || 0) + (counts.carrom_shot || 0) + (counts.dice_roll || 0),
+  scoreUpdates: counts.score_update || 0,
+  finalState: match.chess ? chessEngine.snapshot(match.chess)
+    : match.carrom ? carromEngine.scores(match.carrom)
+      : match.snakeLadder ? snakeLadderEngine.snapshot(match.snakeLadder).positions
+        : null
+});
+
+// A logged event as the players saw it; carrom shots get their trajectory back by re-simulation
+const replayEvent = ({ type, event }) => {
+  if (type !== 'carrom_shot' || !event.shot || event.shot.frames) {
+    return event;
+  }
+  const { board, ...shot } = event.shot;
+  return { ...event, shot: { ...shot, frames: carromEngine.shotFrames(board, shot.color, shot.input) } };
+};
+
+const onMatchEnded = (listener) => {
+  matchEndListeners.push(listener);
+};
+
+// A failing listener is logged and never undoes the settlement that triggered it
+const notifyMatchEnded = (match) => {
+  const listenerFailed = (error) => {
+    matchLogger.error('Match end listener failed', { matchId: match.id, error: error.message, code: error.code });
+  };
+  matchEndListeners.forEach(listener => {
+    try {
+      Promise.resolve(listener(match)).catch(listenerFailed);
+    } catch (error) {
+      listenerFailed(error);
+    }
+  });
+};
+
+// Every finished match goes through the anti-cheat result rules and the account link graph
+onMatchEnded(antiCheat.checkMatchResult);
+onMatchEnded(accountLinks.recordMatchResult);
+
+const diceError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Spectators get the same event GAMING_CONFIG.spectators.delay later; the match's final event closes their feed
+const sendToSpectators = (matchId, data) => {
+  const watchers = spectators.get(matchId);
+  if (!watchers || !SPECTATOR_EVENTS.has(data.type)) return;
+
+  const final = data.type === 'match_completed' || data.type === 'match_cancelled';
+  const timer = setTimeout(() => {
+    const message = JSON.stringify({ ...data, spectating: true });
+    watchers.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+      if (final) {
+        ws.spectating = null;
+      }
+    });
+    if (final) {
+      spectators.delete(matchId);
+    }
+  }, GAMING_CONFIG.spectators.delay * 1000);
+  timer.unref();
+};
+
+// `recorded` is what goes in the event log, when that can be smaller than what players are sent
+const broadcastToMatch = (matchId, data, recorded = data) => {
+  const match = activeMatches.get(matchId);
+  if (match) {
+    if (RECORDED_EVENTS.has(data.type)) {
+      matchLog.append(matchId, recorded);
+    }
+    match.players.forEach(player => {
+      if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+        player.ws.send(JSON.stringify(data));
+      } else if (player.missedEvents) {
+        // Held for the dropped player until they reconnect
+        player.missedEvents.push(data);
+      }
+    });
+    sendToSpectators(matchId, data);
+  }
+};
+
+const spectatorCount = (matchId) => (spectators.get(matchId) || new Set()).size;
+
+// The count is not game state, so it goes out straight away to players and spectators alike
+const broadcastSpectatorCount = (matchId) => {
+  const message = JSON.stringify({ type: 'spectator_count', matchId, spectators: spectatorCount(matchId) });
+  const match = activeMatches.get(matchId);
+  const sockets = [
+    ...(match ? match.players.map(p => p.ws) : []),
+    ...(spectators.get(matchId) || [])
+  ];
+  sockets.forEach(ws => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(message);
+    }
+  });
+};
+
+const isSpectatable = (match) => !match.isPrivate;
+
+const stopSpectating = (ws) => {
+  const matchId = ws.spectating;
+  const watchers = matchId && spectators.get(matchId);
+  ws.spectating = null;
+  if (watchers && watchers.delete(ws)) {
+    if (watchers.size === 0) {
+      spectators.delete(matchId);
+    }
+    broadcastSpectatorCount(matchId);
+  }
+};
+
+// Subscribes a socket to a live match. The opening snapshot is delayed like every later event.
+const handleSpectate = (ws, data) => {
+  const match = data.matchId && activeMatches.get(data.matchId);
+  if (!FEATURE_FLAGS.liveStreaming) {
+    return ws.send(JSON.stringify({ type: 'error', code: 'SPECTATING_DISABLED', error: 'Spectating is not available' }));
+  }
+  if (!match || !isSpectatable(match)) {
+    return ws.send(JSON.stringify({ type: 'error', code: 'MATCH_NOT_FOUND', error: 'Match not found' }));
+  }
+  if (match.players.some(p => p.id === ws.playerId)) {
+    return ws.send(JSON.stringify({ type: 'error', code: 'SPECTATOR_IS_PLAYER', error: 'Players cannot spectate their own match' }));
+  }
+  if (spectatorCount(match.id) >= GAMING_CONFIG.spectators.maxPerMatch) {
+    return ws.send(JSON.stringify({ type: 'error', code: 'SPECTATORS_FULL', error: 'Match has reached its spectator limit' }));
+  }
+
+  if (ws.spectating && ws.spectating !== match.id) {
+    stopSpectating(ws);
+  }
+  if (!spectators.has(match.id)) {
+    spectators.set(match.id, new Set());
+  }
+  spectators.get(match.id).add(ws);
+  ws.spectating = match.id;
+
+  const delay = GAMING_CONFIG.spectators.delay;
+  ws.send(JSON.stringify({
+    type: 'spectating',
+    matchId: match.id,
+    gameType: match.gameType,
+    players: match.players.map(p => ({ id: p.id, rating: p.rating })),
+    delay
+  }));
+
+  const snapshot = JSON.stringify({
+    type: 'spectator_snapshot',
+    matchId: match.id,
+    status: match.status,
+    players: match.players.map(p => ({ id: p.id, score: p.score, status: p.status })),
+    chess: match.chess ? chessEngine.snapshot(match.chess) : undefined,
+    carrom: match.carrom ? carromEngine.snapshot(match.carrom) : undefined,
+    snakeLadder: match.snakeLadder ? snakeLadderEngine.snapshot(match.snakeLadder) : undefined,
+    dice: match.dice ? diceFairness(match) : undefined,
+    spectating: true
+  });
+  setTimeout(() => {
+    if (ws.spectating === match.id && ws.readyState === WebSocket.OPEN) {
+      ws.send(snapshot);
+    }
+  }, delay * 1000).unref();
+
+  broadcastSpectatorCount(match.id);
+  matchLogger.info('Spectator joined', { matchId: match.id, spectatorId: ws.playerId, spectators: spectatorCount(match.id) });
+};
+
+// Shared match state - state-store.js keys for the queues, who is in which match, and a summary of each match
+const queueKey = (waitingKey) => `match_queue:${waitingKey}`;
+const playerMatchKey = (playerId) => `player_match:${playerId}`;
+const matchSummaryKey = (matchId) => `match:${matchId}`;
+
+const playerClaims = (playerIds, matchId) => Object.fromEntries(playerIds.map(id => [playerMatchKey(id), matchId]));
+
+const sharedStateFailed = (action, matchId) => (error) => {
+  matchLogger.error('Shared match state update failed', { action, matchId, error: error.message });
+};
+
+const playerInMatchError = (playerId) => {
+  const error = new Error('Player is already in a match');
+  error.code = 'PLAYER_IN_MATCH';
+  return Object.assign(error, { status: 409, playerId });
+};
+
+/**
+ * Claims the players for a match in one step, or none of them. /find claims its pairs before
+ * the match exists, so claims already held for this match are kept; rooms and tournaments
+ * claim here. Throws PLAYER_IN_MATCH (with playerId) if any of them is in another match.
+ */
+const claimPlayers = async (matchId, playerIds) => {
+  const held = await Promise.all(playerIds.map(id => sharedState.get(playerMatchKey(id))));
+  const busy = playerIds.find((id, i) => held[i] !== null && held[i] !== matchId);
+  if (busy) {
+    throw playerInMatchError(busy);
+  }
+  const unclaimed = playerIds.filter((id, i) => held[i] !== matchId);
+  if (!(await sharedState.claim(playerClaims(unclaimed, matchId), { ttl: STATE_STORE_CONFIG.claimTtl }))) {
+    const current = await Promise.all(unclaimed.map(id => sharedState.get(playerMatchKey(id))));
+    throw playerInMatchError(unclaimed.find((id, i) => current[i] !== null && current[i] !== matchId) || unclaimed[0]);
+  }
+};
+
+// Publishes the match's summary: where it runs, for routing, and how far it has got
+const shareMatch = (match) => sharedState.set(matchSummaryKey(match.id), {
+  id: match.id,
+  gameType: match.gameType,
+  status: match.status,
+  players: match.players.map(p => p.id),
+  isPrivate: match.isPrivate,
+  worker: STATE_STORE_CONFIG.workerId,
+  address: `http://${STATE_STORE_CONFIG.workerHost}:${STATE_STORE_CONFIG.workerPort}`,
+  updatedAt: Date.now()
+}, { ttl: STATE_STORE_CONFIG.claimTtl });
+
+// Only the players' claims on this match are released, never a claim on a later one
+const unshareMatch = (match) => {
+  Promise.all([
+    sharedState.del(matchSummaryKey(match.id)),
+    sharedState.release(playerClaims(match.players.map(p => p.id), match.id))
+  ]).catch(sharedStateFailed('unshare', match.id));
+};
+
+// The match a player is in on any worker, or null
+const currentMatch = async (playerId) => {
+  const local = Array.from(activeMatches.values()).find(match => match.players.some(p => p.id === playerId));
+  if (local) {
+    return { id: local.id, status: local.status };
+  }
+  const matchId = await sharedState.get(playerMatchKey(playerId));
+  const summary = matchId && await sharedState.get(matchSummaryKey(matchId));
+  return matchId ? { id: matchId, status: summary ? summary.status : 'starting' } : null;
+};
+
+// A stored match, read from the database if another worker created it
+const storedMatch = async (matchId) => matchHistory.get(matchId) || (await matchHistory.reload([matchId]))[0] || null;
+
+// Where the worker running a match can be reached, or null if it runs here or nowhere
+const matchOwner = async (matchId) => {
+  if (activeMatches.has(matchId)) return null;
+  const summary = await sharedState.get(matchSummaryKey(matchId));
+  return summary && summary.worker !== STATE_STORE_CONFIG.workerId ? summary.address : null;
+};
+
+// Passes a request or socket on to the worker in req.matchOwner; the body was already parsed here
+const matchProxy = createProxyMiddleware({
+  router: (req) => req.matchOwner,
+  onProxyReq: fixRequestBody,
+  logLevel: 'warn',
+  onError: (error, req, res) => {
+    matchLogger.error('Match worker unreachable', { matchId: req.matchId, owner: req.matchOwner, error: error.message });
+    if (typeof res.writeHead !== 'function') {
+      res.destroy();
+      return;
+    }
+    if (!res.headersSent) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+    }
+    res.end(JSON.stringify({ error: 'Match server unavailable', code: 'MATCH_WORKER_UNAVAILABLE' }));
+  }
+});
+
+// Requests for a match live on another worker go to that worker, which holds its game and sockets
+const routeToOwner = async (req, res, next) => {
+  const { matchId } = req.params;
+  if (req.forwarded || !/^match_[a-zA-Z0-9]{8}$/.test(matchId)) {
+    return next();
+  }
+  try {
+    const owner = await matchOwner(matchId);
+    if (!owner) {
+      return next();
+    }
+    Object.assign(req, { matchId, matchOwner: owner });
+    matchProxy(req, res, next);
+  } catch (error) {
+    matchLogger.error('Match owner lookup failed', { matchId, error: error.message });
+    next();
+  }
+};
+
+const saveQueue = async (waitingKey, entries) => {
+  queueLengths.set(waitingKey, entries.length);
+  if (entries.length > 0) {
+    await sharedState.set(queueKey(waitingKey), entries, { ttl: GAMING_CONFIG.matchTimeout.findOpponent });
+  } else {
+    await sharedState.del(queueKey(waitingKey));
+    queueLengths.delete(waitingKey);
+  }
+};
+
+/**
+ * Pairs a player from a shared queue, or queues them. The queue is read and written under its
+ * lock, and both players are claimed in one step before their match exists, so a pair formed on
+ * one worker can't also form on another. canPair(entry, waited) picks an acceptable opponent.
+ * Resolves to { opponent, matchId }, { existingMatchId } if another worker paired this player
+ * first, or { entry, position } for a queued player.
+ */
+const pairFromQueue = (waitingKey, candidate, canPair) => sharedState.withLock(queueKey(waitingKey), async () => {
+  const now = Date.now();
+  const entries = (await sharedState.get(queueKey(waitingKey)) || []).filter(entry => entry.timeoutAt > now);
+  // A queued player polling /find keeps their place and waiting time
+  const queued = entries.find(entry => entry.id === candidate.id);
+  const waited = queued ? now - queued.timestamp : 0;
+  const taken = new Set(); // entries paired on another worker since they queued here
+
+  let paired = null;
+  for (const entry of entries) {
+    if (entry.id === candidate.id || !canPair(entry, waited)) continue;
+
+    const matchId = generateMatchId();
+    if (await sharedState.claim(playerClaims([candidate.id, entry.id], matchId), { ttl: STATE_STORE_CONFIG.claimTtl })) {
+      paired = { opponent: entry, matchId };
+      break;
+    }
+    const existingMatchId = await sharedState.get(playerMatchKey(candidate.id));
+    if (existingMatchId) {
+      paired = { existingMatchId };
+      break;
+    }
+    taken.add(entry);
+  }
+
+  const remaining = entries.filter(entry => !taken.has(entry) && (!paired || (entry !== queued && entry !== paired.opponent)));
+  let entry = queued;
+  if (!paired && !entry) {
+    entry = { ...candidate, timestamp: now, timeoutAt: queueTimeoutAt(now) };
+    remaining.push(entry);
+    matchLogger.info('Player added to waiting list', { playerId: candidate.id, waitingKey, rating: candidate.rating });
+  }
+  await saveQueue(waitingKey, remaining);
+
+  return paired || { entry, position: remaining.indexOf(entry) + 1 };
+});
+
+// Drops expired entries from the queues this worker has seen; resolves to how many went
+const pruneQueues = async (now) => {
+  let expired = 0;
+  for (const waitingKey of Array.from(queueLengths.keys())) {
+    await sharedState.withLock(queueKey(waitingKey), async () => {
+      const entries = await sharedState.get(queueKey(waitingKey)) || [];
+      const live = entries.filter(entry => entry.timeoutAt > now);
+      expired += entries.length - live.length;
+      await saveQueue(waitingKey, live);
+    });
+  }
+  return expired;
+};
+
+// Timeouts - queue entries and matches carry a timeoutAt, like MatchSession.timeout_at in lib.rs
+const queueTimeoutAt = (now) => now + GAMING_CONFIG.matchTimeout.findOpponent * 1000;
+const startTimeoutAt = (now) => now + GAMING_CONFIG.matchTimeout.gameStart * 1000;
+
+const playTimeoutAt = (match, now) => {
+  const { gamePlay, resultProcess } = GAMING_CONFIG.matchTimeout;
+  // Chess runs on two clocks that end the game themselves; the timeout is only a backstop
+  const playSeconds = match.chess ? match.duration * match.players.length : gamePlay;
+  return now + (playSeconds + resultProcess) * 1000;
+};
+
+// First move, shot, roll or score starts the match and its gamePlay timeout
+const markMatchStarted = (match) => {
+  if (match.status !== 'starting') return;
+  match.status = 'in_progress';
+  match.startedAt = Date.now();
+  match.timeoutAt = playTimeoutAt(match, match.startedAt);
+  shareMatch(match).catch(sharedStateFailed('share', match.id));
+};
+
+// Match time left, excluding any time spent paused while a player was reconnecting
+const timeRemaining = (match, now = Date.now()) => {
+  const deadline = match.startTime + match.duration * 1000 + (match.pausedMs || 0);
+  return Math.max(0, deadline - (match.pausedAt || now));
+};
+
+// Provably fair dice - the commitment is public from creation, the seed only once the match is over
+const diceFairness = (match) => ({
+  serverSeedHash: match.dice.serverSeedHash,
+  serverSeed: match.dice.serverSeed || null,
+  clientSeeds: match.players.map(p => ({ playerId: p.id, clientSeed: match.dice.clientSeeds[p.id] || null })),
+  rolls: match.dice.rolls
+});
+
+const revealDiceSeed = (match) => {
+  if (match.dice && diceSeeds.has(match.id)) {
+    match.dice.serverSeed = diceSeeds.get(match.id);
+    diceSeeds.delete(match.id);
+  }
+};
+
+// Server-scored Snake & Ladder - each provably fair roll moves the roller's token on the engine's board
+const syncSnakeLadderScores = (match) => {
+  match.players.forEach(p => {
+    p.score = match.snakeLadder.positions[p.id];
+  });
+};
+
+const finishSnakeLadderMatch = async (match) => {
+  syncSnakeLadderScores(match);
+
+  const { winner, reason } = match.snakeLadder.result;
+  try {
+    await completeMatch(match, winner, reason);
+  } catch (error) {
+    matchLogger.error('Snake & Ladder match settlement failed', { matchId: match.id, error: error.message, code: error.code });
+  }
+};
+
+const handleDiceMessage = (match, playerId, data) => {
+  const dice = match.dice;
+  const game = match.snakeLadder;
+
+  if (data.type === 'resign') {
+    snakeLadderEngine.resign(game, playerId);
+    broadcastToMatch(match.id, { type: 'dice_state', matchId: match.id, fairness: diceFairness(match), state: snakeLadderEngine.snapshot(game) });
+    finishSnakeLadderMatch(match);
+    return;
+  }
+
+  if (data.type === 'client_seed') {
+    if (typeof data.clientSeed !== 'string' || !/^[\w-]{1,64}$/.test(data.clientSeed)) {
+      throw diceError('Client seed must be 1-64 letters, digits, _ or -', 'DICE_INVALID_CLIENT_SEED');
+    }
+    // Seeds are fixed once the first roll has been derived from them
+    if (dice.rolls.length > 0) {
+      throw diceError('Client seeds are locked after the first roll', 'DICE_SEEDS_LOCKED');
+    }
+    dice.clientSeeds[playerId] = data.clientSeed;
+    broadcastToMatch(match.id, { type: 'dice_state', matchId: match.id, fairness: diceFairness(match) });
+    return;
+  }
+
+  const seeds = match.players.map(p => dice.clientSeeds[p.id]);
+  if (seeds.some(seed => !seed)) {
+    throw diceError('Both players must submit a client seed before rolling', 'DICE_CLIENT_SEED_REQUIRED');
+  }
+  // The player who was waiting rolls first, then turns alternate
+  if (game.status !== 'active') {
+    throw diceError('Game is already over', 'DICE_GAME_OVER');
+  }
+  if (snakeLadderEngine.turnPlayer(game) !== playerId) {
+    throw diceError('Not your turn to roll', 'DICE_NOT_YOUR_TURN');
+  }
+  const nonce = dice.rolls.length;
+
+  const roll = {
+    nonce,
+    playerId,
+    value: fairDice.rollDie(diceSeeds.get(match.id), seeds, nonce),
+    timestamp: Date.now()
+  };
+  dice.rolls.push(roll);
+  const move = snakeLadderEngine.playRoll(game, playerId, roll.value);
+  markMatchStarted(match);
+  syncSnakeLadderScores(match);
+
+  broadcastToMatch(match.id, {
+    type: 'dice_roll',
+    matchId: match.id,
+    roll,
+    move,
+    state: snakeLadderEngine.snapshot(game),
+    serverSeedHash: dice.serverSeedHash
+  });
+
+  if (game.status !== 'active') {
+    finishSnakeLadderMatch(match);
+  }
+};
+
+// A match ends once; whoever comes second while the first is settling gets MATCH_ENDING
+const endOnce = async (match, end) => {
+  if (settlingMatches.has(match.id)) {
+    const error = new Error('Match is already ending');
+    error.code = 'MATCH_ENDING';
+    throw Object.assign(error, { status: 409 });
+  }
+  settlingMatches.add(match.id);
+  try {
+    return await end();
+  } finally {
+    settlingMatches.delete(match.id);
+  }
+};
+
+// Settles a finished match for its winner (null for a draw) and moves it to history
+const completeMatch = (match, winnerId, reason) => endOnce(match, async () => {
+  let result;
+  if (!winnerId) {
+    // Draw - return held stakes
+    const hold = await walletSystem.refundMatchHold(match.id, 'draw');
+    result = {
+      type: 'draw',
+      winner: null,
+      payouts: hold.payouts.map(p => ({ ...p, type: 'refund' })),
+      platformEarnings: 0
+    };
+  } else {
+    // Winner takes payout from the held stakes
+    const winner = match.players.find(p => p.id === winnerId);
+    const loser = match.players.find(p => p.id !== winnerId);
+    await walletSystem.settleMatchHold(match.id, winner.id, match.payout);
+    result = {
+      type: 'win',
+      winner: winner.id,
+      winnerScore: winner.score,
+      loserScore: loser.score,
+      payouts: [
+        { playerId: winner.id, amount: match.payout.winner, currency: match.currency, type: 'win' },
+        { playerId: loser.id, amount: 0, currency: match.currency, type: 'loss' }
+      ],
+      platformEarnings: match.payout.platform
+    };
+  }
+  if (reason) {
+    result.reason = reason;
+  }
+  // The money has moved by now, so a rating that can't be stored doesn't stop the match ending
+  try {
+    result.ratings = await ratings.recordResult(match.gameType, match.players.map(p => p.id), result.winner);
+  } catch (error) {
+    matchLogger.error('Match ratings not updated', { matchId: match.id, error: error.message });
+    result.ratings = {};
+  }
+  revealDiceSeed(match);
+  clearDisconnectTimers(match);
+
+  // Update match status
+  match.escrow.status = result.type === 'draw' ? 'refunded' : 'settled';
+  match.status = 'completed';
+  match.endTime = Date.now();
+  match.result = result;
+
+  // Broadcast final result while the players are still reachable
+  broadcastToMatch(match.id, {
+    type: 'match_completed',
+    matchId: match.id,
+    result: formatResult(result, match.currency),
+    fairness: match.dice ? diceFairness(match) : undefined,
+    timestamp: match.endTime
+  });
+
+  // Move to match history
+  activeMatches.delete(match.id);
+  matchLog.forget(match.id);
+  unshareMatch(match);
+  await matchHistory.set(match.id, match);
+
+  matchLogger.info('Match completed', { matchId: match.id, result: result.type, winner: result.winner, reason });
+  notifyMatchEnded(match);
+
+  return result;
+});
+
+// Refunds both stakes for a match that won't be played and moves it to history
+const cancelMatch = (match, reason, cancelledBy) => endOnce(match, async () => {
+  const hold = await walletSystem.refundMatchHold(match.id, reason);
+  clearTimeout(gameClocks.get(match.id));
+  gameClocks.delete(match.id);
+
+  match.status = 'cancelled';
+  match.endTime = Date.now();
+  match.cancelReason = reason;
+  match.cancelledBy = cancelledBy;
+  match.escrow.status = 'refunded';
+  revealDiceSeed(match);
+  clearDisconnectTimers(match);
+
+  const refundResult = {
+    type: 'cancelled',
+    payouts: hold.payouts.map(p => ({ ...p, type: 'refund' })),
+    platformEarnings: 0,
+    reason
+  };
+  match.result = refundResult;
+
+  // Broadcast cancellation while the players are still reachable
+  broadcastToMatch(match.id, {
+    type: 'match_cancelled',
+    matchId: match.id,
+    reason,
+    refunds: formatResult(refundResult, match.currency).payouts,
+    timestamp: match.endTime
+  });
+
+  // Move to history and remove from active
+  activeMatches.delete(match.id);
+  matchLog.forget(match.id);
+  unshareMatch(match);
+  await matchHistory.set(match.id, match);
+
+  matchLogger.info('Match cancelled', { matchId: match.id, cancelledBy, reason });
+  notifyMatchEnded(match);
+
+  return refundResult;
+});
+
+// Server-decided chess - moves arrive over the match channel and the engine calls the result
+const finishChessMatch = async (match) => {
+  clearTimeout(gameClocks.get(match.id));
+  gameClocks.delete(match.id);
+
+  const { winner, reason } = match.chess.result;
+  match.players.forEach(p => {
+    p.score = p.id === winner ? 1 : 0;
+  });
+
+  try {
+    await completeMatch(match, winner, reason);
+  } catch (error) {
+    matchLogger.error('Chess match settlement failed', { matchId: match.id, error: error.message, code: error.code });
+  }
+};
+
+const scheduleChessFlag = (match) => {
+  clearTimeout(gameClocks.get(match.id));
+  const game = match.chess;
+  const remaining = chessEngine.remainingClocks(game)[game.position.turn];
+
+  const timer = setTimeout(() => {
+    gameClocks.delete(match.id);
+    if (activeMatches.has(match.id) && chessEngine.checkClock(match.chess)) {
+      broadcastToMatch(match.id, { type: 'chess_state', matchId: match.id, state: chessEngine.snapshot(match.chess) });
+      finishChessMatch(match);
+    }
+  }, remaining + 10);
+  timer.unref();
+  gameClocks.set(match.id, timer);
+};
+
+const handleChessMessage = (match, playerId, data) => {
+  const game = match.chess;
+
+  // playMove returns null when the mover's clock had already run out
+  let move = null;
+  if (data.type === 'resign') {
+    chessEngine.resign(game, playerId);
+  } else {
+    move = chessEngine.playMove(game, playerId, { from: data.from, to: data.to, promotion: data.promotion });
+  }
+
+  if (move) {
+    markMatchStarted(match);
+  }
+  broadcastToMatch(match.id, {
+    type: move ? 'chess_move' : 'chess_state',
+    matchId: match.id,
+    move,
+    state: chessEngine.snapshot(game)
+  });
+
+  if (game.status === 'active') {
+    scheduleChessFlag(match);
+  } else {
+    finishChessMatch(match);
+  }
+};
+
+// Server-simulated carrom - shots arrive over the match channel and the engine moves the board
+const syncCarromScores = (match) => {
+  const scores = carromEngine.scores(match.carrom);
+  match.players.forEach(p => {
+    p.score = scores[carromEngine.colorOfPlayer(match.carrom, p.id)];
+  });
+};
+
+const finishCarromMatch = async (match) => {
+  clearTimeout(gameClocks.get(match.id));
+  gameClocks.delete(match.id);
+  syncCarromScores(match);
+
+  const { winner, reason } = match.carrom.result;
+  try {
+    await completeMatch(match, winner, reason);
+  } catch (error) {
+    matchLogger.error('Carrom match settlement failed', { matchId: match.id, error: error.message, code: error.code });
+  }
+};
+
+// Carrom has no per-shot clock; when match time is up the higher score takes the board
+const scheduleCarromTimeout = (match) => {
+  const timer = setTimeout(() => {
+    gameClocks.delete(match.id);
+    if (activeMatches.has(match.id)) {
+      carromEngine.expire(match.carrom);
+      broadcastToMatch(match.id, { type: 'carrom_state', matchId: match.id, state: carromEngine.snapshot(match.carrom) });
+      finishCarromMatch(match);
+    }
+  }, timeRemaining(match));
+  timer.unref();
+  gameClocks.set(match.id, timer);
+};
+
+const handleCarromMessage = (match, playerId, data) => {
+  const game = match.carrom;
+
+  let shot = null;
+  const board = game.coins;
+  if (data.type === 'resign') {
+    carromEngine.resign(game, playerId);
+  } else {
+    shot = carromEngine.playShot(game, playerId, { position: data.position, angle: data.angle, power: data.power });
+    markMatchStarted(match);
+    syncCarromScores(match);
+  }
+
+  const event = {
+    type: shot ? 'carrom_shot' : 'carrom_state',
+    matchId: match.id,
+    shot,
+    state: carromEngine.snapshot(game)
+  };
+  // The log keeps the board the shot was played on instead of its frames; replays re-simulate them
+  const { frames, ...played } = shot || {};
+  broadcastToMatch(match.id, event, shot ? { ...event, shot: { ...played, board } } : event);
+
+  if (game.status !== 'active') {
+    finishCarromMatch(match);
+  }
+};
+
+// Reconnection - a dropped player gets GAMING_CONFIG.matchTimeout.reconnectWindow to come back
+const clearDisconnectTimers = (match) => {
+  match.players.forEach(p => {
+    clearTimeout(disconnectTimers.get(`${match.id}:${p.id}`));
+    disconnectTimers.delete(`${match.id}:${p.id}`);
+  });
+};
+
+const pauseMatchClock = (match) => {
+  if (match.pausedAt) return;
+  clearTimeout(gameClocks.get(match.id));
+  gameClocks.delete(match.id);
+  match.pausedAt = Date.now();
+};
+
+const resumeMatchClock = (match) => {
+  if (!match.pausedAt) return;
+  const pausedFor = Date.now() - match.pausedAt;
+  match.pausedMs = (match.pausedMs || 0) + pausedFor;
+  match.pausedAt = null;
+  match.timeoutAt += pausedFor;
+
+  if (match.chess) {
+    // Nobody can move while paused, so the mover's clock simply restarts later
+    match.chess.turnStartedAt += pausedFor;
+    scheduleChessFlag(match);
+  } else if (match.carrom) {
+    scheduleCarromTimeout(match);
+  }
+};
+
+const forfeitMatch = async (match, playerId) => {
+  const opponent = match.players.find(p => p.id !== playerId);
+  matchLogger.info('Player forfeited after disconnect', { matchId: match.id, playerId });
+
+  if (match.chess) {
+    chessEngine.resign(match.chess, playerId, 'disconnect');
+    broadcastToMatch(match.id, { type: 'chess_state', matchId: match.id, state: chessEngine.snapshot(match.chess) });
+    await finishChessMatch(match);
+  } else if (match.carrom) {
+    carromEngine.resign(match.carrom, playerId, 'disconnect');
+    broadcastToMatch(match.id, { type: 'carrom_state', matchId: match.id, state: carromEngine.snapshot(match.carrom) });
+    await finishCarromMatch(match);
+  } else if (match.snakeLadder) {
+    snakeLadderEngine.resign(match.snakeLadder, playerId, 'disconnect');
+    broadcastToMatch(match.id, { type: 'dice_state', matchId: match.id, fairness: diceFairness(match), state: snakeLadderEngine.snapshot(match.snakeLadder) });
+    await finishSnakeLadderMatch(match);
+  } else {
+    try {
+      await completeMatch(match, opponent.id, 'disconnect');
+    } catch (error) {
+      matchLogger.error('Forfeit settlement failed', { matchId: match.id, error: error.message, code: error.code });
+    }
+  }
+};
+
+const handleDisconnect = (match, player) => {
+  const now = Date.now();
+  const windowMs = GAMING_CONFIG.matchTimeout.reconnectWindow * 1000;
+  const clock = GAME_CONFIGS[match.gameType].clockOnDisconnect;
+
+  player.ws = null;
+  player.status = 'disconnected';
+  player.disconnectedAt = now;
+  if (clock === 'pause') {
+    pauseMatchClock(match);
+  }
+
+  broadcastToMatch(match.id, {
+    type: 'player_disconnected',
+    matchId: match.id,
+    playerId: player.id,
+    reconnectBy: now + windowMs,
+    clock: match.pausedAt ? 'paused' : 'running',
+    timestamp: now
+  });
+  player.missedEvents = [];
+
+  const key = `${match.id}:${player.id}`;
+  clearTimeout(disconnectTimers.get(key));
+  const timer = setTimeout(() => {
+    disconnectTimers.delete(key);
+    if (activeMatches.has(match.id) && player.status === 'disconnected') {
+      forfeitMatch(match, player.id);
+    }
+  }, windowMs);
+  timer.unref();
+  disconnectTimers.set(key, timer);
+
+  matchLogger.info('Player disconnected', { matchId: match.id, playerId: player.id, clock });
+};
+
+// Returns the events the player missed while away
+const handleReconnect = (match, player) => {
+  const missedEvents = player.missedEvents || [];
+  clearTimeout(disconnectTimers.get(`${match.id}:${player.id}`));
+  disconnectTimers.delete(`${match.id}:${player.id}`);
+
+  player.missedEvents = null;
+  player.status = 'connected';
+  player.disconnectedAt = null;
+  if (match.players.every(p => p.status !== 'disconnected')) {
+    resumeMatchClock(match);
+  }
+
+  broadcastToMatch(match.id, {
+    type: 'player_reconnected',
+    matchId: match.id,
+    playerId: player.id,
+    timestamp: Date.now()
+  });
+  matchLogger.info('Player reconnected', { matchId: match.id, playerId: player.id, missedEvents: missedEvents.length });
+
+  return missedEvents;
+};
+
+// Timeout sweep - a match past its timeoutAt is refunded if it never started, otherwise settled
+const expireMatch = async (match) => {
+  if (match.status === 'starting') {
+    await cancelMatch(match, 'Match never started', null);
+    return;
+  }
+
+  matchLogger.info('Match timed out', { matchId: match.id, gameType: match.gameType });
+  if (match.carrom) {
+    carromEngine.expire(match.carrom);
+    broadcastToMatch(match.id, { type: 'carrom_state', matchId: match.id, state: carromEngine.snapshot(match.carrom) });
+    await finishCarromMatch(match);
+    return;
+  }
+  if (match.snakeLadder) {
+    snakeLadderEngine.expire(match.snakeLadder);
+    broadcastToMatch(match.id, { type: 'dice_state', matchId: match.id, fairness: diceFairness(match), state: snakeLadderEngine.snapshot(match.snakeLadder) });
+    await finishSnakeLadderMatch(match);
+    return;
+  }
+
+  clearTimeout(gameClocks.get(match.id));
+  gameClocks.delete(match.id);
+  if (match.chess && chessEngine.checkClock(match.chess)) {
+    broadcastToMatch(match.id, { type: 'chess_state', matchId: match.id, state: chessEngine.snapshot(match.chess) });
+    await finishChessMatch(match);
+    return;
+  }
+
+  // Settle on the scores as they stand; level scores are a draw
+  const [leader, trailer] = [...match.players].sort((a, b) => b.score - a.score);
+  await completeMatch(match, leader.score === trailer.score ? null : leader.id, 'timeout');
+};
+
+const sweepTimeouts = async () => {
+  const now = Date.now();
+
+  let expiredEntries = 0;
+  try {
+    expiredEntries = await pruneQueues(now);
+  } catch (error) {
+    matchLogger.error('Queue timeout sweep failed', { error: error.message, code: error.code });
+  }
+
+  // Paused matches are waiting on a reconnection window, which ends them itself
+  const overdue = Array.from(activeMatches.values()).filter(m => !m.pausedAt && m.timeoutAt <= now && !settlingMatches.has(m.id));
+  for (const match of overdue) {
+    try {
+      await expireMatch(match);
+    } catch (error) {
+      matchLogger.error('Match timeout failed', { matchId: match.id, error: error.message, code: error.code });
+    }
+  }
+
+  if (expiredEntries > 0 || overdue.length > 0) {
+    matchLogger.info('Timeout sweep', { expiredQueueEntries: expiredEntries, expiredMatches: overdue.length });
+  }
+};
+
+const startTimeoutSweeper = () => {
+  if (!timeoutSweepTimer) {
+    timeoutSweepTimer = setInterval(sweepTimeouts, GAMING_CONFIG.matchTimeout.sweepInterval * 1000);
+    timeoutSweepTimer.unref();
+  }
+};
+
+const stopTimeoutSweeper = () => {
+  clearInterval(timeoutSweepTimer);
+  timeoutSweepTimer = null;
+};
+
+/**
+ * Holds both stakes and starts a match. opponent is the player who was waiting (or hosting)
+ * and moves first. betAmount is the tier's stake in currency, as quoted to the players.
+ * tournament ({ id, round }) marks a bracket game, which gets the longer tournament start window.
+ * isPrivate keeps the match off the live listing and closed to spectators.
+ * matchId is for a pair already claimed under that ID (see pairFromQueue).
+ * Throws PLAYER_IN_MATCH (with playerId) if either player is in another match, and
+ * INSUFFICIENT_STAKE_BALANCE (with playerId) if either stake is short.
+ */
+const createMatch = async ({ gameType, currency, tier, betAmount = stakeTiers.stakeFor(tier, currency), player, opponent, tournament, isPrivate = false, matchId = generateMatchId() }) => {
+  const gameConfig = GAME_CONFIGS[gameType];
+  const playerIds = [player.id, opponent.id];
+
+  // Both players are claimed before any money moves, so neither can end up in two matches
+  await claimPlayers(matchId, playerIds);
+
+  // Debit both stakes into the match hold; nothing is debited if either player falls short
+  let hold;
+  try {
+    hold = await walletSystem.holdMatchStakes(matchId, playerIds, betAmount, currency);
+  } catch (error) {
+    await sharedState.release(playerClaims(playerIds, matchId)).catch(sharedStateFailed('release', matchId));
+    if (error.code === 'INSUFFICIENT_STAKE_BALANCE') {
+      matchLogger.warn('Match stake not covered', { matchId, playerId: error.playerId });
+    }
+    throw error;
+  }
+
+  // Split the whole pot by the tier's rake so both shares always add back up to both stakes
+  const payout = stakeTiers.payoutFor(tier, betAmount);
+
+  const match = {
+    id: matchId,
+    gameType,
+    currency,
+    tierId: tier.id,
+    rakePercent: tier.rakePercent,
+    betAmount,
+    rateId: hold.rateId,
+    players: [
+      { id: player.id, score: 0, status: 'connected', rating: player.rating },
+      { id: opponent.id, score: 0, status: 'connected', rating: opponent.rating }
+    ],
+    status: 'starting',
+    startTime: Date.now(),
+    timeoutAt: tournament
+      ? Date.now() + GAMING_CONFIG.tournaments.matchStartWindow * 1000
+      : startTimeoutAt(Date.now()),
+    tournament: tournament || undefined,
+    isPrivate,
+    duration: gameConfig.duration,
+    payout,
+    escrow: {
+      status: hold.status,
+      stakes: hold.stakes.map(s => s.transactionId)
+    }
+  };
+
+  // Chess is played move by move against the server's clock; the waiting player takes white
+  if (gameType === 'chess') {
+    match.chess = chessEngine.createGame({
+      white: opponent.id,
+      black: player.id,
+      clockMs: gameConfig.duration * 1000
+    });
+  }
+
+  // Carrom is simulated shot by shot on the server; the waiting player breaks with white
+  if (gameType === 'carrom') {
+    match.carrom = carromEngine.createGame({ white: opponent.id, black: player.id });
+  }
+
+  // Snake & Ladder dice: commit to the server seed now, reveal it when the match ends
+  if (gameType === 'snakeLadder') {
+    const { serverSeed, serverSeedHash } = fairDice.createCommitment();
+    diceSeeds.set(matchId, serverSeed);
+    match.dice = {
+      serverSeedHash,
+      clientSeeds: { [player.id]: player.clientSeed || null, [opponent.id]: opponent.clientSeed || null },
+      rolls: []
+    };
+    match.snakeLadder = snakeLadderEngine.createGame({ players: [opponent.id, player.id] });
+  }
+
+  // Published before it is stored, so every stored unfinished match names the worker running it
+  activeMatches.set(matchId, match);
+  try {
+    await shareMatch(match);
+    await matchHistory.save(match);
+  } catch (error) {
+    activeMatches.delete(matchId);
+    diceSeeds.delete(matchId);
+    unshareMatch(match);
+    await walletSystem.refundMatchHold(matchId, 'Match could not be started').catch(refundError => {
+      matchLogger.error('Unstarted match refund failed', { matchId, error: refundError.message, code: refundError.code });
+    });
+    throw error;
+  }
+  if (match.chess) {
+    scheduleChessFlag(match);
+  } else if (match.carrom) {
+    scheduleCarromTimeout(match);
   }
-};
 
-// Currency conversion rates (mock - integrate with real API)
-const CURRENCY_RATES = {
-  INR: 1,
-  USD: 0.012,
-  EUR: 0.011,
-  GBP: 0.0095,
-  CNY: 0.086,
-  JPY: 1.8,
-  KRW: 16.2,
-  BRL: 0.062,
-  RUB: 1.1,
-  AED: 0.044,
-  SAR: 0.045,
-  CAD: 0.016,
-  AUD: 0.018
-};
+  // Notify both players
+  broadcastToMatch(matchId, {
+    type: 'match_found',
+    matchId,
+    gameType,
+    opponent: opponent.id,
+    tierId: tier.id,
+    betAmount: money.toMajor(betAmount, currency),
+    currency,
+    startTime: match.startTime,
+    serverSeedHash: match.dice ? match.dice.serverSeedHash : undefined
+  });
 
-// Helper functions
-const convertCurrency = (amount, fromCurrency, toCurrency) => {
-  const inrAmount = amount / CURRENCY_RATES[fromCurrency];
-  return Math.round(inrAmount * CURRENCY_RATES[toCurrency] * 100) / 100;
+  matchLogger.info('Match created', { matchId, gameType, tierId: tier.id, players: [player.id, opponent.id] });
+
+  return match;
 };
 
-const generateMatchId = () => 'match_' + uuidv4().substring(0, 8);
+// Match routes act for the player in the JWT, never for a playerId named in the body
+const authenticatePlayer = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'Authorization header required', code: 'AUTH_REQUIRED' });
+  }
 
-const broadcastToMatch = (matchId, data) => {
-  const match = activeMatches.get(matchId);
-  if (match) {
-    match.players.forEach(player => {
-      if (player.ws && player.ws.readyState === WebSocket.OPEN) {
-        player.ws.send(JSON.stringify(data));
-      }
-    });
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.userId) {
+      return res.status(403).json({ error: 'Player token required', code: 'AUTH_INVALID' });
+    }
+    req.playerId = decoded.userId;
+    next();
+  } catch (error) {
+    matchLogger.warn('Match token rejected', { error: error.message });
+    return res.status(401).json({ error: 'Invalid token', code: 'AUTH_INVALID' });
   }
 };
 
 // Apply rate limiting
 router.use(matchLimiter);
+router.use('/:matchId', routeToOwner);
 
 // Find or create match endpoint
-router.post('/find', [
-  body('gameType').isIn(['chess', 'snakeLadder', 'carrom']).withMessage('Valid game type required'),
-  body('playerId').isLength({ min: 1 }).withMessage('Player ID required'),
-  body('currency').optional().isIn(Object.keys(CURRENCY_RATES)).withMessage('Valid currency required')
+router.post('/find', authenticatePlayer, [
+  body('gameType').isIn(GAMING_CONFIG.availableGames).withMessage('Valid game type required'),
+  body('currency').optional().isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
+  body('tierId').optional().isLength({ min: 1 }).withMessage('Valid stake tier required'),
+  body('clientSeed').optional().matches(/^[\w-]{1,64}$/).withMessage('Client seed must be 1-64 letters, digits, _ or -')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -124,13 +1240,20 @@ router.post('/find', [
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { gameType, playerId, currency = 'INR' } = req.body;
-    const gameConfig = GAME_CONFIGS[gameType];
+    const { playerId } = req;
+    const { gameType, currency = 'INR', clientSeed } = req.body;
+    const tier = await stakeTiers.getTier(gameType, req.body.tierId || GAMING_CONFIG.defaultStakeTier);
+    if (!tier || !tier.active) {
+      return res.status(400).json({
+        error: 'Stake tier not available for this game',
+        code: 'STAKE_TIER_UNAVAILABLE',
+        tiers: (await stakeTiers.listTiers(gameType)).map(t => stakeTiers.formatTier(t, currency))
+      });
+    }
+    const betAmountConverted = stakeTiers.stakeFor(tier, currency);
 
-    // Check if player is already in a match
-    const existingMatch = Array.from(activeMatches.values()).find(match => 
-      match.players.some(p => p.id === playerId)
-    );
+    // Check if player is already in a match, on this worker or another
+    const existingMatch = await currentMatch(playerId);
 
     if (existingMatch) {
       return res.json({
@@ -141,84 +1264,89 @@ router.post('/find', [
       });
     }
 
-    // Look for waiting players for the same game type
-    let opponent = null;
-    const waitingKey = `${gameType}_${currency}`;
-    
-    if (waitingPlayers.has(waitingKey)) {
-      const waitingList = waitingPlayers.get(waitingKey);
-      if (waitingList.length > 0) {
-        opponent = waitingList.shift();
-        if (waitingList.length === 0) {
-          waitingPlayers.delete(waitingKey);
-        }
-      }
+    // Players must be able to cover the stake before they can queue or be paired
+    if (!(await walletSystem.canCoverStake(playerId, betAmountConverted, currency))) {
+      return res.status(400).json({
+        error: 'Insufficient balance to cover match stake',
+        code: 'INSUFFICIENT_STAKE_BALANCE',
+        playerId,
+        betAmount: money.toMajor(betAmountConverted, currency),
+        currency
+      });
     }
 
-    if (opponent) {
-      // Create match with found opponent
-      const matchId = generateMatchId();
-      const betAmountConverted = convertCurrency(gameConfig.betAmount, 'INR', currency);
-      
-      const match = {
-        id: matchId,
-        gameType,
-        currency,
-        betAmount: betAmountConverted,
-        players: [
-          { id: playerId, score: 0, status: 'connected' },
-          { id: opponent.id, score: 0, status: 'connected' }
-        ],
-        status: 'starting',
-        startTime: Date.now(),
-        duration: gameConfig.duration,
-        payout: {
-          winner: convertCurrency(gameConfig.payoutSplit.winner, 'INR', currency),
-          platform: convertCurrency(gameConfig.payoutSplit.platform, 'INR', currency)
-        }
-      };
-
-      activeMatches.set(matchId, match);
+    await accountLinks.recordIdentity(playerId, 'ip', req.ip);
+
+    // Look for a waiting player of similar rating at the same tier; the band widens with the longer wait of the two.
+    // Linked accounts pass each other by and wait for someone else.
+    const waitingKey = `${gameType}_${tier.id}_${currency}`;
+    const now = Date.now();
+    const { rating } = await ratings.getRating(playerId, gameType, now);
+    const linked = await accountLinks.linkedAccountIds(playerId);
+    const pairing = await pairFromQueue(waitingKey, { id: playerId, clientSeed, rating }, (entry, waited) =>
+      !linked.has(entry.id) &&
+      Math.abs(entry.rating - rating) <= ratings.ratingBand(Math.max(waited, Date.now() - entry.timestamp))
+    );
 
-      // Notify both players
-      broadcastToMatch(matchId, {
-        type: 'match_found',
-        matchId,
-        gameType,
-        opponent: opponent.id,
-        betAmount: betAmountConverted,
-        currency,
-        startTime: match.startTime
-      });
+    if (pairing.existingMatchId) {
+      return res.json({ success: true, matchFound: true, matchId: pairing.existingMatchId, status: 'starting' });
+    }
 
-      matchLogger.info('Match created', { matchId, gameType, players: [playerId, opponent.id] });
+    const { opponent } = pairing;
+    if (opponent) {
+      // Create match with found opponent
+      let match;
+      try {
+        match = await createMatch({
+          gameType,
+          currency,
+          tier,
+          betAmount: betAmountConverted,
+          player: { id: playerId, rating, clientSeed },
+          opponent,
+          matchId: pairing.matchId
+        });
+      } catch (error) {
+        await sharedState.release(playerClaims([playerId, opponent.id], pairing.matchId));
+        if (error.code !== 'INSUFFICIENT_STAKE_BALANCE') throw error;
+
+        return res.status(400).json({
+          error: 'Insufficient balance to cover match stake',
+          code: error.playerId === playerId ? 'INSUFFICIENT_STAKE_BALANCE' : 'OPPONENT_STAKE_NOT_COVERED',
+          playerId: error.playerId,
+          betAmount: money.toMajor(betAmountConverted, currency),
+          currency
+        });
+      }
 
       res.json({
         success: true,
         matchFound: true,
-        matchId,
+        matchId: match.id,
         gameType,
         opponent: opponent.id,
-        betAmount: betAmountConverted,
+        rating,
+        opponentRating: opponent.rating,
+        tier: stakeTiers.formatTier(tier, currency),
+        betAmount: money.toMajor(betAmountConverted, currency),
         currency,
+        serverSeedHash: match.dice ? match.dice.serverSeedHash : undefined,
         estimatedStart: 3 // 3 seconds
       });
 
     } else {
-      // Add player to waiting list
-      if (!waitingPlayers.has(waitingKey)) {
-        waitingPlayers.set(waitingKey, []);
-      }
-      waitingPlayers.get(waitingKey).push({ id: playerId, timestamp: Date.now() });
-
-      matchLogger.info('Player added to waiting list', { playerId, gameType, currency });
+      const { entry, position } = pairing;
 
       res.json({
         success: true,
         matchFound: false,
         status: 'waiting',
         estimatedWait: 30, // 30 seconds average
-        queuePosition: waitingPlayers.get(waitingKey).length
+        queuePosition: position,
+        queueExpiresAt: entry.timeoutAt,
+        tier: stakeTiers.formatTier(tier, currency),
+        rating,
+        ratingBand: Math.round(ratings.ratingBand(Date.now() - entry.timestamp))
       });
     }
 
@@ -253,9 +1381,17 @@ router.get('/:matchId/status', [
         status: match.status,
         players: match.players.map(p => ({ id: p.id, score: p.score, status: p.status })),
         startTime: match.startTime,
-        timeRemaining: Math.max(0, (match.startTime + match.duration * 1000) - Date.now()),
-        betAmount: match.betAmount,
-        currency: match.currency
+        timeRemaining: timeRemaining(match),
+        paused: Boolean(match.pausedAt),
+        tierId: match.tierId,
+        tournament: match.tournament,
+        spectators: spectatorCount(match.id),
+        betAmount: money.toMajor(match.betAmount, match.currency),
+        currency: match.currency,
+        chess: match.chess ? chessEngine.snapshot(match.chess) : undefined,
+        carrom: match.carrom ? carromEngine.snapshot(match.carrom) : undefined,
+        snakeLadder: match.snakeLadder ? snakeLadderEngine.snapshot(match.snakeLadder) : undefined,
+        dice: match.dice ? diceFairness(match) : undefined
       }
     });
 
@@ -266,9 +1402,8 @@ router.get('/:matchId/status', [
 });
 
 // Submit game score
-router.post('/:matchId/score', [
+router.post('/:matchId/score', authenticatePlayer, [
   param('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required'),
-  body('playerId').isLength({ min: 1 }).withMessage('Player ID required'),
   body('score').isNumeric().withMessage('Valid score required'),
   body('gameData').optional().isObject().withMessage('Game data must be object')
 ], async (req, res) => {
@@ -279,7 +1414,8 @@ router.post('/:matchId/score', [
     }
 
     const { matchId } = req.params;
-    const { playerId, score, gameData } = req.body;
+    const { playerId } = req;
+    const { score, gameData } = req.body;
     
     const match = activeMatches.get(matchId);
     if (!match) {
@@ -292,9 +1428,20 @@ router.post('/:matchId/score', [
       return res.status(403).json({ error: 'Player not in match', code: 'PLAYER_NOT_IN_MATCH' });
     }
 
+    if (GAME_CONFIGS[match.gameType].scoring === 'server') {
+      return res.status(409).json({
+        error: 'Scores for this game are decided by the server from moves',
+        code: 'SCORE_DECIDED_BY_SERVER'
+      });
+    }
+
     // Update player score
-    match.players[playerIndex].score = Math.max(0, parseInt(score));
-    match.players[playerIndex].lastUpdate = Date.now();
+    const player = match.players[playerIndex];
+    const previous = { previousScore: player.score, previousAt: player.lastUpdate || match.startTime };
+    player.score = Math.max(0, parseInt(score));
+    player.lastUpdate = Date.now();
+    markMatchStarted(match);
+    antiCheat.checkScoreUpdate(match, playerId, { ...previous, score: player.score, gameData });
 
     // Broadcast score update to all players
     broadcastToMatch(matchId, {
@@ -320,7 +1467,7 @@ router.post('/:matchId/score', [
 });
 
 // Complete match and determine winner
-router.post('/:matchId/complete', [
+router.post('/:matchId/complete', authenticatePlayer, requireIdempotencyKey('match_complete'), [
   param('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required')
 ], async (req, res) => {
   try {
@@ -340,74 +1487,40 @@ router.post('/:matchId/complete', [
       return res.status(400).json({ error: 'Match already completed', code: 'MATCH_ALREADY_COMPLETED' });
     }
 
-    // Determine winner based on scores
-    const sortedPlayers = [...match.players].sort((a, b) => b.score - a.score);
-    const winner = sortedPlayers[0];
-    const loser = sortedPlayers[1];
-
-    let result;
-    if (winner.score === loser.score) {
-      // Draw - return bet amounts
-      result = {
-        type: 'draw',
-        winner: null,
-        payouts: [
-          { playerId: winner.id, amount: match.betAmount, type: 'refund' },
-          { playerId: loser.id, amount: match.betAmount, type: 'refund' }
-        ],
-        platformEarnings: 0
-      };
-    } else {
-      // Winner takes payout
-      result = {
-        type: 'win',
-        winner: winner.id,
-        winnerScore: winner.score,
-        loserScore: loser.score,
-        payouts: [
-          { playerId: winner.id, amount: match.payout.winner, type: 'win' },
-          { playerId: loser.id, amount: 0, type: 'loss' }
-        ],
-        platformEarnings: match.payout.platform
-      };
+    if (!match.players.some(p => p.id === req.playerId)) {
+      return res.status(403).json({ error: 'Player not in match', code: 'PLAYER_NOT_IN_MATCH' });
     }
 
-    // Update match status
-    match.status = 'completed';
-    match.endTime = Date.now();
-    match.result = result;
-
-    // Move to match history
-    matchHistory.set(matchId, match);
-    activeMatches.delete(matchId);
-
-    // Broadcast final result
-    broadcastToMatch(matchId, {
-      type: 'match_completed',
-      matchId,
-      result,
-      timestamp: match.endTime
-    });
+    if (GAME_CONFIGS[match.gameType].scoring === 'server') {
+      return res.status(409).json({
+        error: 'This game ends when the server decides the result',
+        code: 'RESULT_DECIDED_BY_SERVER'
+      });
+    }
 
-    matchLogger.info('Match completed', { matchId, result: result.type, winner: result.winner });
+    // Determine winner based on scores
+    const [winner, loser] = [...match.players].sort((a, b) => b.score - a.score);
+    const result = await completeMatch(match, winner.score === loser.score ? null : winner.id);
 
     res.json({
       success: true,
       matchId,
       status: 'completed',
-      result
+      result: formatResult(result, match.currency)
     });
 
   } catch (error) {
+    if (error.code === 'MATCH_ENDING' || (error.code && error.code.startsWith('ESCROW_'))) {
+      return res.status(error.status || 409).json({ error: error.message, code: error.code });
+    }
     matchLogger.error('Match completion error', { error: error.message });
     res.status(500).json({ error: 'Match completion failed', code: 'MATCH_COMPLETE_ERROR' });
   }
 });
 
 // Cancel match
-router.post('/:matchId/cancel', [
+router.post('/:matchId/cancel', authenticatePlayer, requireIdempotencyKey('match_cancel'), [
   param('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required'),
-  body('playerId').isLength({ min: 1 }).withMessage('Player ID required'),
   body('reason').optional().isLength({ max: 200 }).withMessage('Reason too long')
 ], async (req, res) => {
   try {
@@ -417,7 +1530,8 @@ router.post('/:matchId/cancel', [
     }
 
     const { matchId } = req.params;
-    const { playerId, reason = 'Player cancelled' } = req.body;
+    const { playerId } = req;
+    const { reason = 'Player cancelled' } = req.body;
 
     const match = activeMatches.get(matchId);
     if (!match) {
@@ -429,53 +1543,180 @@ router.post('/:matchId/cancel', [
       return res.status(403).json({ error: 'Player not in match', code: 'PLAYER_NOT_IN_MATCH' });
     }
 
-    match.status = 'cancelled';
-    match.endTime = Date.now();
-    match.cancelReason = reason;
-    match.cancelledBy = playerId;
-
-    // Refund both players
-    const refundResult = {
-      type: 'cancelled',
-      payouts: match.players.map(p => ({
-        playerId: p.id,
-        amount: match.betAmount,
-        type: 'refund'
-      })),
-      platformEarnings: 0,
-      reason
-    };
+    // Bracket games are played, resigned or left to time out - never called off by one side
+    if (match.tournament) {
+      return res.status(409).json({ error: 'Tournament matches cannot be cancelled', code: 'TOURNAMENT_MATCH_NOT_CANCELLABLE' });
+    }
 
-    match.result = refundResult;
+    // Once a chess game is under way the only way out is to resign
+    if (match.chess && match.chess.moves.length > 0) {
+      return res.status(409).json({ error: 'Game in progress; resign instead', code: 'MATCH_IN_PROGRESS' });
+    }
 
-    // Move to history and remove from active
-    matchHistory.set(matchId, match);
-    activeMatches.delete(matchId);
+    // Neither can a carrom board or dice that have already been played
+    if ((match.carrom && match.carrom.shots.length > 0) || (match.dice && match.dice.rolls.length > 0)) {
+      return res.status(409).json({ error: 'Game in progress', code: 'MATCH_IN_PROGRESS' });
+    }
 
-    // Broadcast cancellation
-    broadcastToMatch(matchId, {
-      type: 'match_cancelled',
-      matchId,
-      reason,
-      refunds: refundResult.payouts,
-      timestamp: match.endTime
-    });
+    // Nor a client-scored game once anyone has reported a score - a player who sees they are
+    // losing could otherwise call it off and take their stake back
+    if (match.players.some(p => p.score > 0 || p.lastUpdate)) {
+      return res.status(409).json({ error: 'Game in progress', code: 'MATCH_IN_PROGRESS' });
+    }
 
-    matchLogger.info('Match cancelled', { matchId, playerId, reason });
+    const refundResult = await cancelMatch(match, reason, playerId);
 
     res.json({
       success: true,
       matchId,
       status: 'cancelled',
-      refunds: refundResult.payouts
+      refunds: formatResult(refundResult, match.currency).payouts
     });
 
   } catch (error) {
+    if (error.code === 'MATCH_ENDING' || (error.code && error.code.startsWith('ESCROW_'))) {
+      return res.status(error.status || 409).json({ error: error.message, code: error.code });
+    }
     matchLogger.error('Match cancellation error', { error: error.message });
     res.status(500).json({ error: 'Match cancellation failed', code: 'MATCH_CANCEL_ERROR' });
   }
 });
 
+// Dice fairness record for a Snake & Ladder match - public so anyone can audit the rolls
+router.get('/:matchId/fairness', [
+  param('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { matchId } = req.params;
+    const match = activeMatches.get(matchId) || await storedMatch(matchId);
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found', code: 'MATCH_NOT_FOUND' });
+    }
+
+    if (!match.dice) {
+      return res.status(400).json({ error: 'Match has no dice rolls to verify', code: 'FAIRNESS_NOT_APPLICABLE' });
+    }
+
+    const fairness = diceFairness(match);
+    const revealed = Boolean(fairness.serverSeed);
+
+    res.json({
+      success: true,
+      matchId,
+      status: match.status,
+      revealed,
+      fairness,
+      verification: revealed ? fairDice.verifyRolls({
+        serverSeed: fairness.serverSeed,
+        serverSeedHash: fairness.serverSeedHash,
+        clientSeeds: fairness.clientSeeds.map(c => c.clientSeed),
+        rolls: fairness.rolls
+      }) : null,
+      // The board the published rolls give, to check against the result
+      positions: match.snakeLadder ? snakeLadderEngine.replay(match.snakeLadder.players, fairness.rolls).positions : undefined
+    });
+
+  } catch (error) {
+    matchLogger.error('Match fairness error', { error: error.message });
+    res.status(500).json({ error: 'Match fairness failed', code: 'MATCH_FAIRNESS_ERROR' });
+  }
+});
+
+// Re-verify any dice sequence from its revealed inputs, without trusting stored match data
+router.post('/fairness/verify', [
+  body('serverSeed').isHexadecimal().withMessage('Server seed required'),
+  body('serverSeedHash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Valid server seed hash required'),
+  body('clientSeeds').isArray({ min: 2, max: 2 }).withMessage('Both client seeds required'),
+  body('clientSeeds.*').isString().withMessage('Client seeds must be strings'),
+  body('rolls').isArray({ max: 1000 }).withMessage('Rolls must be an array'),
+  body('rolls.*.nonce').isInt({ min: 0 }).withMessage('Roll nonce required'),
+  body('rolls.*.value').isInt({ min: 1, max: fairDice.DICE_SIDES }).withMessage('Roll value must be 1-6')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { serverSeed, serverSeedHash, clientSeeds, rolls } = req.body;
+    const verification = fairDice.verifyRolls({
+      serverSeed,
+      serverSeedHash: serverSeedHash.toLowerCase(),
+      clientSeeds,
+      rolls: rolls.map(r => ({ nonce: parseInt(r.nonce), value: parseInt(r.value) }))
+    });
+
+    res.json({ success: true, verification });
+
+  } catch (error) {
+    matchLogger.error('Fairness verification error', { error: error.message });
+    res.status(500).json({ error: 'Fairness verification failed', code: 'FAIRNESS_VERIFY_ERROR' });
+  }
+});
+
+// Step through a finished match, event by event, from its replay log
+router.get('/:matchId/replay', [
+  param('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required'),
+  query('from').optional().isInt({ min: 0 }).withMessage('Valid step required'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Valid limit required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { matchId } = req.params;
+    // A live match's log would show one player what the other is doing
+    if (activeMatches.has(matchId)) {
+      return res.status(409).json({ error: 'Match is still in progress', code: 'MATCH_NOT_FINISHED' });
+    }
+    const match = await storedMatch(matchId);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found', code: 'MATCH_NOT_FOUND' });
+    }
+
+    const from = parseInt(req.query.from) || 0;
+    const limit = parseInt(req.query.limit) || 100;
+    const [entries, totalSteps] = await Promise.all([matchLog.getEntries(matchId, { from, limit }), matchLog.length(matchId)]);
+    const steps = entries.map(entry => ({
+      step: entry.seq,
+      type: entry.type,
+      at: entry.at,
+      offsetMs: entry.offsetMs,
+      event: replayEvent(entry)
+    }));
+
+    res.json({
+      success: true,
+      match: {
+        id: match.id,
+        gameType: match.gameType,
+        status: match.status,
+        players: match.players.map(p => ({ id: p.id, score: p.score, rating: p.rating })),
+        startTime: match.startTime,
+        endTime: match.endTime,
+        result: match.result ? formatResult(match.result, match.currency) : null,
+        fairness: match.dice ? diceFairness(match) : undefined
+      },
+      totalSteps,
+      from,
+      steps,
+      nextStep: from + steps.length < totalSteps ? from + steps.length : null
+    });
+
+  } catch (error) {
+    matchLogger.error('Match replay error', { error: error.message });
+    res.status(500).json({ error: 'Match replay failed', code: 'MATCH_REPLAY_ERROR' });
+  }
+});
+
 // Get player match history
 router.get('/history/:playerId', [
   param('playerId').isLength({ min: 1 }).withMessage('Player ID required')
@@ -489,10 +1730,12 @@ router.get('/history/:playerId', [
       .filter(match => match.players.some(p => p.id === playerId))
       .sort((a, b) => (b.endTime || b.startTime) - (a.endTime || a.startTime))
       .slice((page - 1) * limit, page * limit);
+    const eventCounts = await matchLog.countByTypeForMatches(playerMatches.map(match => match.id));
 
-    const matchSummaries = playerMatches.map(match => {
+    const matchSummaries = playerMatches.map((match) => {
       const player = match.players.find(p => p.id === playerId);
       const opponent = match.players.find(p => p.id !== playerId);
+      const payout = match.result?.payouts?.find(p => p.playerId === playerId);
       
       return {
         matchId: match.id,
@@ -501,13 +1744,19 @@ router.get('/history/:playerId', [
         myScore: player.score,
         opponentScore: opponent ? opponent.score : 0,
         result: match.result?.winner === playerId ? 'win' : 
+                match.result?.type === 'void' ? 'void' :
                 match.result?.winner === null ? 'draw' : 'loss',
-        betAmount: match.betAmount,
-        payout: match.result?.payouts?.find(p => p.playerId === playerId)?.amount || 0,
+        rating: match.result?.ratings?.[playerId] || null,
+        opponentRating: opponent ? match.result?.ratings?.[opponent.id] || null : null,
+        tierId: match.tierId,
+        betAmount: money.toMajor(match.betAmount, match.currency),
+        payout: payout ? money.toMajor(payout.amount, payout.currency || match.currency) : 0,
         currency: match.currency,
         startTime: match.startTime,
         endTime: match.endTime,
-        status: match.status
+        status: match.status,
+        dispute: match.result?.dispute || null,
+        gameData: replaySummary(match, eventCounts[match.id])
       };
     });
 
@@ -527,24 +1776,75 @@ router.get('/history/:playerId', [
   }
 });
 
+// Stake tiers open for queueing, per game
+router.get('/tiers', [
+  query('currency').optional().isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { currency = 'INR' } = req.query;
+    const tiers = {};
+    for (const gameType of Object.keys(GAME_CONFIGS)) {
+      tiers[gameType] = (await stakeTiers.listTiers(gameType)).map(t => stakeTiers.formatTier(t, currency));
+    }
+
+    res.json({ success: true, defaultTier: GAMING_CONFIG.defaultStakeTier, currency, tiers });
+
+  } catch (error) {
+    matchLogger.error('Stake tiers error', { error: error.message });
+    res.status(500).json({ error: 'Stake tiers failed', code: 'STAKE_TIERS_ERROR' });
+  }
+});
+
+// Rating leaderboard for a game type
+router.get('/leaderboard/:gameType', [
+  param('gameType').isIn(Object.keys(GAME_CONFIGS)).withMessage('Valid game type required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { gameType } = req.params;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const { playerId } = req.query;
+
+    res.json({
+      success: true,
+      gameType,
+      leaderboard: await ratings.leaderboard(gameType, { limit }),
+      player: playerId ? await ratings.getRating(playerId, gameType) : undefined
+    });
+
+  } catch (error) {
+    matchLogger.error('Leaderboard error', { error: error.message });
+    res.status(500).json({ error: 'Leaderboard failed', code: 'LEADERBOARD_ERROR' });
+  }
+});
+
+const liveStats = () => ({
+  activeMatches: activeMatches.size,
+  waitingPlayers: Array.from(queueLengths.values()).reduce((sum, length) => sum + length, 0),
+  gameBreakdown: Object.fromEntries(Object.keys(GAME_CONFIGS).map(gameType => [
+    gameType,
+    Array.from(activeMatches.values()).filter(m => m.gameType === gameType).length
+  ])),
+  spectators: Array.from(spectators.values()).reduce((sum, watchers) => sum + watchers.size, 0),
+  totalMatchesToday: matchHistory.size, // Simplified - should use proper date filtering
+  averageMatchDuration: 60,
+  platformEarningsToday: Array.from(matchHistory.values())
+    .reduce((sum, match) => sum + money.toMajor(match.result?.platformEarnings || 0, match.currency), 0)
+});
+
 // Live matches statistics
 router.get('/stats/live', async (req, res) => {
   try {
-    const stats = {
-      activeMatches: activeMatches.size,
-      waitingPlayers: Array.from(waitingPlayers.values()).reduce((sum, list) => sum + list.length, 0),
-      gameBreakdown: {
-        chess: Array.from(activeMatches.values()).filter(m => m.gameType === 'chess').length,
-        snakeLadder: Array.from(activeMatches.values()).filter(m => m.gameType === 'snakeLadder').length,
-        carrom: Array.from(activeMatches.values()).filter(m => m.gameType === 'carrom').length
-      },
-      totalMatchesToday: matchHistory.size, // Simplified - should use proper date filtering
-      averageMatchDuration: 60,
-      platformEarningsToday: Array.from(matchHistory.values())
-        .reduce((sum, match) => sum + (match.result?.platformEarnings || 0), 0)
-    };
-
-    res.json({ success: true, stats });
+    res.json({ success: true, stats: liveStats() });
 
   } catch (error) {
     matchLogger.error('Live stats error', { error: error.message });
@@ -552,27 +1852,147 @@ router.get('/stats/live', async (req, res) => {
   }
 });
 
+// Public matches in play, most watched first, for picking one to spectate
+router.get('/live', [
+  query('gameType').optional().isIn(Object.keys(GAME_CONFIGS)).withMessage('Valid game type required'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Valid limit required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { gameType } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const matches = Array.from(activeMatches.values())
+      .filter(match => isSpectatable(match) && (!gameType || match.gameType === gameType))
+      .map(match => ({
+        matchId: match.id,
+        gameType: match.gameType,
+        tierId: match.tierId,
+        tournament: match.tournament,
+        status: match.status,
+        players: match.players.map(p => ({ id: p.id, rating: p.rating, score: p.score, status: p.status })),
+        startTime: match.startTime,
+        timeRemaining: timeRemaining(match),
+        spectators: spectatorCount(match.id)
+      }))
+      .sort((a, b) => b.spectators - a.spectators || b.startTime - a.startTime)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      spectating: {
+        enabled: FEATURE_FLAGS.liveStreaming,
+        delay: GAMING_CONFIG.spectators.delay,
+        socketPath: MATCH_SOCKET_PATH
+      },
+      stats: liveStats(),
+      matches
+    });
+
+  } catch (error) {
+    matchLogger.error('Live matches error', { error: error.message });
+    res.status(500).json({ error: 'Live matches failed', code: 'LIVE_MATCHES_ERROR' });
+  }
+});
+
 // WebSocket handling for real-time match updates
 const handleWebSocket = (ws, req) => {
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
       
-      if (data.type === 'join_match' && data.matchId && data.playerId) {
-        const match = activeMatches.get(data.matchId);
-        if (match) {
-          const player = match.players.find(p => p.id === data.playerId);
-          if (player) {
-            player.ws = ws;
-            ws.matchId = data.matchId;
-            ws.playerId = data.playerId;
-            
-            ws.send(JSON.stringify({
-              type: 'joined',
-              matchId: data.matchId,
-              status: match.status
-            }));
+      if (data.type === 'join_match') {
+        // The player is whoever the handshake token named; a playerId in the message is ignored
+        const match = data.matchId && activeMatches.get(data.matchId);
+        if (!match) {
+          ws.send(JSON.stringify({ type: 'error', code: 'MATCH_NOT_FOUND', error: 'Match not found' }));
+          return;
+        }
+
+        const player = match.players.find(p => p.id === ws.playerId);
+        if (!player) {
+          matchLogger.warn('Match join rejected', { matchId: match.id, playerId: ws.playerId });
+          ws.send(JSON.stringify({ type: 'error', code: 'PLAYER_NOT_IN_MATCH', error: 'Player not in match' }));
+          return;
+        }
+
+        const previous = player.ws;
+        player.ws = ws;
+        ws.matchId = match.id;
+        const missedEvents = player.status === 'disconnected' ? handleReconnect(match, player) : [];
+        player.status = 'connected';
+        if (previous && previous !== ws && previous.readyState === WebSocket.OPEN) {
+          previous.close();
+        }
+
+        // Full snapshot so a reconnecting client can rebuild the game, plus what it missed
+        ws.send(JSON.stringify({
+          type: 'joined',
+          matchId: match.id,
+          playerId: player.id,
+          status: match.status,
+          players: match.players.map(p => ({ id: p.id, score: p.score, status: p.status })),
+          timeRemaining: timeRemaining(match),
+          paused: Boolean(match.pausedAt),
+          missedEvents,
+          chess: match.chess ? chessEngine.snapshot(match.chess) : undefined,
+          carrom: match.carrom ? carromEngine.snapshot(match.carrom) : undefined,
+          snakeLadder: match.snakeLadder ? snakeLadderEngine.snapshot(match.snakeLadder) : undefined,
+          dice: match.dice ? diceFairness(match) : undefined
+        }));
+      } else if (data.type === 'move' || data.type === 'shot' || data.type === 'resign') {
+        // Moves and shots only count from a socket that has joined the match as a player
+        const match = ws.matchId && activeMatches.get(ws.matchId);
+        const game = match && (data.type === 'move' ? match.chess : data.type === 'shot' ? match.carrom : match.chess || match.carrom || match.snakeLadder);
+        if (!game) {
+          ws.send(JSON.stringify({ type: 'error', code: 'MATCH_NOT_JOINED', error: 'Join an active chess or carrom match first' }));
+          return;
+        }
+        if (match.pausedAt && data.type !== 'resign') {
+          ws.send(JSON.stringify({ type: 'error', code: 'MATCH_PAUSED', error: 'Waiting for a player to reconnect' }));
+          return;
+        }
+
+        try {
+          if (match.chess) {
+            handleChessMessage(match, ws.playerId, data);
+          } else if (match.carrom) {
+            handleCarromMessage(match, ws.playerId, data);
+          } else {
+            handleDiceMessage(match, ws.playerId, data);
           }
+        } catch (error) {
+          if (!error.code || !/^(CHESS|CARROM|SNAKE_LADDER)_/.test(error.code)) {
+            throw error;
+          }
+          ws.send(JSON.stringify({ type: 'error', code: error.code, error: error.message }));
+        }
+      } else if (data.type === 'spectate') {
+        handleSpectate(ws, data);
+      } else if (data.type === 'stop_spectating') {
+        stopSpectating(ws);
+      } else if (data.type === 'client_seed' || data.type === 'roll') {
+        const match = ws.matchId && activeMatches.get(ws.matchId);
+        if (!match || !match.dice) {
+          ws.send(JSON.stringify({ type: 'error', code: 'MATCH_NOT_JOINED', error: 'Join an active Snake & Ladder match first' }));
+          return;
+        }
+        if (match.pausedAt) {
+          ws.send(JSON.stringify({ type: 'error', code: 'MATCH_PAUSED', error: 'Waiting for a player to reconnect' }));
+          return;
+        }
+
+        try {
+          handleDiceMessage(match, ws.playerId, data);
+        } catch (error) {
+          if (!error.code || !error.code.startsWith('DICE_')) {
+            throw error;
+          }
+          ws.send(JSON.stringify({ type: 'error', code: error.code, error: error.message }));
         }
       }
     } catch (error) {
@@ -581,23 +2001,119 @@ const handleWebSocket = (ws, req) => {
   });
 
   ws.on('close', () => {
-    if (ws.matchId && ws.playerId) {
-      const match = activeMatches.get(ws.matchId);
-      if (match) {
-        const player = match.players.find(p => p.id === ws.playerId);
-        if (player) {
-          player.ws = null;
-          player.status = 'disconnected';
-        }
-      }
+    stopSpectating(ws);
+    const match = ws.matchId && activeMatches.get(ws.matchId);
+    const player = match && match.players.find(p => p.id === ws.playerId);
+    // A socket already replaced by a newer connection for the same player isn't a drop
+    if (player && player.ws === ws) {
+      handleDisconnect(match, player);
+    }
+  });
+};
+
+wss.on('connection', handleWebSocket);
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * HTTP upgrade on MATCH_SOCKET_PATH - the player JWT is checked before any socket exists. A
+ * socket opened with ?matchId= for a match live on another worker is passed through to it, so
+ * players and spectators always reach the worker running the game.
+ */
+const handleUpgrade = async (req, socket, head) => {
+  // Browsers can't set headers on a WebSocket handshake, so the token may also come as ?token=
+  const url = new URL(req.url, 'http://localhost');
+  const token = req.headers.authorization?.split(' ')[1] || url.searchParams.get('token');
+  if (!token) {
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    matchLogger.warn('Match socket token rejected', { error: error.message });
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+  if (!decoded.userId) {
+    return rejectUpgrade(socket, 403, 'Forbidden');
+  }
+
+  const matchId = url.searchParams.get('matchId');
+  if (matchId && !req.forwarded) {
+    let owner;
+    try {
+      owner = await matchOwner(matchId);
+    } catch (error) {
+      matchLogger.error('Match owner lookup failed', { matchId, error: error.message });
+    }
+    if (owner) {
+      Object.assign(req, { matchId, matchOwner: owner });
+      return matchProxy.upgrade(req, socket, head);
     }
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    ws.playerId = decoded.userId;
+    wss.emit('connection', ws, req);
   });
 };
 
+/**
+ * Cancels the matches a restart cut short. Their games died with the old process, so both
+ * stakes are refunded as for a match that never started. Only matches this worker ran, or
+ * whose shared summary has expired, are touched; the rest are live on other workers. Run once
+ * at startup, after the wallets are restored and before the server takes requests.
+ */
+const recoverInterruptedMatches = async () => {
+  const unfinished = Array.from(matchHistory.values()).filter(m => !['completed', 'cancelled'].includes(m.status));
+  const interrupted = [];
+  for (const match of unfinished) {
+    await sharedState.withLock(matchSummaryKey(match.id), async () => {
+      const summary = await sharedState.get(matchSummaryKey(match.id));
+      if (summary && summary.worker !== STATE_STORE_CONFIG.workerId) {
+        return;
+      }
+      interrupted.push(match);
+
+      // Live again just long enough for the cancellation to reach its event log
+      activeMatches.set(match.id, match);
+      try {
+        await matchLog.resume(match.id);
+        await cancelMatch(match, 'Server restarted', null);
+      } catch (error) {
+        activeMatches.delete(match.id);
+        matchLogger.error('Interrupted match recovery failed', { matchId: match.id, error: error.message, code: error.code });
+      }
+    }).catch(error => {
+      matchLogger.error('Interrupted match recovery failed', { matchId: match.id, error: error.message, code: error.code });
+    });
+  }
+
+  if (interrupted.length > 0) {
+    matchLogger.warn('Interrupted matches cancelled', { matches: interrupted.map(m => m.id) });
+  }
+  return interrupted.length;
+};
+
 module.exports = { 
   routes: router, 
   handleWebSocket,
+  handleUpgrade,
+  MATCH_SOCKET_PATH,
+  startTimeoutSweeper,
+  stopTimeoutSweeper,
+  recoverInterruptedMatches,
+  createMatch,
+  currentMatch,
+  storedMatch,
+  onMatchEnded,
+  diceFairness,
   activeMatches, 
   matchHistory,
+  spectators,
   GAME_CONFIGS 
 };
\ No newline at end of file
@@ -0,0 +1,277 @@
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const repositories = require('./repositories');
+const walletSystem = require('./wallet');
+const stakeTiers = require('./stake-tiers');
+const accountLinks = require('./account-links');
+const snakeLadder = require('./snake-ladder-engine');
+const matchSystem = require('./match');
+const { JWT_SECRET, GAMING_CONFIG } = require('./config');
+
+const { userWallets } = walletSystem;
+
+// Players are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+let sequence = 0;
+let server;
+let socketUrl;
+let baseUrl;
+const sockets = [];
+
+const tokenFor = (playerId) => jwt.sign({ userId: playerId }, JWT_SECRET);
+
+// A match socket that keeps every message, so a test can wait for the next one of a type
+const connect = (token) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`${socketUrl}?token=${token}`);
+  ws.received = [];
+  ws.waiting = [];
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    const waiter = ws.waiting.find(w => w.type === message.type);
+    if (waiter) {
+      ws.waiting.splice(ws.waiting.indexOf(waiter), 1);
+      waiter.resolve(message);
+    } else {
+      ws.received.push(message);
+    }
+  });
+  ws.next = (type) => {
+    const index = ws.received.findIndex(m => m.type === type);
+    if (index >= 0) return Promise.resolve(ws.received.splice(index, 1)[0]);
+    return new Promise(resolveNext => ws.waiting.push({ type, resolve: resolveNext }));
+  };
+  ws.on('open', () => {
+    sockets.push(ws);
+    resolve(ws);
+  });
+  ws.on('unexpected-response', (req, res) => reject(Object.assign(new Error('upgrade refused'), { status: res.statusCode })));
+  ws.on('error', reject);
+});
+
+const send = (ws, data) => ws.send(JSON.stringify(data));
+
+const stakedPlayers = async (tier) => {
+  sequence += 1;
+  const players = [`m1_${run}_${sequence}`, `m2_${run}_${sequence}`];
+  await Promise.all(players.map(playerId => walletSystem.creditBonus(playerId, tier.stake, 'INR', 'test_funding')));
+  return players;
+};
+
+// Both players on their sockets, with their client seeds in
+const joinedMatch = async (gameType) => {
+  const tier = await stakeTiers.requireTier(gameType, 'inr10');
+  const [playerId, opponentId] = await stakedPlayers(tier);
+  const match = await matchSystem.createMatch({
+    gameType,
+    currency: 'INR',
+    tier,
+    player: { id: playerId, clientSeed: 'seed-one' },
+    opponent: { id: opponentId, clientSeed: 'seed-two' }
+  });
+
+  const players = {};
+  for (const id of [playerId, opponentId]) {
+    players[id] = await connect(tokenFor(id));
+    send(players[id], { type: 'join_match', matchId: match.id });
+    await players[id].next('joined');
+  }
+  return { match, players, tier };
+};
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+
+  // Behind a proxy as in production, so each test player can come from an address of their own
+  const app = express();
+  app.set('trust proxy', 'loopback');
+  app.use(express.json());
+  app.use('/api/match', matchSystem.routes);
+
+  server = http.createServer(app);
+  server.on('upgrade', matchSystem.handleUpgrade);
+  await new Promise(resolve => server.listen(0, resolve));
+  socketUrl = `ws://127.0.0.1:${server.address().port}${matchSystem.MATCH_SOCKET_PATH}`;
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  sockets.forEach(ws => ws.terminate());
+  await new Promise(resolve => server.close(resolve));
+  await repositories.disconnect();
+});
+
+describe('server-scored snake and ladder', () => {
+  test('the provably fair rolls move the board and decide who is paid', async () => {
+    const { match, players, tier } = await joinedMatch('snakeLadder');
+    const game = match.snakeLadder;
+
+    let completed = null;
+    const listener = Object.values(players)[0];
+    const finished = listener.next('match_completed').then(message => { completed = message; });
+    // Guards against a game that somehow never ends; a real one is decided well within this
+    for (let rolls = 0; !completed && rolls < 2000; rolls++) {
+      const rollerId = snakeLadder.turnPlayer(game);
+      send(players[rollerId], { type: 'roll' });
+      // Every roll goes to both players; one socket reads them all, in order
+      const { move } = await listener.next('dice_roll');
+      expect(move.playerId).toBe(rollerId);
+      if (game.status !== 'active') break;
+    }
+    await finished;
+
+    const { winner } = game.result;
+    expect(game.positions[winner]).toBe(snakeLadder.FINAL_SQUARE);
+    expect(completed.result).toMatchObject({ type: 'win', winner, reason: 'reached_final_square' });
+    expect(userWallets.get(winner).buckets.winnings).toBe(stakeTiers.payoutFor(tier, tier.stake).winner);
+    // The revealed seed replays the same board from the published rolls
+    expect(snakeLadder.replay(game.players, completed.fairness.rolls).positions).toEqual(game.positions);
+  });
+
+  test('a player cannot roll out of turn', async () => {
+    const { match, players } = await joinedMatch('snakeLadder');
+    const waiting = match.snakeLadder.players[1];
+
+    send(players[waiting], { type: 'roll' });
+
+    expect(await players[waiting].next('error')).toMatchObject({ code: 'DICE_NOT_YOUR_TURN' });
+  });
+});
+
+describe('match socket authentication', () => {
+  test('a handshake without a valid player token is refused before any socket opens', async () => {
+    const forged = jwt.sign({ userId: `m_${run}_forged` }, 'not-the-secret');
+    const expired = jwt.sign({ userId: `m_${run}_expired`, exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+
+    for (const token of ['', forged, expired]) {
+      await expect(connect(token)).rejects.toMatchObject({ status: 401 });
+    }
+    // A valid signature on something that isn't a player token
+    await expect(connect(jwt.sign({ adminId: 'someone' }, JWT_SECRET))).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+describe('reconnection window', () => {
+  const { matchTimeout } = GAMING_CONFIG;
+  const reconnectWindow = matchTimeout.reconnectWindow;
+
+  beforeEach(() => { matchTimeout.reconnectWindow = 0.2; });
+  afterEach(() => { matchTimeout.reconnectWindow = reconnectWindow; });
+
+  test('a player who stays away past the window forfeits and the opponent is paid', async () => {
+    const { match, players, tier } = await joinedMatch('snakeLadder');
+    const [dropped, stayed] = match.snakeLadder.players;
+
+    players[dropped].terminate();
+    expect(await players[stayed].next('player_disconnected')).toMatchObject({ playerId: dropped });
+    const { result } = await players[stayed].next('match_completed');
+
+    expect(result).toMatchObject({ type: 'win', winner: stayed, reason: 'disconnect' });
+    expect(userWallets.get(stayed).buckets.winnings).toBe(stakeTiers.payoutFor(tier, tier.stake).winner);
+  });
+
+  test('a player back within the window carries on the same match', async () => {
+    const { match, players } = await joinedMatch('snakeLadder');
+    const [dropped, stayed] = match.snakeLadder.players;
+    matchTimeout.reconnectWindow = 5;
+
+    players[dropped].terminate();
+    await players[stayed].next('player_disconnected');
+    const back = await connect(tokenFor(dropped));
+    send(back, { type: 'join_match', matchId: match.id });
+
+    expect(await back.next('joined')).toMatchObject({ matchId: match.id, playerId: dropped });
+    expect(await players[stayed].next('player_reconnected')).toMatchObject({ playerId: dropped });
+    send(back, { type: 'roll' });
+    expect((await players[stayed].next('dice_roll')).move).toMatchObject({ playerId: dropped });
+  });
+});
+
+describe('timeout sweeper', () => {
+  const { matchTimeout } = GAMING_CONFIG;
+  const sweepInterval = matchTimeout.sweepInterval;
+
+  beforeEach(() => {
+    matchTimeout.sweepInterval = 0.05;
+    matchSystem.startTimeoutSweeper();
+  });
+  afterEach(() => {
+    matchSystem.stopTimeoutSweeper();
+    matchTimeout.sweepInterval = sweepInterval;
+  });
+
+  test('a match that never started by its deadline is cancelled and both stakes refunded', async () => {
+    const { match, players, tier } = await joinedMatch('snakeLadder');
+    const [playerId, opponentId] = match.snakeLadder.players;
+    match.timeoutAt = Date.now() - 1;
+
+    const cancelled = await players[playerId].next('match_cancelled');
+
+    expect(cancelled).toMatchObject({ matchId: match.id, reason: 'Match never started' });
+    expect(walletSystem.matchHolds.get(match.id).status).toBe('refunded');
+    expect(matchSystem.activeMatches.has(match.id)).toBe(false);
+    [playerId, opponentId].forEach(id => expect(userWallets.get(id).buckets.bonus).toBe(tier.stake));
+  });
+});
+
+// Queues a player for a ₹10 tier from an address of their own
+const findMatch = async (playerId, address, gameType = 'chess') => {
+  const response = await fetch(`${baseUrl}/api/match/find`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(playerId)}`, 'x-forwarded-for': address },
+    body: JSON.stringify({ gameType, tierId: 'inr10' })
+  });
+  return response.json();
+};
+
+describe('linked accounts', () => {
+  test('accounts sharing a device are never paired, and wait for someone else', async () => {
+    const tier = await stakeTiers.requireTier('chess', 'inr10');
+    const [owner, alt] = await stakedPlayers(tier);
+    const [stranger] = await stakedPlayers(tier);
+    await accountLinks.recordIdentity(owner, 'device', `device_${run}_shared`);
+    await accountLinks.recordIdentity(alt, 'device', `device_${run}_shared`);
+
+    expect(await findMatch(owner, '198.51.100.1')).toMatchObject({ matchFound: false, status: 'waiting' });
+    expect(await findMatch(alt, '198.51.100.2')).toMatchObject({ matchFound: false, status: 'waiting' });
+    const paired = await findMatch(stranger, '198.51.100.3');
+
+    expect(paired).toMatchObject({ matchFound: true, opponent: owner });
+  });
+
+  test('accounts linked through a third are linked too', async () => {
+    const [first, middle] = [`link_a_${run}`, `link_b_${run}`];
+    const last = `link_c_${run}`;
+    await accountLinks.recordIdentity(first, 'device', `device_${run}_chain`);
+    await accountLinks.recordIdentity(middle, 'device', `device_${run}_chain`);
+    await accountLinks.recordIdentity(middle, 'payout', `payout_${run}_chain`);
+    await accountLinks.recordIdentity(last, 'payout', `payout_${run}_chain`);
+
+    expect(await accountLinks.findLink(first, last)).toEqual([
+      { from: first, to: middle, kind: 'device' },
+      { from: middle, to: last, kind: 'payout' }
+    ]);
+    expect(await accountLinks.areLinked(first, `link_d_${run}`)).toBe(false);
+  });
+});
+
+describe('pairing', () => {
+  test('two players arriving together for one waiting player make exactly one match', async () => {
+    const tier = await stakeTiers.requireTier('carrom', 'inr10');
+    const [waiting, first] = await stakedPlayers(tier);
+    const [second] = await stakedPlayers(tier);
+    await findMatch(waiting, '203.0.113.1', 'carrom');
+
+    const results = await Promise.all([
+      findMatch(first, '203.0.113.2', 'carrom'),
+      findMatch(second, '203.0.113.3', 'carrom')
+    ]);
+
+    const paired = results.filter(result => result.matchFound);
+    expect(paired).toHaveLength(1);
+    expect(paired[0].opponent).toBe(waiting);
+    expect(results.filter(result => result.status === 'waiting')).toHaveLength(1);
+  });
+});
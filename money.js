@@ -0,0 +1,104 @@
+/**
+ * SKILLZY ARENA - MONEY
+ * Integer minor-unit amounts shared by the match, wallet and withdrawal systems
+ *
+ * Amounts are whole numbers of the currency's smallest unit (paise, cents),
+ * matching `bet_amount_cents` in the SpacetimeDB module. JPY and KRW have no
+ * minor unit, so one yen or won is stored as 1.
+ */
+
+// Decimal places per currency (ISO 4217); anything not listed uses 2
+const CURRENCY_EXPONENTS = {
+  JPY: 0,
+  KRW: 0
+};
+
+// Helper functions
+const moneyError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const exponent = (currency) => {
+  return CURRENCY_EXPONENTS[currency] !== undefined ? CURRENCY_EXPONENTS[currency] : 2;
+};
+
+const assertMinor = (minor) => {
+  if (!Number.isSafeInteger(minor)) {
+    throw moneyError('Amount must be an integer number of minor units', 'MONEY_NOT_MINOR_UNITS', { amount: minor });
+  }
+  return minor;
+};
+
+// Does a major-unit amount fit the currency's precision (no fractional paise or yen)?
+const isValidAmount = (amount, currency) => {
+  const scaled = Number(amount) * 10 ** exponent(currency);
+  return Number.isFinite(scaled) && Math.abs(scaled - Math.round(scaled)) < 1e-6;
+};
+
+const toMinor = (amount, currency) => {
+  if (!isValidAmount(amount, currency)) {
+    throw moneyError(`Amount has more precision than ${currency} allows`, 'MONEY_INVALID_PRECISION', { amount, currency });
+  }
+  return Math.round(Number(amount) * 10 ** exponent(currency));
+};
+
+const toMajor = (minor, currency) => assertMinor(minor) / 10 ** exponent(currency);
+
+const add = (...amounts) => amounts.reduce((sum, minor) => sum + assertMinor(minor), 0);
+
+const subtract = (minor, ...amounts) => assertMinor(minor) - add(...amounts);
+
+// Fee or rake on an amount, rounded to the nearest minor unit
+const percentage = (minor, rate) => Math.round(assertMinor(minor) * rate);
+
+// Splits an amount by weights (e.g. [80, 20]) so the parts always sum back to the original
+const split = (minor, weights) => {
+  assertMinor(minor);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (totalWeight <= 0 || weights.some(w => w < 0)) {
+    throw moneyError('Split weights must be non-negative and not all zero', 'MONEY_INVALID_SPLIT', { weights });
+  }
+
+  const parts = weights.map(w => Math.floor((minor * w) / totalWeight));
+  let remainder = minor - parts.reduce((sum, p) => sum + p, 0);
+
+  // Hand leftover units to the largest fractional shares, earliest first on ties
+  weights
+    .map((w, index) => ({ index, fraction: ((minor * w) % totalWeight) / totalWeight }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        parts[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return parts;
+};
+
+// Converts between currencies; `rate` is units of toCurrency per one unit of fromCurrency
+const convert = (minor, fromCurrency, toCurrency, rate) => {
+  assertMinor(minor);
+  if (fromCurrency === toCurrency) {
+    return minor;
+  }
+  if (!(rate > 0)) {
+    throw moneyError(`No exchange rate from ${fromCurrency} to ${toCurrency}`, 'MONEY_RATE_UNAVAILABLE', { fromCurrency, toCurrency });
+  }
+  return Math.round(minor * rate * 10 ** (exponent(toCurrency) - exponent(fromCurrency)));
+};
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  exponent,
+  isValidAmount,
+  toMinor,
+  toMajor,
+  add,
+  subtract,
+  percentage,
+  split,
+  convert
+};
@@ -0,0 +1,123 @@
+const express = require('express');
+const repositories = require('./repositories');
+const walletSystem = require('./wallet');
+const paymentGateways = require('./payment-gateways');
+
+const { userWallets, transactions } = walletSystem;
+
+// Players and references are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+const STAKE = 10000; // ₹100
+let sequence = 0;
+let server;
+let baseUrl;
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+// A player holding ₹180 of winnings from a settled match - the only bucket a withdrawal pays from
+const winner = async () => {
+  sequence += 1;
+  const players = [`gw_p1_${run}_${sequence}`, `gw_p2_${run}_${sequence}`];
+  const matchId = `match_gw_${run}_${sequence}`;
+  await Promise.all(players.map(playerId => walletSystem.creditBonus(playerId, STAKE, 'INR', 'test_funding')));
+  await walletSystem.holdMatchStakes(matchId, players, STAKE, 'INR');
+  await walletSystem.settleMatchHold(matchId, players[0], { winner: 18000, platform: 2000 });
+  return players[0];
+};
+
+const withdraw = (userId) => post('/api/wallet/withdraw', {
+  userId, amount: 100, currency: 'INR', withdrawalMethod: 'UPI', withdrawalDetails: { vpa: `${userId}@upi` }
+}, { 'Idempotency-Key': `withdraw-${run}-${userId}` });
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/wallet', walletSystem.routes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  expect(await walletSystem.ledgerDrift()).toEqual([]);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await repositories.disconnect();
+});
+
+describe('sandbox gateway', () => {
+  const gateway = paymentGateways.getSandbox('pix');
+
+  test('each call takes the next scripted outcome, then the default', async () => {
+    gateway.sandbox.script('payout', 'fail', 'pending', 'timeout');
+    const payout = (n) => gateway.payout({ reference: `gw_${run}_outcome_${n}`, amount: 1000, currency: 'BRL' });
+
+    expect(await payout(1)).toMatchObject({ status: 'failed', failureReason: 'pix sandbox: payout failed' });
+    expect(await payout(2)).toMatchObject({ status: 'pending' });
+    await expect(payout(3)).rejects.toMatchObject({ code: 'GATEWAY_TIMEOUT', status: 504 });
+    expect(await payout(4)).toMatchObject({ status: 'completed' });
+  });
+
+  test('payments wait for their webhook and can be settled later', async () => {
+    const payment = await gateway.createPayment({ reference: `gw_${run}_payment`, amount: 5000, currency: 'BRL' });
+    expect(payment).toMatchObject({ status: 'pending' });
+
+    gateway.sandbox.settle(payment.gatewayReference, 'completed');
+    expect(await gateway.getStatus(payment.gatewayReference)).toMatchObject({ status: 'completed' });
+    await expect(gateway.getStatus('pixcob_unknown')).rejects.toMatchObject({ code: 'GATEWAY_REFERENCE_NOT_FOUND' });
+  });
+
+  test('a payout reference sent again returns the first payout', async () => {
+    const reference = `gw_${run}_replayed`;
+    const first = await gateway.payout({ reference, amount: 1000, currency: 'BRL' });
+    const again = await gateway.payout({ reference, amount: 1000, currency: 'BRL' });
+
+    expect(again.gatewayReference).toBe(first.gatewayReference);
+  });
+
+  test('a script naming an unknown operation or outcome is refused', () => {
+    expect(() => gateway.sandbox.script('payout', 'explode')).toThrow(expect.objectContaining({ code: 'SANDBOX_SCRIPT_INVALID' }));
+    expect(() => gateway.sandbox.setDefault('teleport', 'succeed')).toThrow(expect.objectContaining({ code: 'SANDBOX_SCRIPT_INVALID' }));
+  });
+});
+
+describe('withdrawals against the sandbox', () => {
+  const razorpay = paymentGateways.getSandbox('razorpay');
+
+  test('a rejected payout puts the withdrawal back in the wallet', async () => {
+    const userId = await winner();
+    razorpay.sandbox.script('payout', 'fail');
+
+    const response = await withdraw(userId);
+    const body = await response.json();
+
+    expect(response.status).toBe(402);
+    expect(body).toMatchObject({ code: 'PAYOUT_FAILED' });
+    expect(transactions.get(body.transactionId).status).toBe('failed');
+    expect(userWallets.get(userId).buckets.winnings).toBe(18000);
+  });
+
+  test('a payout that times out stays processing and a retry completes it under the same reference', async () => {
+    const userId = await winner();
+    razorpay.sandbox.script('payout', 'timeout');
+
+    const body = await (await withdraw(userId)).json();
+    expect(body).toMatchObject({ success: true, status: 'processing' });
+    expect(userWallets.get(userId).buckets.winnings).toBe(8000);
+
+    razorpay.sandbox.script('getStatus', 'succeed');
+    const retried = await walletSystem.payoutWithdrawal(body.transactionId);
+
+    expect(retried.status).toBe('completed');
+    expect(razorpay.sandbox.getRecord(retried.gatewayReference).reference).toBe(body.transactionId);
+    expect(userWallets.get(userId).totalWithdrawals).toBe(10000);
+  });
+});
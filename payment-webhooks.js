@@ -0,0 +1,288 @@
+/**
+ * SKILLZY ARENA - PAYMENT WEBHOOKS
+ * Signed gateway callbacks that settle pending deposits
+ *
+ * Features:
+ * - HMAC signature checks with PAYMENT_CONFIG webhook secrets (Razorpay, Stripe)
+ * - Events matched to deposits by gateway reference
+ * - Each deposit moves to completed or failed exactly once; redeliveries are acknowledged
+ * - Delivered events stored in the database (repositories.js), so a redelivery to any worker
+ *   is answered from the first delivery's result
+ * - An amount that doesn't match the deposit is acknowledged and the deposit flagged for review,
+ *   since redelivering the same event can't put it right
+ * - Local signing helper for firing test webhooks without a gateway:
+ *     node payment-webhooks.js <razorpay|stripe> <gatewayReference> <amount> <currency> [failed]
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const http = require('http');
+const winston = require('winston');
+const walletSystem = require('./wallet');
+const money = require('./money');
+const repositories = require('./repositories');
+const { PAYMENT_CONFIG, PORT } = require('./config');
+
+const router = express.Router();
+
+// Webhook logger
+const webhookLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/payment-webhooks.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Delivered events by `${gateway}:${eventId}`, with the result they were answered with
+const webhookEvents = repositories.webhookEvents;
+
+const STRIPE_SIGNATURE_TOLERANCE = 5 * 60; // seconds
+
+// Helper functions
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqualHex = (expected, received) => {
+  if (typeof received !== 'string' || !/^[0-9a-f]+$/i.test(received) || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(received, 'hex'));
+};
+
+/**
+ * Per-gateway webhook handling
+ * - verify(rawBody, headers) -> boolean
+ * - parse(event, headers) -> { eventId, reference, outcome, amount, currency, reason } | null
+ * - sign(rawBody, timestamp) -> signature headers
+ * Amounts are integer minor units, as both gateways send them.
+ */
+const WEBHOOK_GATEWAYS = {
+  razorpay: {
+    verify: (rawBody, headers) => {
+      return safeEqualHex(hmacHex(PAYMENT_CONFIG.razorpay.webhookSecret, rawBody), headers['x-razorpay-signature']);
+    },
+
+    parse: (event, headers) => {
+      const payment = event.payload?.payment?.entity;
+      const outcomes = { 'payment.captured': 'completed', 'payment.failed': 'failed' };
+      if (!payment || !outcomes[event.event]) {
+        return null;
+      }
+      return {
+        eventId: headers['x-razorpay-event-id'] || `${event.event}:${payment.id}`,
+        reference: payment.order_id,
+        outcome: outcomes[event.event],
+        amount: payment.amount,
+        currency: String(payment.currency).toUpperCase(),
+        reason: payment.error_description
+      };
+    },
+
+    sign: (rawBody) => ({ 'x-razorpay-signature': hmacHex(PAYMENT_CONFIG.razorpay.webhookSecret, rawBody) })
+  },
+
+  stripe: {
+    verify: (rawBody, headers) => {
+      const parts = Object.fromEntries(String(headers['stripe-signature'] || '')
+        .split(',')
+        .map(part => part.split('='))
+        .filter(([key, value]) => key && value));
+
+      const timestamp = Number(parts.t);
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > STRIPE_SIGNATURE_TOLERANCE) {
+        return false;
+      }
+      return safeEqualHex(hmacHex(PAYMENT_CONFIG.stripe.webhookSecret, `${parts.t}.${rawBody}`), parts.v1);
+    },
+
+    parse: (event) => {
+      const intent = event.data?.object;
+      const outcomes = { 'payment_intent.succeeded': 'completed', 'payment_intent.payment_failed': 'failed' };
+      if (!intent || !outcomes[event.type]) {
+        return null;
+      }
+      return {
+        eventId: event.id,
+        reference: intent.id,
+        outcome: outcomes[event.type],
+        amount: intent.amount,
+        currency: String(intent.currency).toUpperCase(),
+        reason: intent.last_payment_error?.message
+      };
+    },
+
+    sign: (rawBody, timestamp = Math.floor(Date.now() / 1000)) => ({
+      'stripe-signature': `t=${timestamp},v1=${hmacHex(PAYMENT_CONFIG.stripe.webhookSecret, `${timestamp}.${rawBody}`)}`
+    })
+  }
+};
+
+// Builds a gateway-shaped deposit event and signs it with the configured secret
+const signWebhook = (gatewayId, { reference, amount, currency, outcome = 'completed', reason = 'Payment declined' }) => {
+  const eventId = 'evt_' + crypto.randomBytes(8).toString('hex');
+  let event;
+
+  if (gatewayId === 'razorpay') {
+    event = {
+      event: outcome === 'completed' ? 'payment.captured' : 'payment.failed',
+      payload: {
+        payment: {
+          entity: {
+            id: 'pay_' + crypto.randomBytes(7).toString('hex'),
+            order_id: reference,
+            amount,
+            currency,
+            error_description: outcome === 'completed' ? null : reason
+          }
+        }
+      }
+    };
+  } else if (gatewayId === 'stripe') {
+    event = {
+      id: eventId,
+      type: outcome === 'completed' ? 'payment_intent.succeeded' : 'payment_intent.payment_failed',
+      data: {
+        object: {
+          id: reference,
+          amount,
+          currency: currency.toLowerCase(),
+          last_payment_error: outcome === 'completed' ? null : { message: reason }
+        }
+      }
+    };
+  } else {
+    throw new Error(`No webhook signer for gateway: ${gatewayId}`);
+  }
+
+  const rawBody = JSON.stringify(event);
+  const headers = {
+    'content-type': 'application/json',
+    ...(gatewayId === 'razorpay' ? { 'x-razorpay-event-id': eventId } : {}),
+    ...WEBHOOK_GATEWAYS[gatewayId].sign(rawBody)
+  };
+
+  return { rawBody, headers };
+};
+
+// Gateway webhook receiver
+router.post('/:gateway', async (req, res) => {
+  const gatewayId = req.params.gateway;
+  const handler = WEBHOOK_GATEWAYS[gatewayId];
+
+  try {
+    if (!handler) {
+      return res.status(404).json({ error: 'Webhook gateway not supported', code: 'WEBHOOK_GATEWAY_UNSUPPORTED' });
+    }
+
+    // Signatures cover the exact bytes sent, captured by the JSON parser in index.js
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!rawBody || !handler.verify(rawBody, req.headers)) {
+      webhookLogger.warn('Webhook signature rejected', { gateway: gatewayId, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid webhook signature', code: 'WEBHOOK_SIGNATURE_INVALID' });
+    }
+
+    const event = handler.parse(req.body, req.headers);
+    if (!event) {
+      // Acknowledge events we do not act on so the gateway stops retrying them
+      return res.json({ received: true, ignored: true });
+    }
+
+    const eventKey = `${gatewayId}:${event.eventId}`;
+    await webhookEvents.reload([eventKey]);
+    if (webhookEvents.has(eventKey)) {
+      return res.json({ received: true, duplicate: true, ...webhookEvents.get(eventKey).result });
+    }
+
+    const transaction = await walletSystem.findDepositByGatewayReference(gatewayId, event.reference);
+    if (!transaction) {
+      webhookLogger.warn('Webhook for unknown deposit', { gateway: gatewayId, reference: event.reference, eventId: event.eventId });
+      return res.status(404).json({ error: 'Deposit not found for gateway reference', code: 'DEPOSIT_NOT_FOUND' });
+    }
+
+    let applied;
+    let flagged = false;
+    try {
+      ({ applied } = event.outcome === 'completed'
+        ? await walletSystem.completeDeposit(transaction, event)
+        : await walletSystem.failDeposit(transaction, { eventId: event.eventId, reason: event.reason || 'Payment failed at gateway' }));
+    } catch (error) {
+      if (error.code !== 'DEPOSIT_AMOUNT_MISMATCH') throw error;
+
+      // The gateway would redeliver a refused event forever, so it is acknowledged and the
+      // deposit held for someone to look at
+      webhookLogger.error('Webhook amount mismatch', { gateway: gatewayId, eventId: event.eventId, expected: error.expected, received: error.received });
+      await walletSystem.flagDeposit(transaction, {
+        eventId: event.eventId,
+        reason: 'amount_mismatch',
+        expected: error.expected,
+        received: error.received
+      });
+      applied = false;
+      flagged = true;
+    }
+
+    const result = { transactionId: transaction.id, status: transaction.status, ...(flagged ? { flagged } : {}) };
+    await webhookEvents.set(eventKey, { key: eventKey, gateway: gatewayId, eventId: event.eventId, result, receivedAt: Date.now() });
+
+    webhookLogger.info('Webhook processed', {
+      gateway: gatewayId,
+      eventId: event.eventId,
+      reference: event.reference,
+      outcome: event.outcome,
+      applied,
+      ...result
+    });
+
+    res.json({ received: true, applied, ...result });
+
+  } catch (error) {
+    webhookLogger.error('Webhook processing error', { gateway: gatewayId, error: error.message });
+    res.status(500).json({ error: 'Webhook processing failed', code: 'WEBHOOK_ERROR' });
+  }
+});
+
+// Fire a signed test webhook at the local server
+if (require.main === module) {
+  const [gatewayId, reference, amount, currency, outcome] = process.argv.slice(2);
+  if (!gatewayId || !reference || !amount || !currency) {
+    webhookLogger.error('Usage: node payment-webhooks.js <razorpay|stripe> <gatewayReference> <amount> <currency> [failed]');
+    process.exit(1);
+  }
+
+  const { rawBody, headers } = signWebhook(gatewayId, {
+    reference,
+    amount: money.toMinor(amount, currency),
+    currency,
+    outcome: outcome === 'failed' ? 'failed' : 'completed'
+  });
+
+  const request = http.request({
+    host: 'localhost',
+    port: PORT,
+    path: `/webhooks/payments/${gatewayId}`,
+    method: 'POST',
+    headers: { ...headers, 'content-length': Buffer.byteLength(rawBody) }
+  }, (response) => {
+    let data = '';
+    response.on('data', chunk => { data += chunk; });
+    response.on('end', () => {
+      webhookLogger.info('Test webhook answered', { gateway: gatewayId, reference, status: response.statusCode, body: data });
+      process.exit(response.statusCode < 300 ? 0 : 1);
+    });
+  });
+  request.on('error', (error) => {
+    webhookLogger.error('Test webhook not delivered', { gateway: gatewayId, reference, error: error.message });
+    process.exit(1);
+  });
+  request.end(rawBody);
+}
+
+module.exports = {
+  routes: router,
+  WEBHOOK_GATEWAYS,
+  signWebhook
+};
@@ -0,0 +1,117 @@
+const express = require('express');
+const repositories = require('./repositories');
+const walletSystem = require('./wallet');
+const webhooks = require('./payment-webhooks');
+
+const { userWallets, transactions } = walletSystem;
+
+// Players are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+let sequence = 0;
+let server;
+let baseUrl;
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+// A ₹500 UPI deposit left processing by the sandbox gateway, as the deposit route leaves it
+const startDeposit = async () => {
+  sequence += 1;
+  const userId = `payer_${run}_${sequence}`;
+  const response = await post('/api/wallet/deposit', {
+    userId, amount: 500, currency: 'INR', paymentMethod: 'UPI', paymentDetails: { vpa: 'payer@upi' }
+  }, { 'Idempotency-Key': `deposit-${run}-${sequence}` });
+  const deposit = await response.json();
+  expect(deposit).toMatchObject({ status: 'processing' });
+  return { userId, ...deposit };
+};
+
+const deliver = ({ rawBody, headers }) => post('/webhooks/payments/razorpay', rawBody, headers);
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/wallet', walletSystem.routes);
+  app.use('/webhooks/payments', webhooks.routes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  expect(await walletSystem.ledgerDrift()).toEqual([]);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await repositories.disconnect();
+});
+
+describe('payment webhooks', () => {
+  test('a delivery without a valid signature is refused and changes nothing', async () => {
+    const { transactionId, gatewayReference } = await startDeposit();
+    const signed = webhooks.signWebhook('razorpay', { reference: gatewayReference, amount: 50000, currency: 'INR' });
+
+    const unsigned = await deliver({ rawBody: signed.rawBody, headers: { 'content-type': 'application/json' } });
+    const tampered = await deliver({ rawBody: signed.rawBody.replace('50000', '5000000'), headers: signed.headers });
+
+    [unsigned, tampered].forEach(response => expect(response.status).toBe(401));
+    expect(await tampered.json()).toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+    expect(transactions.get(transactionId).status).toBe('processing');
+  });
+
+  test('a captured payment credits the deposit once however often it is delivered', async () => {
+    const { userId, transactionId, gatewayReference } = await startDeposit();
+    const event = webhooks.signWebhook('razorpay', { reference: gatewayReference, amount: 50000, currency: 'INR' });
+
+    const first = await (await deliver(event)).json();
+    const credited = userWallets.get(userId).buckets.deposit;
+    const redelivered = await (await deliver(event)).json();
+    // The gateway may also send a second event for the same payment
+    const another = await (await deliver(webhooks.signWebhook('razorpay', { reference: gatewayReference, amount: 50000, currency: 'INR' }))).json();
+
+    expect(first).toMatchObject({ received: true, applied: true, transactionId, status: 'completed' });
+    expect(redelivered).toMatchObject({ received: true, duplicate: true, transactionId, status: 'completed' });
+    expect(another).toMatchObject({ received: true, applied: false, status: 'completed' });
+    expect(credited).toBe(transactions.get(transactionId).netAmount);
+    expect(userWallets.get(userId).buckets.deposit).toBe(credited);
+  });
+
+  test('a failed payment fails the deposit without crediting it', async () => {
+    const { userId, transactionId, gatewayReference } = await startDeposit();
+
+    const response = await deliver(webhooks.signWebhook('razorpay', { reference: gatewayReference, amount: 50000, currency: 'INR', outcome: 'failed' }));
+
+    expect(await response.json()).toMatchObject({ applied: true, status: 'failed' });
+    expect(transactions.get(transactionId).errorMessage).toBe('Payment declined');
+    expect(userWallets.get(userId).buckets.deposit).toBe(0);
+  });
+
+  test('an amount that does not match is acknowledged and the deposit flagged, not credited', async () => {
+    const { userId, transactionId, gatewayReference } = await startDeposit();
+    const event = webhooks.signWebhook('razorpay', { reference: gatewayReference, amount: 100, currency: 'INR' });
+
+    const response = await deliver(event);
+    const redelivered = await (await deliver(event)).json();
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ received: true, applied: false, flagged: true, status: 'flagged' });
+    expect(redelivered).toMatchObject({ duplicate: true, flagged: true });
+    expect(transactions.get(transactionId).flag).toMatchObject({
+      reason: 'amount_mismatch',
+      expected: { amount: 50000, currency: 'INR' },
+      received: { amount: 100, currency: 'INR' }
+    });
+    expect(userWallets.get(userId).buckets.deposit).toBe(0);
+  });
+
+  test('an event for a deposit nobody started is answered 404', async () => {
+    const response = await deliver(webhooks.signWebhook('razorpay', { reference: `order_unknown_${run}`, amount: 50000, currency: 'INR' }));
+    expect(response.status).toBe(404);
+  });
+});
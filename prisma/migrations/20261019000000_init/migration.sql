@@ -0,0 +1,190 @@
+-- CreateTable
+CREATE TABLE "users" (
+    "id" TEXT NOT NULL,
+    "mobile" TEXT,
+    "username" TEXT,
+    "deviceId" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'INR',
+    "language" TEXT,
+    "platform" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastLogin" TIMESTAMP(3),
+
+    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "wallets" (
+    "userId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "balance" BIGINT NOT NULL DEFAULT 0,
+    "totalDeposits" BIGINT NOT NULL DEFAULT 0,
+    "totalWithdrawals" BIGINT NOT NULL DEFAULT 0,
+    "totalWinnings" BIGINT NOT NULL DEFAULT 0,
+    "kycStatus" TEXT NOT NULL DEFAULT 'pending',
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "lastActivity" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "wallets_pkey" PRIMARY KEY ("userId")
+);
+
+-- CreateTable
+CREATE TABLE "transactions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT,
+    "matchId" TEXT,
+    "journalId" TEXT,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_entries" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "reference" TEXT,
+    "metadata" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_lines" (
+    "id" SERIAL NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "account" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "debit" BIGINT NOT NULL,
+    "credit" BIGINT NOT NULL,
+
+    CONSTRAINT "ledger_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "matches" (
+    "id" TEXT NOT NULL,
+    "gameType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "betAmount" BIGINT NOT NULL,
+    "tierId" TEXT,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "endTime" TIMESTAMP(3),
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "matches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "match_players" (
+    "matchId" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "score" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "match_players_pkey" PRIMARY KEY ("matchId","playerId")
+);
+
+-- CreateTable
+CREATE TABLE "match_holds" (
+    "matchId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "match_holds_pkey" PRIMARY KEY ("matchId")
+);
+
+-- CreateTable
+CREATE TABLE "match_events" (
+    "matchId" TEXT NOT NULL,
+    "seq" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "match_events_pkey" PRIMARY KEY ("matchId","seq")
+);
+
+-- CreateTable
+CREATE TABLE "withdrawals" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "netAmount" BIGINT NOT NULL,
+    "processingFee" BIGINT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "requestedAt" TIMESTAMP(3) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "withdrawals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "kyc_records" (
+    "userId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "documentType" TEXT,
+    "submittedAt" TIMESTAMP(3),
+    "verifiedAt" TIMESTAMP(3),
+    "data" TEXT NOT NULL DEFAULT '{}',
+
+    CONSTRAINT "kyc_records_pkey" PRIMARY KEY ("userId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_mobile_key" ON "users"("mobile");
+
+-- CreateIndex
+CREATE INDEX "transactions_userId_timestamp_idx" ON "transactions"("userId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "transactions_matchId_idx" ON "transactions"("matchId");
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_timestamp_idx" ON "ledger_entries"("timestamp");
+
+-- CreateIndex
+CREATE INDEX "ledger_lines_entryId_idx" ON "ledger_lines"("entryId");
+
+-- CreateIndex
+CREATE INDEX "ledger_lines_account_currency_idx" ON "ledger_lines"("account", "currency");
+
+-- CreateIndex
+CREATE INDEX "matches_status_idx" ON "matches"("status");
+
+-- CreateIndex
+CREATE INDEX "match_players_playerId_idx" ON "match_players"("playerId");
+
+-- CreateIndex
+CREATE INDEX "withdrawals_userId_idx" ON "withdrawals"("userId");
+
+-- CreateIndex
+CREATE INDEX "withdrawals_status_idx" ON "withdrawals"("status");
+
+-- AddForeignKey
+ALTER TABLE "wallets" ADD CONSTRAINT "wallets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_lines" ADD CONSTRAINT "ledger_lines_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "ledger_entries"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "match_players" ADD CONSTRAINT "match_players_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "match_events" ADD CONSTRAINT "match_events_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "kyc_records" ADD CONSTRAINT "kyc_records_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
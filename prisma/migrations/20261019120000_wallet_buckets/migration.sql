@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "wallets" ADD COLUMN     "bonusBalance" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "depositBalance" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "winningsBalance" BIGINT NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "match_holds" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "gatewayReference" TEXT,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "wallets" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex
+CREATE INDEX "transactions_gatewayReference_idx" ON "transactions"("gatewayReference");
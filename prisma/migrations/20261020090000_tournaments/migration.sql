@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "tournaments" (
+    "id" TEXT NOT NULL,
+    "gameType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "entryFee" BIGINT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "tournaments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "tournament_pools" (
+    "tournamentId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "entryFee" BIGINT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "tournament_pools_pkey" PRIMARY KEY ("tournamentId")
+);
+
+-- CreateIndex
+CREATE INDEX "tournaments_status_startsAt_idx" ON "tournaments"("status", "startsAt");
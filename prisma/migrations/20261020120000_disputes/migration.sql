@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "disputes" (
+    "id" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "filedBy" TEXT NOT NULL,
+    "openedAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "disputes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "disputes_matchId_key" ON "disputes"("matchId");
+
+-- CreateIndex
+CREATE INDEX "disputes_status_openedAt_idx" ON "disputes"("status", "openedAt");
+
+-- AddForeignKey
+ALTER TABLE "disputes" ADD CONSTRAINT "disputes_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "rate_snapshots" (
+    "id" TEXT NOT NULL,
+    "base" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "rate_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rate_snapshots_createdAt_idx" ON "rate_snapshots"("createdAt");
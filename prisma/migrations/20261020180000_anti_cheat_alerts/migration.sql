@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "anti_cheat_alerts" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "matchId" TEXT,
+    "status" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "anti_cheat_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "anti_cheat_alerts_key_key" ON "anti_cheat_alerts"("key");
+
+-- CreateIndex
+CREATE INDEX "anti_cheat_alerts_status_createdAt_idx" ON "anti_cheat_alerts"("status", "createdAt");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "stake_tiers" (
+    "key" TEXT NOT NULL,
+    "gameType" TEXT NOT NULL,
+    "tierId" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "stake_tiers_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "stake_tiers_gameType_idx" ON "stake_tiers"("gameType");
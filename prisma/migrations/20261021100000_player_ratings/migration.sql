@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "player_ratings" (
+    "key" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "gameType" TEXT NOT NULL,
+    "rating" DOUBLE PRECISION NOT NULL,
+    "gamesPlayed" INTEGER NOT NULL,
+    "lastPlayedAt" TIMESTAMP(3),
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "player_ratings_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "player_ratings_gameType_rating_idx" ON "player_ratings"("gameType", "rating");
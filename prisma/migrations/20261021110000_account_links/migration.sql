@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "account_identities" (
+    "key" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "firstSeen" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "account_identities_pkey" PRIMARY KEY ("key","userId")
+);
+
+-- CreateTable
+CREATE TABLE "pair_results" (
+    "matchId" TEXT NOT NULL,
+    "pairKey" TEXT NOT NULL,
+    "winnerId" TEXT NOT NULL,
+    "loserId" TEXT NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "pair_results_pkey" PRIMARY KEY ("matchId")
+);
+
+-- CreateTable
+CREATE TABLE "risk_cases" (
+    "id" TEXT NOT NULL,
+    "pairKey" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "risk_cases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "account_identities_userId_idx" ON "account_identities"("userId");
+
+-- CreateIndex
+CREATE INDEX "pair_results_pairKey_at_idx" ON "pair_results"("pairKey", "at");
+
+-- CreateIndex
+CREATE INDEX "pair_results_winnerId_at_idx" ON "pair_results"("winnerId", "at");
+
+-- CreateIndex
+CREATE INDEX "pair_results_loserId_at_idx" ON "pair_results"("loserId", "at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "risk_cases_pairKey_key" ON "risk_cases"("pairKey");
+
+-- CreateIndex
+CREATE INDEX "risk_cases_status_updatedAt_idx" ON "risk_cases"("status", "updatedAt");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "challenge_rooms" (
+    "code" TEXT NOT NULL,
+    "hostId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "challenge_rooms_pkey" PRIMARY KEY ("code")
+);
+
+-- CreateIndex
+CREATE INDEX "challenge_rooms_expiresAt_idx" ON "challenge_rooms"("expiresAt");
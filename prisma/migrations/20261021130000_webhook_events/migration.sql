@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "key" TEXT NOT NULL,
+    "gateway" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("key")
+);
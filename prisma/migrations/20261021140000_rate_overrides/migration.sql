@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "rate_overrides" (
+    "currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "setAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "rate_overrides_pkey" PRIMARY KEY ("currency")
+);
+
+-- CreateTable
+CREATE TABLE "rate_override_events" (
+    "id" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "data" TEXT NOT NULL,
+
+    CONSTRAINT "rate_override_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rate_override_events_createdAt_idx" ON "rate_override_events"("createdAt");
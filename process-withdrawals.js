@@ -7,9 +7,10 @@
 
 const winston = require('winston');
 const nodemailer = require('nodemailer');
-const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const money = require('./money');
+const paymentGateways = require('./payment-gateways');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -37,93 +38,18 @@ const emailTransporter = nodemailer.createTransporter({
 const PROCESSING_CONFIG = {
   batchSize: 100,
   maxRetries: 3,
-  timeoutMs: 30000,
   supportedMethods: ['UPI', 'BankTransfer', 'Cards', 'PIX', 'Alipay', 'PayPal'],
   limits: {
     minAmount: { INR: 100, USD: 5, EUR: 5 },
     maxAmount: { INR: 200000, USD: 2500, EUR: 2200 },
     dailyLimit: { INR: 500000, USD: 6000, EUR: 5500 }
-  }
-};
-
-// Mock payment gateways (replace with real implementations)
-const PAYMENT_GATEWAYS = {
-  razorpay: {
-    processWithdrawal: async (withdrawalData) => {
-      // Mock Razorpay withdrawal processing
-      logger.info('Processing Razorpay withdrawal', { 
-        withdrawalId: withdrawalData.id,
-        amount: withdrawalData.amount,
-        currency: withdrawalData.currency
-      });
-      
-      // Simulate processing delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // 95% success rate simulation
-      const success = Math.random() > 0.05;
-      
-      if (success) {
-        return {
-          success: true,
-          gatewayTransactionId: 'rzp_' + crypto.randomBytes(8).toString('hex'),
-          processingTime: 2000,
-          estimatedSettlement: '2-4 hours'
-        };
-      } else {
-        throw new Error('Gateway processing failed');
-      }
-    }
   },
-  
-  stripe: {
-    processWithdrawal: async (withdrawalData) => {
-      logger.info('Processing Stripe withdrawal', { 
-        withdrawalId: withdrawalData.id,
-        amount: withdrawalData.amount,
-        currency: withdrawalData.currency
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      const success = Math.random() > 0.03;
-      
-      if (success) {
-        return {
-          success: true,
-          gatewayTransactionId: 'str_' + crypto.randomBytes(8).toString('hex'),
-          processingTime: 3000,
-          estimatedSettlement: '3-7 business days'
-        };
-      } else {
-        throw new Error('Stripe processing failed');
-      }
-    }
-  },
-  
-  paypal: {
-    processWithdrawal: async (withdrawalData) => {
-      logger.info('Processing PayPal withdrawal', { 
-        withdrawalId: withdrawalData.id,
-        amount: withdrawalData.amount,
-        currency: withdrawalData.currency
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      const success = Math.random() > 0.02;
-      
-      if (success) {
-        return {
-          success: true,
-          gatewayTransactionId: 'pp_' + crypto.randomBytes(8).toString('hex'),
-          processingTime: 1500,
-          estimatedSettlement: '24-48 hours'
-        };
-      } else {
-        throw new Error('PayPal processing failed');
-      }
-    }
+  estimatedSettlement: {
+    razorpay: '2-4 hours',
+    stripe: '3-7 business days',
+    paypal: '24-48 hours',
+    alipay: '2-6 hours',
+    pix: '1-2 hours'
   }
 };
 
@@ -209,38 +135,44 @@ async function processWithdrawal(withdrawal) {
       throw new Error('Amount outside allowed limits');
     }
 
-    // Select appropriate gateway
-    const gateway = PAYMENT_GATEWAYS[withdrawal.gateway];
-    if (!gateway) {
-      throw new Error(`Unsupported gateway: ${withdrawal.gateway}`);
-    }
+    // Select appropriate gateway (throws for unsupported gateways)
+    const gateway = paymentGateways.getGateway(withdrawal.gateway);
 
     // Update status to processing
     withdrawal.status = 'processing';
     withdrawal.processingStarted = Date.now();
 
-    // Process through gateway
-    const result = await Promise.race([
-      gateway.processWithdrawal(withdrawal),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Processing timeout')), PROCESSING_CONFIG.timeoutMs)
-      )
-    ]);
-
-    // Update withdrawal with success result
-    withdrawal.status = 'completed';
-    withdrawal.completedAt = Date.now();
-    withdrawal.gatewayTransactionId = result.gatewayTransactionId;
-    withdrawal.processingTime = result.processingTime;
-    withdrawal.estimatedSettlement = result.estimatedSettlement;
+    // Process through gateway - the withdrawal id is the payout's idempotency key,
+    // so a retry after a timeout cannot pay out twice. The adapter enforces the timeout.
+    const payout = await gateway.payout({
+      reference: withdrawal.id,
+      amount: money.toMinor(withdrawal.amount, withdrawal.currency),
+      currency: withdrawal.currency,
+      method: withdrawal.withdrawalMethod,
+      destination: withdrawal.withdrawalDetails
+    });
+
+    if (payout.status === 'failed') {
+      throw new Error(payout.failureReason || 'Gateway processing failed');
+    }
+
+    // Pending payouts stay processing until the gateway settles them
+    withdrawal.status = payout.status === 'completed' ? 'completed' : 'processing';
+    withdrawal.completedAt = payout.status === 'completed' ? Date.now() : undefined;
+    withdrawal.gatewayTransactionId = payout.gatewayReference;
+    withdrawal.processingTime = Date.now() - withdrawal.processingStarted;
+    withdrawal.estimatedSettlement = PROCESSING_CONFIG.estimatedSettlement[withdrawal.gateway];
 
     // Send success notification
-    await sendWithdrawalNotification(withdrawal, 'completed');
+    if (withdrawal.status === 'completed') {
+      await sendWithdrawalNotification(withdrawal, 'completed');
+    }
 
     logger.info('Withdrawal processed successfully', {
       withdrawalId: withdrawal.id,
-      gatewayTransactionId: result.gatewayTransactionId,
-      processingTime: result.processingTime
+      status: withdrawal.status,
+      gatewayTransactionId: payout.gatewayReference,
+      processingTime: withdrawal.processingTime
     });
 
     return { success: true, withdrawal };
@@ -488,11 +420,14 @@ Options:
   --dry-run      Show what would be processed without actually processing
   --batch-size   Set batch size (default: 100)
   --verbose      Enable verbose logging
+  --sandbox      Script every sandbox payout: succeed, fail, pending or timeout
+                 (PAYMENT_GATEWAY_MODE=sandbox)
 
 Examples:
   node scripts/process-withdrawals.js
   node scripts/process-withdrawals.js --dry-run
   node scripts/process-withdrawals.js --batch-size 50 --verbose
+  PAYMENT_GATEWAY_MODE=sandbox node scripts/process-withdrawals.js --sandbox fail
     `);
     process.exit(0);
   }
@@ -517,6 +452,14 @@ Examples:
     }
   }
 
+  // Script the sandbox gateways so a whole batch has a known outcome
+  if (args.includes('--sandbox')) {
+    const outcome = args[args.indexOf('--sandbox') + 1];
+    paymentGateways.GATEWAY_IDS.forEach(gatewayId => {
+      paymentGateways.getSandbox(gatewayId).sandbox.setDefault('payout', outcome);
+    });
+  }
+
   // Enable verbose logging
   if (args.includes('--verbose')) {
     logger.level = 'debug';
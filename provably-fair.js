@@ -0,0 +1,64 @@
+/**
+ * SKILLZY ARENA - PROVABLY FAIR DICE
+ * Commit-reveal dice for Snake & Ladder matches
+ *
+ * 1. At match creation the server picks a secret seed and publishes only its SHA-256 hash.
+ * 2. Each player contributes a client seed before the first roll.
+ * 3. Roll n is HMAC-SHA256(serverSeed, "<clientSeed1>:<clientSeed2>:<n>") mapped to 1-6
+ *    by rejection sampling, so neither side can steer the dice on its own.
+ * 4. When the match ends the server seed is revealed; anyone can hash it against the
+ *    commitment and recompute every roll.
+ */
+
+const crypto = require('crypto');
+
+const DICE_SIDES = 6;
+// Largest multiple of 6 below 256 - bytes at or above it are skipped to avoid modulo bias
+const UNBIASED_BYTE_LIMIT = 256 - (256 % DICE_SIDES);
+
+// Helper functions
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const createCommitment = () => {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  return { serverSeed, serverSeedHash: sha256(serverSeed) };
+};
+
+const rollDie = (serverSeed, clientSeeds, nonce) => {
+  // Each extra round re-keys the HMAC; one round almost always has a usable byte
+  for (let round = 0; ; round++) {
+    const message = `${clientSeeds.join(':')}:${nonce}${round ? `:${round}` : ''}`;
+    const digest = crypto.createHmac('sha256', serverSeed).update(message).digest();
+    for (const byte of digest) {
+      if (byte < UNBIASED_BYTE_LIMIT) {
+        return (byte % DICE_SIDES) + 1;
+      }
+    }
+  }
+};
+
+/**
+ * Recomputes a dice sequence from revealed inputs.
+ * rolls: [{ nonce, value }] as published for the match
+ */
+const verifyRolls = ({ serverSeed, serverSeedHash, clientSeeds, rolls }) => {
+  const hashMatches = sha256(serverSeed) === serverSeedHash;
+  const mismatches = rolls
+    .map(roll => ({ nonce: roll.nonce, published: roll.value, expected: rollDie(serverSeed, clientSeeds, roll.nonce) }))
+    .filter(check => check.published !== check.expected);
+
+  return {
+    valid: hashMatches && mismatches.length === 0,
+    hashMatches,
+    rollsChecked: rolls.length,
+    mismatches
+  };
+};
+
+module.exports = {
+  DICE_SIDES,
+  sha256,
+  createCommitment,
+  rollDie,
+  verifyRolls
+};
@@ -0,0 +1,69 @@
+const fair = require('./provably-fair');
+
+const clientSeeds = ['seed-player-one', 'seed-player-two'];
+
+describe('provably fair dice', () => {
+  test('the commitment is the SHA-256 of the server seed', () => {
+    const { serverSeed, serverSeedHash } = fair.createCommitment();
+    expect(serverSeed).toMatch(/^[0-9a-f]{64}$/);
+    expect(fair.sha256(serverSeed)).toBe(serverSeedHash);
+  });
+
+  test('rolls are fixed by the seeds and nonce and always land on a die face', () => {
+    const { serverSeed } = fair.createCommitment();
+    for (let nonce = 1; nonce <= 200; nonce++) {
+      const value = fair.rollDie(serverSeed, clientSeeds, nonce);
+      expect(value).toBe(fair.rollDie(serverSeed, clientSeeds, nonce));
+      expect(value).toBeGreaterThanOrEqual(1);
+      expect(value).toBeLessThanOrEqual(fair.DICE_SIDES);
+    }
+  });
+
+  test('either client seed changes the sequence', () => {
+    const { serverSeed } = fair.createCommitment();
+    const sequence = (seeds) => Array.from({ length: 20 }, (_, i) => fair.rollDie(serverSeed, seeds, i + 1)).join('');
+
+    expect(sequence(['other-seed', clientSeeds[1]])).not.toBe(sequence(clientSeeds));
+    expect(sequence([clientSeeds[0], 'other-seed'])).not.toBe(sequence(clientSeeds));
+  });
+
+  test('every face comes up about as often as the others', () => {
+    const serverSeed = 'a'.repeat(64);
+    const counts = new Array(fair.DICE_SIDES).fill(0);
+    const rolls = 6000;
+    for (let nonce = 1; nonce <= rolls; nonce++) {
+      counts[fair.rollDie(serverSeed, clientSeeds, nonce) - 1] += 1;
+    }
+
+    // Chi-squared with 5 degrees of freedom; 20.5 is the 0.1% critical value
+    const expected = rolls / fair.DICE_SIDES;
+    const chiSquared = counts.reduce((sum, count) => sum + ((count - expected) ** 2) / expected, 0);
+    expect(chiSquared).toBeLessThan(20.5);
+  });
+
+  test('published rolls verify against the revealed seed', () => {
+    const commitment = fair.createCommitment();
+    const rolls = [1, 2, 3, 4, 5].map(nonce => ({ nonce, value: fair.rollDie(commitment.serverSeed, clientSeeds, nonce) }));
+
+    expect(fair.verifyRolls({ ...commitment, clientSeeds, rolls })).toEqual({
+      valid: true,
+      hashMatches: true,
+      rollsChecked: 5,
+      mismatches: []
+    });
+  });
+
+  test('a tampered roll or a swapped seed fails verification', () => {
+    const commitment = fair.createCommitment();
+    const rolls = [1, 2, 3].map(nonce => ({ nonce, value: fair.rollDie(commitment.serverSeed, clientSeeds, nonce) }));
+    const tampered = rolls.map((roll, i) => (i === 1 ? { ...roll, value: (roll.value % fair.DICE_SIDES) + 1 } : roll));
+
+    const tamperedCheck = fair.verifyRolls({ ...commitment, clientSeeds, rolls: tampered });
+    expect(tamperedCheck.valid).toBe(false);
+    expect(tamperedCheck.mismatches).toEqual([{ nonce: 2, published: tampered[1].value, expected: rolls[1].value }]);
+
+    const swapped = fair.verifyRolls({ ...commitment, serverSeed: fair.createCommitment().serverSeed, clientSeeds, rolls });
+    expect(swapped.valid).toBe(false);
+    expect(swapped.hashMatches).toBe(false);
+  });
+});
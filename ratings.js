@@ -0,0 +1,176 @@
+/**
+ * SKILLZY ARENA - SKILL RATINGS
+ * Glicko rating per player per game type, used for matchmaking and leaderboards
+ *
+ * Features:
+ * - Rating plus rating deviation (RD): new and inactive players move faster
+ * - Updated from every completed match (win, loss or draw)
+ * - Matchmaking band that widens the longer a player waits
+ * - Per-game leaderboards ordered by rating
+ *
+ * Each match is its own rating period (Glicko-1). RD grows back towards its initial value
+ * with inactivity at GAMING_CONFIG.rating.deviationGrowth per day.
+ *
+ * Ratings are stored in the database (repositories.js) and read back before use. A result is
+ * applied in one transaction on both players' stored records, so two workers finishing matches
+ * for the same player at once never lose either update.
+ */
+
+const winston = require('winston');
+const repositories = require('./repositories');
+const { GAMING_CONFIG } = require('./config');
+
+// Ratings logger
+const ratingsLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/ratings.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const playerRatings = repositories.playerRatings; // `${gameType}:${playerId}` -> rating record
+
+const Q = Math.log(10) / 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper functions
+const g = (deviation) => 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+const expectedScore = (rating, opponent) => 1 / (1 + 10 ** (-g(opponent.deviation) * (rating - opponent.rating) / 400));
+
+// RD after time away, capped at the initial (fully uncertain) value
+const currentDeviation = (record, now) => {
+  const { initialDeviation, deviationGrowth } = GAMING_CONFIG.rating;
+  if (!record.lastPlayedAt) {
+    return record.deviation;
+  }
+  const days = Math.max(0, now - record.lastPlayedAt) / DAY_MS;
+  return Math.min(initialDeviation, Math.sqrt(record.deviation ** 2 + deviationGrowth ** 2 * days));
+};
+
+const ratingKey = (playerId, gameType) => `${gameType}:${playerId}`;
+
+// The cached record, or a new player's starting one (stored once they have played)
+const getRecord = (playerId, gameType) => playerRatings.get(ratingKey(playerId, gameType)) || {
+  playerId,
+  gameType,
+  rating: GAMING_CONFIG.rating.initial,
+  deviation: GAMING_CONFIG.rating.initialDeviation,
+  gamesPlayed: 0,
+  wins: 0,
+  losses: 0,
+  draws: 0,
+  lastPlayedAt: null
+};
+
+// Current ratings of several players for one game, read back in one query
+const getRatings = async (playerIds, gameType, now = Date.now()) => {
+  await playerRatings.reload(playerIds.map(id => ratingKey(id, gameType)));
+  return playerIds.map(playerId => {
+    const record = getRecord(playerId, gameType);
+    return {
+      ...record,
+      rating: Math.round(record.rating),
+      deviation: Math.round(currentDeviation(record, now))
+    };
+  });
+};
+
+const getRating = async (playerId, gameType, now = Date.now()) => (await getRatings([playerId], gameType, now))[0];
+
+// Glicko-1 update for one player against one opponent; score is 1, 0.5 or 0
+const rate = (player, opponent, score) => {
+  const expected = expectedScore(player.rating, opponent);
+  const dSquared = 1 / (Q * Q * g(opponent.deviation) ** 2 * expected * (1 - expected));
+  const precision = 1 / player.deviation ** 2 + 1 / dSquared;
+  return {
+    rating: player.rating + (Q / precision) * g(opponent.deviation) * (score - expected),
+    deviation: Math.max(GAMING_CONFIG.rating.minDeviation, Math.sqrt(1 / precision))
+  };
+};
+
+/**
+ * Applies a finished match to both players' ratings.
+ * winnerId is null for a draw. Resolves to { [playerId]: { before, after, change } } once stored.
+ */
+const recordResult = async (gameType, playerIds, winnerId, now = Date.now()) => {
+  const changes = await repositories.transaction(
+    () => rateMatch(gameType, playerIds, winnerId, now),
+    { reload: { playerRatings: playerIds.map(id => ratingKey(id, gameType)) } }
+  );
+
+  ratingsLogger.info('Ratings updated', { gameType, winnerId, changes });
+  return changes;
+};
+
+// The change recordResult commits; runs again on the stored records after a conflict
+const rateMatch = (gameType, playerIds, winnerId, now) => {
+  const [a, b] = playerIds.map(id => ({ ...getRecord(id, gameType) }));
+  const before = [a, b].map(r => ({ rating: r.rating, deviation: currentDeviation(r, now) }));
+  const scoreFor = (record) => (!winnerId ? 0.5 : record.playerId === winnerId ? 1 : 0);
+
+  const updates = [rate(before[0], before[1], scoreFor(a)), rate(before[1], before[0], scoreFor(b))];
+  const changes = {};
+
+  [a, b].forEach((record, i) => {
+    record.rating = updates[i].rating;
+    record.deviation = updates[i].deviation;
+    record.gamesPlayed += 1;
+    record.lastPlayedAt = now;
+    if (!winnerId) {
+      record.draws += 1;
+    } else if (record.playerId === winnerId) {
+      record.wins += 1;
+    } else {
+      record.losses += 1;
+    }
+
+    playerRatings.set(ratingKey(record.playerId, gameType), record);
+
+    changes[record.playerId] = {
+      before: Math.round(before[i].rating),
+      after: Math.round(record.rating),
+      change: Math.round(record.rating) - Math.round(before[i].rating),
+      deviation: Math.round(record.deviation)
+    };
+  });
+
+  return changes;
+};
+
+// How far apart two ratings may be for a player who has waited this long
+const ratingBand = (waitedMs) => {
+  const { base, widenPerSecond, max } = GAMING_CONFIG.rating.band;
+  return Math.min(max, base + (widenPerSecond * Math.max(0, waitedMs)) / 1000);
+};
+
+const leaderboard = async (gameType, { limit = 50, minGames = 1, now = Date.now() } = {}) => {
+  await playerRatings.find({ gameType, gamesPlayed: { gte: minGames } });
+  return Array.from(playerRatings.values())
+    .filter(r => r.gameType === gameType && r.gamesPlayed >= minGames)
+    .sort((x, y) => y.rating - x.rating || y.gamesPlayed - x.gamesPlayed)
+    .slice(0, limit)
+    .map((r, i) => ({
+      rank: i + 1,
+      playerId: r.playerId,
+      rating: Math.round(r.rating),
+      deviation: Math.round(currentDeviation(r, now)),
+      gamesPlayed: r.gamesPlayed,
+      wins: r.wins,
+      losses: r.losses,
+      draws: r.draws
+    }));
+};
+
+module.exports = {
+  getRating,
+  getRatings,
+  recordResult,
+  ratingBand,
+  leaderboard,
+  playerRatings
+};
@@ -0,0 +1,933 @@
+/**
+ * SKILLZY ARENA - REPOSITORIES
+ * Durable storage for users, wallets, transactions, the ledger and its exchange rates, matches,
+ * withdrawals, tournaments, disputes, anti-cheat alerts, stake tiers, player ratings, the
+ * account link graph and challenge rooms
+ *
+ * Features:
+ * - PostgreSQL through Prisma (prisma/schema.prisma) when PERSISTENCE_CONFIG.mode is 'database'
+ * - SQLite with the same models for tests (prisma/test/schema.prisma, npm run db:test:setup)
+ * - Memory mode keeps everything in-process, as before, when no database is configured
+ * - Map-like collections, so modules keep reading synchronously from a cache loaded at startup
+ * - Writes are queued and committed in order, one database transaction per batch
+ * - transaction() reads records back from the database, applies a change and commits everything
+ *   it touched in one database transaction of its own
+ * - Versioned rows (wallets, transactions, match holds, tournament pools, player ratings): a
+ *   write from a stale cache is refused
+ *
+ * Modules change their records in place and then call save() (set() for new ones). Rows are
+ * built when the batch is written, on the next turn of the event loop, so every change made
+ * before then goes in with it; save() and set() resolve once the batch is committed and reject
+ * if it fails. load() runs before the server takes requests and flush() before it exits.
+ *
+ * The caches belong to one process, and under ecosystem.config.js every worker has its own.
+ * Money therefore only moves inside transaction(), which re-reads the records it names, and a
+ * versioned row that another worker wrote since this one read it fails the commit with
+ * REPOSITORY_CONFLICT; the change is then retried on the stored records.
+ */
+
+const winston = require('winston');
+const { PERSISTENCE_CONFIG } = require('./config');
+
+// Repository logger
+const repositoryLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/repositories.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const MODES = ['database', 'sqlite', 'memory'];
+
+const repositoryError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const createClient = (mode) => {
+  if (!MODES.includes(mode)) {
+    throw repositoryError('Unknown persistence mode', 'PERSISTENCE_MODE_INVALID', { mode });
+  }
+  if (mode === 'memory') return null;
+
+  // The SQLite client is generated into prisma/test/client by npm run db:test:setup
+  const { PrismaClient } = mode === 'sqlite' ? require('./prisma/test/client') : require('@prisma/client');
+  const url = mode === 'sqlite' ? PERSISTENCE_CONFIG.testDatabaseUrl : PERSISTENCE_CONFIG.databaseUrl;
+  return new PrismaClient({ datasources: { db: { url } } });
+};
+
+const db = createClient(PERSISTENCE_CONFIG.mode);
+const persistent = db !== null;
+
+// Records go in as JSON text; live sockets stay out of it
+const toData = (record) => JSON.stringify(record, (field, value) => (field === 'ws' ? undefined : value));
+const fromData = (row) => JSON.parse(row.data);
+const fromVersionedRow = (row) => ({ ...fromData(row), version: row.version });
+const toDate = (ms) => (ms === undefined || ms === null ? undefined : new Date(ms));
+
+// A promise settled when a batch or transaction commits. Callers that don't wait on it still
+// get the failure logged, never an unhandled rejection.
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  promise.catch(() => {});
+  return { promise, resolve, reject };
+};
+
+// Write queue - one pending write per record, kept in the order records were first queued.
+// A write is { run(client), committed(), restore() }: run issues its Prisma calls inside the
+// database transaction, committed runs after it commits, restore after it fails.
+const pending = new Map(); // `${collection}:${id}` -> write
+let nextBatch = null; // deferred for the batch pending will go out in
+let writing = Promise.resolve();
+let scheduled = false;
+let unit = null; // { writes, done } collecting the writes of the transaction() change running now
+
+// Money transactions run one at a time in this process, so none reads another's uncommitted
+// change; reads into the cache wait their turn too, so none lands on a record mid-transaction
+let exclusive = Promise.resolve();
+
+const exclusively = (task) => {
+  const run = exclusive.then(task);
+  exclusive = run.catch(() => {});
+  return run;
+};
+
+// Commits after every earlier write, so a record's rows never go in out of order
+const commit = (writes) => {
+  const committed = writing
+    .then(() => db.$transaction(async (client) => {
+      for (const write of writes) {
+        await write.run(client);
+      }
+    }, { timeout: PERSISTENCE_CONFIG.transactionTimeoutMs }))
+    .then(() => writes.forEach(write => write.committed()));
+  writing = committed.catch(() => {});
+  return committed;
+};
+
+const writeBatch = () => {
+  scheduled = false;
+  if (pending.size === 0) return;
+
+  const keys = Array.from(pending.keys());
+  const writes = Array.from(pending.values());
+  const batch = nextBatch;
+  pending.clear();
+  nextBatch = null;
+
+  commit(writes).then(batch.resolve, error => {
+    repositoryLogger.error('Repository batch write failed', { records: keys, error: error.message, code: error.code });
+    batch.reject(error);
+  });
+};
+
+// Resolves once the write is committed
+const queue = (key, write) => {
+  if (!persistent) return Promise.resolve();
+  if (unit) {
+    unit.writes.set(key, write);
+    return unit.done.promise;
+  }
+
+  pending.set(key, write);
+  if (!nextBatch) {
+    nextBatch = deferred();
+  }
+  if (!scheduled) {
+    scheduled = true;
+    setImmediate(writeBatch);
+  }
+  return nextBatch.promise;
+};
+
+// Resolves once everything queued so far is committed (or has failed and been logged)
+const flush = async () => {
+  writeBatch();
+  await writing;
+};
+
+const conflictError = (record) => repositoryError('Record was changed by another process', 'REPOSITORY_CONFLICT', { status: 409, record });
+
+// Prisma's unique-constraint failure: someone else created the row first
+const isUniqueViolation = (error) => error.code === 'P2002';
+
+/**
+ * A Map-like cache over one table. idOf gives a record's key, write(record, client) issues its
+ * Prisma calls and read(where) returns the stored records matching a Prisma filter. A versioned
+ * collection's write gets the version the record was read at (undefined for a new record) and
+ * must write only if the row still has it; the record carries its version once committed.
+ */
+const createCollection = ({ name, model, idField, idOf, write, read, versioned = false }) => {
+  const cache = new Map();
+
+  // Records are updated in place, so a module holding one keeps seeing the stored row
+  const replace = (record) => {
+    const cached = cache.get(idOf(record));
+    if (!cached) {
+      cache.set(idOf(record), record);
+      return;
+    }
+    Object.keys(cached).forEach(field => delete cached[field]);
+    Object.assign(cached, record);
+  };
+
+  /**
+   * Reads records back from the database into the cache - the given ids, or every row. A record
+   * another process created is added; with prune, one the database doesn't have is dropped.
+   * Resolves to the records read.
+   */
+  const readBack = async (ids, { prune = false } = {}) => {
+    if (!persistent || (ids && ids.length === 0)) return [];
+    await flush();
+    const records = await read(ids ? { [idField]: { in: ids } } : undefined);
+    records.forEach(replace);
+    if (prune && ids) {
+      const found = new Set(records.map(idOf));
+      ids.filter(id => !found.has(id)).forEach(id => cache.delete(id));
+    }
+    return records.map(record => cache.get(idOf(record)));
+  };
+  const reload = (ids, options) => exclusively(() => readBack(ids, options));
+
+  const persist = (record) => {
+    const id = idOf(record);
+    return queue(`${name}:${id}`, {
+      run: async (client) => {
+        if (!versioned) {
+          await write(record, client);
+          return;
+        }
+        try {
+          if (await write(record, client, record.version) === 0) {
+            throw conflictError(`${name}:${id}`);
+          }
+        } catch (error) {
+          throw isUniqueViolation(error) ? conflictError(`${name}:${id}`) : error;
+        }
+      },
+      committed: () => {
+        if (versioned) {
+          record.version = (record.version || 0) + 1;
+        }
+      },
+      restore: () => readBack([id], { prune: true })
+    });
+  };
+
+  return {
+    get size() {
+      return cache.size;
+    },
+    get: (id) => cache.get(id),
+    has: (id) => cache.has(id),
+    keys: () => cache.keys(),
+    values: () => cache.values(),
+    entries: () => cache.entries(),
+    forEach: (fn) => cache.forEach(fn),
+    [Symbol.iterator]: () => cache[Symbol.iterator](),
+
+    set: (id, record) => {
+      cache.set(id, record);
+      return persist(record);
+    },
+
+    // Persists a record without caching it here - for records a module keeps elsewhere while live
+    save: persist,
+
+    delete: (id) => {
+      cache.delete(id);
+      return queue(`${name}:${id}`, {
+        run: (client) => client[model].deleteMany({ where: { [idField]: id } }),
+        committed: () => {},
+        restore: () => readBack([id])
+      });
+    },
+
+    reload,
+    readBack,
+
+    // How many stored records match a Prisma filter, without reading them; null in memory mode,
+    // where the cache is all there is to count
+    count: async (where) => {
+      if (!persistent) return null;
+      await flush();
+      return db[model].count({ where });
+    },
+
+    // The stored records matching a Prisma filter, cached here as they are read
+    find: (where) => exclusively(async () => {
+      if (!persistent) return [];
+      await flush();
+      const records = await read(where);
+      records.forEach(replace);
+      return records.map(record => cache.get(idOf(record)));
+    }),
+
+    load: async () => {
+      if (!persistent) return;
+      cache.clear();
+      (await read()).forEach(record => cache.set(idOf(record), record));
+    }
+  };
+};
+
+// An append-only table; records are written once and read back in order. undo takes a record
+// back out of its owner's memory if the write fails inside transaction().
+const createLog = ({ name, idOf, write, read }) => ({
+  append: (record, undo = () => {}) => queue(`${name}:${idOf(record)}`, {
+    run: (client) => write(record, client),
+    committed: () => {},
+    restore: async () => undo(record)
+  }),
+  readAll: async (where) => (persistent ? read(where) : [])
+});
+
+let collections = {};
+
+const runTransaction = async (change, reload, attempt) => {
+  await flush();
+  // A function names the records once it has read what it needs to know which they are
+  const records = typeof reload === 'function' ? await reload() : reload;
+  await Promise.all(Object.entries(records).map(([name, ids]) => collections[name].readBack(ids)));
+
+  const current = { writes: new Map(), done: deferred() };
+  unit = current;
+  let result;
+  let failure = null;
+  try {
+    result = change();
+  } catch (error) {
+    failure = error;
+  }
+  unit = null;
+  const writes = Array.from(current.writes.values());
+
+  try {
+    if (failure) throw failure;
+    if (writes.length > 0) {
+      await commit(writes);
+    }
+    current.done.resolve(result);
+    return result;
+  } catch (error) {
+    // Nothing the change did is kept: its records are read back as the database has them
+    await Promise.all(writes.map(write => write.restore().catch(restoreError => {
+      repositoryLogger.error('Repository record could not be restored', { error: restoreError.message });
+    })));
+    if (error.code === 'REPOSITORY_CONFLICT' && attempt < PERSISTENCE_CONFIG.conflictRetries) {
+      repositoryLogger.warn('Repository transaction retried after a conflict', { record: error.record, attempt });
+      return runTransaction(change, reload, attempt + 1);
+    }
+    if (!failure) {
+      repositoryLogger.error('Repository transaction failed', { records: Array.from(current.writes.keys()), error: error.message, code: error.code });
+    }
+    current.done.reject(error);
+    throw error;
+  }
+};
+
+/**
+ * Runs change() on freshly read records and resolves with what it returns once everything it
+ * saved is committed, together, in one database transaction. reload names the records to read
+ * back first, as { collection: [ids] } or a function resolving to that; the function runs in
+ * the transaction's turn, so it reads with readBack() rather than reload(). change must be
+ * synchronous so nothing else saves while it runs. If it throws or the commit fails, the records it touched are read back from the
+ * database and the error is rethrown; a REPOSITORY_CONFLICT runs it again, up to
+ * PERSISTENCE_CONFIG.conflictRetries times. In memory mode change simply runs.
+ */
+const transaction = (change, { reload = {} } = {}) => {
+  if (!persistent) {
+    try {
+      return Promise.resolve(change());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+  return exclusively(() => runTransaction(change, reload, 1));
+};
+
+// A versioned row is created once and from then on updated only at the version it was read at;
+// resolves to the number of rows written
+const writeVersioned = async (delegate, where, version, { create, update }) => {
+  if (version === undefined) {
+    await delegate.create({ data: create });
+    return 1;
+  }
+  const { count } = await delegate.updateMany({ where: { ...where, version }, data: { ...update, version: version + 1 } });
+  return count;
+};
+
+// Collections
+const users = createCollection({
+  name: 'users',
+  model: 'user',
+  idField: 'id',
+  idOf: (user) => user.userId,
+  write: (user, client) => {
+    const columns = {
+      mobile: user.mobile || null,
+      username: user.username || null,
+      deviceId: user.deviceId || null,
+      currency: user.currency || 'INR',
+      language: user.language || null,
+      platform: user.platform || null,
+      lastLogin: toDate(user.lastLogin),
+      referralCode: user.referralCode || null,
+      referredBy: user.referredBy || null
+    };
+    return client.user.upsert({
+      where: { id: user.userId },
+      create: { id: user.userId, createdAt: toDate(user.createdAt), ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.user.findMany({ where })).map(row => ({
+    userId: row.id,
+    mobile: row.mobile,
+    username: row.username,
+    deviceId: row.deviceId,
+    currency: row.currency,
+    language: row.language,
+    platform: row.platform,
+    createdAt: row.createdAt.getTime(),
+    lastLogin: row.lastLogin ? row.lastLogin.getTime() : null,
+    referralCode: row.referralCode,
+    referredBy: row.referredBy
+  }))
+});
+
+const wallets = createCollection({
+  name: 'wallets',
+  model: 'wallet',
+  idField: 'userId',
+  idOf: (wallet) => wallet.userId,
+  versioned: true,
+  write: (wallet, client, version) => {
+    const columns = {
+      currency: wallet.currency,
+      balance: wallet.balance,
+      depositBalance: wallet.buckets.deposit,
+      winningsBalance: wallet.buckets.winnings,
+      bonusBalance: wallet.buckets.bonus,
+      totalDeposits: wallet.totalDeposits,
+      totalWithdrawals: wallet.totalWithdrawals,
+      totalWinnings: wallet.totalWinnings,
+      kycStatus: wallet.kycStatus,
+      createdAt: toDate(wallet.createdAt),
+      lastActivity: toDate(wallet.lastActivity),
+      data: toData(wallet)
+    };
+    // Wallets can exist before the player has a profile, so the user row is made if needed
+    return writeVersioned(client.wallet, { userId: wallet.userId }, version, {
+      create: {
+        ...columns,
+        user: { connectOrCreate: { where: { id: wallet.userId }, create: { id: wallet.userId, currency: wallet.currency } } }
+      },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.wallet.findMany({ where })).map(fromVersionedRow)
+});
+
+const transactions = createCollection({
+  name: 'transactions',
+  model: 'transaction',
+  idField: 'id',
+  idOf: (tx) => tx.id,
+  versioned: true,
+  write: (tx, client, version) => {
+    const columns = {
+      userId: tx.userId,
+      type: tx.type,
+      amount: tx.amount,
+      currency: tx.currency,
+      status: tx.status || null,
+      matchId: tx.matchId || null,
+      journalId: tx.journalId || null,
+      gatewayReference: tx.gatewayReference || (tx.paymentDetails && tx.paymentDetails.gatewayTransactionId) || null,
+      timestamp: toDate(tx.timestamp),
+      data: toData(tx)
+    };
+    return writeVersioned(client.transaction, { id: tx.id }, version, { create: { id: tx.id, ...columns }, update: columns });
+  },
+  read: async (where) => (await db.transaction.findMany({ where, orderBy: { timestamp: 'asc' } })).map(fromVersionedRow)
+});
+
+// Transaction counts and amounts by type and currency, in one query and without reading the
+// transactions: [{ type, currency, count, amount }]; null in memory mode
+transactions.totals = async (where) => {
+  if (!persistent) return null;
+  await flush();
+  const groups = await db.transaction.groupBy({ by: ['type', 'currency'], where, _count: { _all: true }, _sum: { amount: true } });
+  return groups.map(group => ({
+    type: group.type,
+    currency: group.currency,
+    count: group._count._all,
+    amount: Number(group._sum.amount || 0)
+  }));
+};
+
+const matches = createCollection({
+  name: 'matches',
+  model: 'match',
+  idField: 'id',
+  idOf: (match) => match.id,
+  write: (match, client) => {
+    const columns = {
+      gameType: match.gameType,
+      status: match.status,
+      currency: match.currency,
+      betAmount: match.betAmount,
+      tierId: match.tierId || null,
+      startTime: toDate(match.startTime),
+      endTime: toDate(match.endTime),
+      data: toData(match)
+    };
+    const players = match.players.map(p => ({ playerId: p.id, score: Math.round(Number(p.score) || 0) }));
+    return client.match.upsert({
+      where: { id: match.id },
+      create: { id: match.id, ...columns, players: { create: players } },
+      update: { ...columns, players: { deleteMany: {}, create: players } }
+    });
+  },
+  read: async (where) => (await db.match.findMany({ where, orderBy: { startTime: 'asc' } })).map(fromData)
+});
+
+const matchHolds = createCollection({
+  name: 'matchHolds',
+  model: 'matchHold',
+  idField: 'matchId',
+  idOf: (hold) => hold.matchId,
+  versioned: true,
+  write: (hold, client, version) => {
+    const columns = {
+      status: hold.status,
+      amount: hold.amount,
+      currency: hold.currency,
+      createdAt: toDate(hold.createdAt),
+      data: toData(hold)
+    };
+    return writeVersioned(client.matchHold, { matchId: hold.matchId }, version, { create: { matchId: hold.matchId, ...columns }, update: columns });
+  },
+  read: async (where) => (await db.matchHold.findMany({ where })).map(fromVersionedRow)
+});
+
+const withdrawals = createCollection({
+  name: 'withdrawals',
+  model: 'withdrawal',
+  idField: 'id',
+  idOf: (withdrawal) => withdrawal.id,
+  write: (withdrawal, client) => {
+    const columns = {
+      userId: withdrawal.userId,
+      amount: withdrawal.amount,
+      netAmount: withdrawal.netAmount,
+      processingFee: withdrawal.processingFee,
+      currency: withdrawal.currency,
+      method: withdrawal.withdrawalMethod,
+      status: withdrawal.status,
+      requestedAt: toDate(withdrawal.timestamp),
+      data: toData(withdrawal)
+    };
+    return client.withdrawal.upsert({ where: { id: withdrawal.id }, create: { id: withdrawal.id, ...columns }, update: columns });
+  },
+  read: async (where) => (await db.withdrawal.findMany({ where, orderBy: { requestedAt: 'asc' } })).map(fromData)
+});
+
+const tournaments = createCollection({
+  name: 'tournaments',
+  model: 'tournament',
+  idField: 'id',
+  idOf: (tournament) => tournament.id,
+  write: (tournament, client) => {
+    const columns = {
+      gameType: tournament.gameType,
+      status: tournament.status,
+      currency: tournament.currency,
+      entryFee: tournament.entryFee,
+      startsAt: toDate(tournament.startsAt),
+      createdAt: toDate(tournament.createdAt),
+      data: toData(tournament)
+    };
+    return client.tournament.upsert({ where: { id: tournament.id }, create: { id: tournament.id, ...columns }, update: columns });
+  },
+  read: async (where) => (await db.tournament.findMany({ where, orderBy: { startsAt: 'asc' } })).map(fromData)
+});
+
+// One dispute per match; players are found through the match's player rows
+const disputes = createCollection({
+  name: 'disputes',
+  model: 'dispute',
+  idField: 'id',
+  idOf: (dispute) => dispute.id,
+  write: (dispute, client) => {
+    const columns = {
+      status: dispute.status,
+      filedBy: dispute.filedBy,
+      openedAt: toDate(dispute.openedAt),
+      data: toData(dispute)
+    };
+    return client.dispute.upsert({
+      where: { id: dispute.id },
+      create: { id: dispute.id, matchId: dispute.matchId, ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.dispute.findMany({ where, orderBy: { openedAt: 'asc' } })).map(fromData)
+});
+
+// One alert per rule key; a worker raising one another already stored leaves it as it is, and
+// only a review changes a stored alert
+const antiCheatAlerts = createCollection({
+  name: 'antiCheatAlerts',
+  model: 'antiCheatAlert',
+  idField: 'id',
+  idOf: (alert) => alert.id,
+  write: (alert, client) => {
+    const columns = { status: alert.status, data: toData(alert) };
+    return client.antiCheatAlert.upsert({
+      where: { key: alert.key },
+      create: {
+        id: alert.id,
+        key: alert.key,
+        type: alert.type,
+        severity: alert.severity,
+        userId: alert.userId,
+        matchId: alert.matchId,
+        createdAt: toDate(alert.createdAt),
+        ...columns
+      },
+      update: alert.reviewedAt ? columns : {}
+    });
+  },
+  read: async (where) => (await db.antiCheatAlert.findMany({ where, orderBy: { createdAt: 'asc' } })).map(fromData)
+});
+
+// A pool keeps its entries in a Map by player, stored as a list
+const tournamentPools = createCollection({
+  name: 'tournamentPools',
+  model: 'tournamentPool',
+  idField: 'tournamentId',
+  idOf: (pool) => pool.tournamentId,
+  versioned: true,
+  write: (pool, client, version) => {
+    const columns = {
+      status: pool.status,
+      entryFee: pool.entryFee,
+      currency: pool.currency,
+      createdAt: toDate(pool.createdAt),
+      data: toData({ ...pool, entries: Array.from(pool.entries.values()) })
+    };
+    return writeVersioned(client.tournamentPool, { tournamentId: pool.tournamentId }, version, {
+      create: { tournamentId: pool.tournamentId, ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.tournamentPool.findMany({ where })).map(row => {
+    const pool = fromVersionedRow(row);
+    return { ...pool, entries: new Map(pool.entries.map(entry => [entry.playerId, entry])) };
+  })
+});
+
+// One row per game and tier; retired tiers stay, inactive
+const stakeTiers = createCollection({
+  name: 'stakeTiers',
+  model: 'stakeTier',
+  idField: 'key',
+  idOf: (tier) => `${tier.gameType}:${tier.id}`,
+  write: (tier, client) => {
+    const columns = { active: tier.active, updatedAt: toDate(tier.updatedAt), data: toData(tier) };
+    return client.stakeTier.upsert({
+      where: { key: `${tier.gameType}:${tier.id}` },
+      create: { key: `${tier.gameType}:${tier.id}`, gameType: tier.gameType, tierId: tier.id, ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.stakeTier.findMany({ where })).map(fromData)
+});
+
+// One row per player and game; versioned, as two workers may rate the same player at once
+const playerRatings = createCollection({
+  name: 'playerRatings',
+  model: 'playerRating',
+  idField: 'key',
+  idOf: (record) => `${record.gameType}:${record.playerId}`,
+  versioned: true,
+  write: (record, client, version) => {
+    const columns = {
+      rating: record.rating,
+      gamesPlayed: record.gamesPlayed,
+      lastPlayedAt: toDate(record.lastPlayedAt),
+      data: toData(record)
+    };
+    return writeVersioned(client.playerRating, { key: `${record.gameType}:${record.playerId}` }, version, {
+      create: { key: `${record.gameType}:${record.playerId}`, playerId: record.playerId, gameType: record.gameType, ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.playerRating.findMany({ where })).map(fromVersionedRow)
+});
+
+// One case per pair of linked accounts, found by its pair key
+const riskCases = createCollection({
+  name: 'riskCases',
+  model: 'riskCase',
+  idField: 'id',
+  idOf: (riskCase) => riskCase.id,
+  write: (riskCase, client) => {
+    const columns = { status: riskCase.status, updatedAt: toDate(riskCase.updatedAt), data: toData(riskCase) };
+    return client.riskCase.upsert({
+      where: { id: riskCase.id },
+      create: { id: riskCase.id, pairKey: riskCase.accounts.join('|'), createdAt: toDate(riskCase.createdAt), ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.riskCase.findMany({ where, orderBy: { updatedAt: 'desc' } })).map(fromData)
+});
+
+// Private rooms by invite code; kept until pruned a while after they expire
+const challengeRooms = createCollection({
+  name: 'challengeRooms',
+  model: 'challengeRoom',
+  idField: 'code',
+  idOf: (room) => room.code,
+  write: (room, client) => {
+    const columns = { status: room.status, expiresAt: toDate(room.expiresAt), data: toData(room) };
+    return client.challengeRoom.upsert({
+      where: { code: room.code },
+      create: { code: room.code, hostId: room.hostId, createdAt: toDate(room.createdAt), ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.challengeRoom.findMany({ where })).map(fromData)
+});
+
+// Payment gateway deliveries, keyed `${gateway}:${eventId}`, with the result each was answered with
+const webhookEvents = createCollection({
+  name: 'webhookEvents',
+  model: 'webhookEvent',
+  idField: 'key',
+  idOf: (event) => event.key,
+  write: (event, client) => client.webhookEvent.upsert({
+    where: { key: event.key },
+    create: { key: event.key, gateway: event.gateway, eventId: event.eventId, receivedAt: toDate(event.receivedAt), data: toData(event) },
+    update: { data: toData(event) }
+  }),
+  read: async (where) => (await db.webhookEvent.findMany({ where })).map(fromData)
+});
+
+// Admin exchange rate overrides, one per currency while it is in force
+const rateOverrides = createCollection({
+  name: 'rateOverrides',
+  model: 'rateOverride',
+  idField: 'currency',
+  idOf: (override) => override.currency,
+  write: (override, client) => {
+    const columns = { rate: override.rate, adminId: override.adminId, setAt: toDate(override.setAt), data: toData(override) };
+    return client.rateOverride.upsert({
+      where: { currency: override.currency },
+      create: { currency: override.currency, ...columns },
+      update: columns
+    });
+  },
+  read: async (where) => (await db.rateOverride.findMany({ where })).map(fromData)
+});
+
+// Logs
+const rateSnapshots = createLog({
+  name: 'rateSnapshots',
+  idOf: (snapshot) => snapshot.id,
+  write: ({ id, base, source, rates, overrides, createdAt }, client) => client.rateSnapshot.create({
+    data: { id, base, source, createdAt: toDate(createdAt), data: JSON.stringify({ rates, overrides }) }
+  }),
+  read: async (where) => (await db.rateSnapshot.findMany({ where, orderBy: { createdAt: 'asc' } })).map(row => ({
+    id: row.id,
+    base: row.base,
+    source: row.source,
+    ...JSON.parse(row.data),
+    createdAt: row.createdAt.getTime()
+  }))
+});
+
+// Who set and cleared each override, and the rate it replaced
+const rateOverrideEvents = createLog({
+  name: 'rateOverrideEvents',
+  idOf: (event) => event.id,
+  write: (event, client) => client.rateOverrideEvent.create({
+    data: { id: event.id, currency: event.currency, action: event.action, adminId: event.adminId, createdAt: toDate(event.at), data: toData(event) }
+  }),
+  read: async (where) => (await db.rateOverrideEvent.findMany({ where, orderBy: { createdAt: 'asc' } })).map(fromData)
+});
+
+const ledgerEntries = createLog({
+  name: 'ledgerEntries',
+  idOf: (entry) => entry.id,
+  write: (entry, client) => client.ledgerEntry.create({
+    data: {
+      id: entry.id,
+      type: entry.type,
+      reference: entry.reference,
+      metadata: JSON.stringify(entry.metadata),
+      timestamp: toDate(entry.timestamp),
+      lines: { create: entry.lines.map(({ account, currency, debit, credit }) => ({ account, currency, debit, credit })) }
+    }
+  }),
+  read: async (where) => (await db.ledgerEntry.findMany({
+    where,
+    include: { lines: { orderBy: { id: 'asc' } } },
+    orderBy: [{ timestamp: 'asc' }, { id: 'asc' }]
+  })).map(row => ({
+    id: row.id,
+    type: row.type,
+    reference: row.reference,
+    metadata: JSON.parse(row.metadata),
+    timestamp: row.timestamp.getTime(),
+    lines: row.lines.map(line => ({
+      account: line.account,
+      currency: line.currency,
+      debit: Number(line.debit),
+      credit: Number(line.credit)
+    }))
+  }))
+});
+
+const matchEvents = {
+  ...createLog({
+    name: 'matchEvents',
+    idOf: (entry) => `${entry.matchId}:${entry.seq}`,
+    write: ({ matchId, seq, type, at, event }, client) => client.matchEvent.create({
+      data: { matchId, seq, type, recordedAt: toDate(at), data: JSON.stringify(event) }
+    }),
+    read: async (where) => (await db.matchEvent.findMany({ where, orderBy: [{ matchId: 'asc' }, { seq: 'asc' }] })).map(row => ({
+      matchId: row.matchId,
+      seq: row.seq,
+      type: row.type,
+      at: row.recordedAt.getTime(),
+      event: JSON.parse(row.data)
+    }))
+  }),
+
+  // Entry counts by event type for each of the matches, in one query and without reading the
+  // entries: { matchId: { type: count } }
+  countByType: async (matchIds) => {
+    if (!persistent || matchIds.length === 0) return {};
+    const groups = await db.matchEvent.groupBy({ by: ['matchId', 'type'], where: { matchId: { in: matchIds } }, _count: { _all: true } });
+    return groups.reduce((counts, group) => {
+      counts[group.matchId] = { ...counts[group.matchId], [group.type]: group._count._all };
+      return counts;
+    }, {});
+  }
+};
+
+// Which accounts presented which identity (device, IP, payout hash, referral), one row for each;
+// recording one twice leaves the first
+const accountIdentities = {
+  ...createLog({
+    name: 'accountIdentities',
+    idOf: (row) => `${row.key}:${row.userId}`,
+    write: ({ key, kind, userId, firstSeen }, client) => client.accountIdentity.upsert({
+      where: { key_userId: { key, userId } },
+      create: { key, kind, userId, firstSeen: toDate(firstSeen) },
+      update: {}
+    }),
+    read: async (where) => (await db.accountIdentity.findMany({ where })).map(row => ({
+      key: row.key,
+      kind: row.kind,
+      userId: row.userId,
+      firstSeen: row.firstSeen.getTime()
+    }))
+  }),
+
+  // How many accounts each identity has, without reading them
+  countAccounts: async (keys) => {
+    if (!persistent) return {};
+    const groups = await db.accountIdentity.groupBy({ by: ['key'], where: { key: { in: keys } }, _count: { _all: true } });
+    return Object.fromEntries(groups.map(group => [group.key, group._count._all]));
+  }
+};
+
+// Staked results between two accounts, one per match
+const pairResults = createLog({
+  name: 'pairResults',
+  idOf: (result) => result.matchId,
+  write: ({ matchId, pairKey, winnerId, loserId, amount, at }, client) => client.pairResult.upsert({
+    where: { matchId },
+    create: { matchId, pairKey, winnerId, loserId, amount, at: toDate(at) },
+    update: {}
+  }),
+  read: async (where) => (await db.pairResult.findMany({ where, orderBy: { at: 'asc' } })).map(row => ({
+    matchId: row.matchId,
+    winnerId: row.winnerId,
+    loserId: row.loserId,
+    amount: Number(row.amount),
+    at: row.at.getTime()
+  }))
+});
+
+collections = { users, wallets, transactions, matches, matchHolds, withdrawals, tournaments, tournamentPools, disputes, antiCheatAlerts, stakeTiers, playerRatings, riskCases, challengeRooms, webhookEvents, rateOverrides };
+
+// Fills every collection's cache from the database; the logs are read by their owners
+const load = async () => {
+  if (!persistent) return;
+  await db.$connect();
+  await Promise.all(Object.values(collections).map(c => c.load()));
+  repositoryLogger.info('Repositories loaded', {
+    mode: PERSISTENCE_CONFIG.mode,
+    users: users.size,
+    wallets: wallets.size,
+    transactions: transactions.size,
+    matches: matches.size,
+    withdrawals: withdrawals.size,
+    tournaments: tournaments.size,
+    disputes: disputes.size,
+    antiCheatAlerts: antiCheatAlerts.size
+  });
+};
+
+const disconnect = async () => {
+  await flush();
+  if (persistent) {
+    await db.$disconnect();
+  }
+};
+
+module.exports = {
+  persistent,
+  users,
+  wallets,
+  transactions,
+  matches,
+  matchHolds,
+  withdrawals,
+  tournaments,
+  tournamentPools,
+  disputes,
+  antiCheatAlerts,
+  stakeTiers,
+  playerRatings,
+  riskCases,
+  challengeRooms,
+  webhookEvents,
+  rateOverrides,
+  accountIdentities,
+  pairResults,
+  ledgerEntries,
+  rateSnapshots,
+  rateOverrideEvents,
+  matchEvents,
+  load,
+  transaction,
+  flush,
+  disconnect
+};
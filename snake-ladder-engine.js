@@ -0,0 +1,130 @@
+/**
+ * SKILLZY ARENA - SNAKE & LADDER ENGINE
+ * Server-side Snake & Ladder for paid matches - the board is moved by the provably fair rolls
+ *
+ * Features:
+ * - Classic 100-square board with fixed snakes and ladders
+ * - Turns alternate; a roll that would pass square 100 leaves the token where it is
+ * - The first token to land exactly on 100 wins
+ * - When time runs out the token furthest up the board wins; level tokens draw
+ *
+ * The game only ever moves by the dice values it is given, and those come from
+ * provably-fair.js, so anyone holding the revealed seeds can replay the whole board and
+ * check the result.
+ */
+
+const FINAL_SQUARE = 100;
+
+// Square a token lands on -> square it ends up on
+const SNAKES = { 16: 6, 47: 26, 49: 11, 56: 53, 62: 19, 64: 60, 87: 24, 93: 73, 95: 75, 98: 78 };
+const LADDERS = { 1: 38, 4: 14, 9: 31, 21: 42, 28: 84, 36: 44, 51: 67, 71: 91, 80: 100 };
+
+// Helper functions
+const snakeLadderError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+// `players` in turn order; tokens start off the board on square 0
+const createGame = ({ players }) => ({
+  players,
+  positions: Object.fromEntries(players.map(playerId => [playerId, 0])),
+  turn: 0,
+  moves: [],
+  status: 'active',
+  result: null
+});
+
+const turnPlayer = (game) => game.players[game.turn];
+
+const endGame = (game, status, winner, reason) => {
+  game.status = status;
+  game.result = { winner, reason, positions: { ...game.positions } };
+  return game.result;
+};
+
+// Moves the player's token by a die value and passes the turn; returns the move
+const playRoll = (game, playerId, value) => {
+  if (!game.players.includes(playerId)) {
+    throw snakeLadderError('Player is not in this game', 'SNAKE_LADDER_NOT_A_PLAYER', { status: 403 });
+  }
+  if (game.status !== 'active') {
+    throw snakeLadderError('Game is already over', 'SNAKE_LADDER_GAME_OVER', { status: 409 });
+  }
+  if (turnPlayer(game) !== playerId) {
+    throw snakeLadderError('Not your turn to roll', 'SNAKE_LADDER_NOT_YOUR_TURN', { status: 409 });
+  }
+  if (!Number.isInteger(value) || value < 1 || value > 6) {
+    throw snakeLadderError('Die value must be 1-6', 'SNAKE_LADDER_INVALID_ROLL', { status: 400, value });
+  }
+
+  const from = game.positions[playerId];
+  const landed = from + value > FINAL_SQUARE ? from : from + value;
+  const to = SNAKES[landed] || LADDERS[landed] || landed;
+  const move = {
+    playerId,
+    roll: value,
+    from,
+    to,
+    via: SNAKES[landed] ? 'snake' : LADDERS[landed] ? 'ladder' : null
+  };
+
+  game.positions[playerId] = to;
+  game.moves.push(move);
+  game.turn = (game.turn + 1) % game.players.length;
+
+  if (to === FINAL_SQUARE) {
+    endGame(game, 'finished', playerId, 'reached_final_square');
+  }
+  return move;
+};
+
+const resign = (game, playerId, reason = 'resignation') => {
+  if (!game.players.includes(playerId)) {
+    throw snakeLadderError('Player is not in this game', 'SNAKE_LADDER_NOT_A_PLAYER', { status: 403 });
+  }
+  if (game.status !== 'active') {
+    throw snakeLadderError('Game is already over', 'SNAKE_LADDER_GAME_OVER', { status: 409 });
+  }
+  return endGame(game, 'resigned', game.players.find(id => id !== playerId), reason);
+};
+
+const expire = (game) => {
+  if (game.status !== 'active') {
+    return game.result;
+  }
+  const [leader, trailer] = [...game.players].sort((a, b) => game.positions[b] - game.positions[a]);
+  const level = game.positions[leader] === game.positions[trailer];
+  return endGame(game, 'timeout', level ? null : leader, 'time_expired');
+};
+
+// Replays a match's published rolls from an empty board - for checking a result after the seed is revealed
+const replay = (players, rolls) => {
+  const game = createGame({ players });
+  rolls.forEach(roll => playRoll(game, roll.playerId, roll.value));
+  return game;
+};
+
+const snapshot = (game) => ({
+  players: game.players,
+  positions: game.positions,
+  turnPlayer: game.status === 'active' ? turnPlayer(game) : null,
+  status: game.status,
+  result: game.result,
+  lastMove: game.moves[game.moves.length - 1] || null,
+  moveCount: game.moves.length
+});
+
+module.exports = {
+  FINAL_SQUARE,
+  SNAKES,
+  LADDERS,
+  createGame,
+  turnPlayer,
+  playRoll,
+  resign,
+  expire,
+  replay,
+  snapshot
+};
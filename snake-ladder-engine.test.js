@@ -0,0 +1,79 @@
+const snakeLadder = require('./snake-ladder-engine');
+const fair = require('./provably-fair');
+
+const newGame = () => snakeLadder.createGame({ players: ['p1', 'p2'] });
+
+// Puts a token on a square without playing the rolls that got it there
+const placeAt = (game, playerId, square) => {
+  game.positions[playerId] = square;
+};
+
+describe('snake and ladder engine', () => {
+  test('tokens start off the board and the first player rolls first', () => {
+    const game = newGame();
+    expect(game.positions).toEqual({ p1: 0, p2: 0 });
+    expect(snakeLadder.turnPlayer(game)).toBe('p1');
+  });
+
+  test('a roll moves the token and passes the turn', () => {
+    const game = newGame();
+    const move = snakeLadder.playRoll(game, 'p1', 3);
+
+    expect(move).toEqual({ playerId: 'p1', roll: 3, from: 0, to: 3, via: null });
+    expect(snakeLadder.turnPlayer(game)).toBe('p2');
+  });
+
+  test('landing on a ladder climbs it and landing on a snake slides down it', () => {
+    const game = newGame();
+    expect(snakeLadder.playRoll(game, 'p1', 4)).toMatchObject({ to: snakeLadder.LADDERS[4], via: 'ladder' });
+
+    placeAt(game, 'p2', 14);
+    expect(snakeLadder.playRoll(game, 'p2', 2)).toMatchObject({ from: 14, to: snakeLadder.SNAKES[16], via: 'snake' });
+  });
+
+  test('rolls are refused out of turn, from outsiders and off the die', () => {
+    const game = newGame();
+    expect(() => snakeLadder.playRoll(game, 'p2', 3)).toThrow(expect.objectContaining({ code: 'SNAKE_LADDER_NOT_YOUR_TURN' }));
+    expect(() => snakeLadder.playRoll(game, 'x1', 3)).toThrow(expect.objectContaining({ code: 'SNAKE_LADDER_NOT_A_PLAYER' }));
+    expect(() => snakeLadder.playRoll(game, 'p1', 7)).toThrow(expect.objectContaining({ code: 'SNAKE_LADDER_INVALID_ROLL' }));
+  });
+
+  test('only an exact roll reaches 100, and reaching it wins', () => {
+    const game = newGame();
+    placeAt(game, 'p1', 97);
+
+    expect(snakeLadder.playRoll(game, 'p1', 5)).toMatchObject({ from: 97, to: 97 });
+    snakeLadder.playRoll(game, 'p2', 1);
+    snakeLadder.playRoll(game, 'p1', 3);
+
+    expect(game.result).toMatchObject({ winner: 'p1', reason: 'reached_final_square' });
+    expect(() => snakeLadder.playRoll(game, 'p2', 1)).toThrow(expect.objectContaining({ code: 'SNAKE_LADDER_GAME_OVER' }));
+  });
+
+  test('when time runs out the furthest token wins and level tokens draw', () => {
+    const ahead = newGame();
+    placeAt(ahead, 'p2', 40);
+    expect(snakeLadder.expire(ahead)).toMatchObject({ winner: 'p2', reason: 'time_expired' });
+
+    expect(snakeLadder.expire(newGame())).toMatchObject({ winner: null });
+  });
+
+  test('resigning gives the game to the opponent', () => {
+    const game = newGame();
+    expect(snakeLadder.resign(game, 'p1', 'disconnect')).toMatchObject({ winner: 'p2', reason: 'disconnect' });
+  });
+
+  test('provably fair rolls replay to the same board', () => {
+    const { serverSeed } = fair.createCommitment();
+    const clientSeeds = ['seed-one', 'seed-two'];
+    const game = newGame();
+    const rolls = [];
+    for (let nonce = 0; nonce < 40 && game.status === 'active'; nonce++) {
+      const roll = { nonce, playerId: snakeLadder.turnPlayer(game), value: fair.rollDie(serverSeed, clientSeeds, nonce) };
+      snakeLadder.playRoll(game, roll.playerId, roll.value);
+      rolls.push(roll);
+    }
+
+    expect(snakeLadder.replay(['p1', 'p2'], rolls).positions).toEqual(game.positions);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * SKILLZY ARENA - STAKE TIERS
+ * Admin-defined stake levels per game, each with its own rake
+ *
+ * Features:
+ * - Several tiers per game (e.g. Free, ₹10, ₹50, ₹100), seeded from GAMING_CONFIG.stakeTiers
+ * - Per-tier rake percentage; the winner takes the rest of the pot
+ * - Stakes priced in INR and converted to the player's currency at match time
+ * - Admins add, edit and retire tiers without a deploy
+ * - Tiers stored in the database (repositories.js) and read back on use, so an admin's change
+ *   reaches every worker
+ *
+ * Retired tiers stay on record (matches reference them) but can no longer be queued for.
+ */
+
+const winston = require('winston');
+const money = require('./money');
+const exchangeRates = require('./exchange-rates');
+const repositories = require('./repositories');
+const { store: sharedState } = require('./state-store');
+const { GAMING_CONFIG } = require('./config');
+
+// Stake tier logger
+const tierLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/stake-tiers.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Tiers are kept in the database (see repositories.js) and changed through withTier(), under a
+// shared lock; every read goes back to the database first, so rake and stakes are the same on
+// every worker
+// Stakes are integer INR minor units (see money.js)
+const stakeTiers = repositories.stakeTiers; // `${gameType}:${tierId}` -> tier
+
+// Helper functions
+const tierKey = (gameType, tierId) => `${gameType}:${tierId}`;
+
+const tierError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const getTier = async (gameType, tierId) => {
+  await stakeTiers.reload([tierKey(gameType, tierId)]);
+  return stakeTiers.get(tierKey(gameType, tierId)) || null;
+};
+
+const listTiers = async (gameType, { includeInactive = false } = {}) => {
+  await stakeTiers.find({ gameType });
+  return Array.from(stakeTiers.values())
+    .filter(t => t.gameType === gameType && (includeInactive || t.active))
+    .sort((a, b) => a.stake - b.stake);
+};
+
+// An active tier the player can queue for, or STAKE_TIER_UNAVAILABLE
+const requireTier = async (gameType, tierId = GAMING_CONFIG.defaultStakeTier) => {
+  const tier = await getTier(gameType, tierId);
+  if (!tier || !tier.active) {
+    throw tierError('Stake tier not available for this game', 'STAKE_TIER_UNAVAILABLE', { status: 400, gameType, tierId });
+  }
+  return tier;
+};
+
+// The tier's stake in the player's currency, in minor units
+const stakeFor = (tier, currency) => exchangeRates.convert(tier.stake, 'INR', currency);
+
+// Winner and platform shares of a pot of two stakes; they always add back up to the pot
+const payoutFor = (tier, stake) => {
+  const pot = money.add(stake, stake);
+  if (pot === 0) {
+    return { winner: 0, platform: 0 };
+  }
+  const [winner, platform] = money.split(pot, [100 - tier.rakePercent, tier.rakePercent]);
+  return { winner, platform };
+};
+
+const formatTier = (tier, currency = 'INR') => {
+  const stake = stakeFor(tier, currency);
+  return {
+    id: tier.id,
+    name: tier.name,
+    stake: money.toMajor(stake, currency),
+    currency,
+    rakePercent: tier.rakePercent,
+    winnerPayout: money.toMajor(payoutFor(tier, stake).winner, currency),
+    free: tier.stake === 0,
+    active: tier.active
+  };
+};
+
+// Runs change on the tier as stored (null if there is none), under its shared lock, and stores
+// the tier change returns
+const withTier = (gameType, tierId, change) => sharedState.withLock(`stake_tier:${tierKey(gameType, tierId)}`, async () => {
+  const tier = change(await getTier(gameType, tierId));
+  await stakeTiers.set(tierKey(gameType, tierId), tier);
+  return tier;
+});
+
+const buildTier = (gameType, { id, name, stake, rakePercent, active = true }, existing, updatedBy) => ({
+  id,
+  gameType,
+  name: name || (existing ? existing.name : id),
+  stake: money.toMinor(stake, 'INR'),
+  rakePercent: Number(rakePercent),
+  active: Boolean(active),
+  createdAt: existing ? existing.createdAt : Date.now(),
+  updatedAt: Date.now(),
+  updatedBy: updatedBy || null
+});
+
+/**
+ * Adds a tier or updates an existing one. stake is in INR (major units).
+ * Resolves to the stored tier.
+ */
+const upsertTier = async (gameType, { id, name, stake, rakePercent, active = true }, updatedBy) => {
+  if (!GAMING_CONFIG.availableGames.includes(gameType)) {
+    throw tierError('Unknown game type', 'STAKE_TIER_GAME_INVALID', { status: 400, gameType });
+  }
+  if (!(rakePercent >= 0 && rakePercent < 100)) {
+    throw tierError('Rake must be at least 0 and below 100 percent', 'STAKE_TIER_RAKE_INVALID', { status: 400, rakePercent });
+  }
+
+  let existing = null;
+  const tier = await withTier(gameType, id, (stored) => {
+    existing = stored;
+    return buildTier(gameType, { id, name, stake, rakePercent, active }, stored, updatedBy);
+  });
+
+  tierLogger.info(existing ? 'Stake tier updated' : 'Stake tier added', {
+    gameType,
+    tierId: id,
+    stake: tier.stake,
+    rakePercent: tier.rakePercent,
+    active: tier.active,
+    updatedBy
+  });
+
+  return tier;
+};
+
+const deactivateTier = async (gameType, tierId, updatedBy) => {
+  const tier = await withTier(gameType, tierId, (stored) => {
+    if (!stored) {
+      throw tierError('Stake tier not found', 'STAKE_TIER_NOT_FOUND', { status: 404, gameType, tierId });
+    }
+    return { ...stored, active: false, updatedAt: Date.now(), updatedBy: updatedBy || null };
+  });
+  tierLogger.info('Stake tier retired', { gameType, tierId, updatedBy });
+
+  return tier;
+};
+
+/**
+ * Seeds every game with the configured default tiers. A tier already stored keeps whatever an
+ * admin has made of it, so a restart never undoes their changes. Runs once the repositories
+ * are loaded; without a database the tiers are seeded when this module loads.
+ */
+const seedTiers = () => Promise.all(GAMING_CONFIG.availableGames.flatMap(gameType => (
+  GAMING_CONFIG.stakeTiers.map(tier => withTier(gameType, tier.id, stored => stored || buildTier(gameType, tier, null, 'config')))
+)));
+
+if (!repositories.persistent) {
+  GAMING_CONFIG.availableGames.forEach(gameType => {
+    GAMING_CONFIG.stakeTiers.forEach(tier => stakeTiers.set(tierKey(gameType, tier.id), buildTier(gameType, tier, null, 'config')));
+  });
+}
+
+module.exports = {
+  getTier,
+  listTiers,
+  requireTier,
+  stakeFor,
+  payoutFor,
+  formatTier,
+  upsertTier,
+  deactivateTier,
+  seedTiers,
+  stakeTiers
+};
@@ -0,0 +1,58 @@
+const repositories = require('./repositories');
+const stakeTiers = require('./stake-tiers');
+
+// Tiers are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+
+beforeAll(async () => {
+  await repositories.load();
+  await stakeTiers.seedTiers();
+});
+
+afterAll(() => repositories.disconnect());
+
+describe('stake tiers', () => {
+  test('each default tier splits the pot by its own rake', async () => {
+    const splits = {};
+    for (const tierId of ['free', 'inr10', 'inr50', 'inr100']) {
+      const tier = await stakeTiers.requireTier('chess', tierId);
+      splits[tierId] = stakeTiers.payoutFor(tier, tier.stake);
+    }
+
+    expect(splits).toEqual({
+      free: { winner: 0, platform: 0 },
+      inr10: { winner: 1600, platform: 400 },
+      inr50: { winner: 8500, platform: 1500 },
+      inr100: { winner: 17600, platform: 2400 }
+    });
+  });
+
+  test('a pot that does not divide evenly still adds back up to both stakes', () => {
+    const { winner, platform } = stakeTiers.payoutFor({ rakePercent: 15 }, 333);
+
+    expect(winner + platform).toBe(666);
+    expect({ winner, platform }).toEqual({ winner: 566, platform: 100 });
+  });
+
+  test("an admin's new rake applies to the next payout", async () => {
+    const tierId = `rake_${run}`;
+    await stakeTiers.upsertTier('carrom', { id: tierId, stake: 100, rakePercent: 10 }, 'admin_test');
+    await stakeTiers.upsertTier('carrom', { id: tierId, stake: 100, rakePercent: 5 }, 'admin_test');
+
+    const tier = await stakeTiers.requireTier('carrom', tierId);
+    expect(stakeTiers.payoutFor(tier, tier.stake)).toEqual({ winner: 19000, platform: 1000 });
+    expect(stakeTiers.formatTier(tier)).toMatchObject({ stake: 100, rakePercent: 5, winnerPayout: 190 });
+  });
+
+  test('a rake outside 0-100 percent is refused and a retired tier cannot be queued for', async () => {
+    const tierId = `retired_${run}`;
+    await expect(stakeTiers.upsertTier('chess', { id: tierId, stake: 10, rakePercent: 100 }))
+      .rejects.toMatchObject({ code: 'STAKE_TIER_RAKE_INVALID' });
+
+    await stakeTiers.upsertTier('chess', { id: tierId, stake: 10, rakePercent: 10 });
+    await stakeTiers.deactivateTier('chess', tierId, 'admin_test');
+
+    await expect(stakeTiers.requireTier('chess', tierId)).rejects.toMatchObject({ code: 'STAKE_TIER_UNAVAILABLE' });
+    expect((await stakeTiers.listTiers('chess', { includeInactive: true })).map(t => t.id)).toContain(tierId);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * SKILLZY ARENA - SHARED STATE STORE
+ * State every worker in the cluster has to agree on
+ *
+ * Features:
+ * - Redis when REDIS_URL is set (ecosystem.config.js runs one worker per core), in-process memory otherwise
+ * - JSON values with optional expiry
+ * - All-or-nothing claims on several keys, and release only by the holder
+ * - Named locks for read-modify-write sections, such as pairing from the match queue
+ * - Fixed-window counters behind an express-rate-limit store
+ *
+ * Both stores share one async interface, so callers never know which they have. The memory store
+ * copies values in and out as JSON, like Redis, so code that passes against it behaves the same
+ * against Redis.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { STATE_STORE_CONFIG } = require('./config');
+
+// State store logger
+const stateLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/state-store.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const stateError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createMemoryStore = () => {
+  const entries = new Map(); // key -> { value: JSON string, expiresAt: ms or null }
+  const locks = new Map(); // lock name -> promise that settles when the last waiter is done
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const expiresAt = (ttl) => (ttl ? Date.now() + ttl * 1000 : null);
+
+  return {
+    kind: 'memory',
+
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? JSON.parse(entry.value) : null;
+    },
+
+    set: async (key, value, { ttl, keepTtl = false } = {}) => {
+      const current = live(key);
+      entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: keepTtl && current ? current.expiresAt : expiresAt(ttl)
+      });
+    },
+
+    del: async (...keys) => {
+      keys.forEach(key => entries.delete(key));
+    },
+
+    claim: async (values, { ttl } = {}) => {
+      const keys = Object.keys(values);
+      if (keys.some(live)) return false;
+      keys.forEach(key => entries.set(key, { value: JSON.stringify(values[key]), expiresAt: expiresAt(ttl) }));
+      return true;
+    },
+
+    release: async (values) => {
+      Object.keys(values).forEach(key => {
+        const entry = live(key);
+        if (entry && entry.value === JSON.stringify(values[key])) {
+          entries.delete(key);
+        }
+      });
+    },
+
+    increment: async (key, windowMs) => {
+      const entry = live(key) || { value: '0', expiresAt: Date.now() + windowMs };
+      entry.value = String(Number(entry.value) + 1);
+      entries.set(key, entry);
+      return { count: Number(entry.value), resetAt: entry.expiresAt };
+    },
+
+    decrement: async (key) => {
+      const entry = live(key);
+      if (entry && Number(entry.value) > 0) {
+        entry.value = String(Number(entry.value) - 1);
+      }
+    },
+
+    // Waiters run one at a time, in the order they asked
+    withLock: async (name, fn) => {
+      const previous = locks.get(name) || Promise.resolve();
+      let unlock;
+      const held = new Promise(resolve => { unlock = resolve; });
+      const tail = previous.then(() => held);
+      locks.set(name, tail);
+
+      await previous;
+      try {
+        return await fn();
+      } finally {
+        unlock();
+        if (locks.get(name) === tail) {
+          locks.delete(name);
+        }
+      }
+    }
+  };
+};
+
+// Lua scripts, so each multi-key step is atomic on the Redis server
+const CLAIM_SCRIPT = `
+for _, key in ipairs(KEYS) do
+  if redis.call('EXISTS', key) == 1 then return 0 end
+end
+local ttl = tonumber(ARGV[#KEYS + 1])
+for i, key in ipairs(KEYS) do
+  if ttl > 0 then redis.call('SET', key, ARGV[i], 'PX', ttl) else redis.call('SET', key, ARGV[i]) end
+end
+return 1`;
+
+const RELEASE_SCRIPT = `
+for i, key in ipairs(KEYS) do
+  if redis.call('GET', key) == ARGV[i] then redis.call('DEL', key) end
+end
+return 1`;
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }`;
+
+const DECREMENT_SCRIPT = `
+local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+if count > 0 then return redis.call('DECR', KEYS[1]) end
+return 0`;
+
+const createRedisStore = (url) => {
+  const Redis = require('ioredis'); // only loaded when a Redis URL is configured
+  const redis = new Redis(url, { maxRetriesPerRequest: 3 });
+  const { keyPrefix, lockTtlMs, lockWaitMs, lockRetryMs } = STATE_STORE_CONFIG;
+  const prefixed = (key) => keyPrefix + key;
+
+  redis.on('error', (error) => {
+    stateLogger.error('Redis state store error', { error: error.message });
+  });
+
+  return {
+    kind: 'redis',
+
+    get: async (key) => {
+      const raw = await redis.get(prefixed(key));
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    set: async (key, value, { ttl, keepTtl = false } = {}) => {
+      const expiry = keepTtl ? ['KEEPTTL'] : ttl ? ['PX', Math.round(ttl * 1000)] : [];
+      await redis.set(prefixed(key), JSON.stringify(value), ...expiry);
+    },
+
+    del: async (...keys) => {
+      if (keys.length > 0) {
+        await redis.del(...keys.map(prefixed));
+      }
+    },
+
+    claim: async (values, { ttl } = {}) => {
+      const keys = Object.keys(values);
+      const claimed = await redis.eval(
+        CLAIM_SCRIPT,
+        keys.length,
+        ...keys.map(prefixed),
+        ...keys.map(key => JSON.stringify(values[key])),
+        ttl ? Math.round(ttl * 1000) : 0
+      );
+      return claimed === 1;
+    },
+
+    release: async (values) => {
+      const keys = Object.keys(values);
+      await redis.eval(RELEASE_SCRIPT, keys.length, ...keys.map(prefixed), ...keys.map(key => JSON.stringify(values[key])));
+    },
+
+    increment: async (key, windowMs) => {
+      const [count, ttlMs] = await redis.eval(INCREMENT_SCRIPT, 1, prefixed(key), windowMs);
+      return { count, resetAt: Date.now() + Math.max(ttlMs, 0) };
+    },
+
+    decrement: async (key) => {
+      await redis.eval(DECREMENT_SCRIPT, 1, prefixed(key));
+    },
+
+    // The token makes sure a worker only ever deletes its own lock, even after lockTtlMs has passed
+    withLock: async (name, fn) => {
+      const key = prefixed(`lock:${name}`);
+      const token = crypto.randomBytes(16).toString('hex');
+      const giveUpAt = Date.now() + lockWaitMs;
+
+      while (await redis.set(key, token, 'PX', lockTtlMs, 'NX') !== 'OK') {
+        if (Date.now() >= giveUpAt) {
+          throw stateError('Timed out waiting for shared state lock', 'STATE_LOCK_TIMEOUT', { lock: name });
+        }
+        await sleep(lockRetryMs);
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await redis.eval(RELEASE_SCRIPT, 1, key, token);
+      }
+    }
+  };
+};
+
+const createStore = (url) => {
+  const store = url ? createRedisStore(url) : createMemoryStore();
+  stateLogger.info('State store ready', { kind: store.kind });
+  return store;
+};
+
+// The process-wide stores; rate limits may live on their own Redis database
+const store = createStore(STATE_STORE_CONFIG.redisUrl);
+const rateLimitBackend = STATE_STORE_CONFIG.rateLimitRedisUrl === STATE_STORE_CONFIG.redisUrl
+  ? store
+  : createStore(STATE_STORE_CONFIG.rateLimitRedisUrl);
+
+/**
+ * express-rate-limit store, so a client's requests are counted once however many workers
+ * serve them. name keeps each limiter's counters apart.
+ */
+const rateLimitStore = (name) => {
+  let windowMs = 60 * 1000;
+  const counterKey = (clientKey) => `ratelimit:${name}:${clientKey}`;
+
+  return {
+    localKeys: false,
+
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+
+    increment: async (clientKey) => {
+      const { count, resetAt } = await rateLimitBackend.increment(counterKey(clientKey), windowMs);
+      return { totalHits: count, resetTime: new Date(resetAt) };
+    },
+
+    decrement: (clientKey) => rateLimitBackend.decrement(counterKey(clientKey)),
+
+    resetKey: (clientKey) => rateLimitBackend.del(counterKey(clientKey))
+  };
+};
+
+module.exports = {
+  createStore,
+  store,
+  rateLimitStore
+};
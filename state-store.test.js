@@ -0,0 +1,73 @@
+const { createStore } = require('./state-store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('memory state store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  test('a claim takes every key or none of them', async () => {
+    expect(await store.claim({ 'player:a': 'match_1', 'player:b': 'match_1' })).toBe(true);
+    expect(await store.claim({ 'player:b': 'match_2', 'player:c': 'match_2' })).toBe(false);
+
+    expect(await store.get('player:b')).toBe('match_1');
+    expect(await store.get('player:c')).toBeNull();
+  });
+
+  test('of two workers pairing the same player at once, exactly one wins', async () => {
+    const results = await Promise.all([
+      store.claim({ 'player:x': 'match_x1', 'player:y': 'match_x1' }),
+      store.claim({ 'player:x': 'match_x2', 'player:z': 'match_x2' })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await store.get('player:x')).toBe(results[0] ? 'match_x1' : 'match_x2');
+  });
+
+  test('only the holder of a claim can release it, and an expired claim frees its keys', async () => {
+    await store.claim({ 'player:d': 'match_3' }, { ttl: 0.05 });
+    await store.release({ 'player:d': 'match_4' });
+    expect(await store.get('player:d')).toBe('match_3');
+
+    await sleep(80);
+    expect(await store.claim({ 'player:d': 'match_4' })).toBe(true);
+  });
+
+  test('sections under one lock run one at a time, in the order they asked', async () => {
+    await store.set('queue', []);
+    const order = [];
+    // Each section reads, waits and writes back, as pairing does with the match queue
+    const append = (id) => store.withLock('queue_lock', async () => {
+      const queue = await store.get('queue');
+      await sleep(5);
+      order.push(id);
+      await store.set('queue', [...queue, id]);
+    });
+
+    await Promise.all([1, 2, 3, 4].map(append));
+
+    expect(await store.get('queue')).toEqual([1, 2, 3, 4]);
+    expect(order).toEqual([1, 2, 3, 4]);
+  });
+
+  test('a section that throws still lets the next one in', async () => {
+    const failing = store.withLock('busy', async () => { throw new Error('boom'); });
+    const next = store.withLock('busy', async () => 'ran');
+
+    await expect(failing).rejects.toThrow('boom');
+    expect(await next).toBe('ran');
+  });
+
+  test('values are copied in and out, as they would be through Redis', async () => {
+    const entry = { id: 'p1', rating: 1200 };
+    await store.set('entry', entry);
+    entry.rating = 9999;
+
+    const stored = await store.get('entry');
+    stored.rating = 1;
+    expect(await store.get('entry')).toEqual({ id: 'p1', rating: 1200 });
+  });
+});
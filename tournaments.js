@@ -0,0 +1,778 @@
+/**
+ * SKILLZY ARENA - TOURNAMENTS
+ * Scheduled tournaments whose games are ordinary match.js matches
+ *
+ * Features:
+ * - Entry fees held in a tournament pool until prizes are paid (see wallet.js)
+ * - Single-elimination and Swiss formats, seeded by rating for the game
+ * - Scheduled start; called off with full refunds if too few players registered
+ * - Each round is paired automatically once the previous one has finished
+ * - Prize pool split by a configurable table of final places
+ * - Live bracket with match status, scores and standings
+ * - One place per group of linked accounts, so they can't meet in the bracket (see account-links.js)
+ * - Tournaments stored in the database (repositories.js) and changed under a shared lock, so
+ *   any cluster worker can take registrations, record results and start them on schedule
+ *
+ * A drawn or unplayed elimination game goes to the higher seed. In Swiss it scores half a
+ * point each, a bye scores a full point, and ties are broken by Buchholz (opponents' points).
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const winston = require('winston');
+const matchSystem = require('./match');
+const walletSystem = require('./wallet');
+const ratings = require('./ratings');
+const accountLinks = require('./account-links');
+const money = require('./money');
+const repositories = require('./repositories');
+const { requireIdempotencyKey } = require('./idempotency');
+const { store: sharedState, rateLimitStore } = require('./state-store');
+const { GAMING_CONFIG, STATE_STORE_CONFIG } = require('./config');
+
+const router = express.Router();
+
+// Tournament logger
+const tournamentLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/tournaments.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Rate limiting for tournament operations
+const tournamentLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 tournament operations per minute
+  message: { error: 'Tournament operation limit exceeded', code: 'TOURNAMENT_RATE_LIMIT' },
+  store: rateLimitStore('tournaments')
+});
+
+// Tournaments are kept in the database (see repositories.js); every change is made through
+// withTournament(), so workers never overwrite each other's
+// Entry fees and prizes are integer minor units (see money.js)
+const tournaments = repositories.tournaments;
+let scheduleTimer = null;
+
+// Bracket games carry no stake of their own - the entry fee already paid for them
+const TOURNAMENT_STAKE = { id: 'tournament', stake: 0, rakePercent: 0 };
+
+// Helper functions
+const generateTournamentId = () => 'tour_' + uuidv4().substring(0, 8);
+
+const tournamentError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const findTournament = (tournamentId) => {
+  const tournament = tournaments.get(tournamentId);
+  if (!tournament) {
+    throw tournamentError('Tournament not found', 'TOURNAMENT_NOT_FOUND', { status: 404 });
+  }
+  return tournament;
+};
+
+const loadTournament = async (tournamentId) => {
+  await tournaments.reload([tournamentId]);
+  return findTournament(tournamentId);
+};
+
+// Runs change on the tournament as stored, under its shared lock, and saves it if change succeeds
+const withTournament = (tournamentId, change) => sharedState.withLock(`tournament:${tournamentId}`, async () => {
+  const tournament = await loadTournament(tournamentId);
+  const result = await change(tournament);
+  await tournaments.save(tournament);
+  return result;
+});
+
+const currentRound = (tournament) => tournament.rounds[tournament.rounds.length - 1] || null;
+const playerById = (tournament, playerId) => tournament.players.find(p => p.id === playerId);
+
+// Bracket positions for a power-of-two draw, so the top seeds can only meet late
+const seedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const span = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, span - seed]);
+  }
+  return order;
+};
+
+const standings = (tournament) => {
+  const points = new Map(tournament.players.map(p => [p.id, p.points]));
+  return tournament.players
+    .map(p => ({
+      playerId: p.id,
+      seed: p.seed,
+      points: p.points,
+      buchholz: p.opponents.reduce((sum, id) => sum + points.get(id), 0),
+      byes: p.byes
+    }))
+    .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || a.seed - b.seed);
+};
+
+// Pairs a ranked list so nobody meets an opponent twice; falls back to adjacent pairs if it can't
+const pairWithoutRematches = (ranked) => {
+  let budget = 10000;
+  const search = (pool) => {
+    if (pool.length === 0) return [];
+    const [first, ...rest] = pool;
+    for (const candidate of rest) {
+      if (--budget < 0) return null;
+      if (first.opponents.includes(candidate.id)) continue;
+      const paired = search(rest.filter(p => p !== candidate));
+      if (paired) return [[first, candidate], ...paired];
+    }
+    return null;
+  };
+
+  const pairs = search(ranked);
+  if (pairs) return pairs;
+
+  tournamentLogger.warn('Swiss round needs a rematch', { players: ranked.length });
+  const fallback = [];
+  for (let i = 0; i < ranked.length; i += 2) {
+    fallback.push([ranked[i], ranked[i + 1]]);
+  }
+  return fallback;
+};
+
+const pairRound = (tournament) => {
+  if (tournament.format === 'single_elimination') {
+    const previous = currentRound(tournament);
+    if (!previous) {
+      const size = 2 ** Math.ceil(Math.log2(tournament.players.length));
+      const bySeed = new Map(tournament.players.map(p => [p.seed, p]));
+      const order = seedOrder(size);
+      const pairs = [];
+      for (let i = 0; i < size; i += 2) {
+        pairs.push([bySeed.get(order[i]) || null, bySeed.get(order[i + 1]) || null]);
+      }
+      return pairs;
+    }
+
+    const winners = previous.pairings.map(pairing => playerById(tournament, pairing.winner));
+    const pairs = [];
+    for (let i = 0; i < winners.length; i += 2) {
+      pairs.push([winners[i], winners[i + 1]]);
+    }
+    return pairs;
+  }
+
+  // Swiss: rank by standings; the lowest-ranked player without a bye sits out an odd round
+  const ranked = standings(tournament).map(s => playerById(tournament, s.playerId));
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    bye = [...ranked].reverse().find(p => p.byes === 0) || ranked[ranked.length - 1];
+    ranked.splice(ranked.indexOf(bye), 1);
+  }
+  const pairs = pairWithoutRematches(ranked);
+  return bye ? [...pairs, [bye, null]] : pairs;
+};
+
+// Records a pairing's outcome; winnerId is null for a draw or a game that never started
+const resolvePairing = (tournament, round, pairing, winnerId, result) => {
+  const [a, b] = pairing.players.map(id => playerById(tournament, id));
+  pairing.result = result;
+  pairing.decidedAt = Date.now();
+
+  if (!b) {
+    pairing.winner = a.id;
+    a.byes += 1;
+    a.points += 1;
+    return;
+  }
+
+  a.opponents.push(b.id);
+  b.opponents.push(a.id);
+
+  if (tournament.format === 'single_elimination') {
+    if (!winnerId) {
+      winnerId = a.seed < b.seed ? a.id : b.id;
+      pairing.decidedBy = 'seed';
+    }
+    pairing.winner = winnerId;
+    const loser = winnerId === a.id ? b : a;
+    loser.eliminatedInRound = round.number;
+    playerById(tournament, winnerId).points += 1;
+    return;
+  }
+
+  pairing.winner = winnerId;
+  if (winnerId) {
+    playerById(tournament, winnerId).points += 1;
+  } else {
+    a.points += 0.5;
+    b.points += 0.5;
+  }
+};
+
+const startRound = async (tournament) => {
+  const pairs = pairRound(tournament);
+  const round = {
+    number: tournament.rounds.length + 1,
+    status: 'in_progress',
+    startedAt: Date.now(),
+    pairings: []
+  };
+  tournament.rounds.push(round);
+
+  for (const [index, [a, b]] of pairs.entries()) {
+    const [high, low] = b && b.seed < a.seed ? [b, a] : [a, b];
+    const pairing = { table: index + 1, players: low ? [high.id, low.id] : [high.id], matchId: null, winner: undefined };
+    round.pairings.push(pairing);
+
+    if (!low) {
+      resolvePairing(tournament, round, pairing, high.id, 'bye');
+      continue;
+    }
+
+    // The higher seed is passed as the waiting player, so they move first
+    try {
+      const match = await matchSystem.createMatch({
+        gameType: tournament.gameType,
+        currency: tournament.currency,
+        tier: TOURNAMENT_STAKE,
+        player: { id: low.id, rating: low.rating },
+        opponent: { id: high.id, rating: high.rating },
+        tournament: { id: tournament.id, round: round.number }
+      });
+      pairing.matchId = match.id;
+    } catch (error) {
+      tournamentLogger.error('Tournament match creation failed', { tournamentId: tournament.id, round: round.number, error: error.message, code: error.code });
+      resolvePairing(tournament, round, pairing, null, 'not_started');
+    }
+  }
+
+  tournamentLogger.info('Tournament round started', { tournamentId: tournament.id, round: round.number, pairings: round.pairings.length });
+  await finishRoundIfDecided(tournament);
+};
+
+// Final places as groups of players who share them, best first
+const placeGroups = (tournament) => {
+  if (tournament.format === 'swiss') {
+    return standings(tournament).map(s => [s.playerId]);
+  }
+
+  const final = currentRound(tournament).pairings[0];
+  const byRound = new Map();
+  tournament.players.filter(p => p.id !== final.winner).forEach(p => {
+    byRound.set(p.eliminatedInRound, [...(byRound.get(p.eliminatedInRound) || []), p.id]);
+  });
+  const rounds = Array.from(byRound.keys()).sort((x, y) => y - x);
+  return [[final.winner], ...rounds.map(r => byRound.get(r))];
+};
+
+// Splits the prize pool by place; players sharing a place share its prizes equally
+const prizeDistribution = (tournament) => {
+  const pot = tournament.entryFee * tournament.players.length;
+  const [prizePool] = money.split(pot, [100 - tournament.rakePercent, tournament.rakePercent]);
+  const placeAmounts = money.split(prizePool, tournament.prizeTable.slice(0, tournament.players.length));
+
+  let place = 0;
+  return placeGroups(tournament).flatMap(group => {
+    const groupPool = placeAmounts.slice(place, place + group.length).reduce((sum, a) => money.add(sum, a), 0);
+    const shares = money.split(groupPool, group.map(() => 1));
+    const firstPlace = place + 1;
+    place += group.length;
+    return group.map((playerId, i) => ({ place: firstPlace, playerId, amount: shares[i] }));
+  });
+};
+
+const completeTournament = async (tournament) => {
+  const results = prizeDistribution(tournament);
+  await walletSystem.payTournamentPrizes(tournament.id, results.map(({ playerId, amount }) => ({ playerId, amount })));
+
+  tournament.results = results;
+  tournament.status = 'completed';
+  tournament.completedAt = Date.now();
+
+  tournamentLogger.info('Tournament completed', { tournamentId: tournament.id, winner: results[0].playerId });
+};
+
+const finishRoundIfDecided = async (tournament) => {
+  const round = currentRound(tournament);
+  if (round.pairings.some(p => p.winner === undefined)) {
+    return;
+  }
+
+  round.status = 'completed';
+  round.completedAt = Date.now();
+
+  const lastRound = tournament.format === 'single_elimination'
+    ? round.pairings.length === 1
+    : tournament.rounds.length >= tournament.totalRounds;
+
+  if (lastRound) {
+    await completeTournament(tournament);
+  } else {
+    await startRound(tournament);
+  }
+};
+
+// Records a finished bracket game, once, and moves the tournament on if that decides the round
+const recordMatchResult = async (tournament, match) => {
+  if (tournament.status !== 'in_progress') {
+    return;
+  }
+
+  const round = currentRound(tournament);
+  const pairing = round.pairings.find(p => p.matchId === match.id);
+  if (!pairing || pairing.winner !== undefined) {
+    return;
+  }
+
+  if (match.status === 'cancelled') {
+    resolvePairing(tournament, round, pairing, null, 'not_started');
+  } else {
+    resolvePairing(tournament, round, pairing, match.result.winner, match.result.winner ? 'win' : 'draw');
+  }
+  await finishRoundIfDecided(tournament);
+};
+
+// Called by match.js for every match that ends; only bracket games concern us. A result missed
+// here, say because the lock stayed busy, is picked up by the next scheduled sweep
+const handleMatchEnded = (match) => {
+  if (!match.tournament) {
+    return;
+  }
+  return withTournament(match.tournament.id, tournament => recordMatchResult(tournament, match));
+};
+
+// Bracket games that finished without their result reaching the tournament, read from the
+// stored matches; games still live on this worker are left to report in themselves
+const catchUpResults = async (tournament) => {
+  const unresolved = currentRound(tournament).pairings
+    .filter(p => p.matchId && p.winner === undefined && !matchSystem.activeMatches.has(p.matchId));
+  for (const pairing of unresolved) {
+    const [match] = await matchSystem.matchHistory.reload([pairing.matchId]);
+    if (match && ['completed', 'cancelled'].includes(match.status)) {
+      await recordMatchResult(tournament, match);
+    }
+  }
+};
+
+/**
+ * Creates a tournament open for registration. entryFee is in minor units of currency.
+ * Throws TOURNAMENT_* errors (with status) for settings that can't work.
+ */
+const createTournament = async ({
+  name,
+  gameType,
+  format,
+  currency = 'INR',
+  entryFee,
+  startsAt,
+  minPlayers = GAMING_CONFIG.tournaments.minPlayers,
+  maxPlayers = GAMING_CONFIG.tournaments.maxPlayers,
+  rounds = null,
+  prizeTable = GAMING_CONFIG.tournaments.prizeTable,
+  rakePercent = GAMING_CONFIG.tournaments.rakePercent,
+  createdBy
+}) => {
+  if (!GAMING_CONFIG.tournaments.formats.includes(format)) {
+    throw tournamentError('Unknown tournament format', 'TOURNAMENT_FORMAT_INVALID', { status: 400, format });
+  }
+  if (!(startsAt > Date.now())) {
+    throw tournamentError('Start time must be in the future', 'TOURNAMENT_START_INVALID', { status: 400 });
+  }
+  if (minPlayers < 2 || maxPlayers < minPlayers) {
+    throw tournamentError('Player limits are inconsistent', 'TOURNAMENT_LIMITS_INVALID', { status: 400, minPlayers, maxPlayers });
+  }
+  if (prizeTable.length === 0 || prizeTable.some(p => p < 0) || prizeTable.reduce((sum, p) => sum + p, 0) !== 100) {
+    throw tournamentError('Prize table must add up to 100 percent', 'TOURNAMENT_PRIZE_TABLE_INVALID', { status: 400, prizeTable });
+  }
+
+  const tournament = {
+    id: generateTournamentId(),
+    name,
+    gameType,
+    format,
+    currency,
+    entryFee,
+    rakePercent,
+    prizeTable,
+    minPlayers,
+    maxPlayers,
+    swissRounds: rounds,
+    totalRounds: null,
+    startsAt,
+    status: 'registration',
+    players: [],
+    rounds: [],
+    results: null,
+    createdBy,
+    createdAt: Date.now()
+  };
+
+  await walletSystem.openTournamentPool(tournament.id, entryFee, currency);
+  await tournaments.set(tournament.id, tournament);
+
+  tournamentLogger.info('Tournament created', { tournamentId: tournament.id, gameType, format, entryFee, currency, startsAt, createdBy });
+
+  return tournament;
+};
+
+const startTournament = async (tournament) => {
+  // Seed by rating for the game; earlier registration breaks ties
+  const playerRatings = await ratings.getRatings(tournament.players.map(p => p.id), tournament.gameType);
+  tournament.players = tournament.players
+    .map((p, i) => ({ ...p, rating: playerRatings[i].rating }))
+    .sort((a, b) => b.rating - a.rating || a.registeredAt - b.registeredAt)
+    .map((p, i) => ({ ...p, seed: i + 1, points: 0, opponents: [], byes: 0, eliminatedInRound: null }));
+
+  const count = tournament.players.length;
+  tournament.totalRounds = tournament.format === 'single_elimination'
+    ? Math.ceil(Math.log2(count))
+    : Math.min(count - 1, tournament.swissRounds || Math.ceil(Math.log2(count)));
+  tournament.status = 'in_progress';
+  tournament.startedAt = Date.now();
+
+  tournamentLogger.info('Tournament started', { tournamentId: tournament.id, players: count, rounds: tournament.totalRounds });
+  await startRound(tournament);
+};
+
+// Refunds every entry and marks the tournament cancelled; the caller holds its lock
+const callOffTournament = async (tournament, reason, cancelledBy) => {
+  if (tournament.status !== 'registration') {
+    throw tournamentError('Only tournaments still taking registrations can be cancelled', 'TOURNAMENT_NOT_CANCELLABLE', { status: 409 });
+  }
+
+  const pool = await walletSystem.refundTournamentEntries(tournament.id, reason);
+  tournament.status = 'cancelled';
+  tournament.cancelReason = reason;
+  tournament.cancelledBy = cancelledBy;
+  tournament.completedAt = Date.now();
+  tournament.refunds = pool.payouts;
+
+  tournamentLogger.info('Tournament cancelled', { tournamentId: tournament.id, reason, cancelledBy, refunds: pool.payouts.length });
+
+  return tournament;
+};
+
+// Calls off a tournament that hasn't started and refunds every entry
+const cancelTournament = (tournamentId, reason, cancelledBy) => withTournament(tournamentId, tournament => (
+  callOffTournament(tournament, reason, cancelledBy)
+));
+
+/**
+ * Starts every tournament whose time has come, or cancels it if too few players signed up,
+ * and catches up on bracket results that never reached a running tournament. Each is
+ * checked again under its lock, so a worker that read it before a change does nothing.
+ */
+const checkScheduledStarts = async (now = Date.now()) => {
+  await tournaments.find({ status: { in: ['registration', 'in_progress'] } });
+  const open = Array.from(tournaments.values())
+    .filter(t => (t.status === 'registration' && t.startsAt <= now) || t.status === 'in_progress');
+
+  for (const { id } of open) {
+    try {
+      await withTournament(id, async (tournament) => {
+        if (tournament.status === 'in_progress') {
+          await catchUpResults(tournament);
+        } else if (tournament.status === 'registration' && tournament.startsAt <= now) {
+          if (tournament.players.length < tournament.minPlayers) {
+            await callOffTournament(tournament, `Fewer than ${tournament.minPlayers} players registered`, 'system');
+          } else {
+            await startTournament(tournament);
+          }
+        }
+      });
+    } catch (error) {
+      tournamentLogger.error('Scheduled tournament check failed', { tournamentId: id, error: error.message, code: error.code });
+    }
+  }
+};
+
+// Every worker runs the timer; whichever claims a sweep first does it
+const sweepSchedule = async () => {
+  const { sweepInterval } = GAMING_CONFIG.tournaments;
+  try {
+    if (await sharedState.claim({ tournament_sweep: STATE_STORE_CONFIG.workerId }, { ttl: sweepInterval })) {
+      await checkScheduledStarts();
+    }
+  } catch (error) {
+    tournamentLogger.error('Tournament sweep failed', { error: error.message, code: error.code });
+  }
+};
+
+const startScheduler = () => {
+  if (!scheduleTimer) {
+    scheduleTimer = setInterval(sweepSchedule, GAMING_CONFIG.tournaments.sweepInterval * 1000);
+    scheduleTimer.unref();
+  }
+};
+
+const stopScheduler = () => {
+  clearInterval(scheduleTimer);
+  scheduleTimer = null;
+};
+
+const formatTournament = (tournament) => {
+  const pot = tournament.entryFee * tournament.players.length;
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    gameType: tournament.gameType,
+    format: tournament.format,
+    currency: tournament.currency,
+    entryFee: money.toMajor(tournament.entryFee, tournament.currency),
+    rakePercent: tournament.rakePercent,
+    prizeTable: tournament.prizeTable,
+    prizePool: money.toMajor(money.split(pot, [100 - tournament.rakePercent, tournament.rakePercent])[0], tournament.currency),
+    minPlayers: tournament.minPlayers,
+    maxPlayers: tournament.maxPlayers,
+    registered: tournament.players.length,
+    startsAt: tournament.startsAt,
+    status: tournament.status,
+    currentRound: tournament.rounds.length,
+    totalRounds: tournament.totalRounds,
+    createdAt: tournament.createdAt,
+    startedAt: tournament.startedAt,
+    completedAt: tournament.completedAt,
+    cancelReason: tournament.cancelReason
+  };
+};
+
+// A pairing with the live state of its match
+const formatPairing = (pairing, tournament) => {
+  const match = pairing.matchId &&
+    (matchSystem.activeMatches.get(pairing.matchId) || matchSystem.matchHistory.get(pairing.matchId));
+  return {
+    table: pairing.table,
+    players: pairing.players.map(id => ({ id, seed: playerById(tournament, id).seed })),
+    matchId: pairing.matchId,
+    match: match ? { status: match.status, scores: match.players.map(p => ({ id: p.id, score: p.score })) } : null,
+    winner: pairing.winner === undefined ? null : pairing.winner,
+    result: pairing.result || 'pending',
+    decidedBy: pairing.decidedBy
+  };
+};
+
+const sendTournamentError = (res, error, fallback, logMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  tournamentLogger.error(logMessage, { error: error.message });
+  return res.status(500).json({ error: fallback.error, code: fallback.code });
+};
+
+// Tournament games report back here when they end
+matchSystem.onMatchEnded(handleMatchEnded);
+
+// Apply rate limiting
+router.use(tournamentLimiter);
+
+// Upcoming, running and finished tournaments
+router.get('/', [
+  query('status').optional().isIn(['registration', 'in_progress', 'completed', 'cancelled']).withMessage('Valid status required'),
+  query('gameType').optional().isIn(GAMING_CONFIG.availableGames).withMessage('Valid game type required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { status, gameType } = req.query;
+    await tournaments.find(status ? { status } : undefined);
+    const list = Array.from(tournaments.values())
+      .filter(t => (!status || t.status === status) && (!gameType || t.gameType === gameType))
+      .sort((a, b) => a.startsAt - b.startsAt)
+      .map(formatTournament);
+
+    res.json({ success: true, tournaments: list });
+
+  } catch (error) {
+    tournamentLogger.error('Tournament list error', { error: error.message });
+    res.status(500).json({ error: 'Tournament list failed', code: 'TOURNAMENT_LIST_ERROR' });
+  }
+});
+
+// Tournament details
+router.get('/:tournamentId', [
+  param('tournamentId').matches(/^tour_[a-zA-Z0-9]{8}$/).withMessage('Valid tournament ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const tournament = await loadTournament(req.params.tournamentId);
+    res.json({
+      success: true,
+      tournament: {
+        ...formatTournament(tournament),
+        players: tournament.players.map(p => ({ id: p.id, seed: p.seed, registeredAt: p.registeredAt }))
+      }
+    });
+
+  } catch (error) {
+    sendTournamentError(res, error, { error: 'Tournament lookup failed', code: 'TOURNAMENT_LOOKUP_ERROR' }, 'Tournament lookup error');
+  }
+});
+
+// Register and pay the entry fee
+router.post('/:tournamentId/register', requireIdempotencyKey('tournament_register'), [
+  param('tournamentId').matches(/^tour_[a-zA-Z0-9]{8}$/).withMessage('Valid tournament ID required'),
+  body('playerId').isLength({ min: 1 }).withMessage('Player ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { playerId } = req.body;
+    let tournament;
+    let entry;
+    try {
+      entry = await withTournament(req.params.tournamentId, async (stored) => {
+        tournament = stored;
+        if (tournament.status !== 'registration' || tournament.startsAt <= Date.now()) {
+          throw tournamentError('Registration is closed', 'TOURNAMENT_REGISTRATION_CLOSED', { status: 409 });
+        }
+        if (playerById(tournament, playerId)) {
+          throw tournamentError('Player already registered', 'TOURNAMENT_ALREADY_REGISTERED', { status: 409 });
+        }
+        if (tournament.players.length >= tournament.maxPlayers) {
+          throw tournamentError('Tournament is full', 'TOURNAMENT_FULL', { status: 409 });
+        }
+        const linked = await accountLinks.linkedAccountIds(playerId);
+        if (tournament.players.some(p => linked.has(p.id))) {
+          throw tournamentError('An account linked to this player is already registered', 'TOURNAMENT_LINKED_ACCOUNT', { status: 409 });
+        }
+
+        const paid = await walletSystem.payTournamentEntry(tournament.id, playerId);
+        tournament.players.push({ id: playerId, registeredAt: Date.now() });
+
+        // A paid entry must not outlive a registration that was never stored
+        try {
+          await tournaments.save(tournament);
+        } catch (error) {
+          tournament.players.pop();
+          await walletSystem.refundTournamentEntry(tournament.id, playerId, 'Registration not saved');
+          throw error;
+        }
+        return paid;
+      });
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_ENTRY_BALANCE') throw error;
+
+      return res.status(400).json({
+        error: error.message,
+        code: error.code,
+        entryFee: money.toMajor(tournament.entryFee, tournament.currency),
+        currency: tournament.currency
+      });
+    }
+
+    tournamentLogger.info('Tournament registration', { tournamentId: tournament.id, playerId });
+
+    res.json({
+      success: true,
+      tournamentId: tournament.id,
+      playerId,
+      entryFee: money.toMajor(entry.amount, entry.currency),
+      currency: entry.currency,
+      transactionId: entry.transactionId,
+      tournament: formatTournament(tournament)
+    });
+
+  } catch (error) {
+    sendTournamentError(res, error, { error: 'Tournament registration failed', code: 'TOURNAMENT_REGISTER_ERROR' }, 'Tournament registration error');
+  }
+});
+
+// Leave before the start and get the entry fee back
+router.post('/:tournamentId/unregister', requireIdempotencyKey('tournament_unregister'), [
+  param('tournamentId').matches(/^tour_[a-zA-Z0-9]{8}$/).withMessage('Valid tournament ID required'),
+  body('playerId').isLength({ min: 1 }).withMessage('Player ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { playerId } = req.body;
+    const { tournamentId } = req.params;
+    const refund = await withTournament(tournamentId, async (tournament) => {
+      if (tournament.status !== 'registration') {
+        throw tournamentError('Tournament has already started', 'TOURNAMENT_REGISTRATION_CLOSED', { status: 409 });
+      }
+      if (!playerById(tournament, playerId)) {
+        throw tournamentError('Player not registered', 'TOURNAMENT_NOT_REGISTERED', { status: 404 });
+      }
+
+      const refunded = await walletSystem.refundTournamentEntry(tournament.id, playerId, 'Left tournament');
+      tournament.players = tournament.players.filter(p => p.id !== playerId);
+      return refunded;
+    });
+    tournamentLogger.info('Tournament registration withdrawn', { tournamentId, playerId });
+
+    res.json({
+      success: true,
+      tournamentId,
+      refund: { ...refund, amount: money.toMajor(refund.amount, refund.currency) }
+    });
+
+  } catch (error) {
+    sendTournamentError(res, error, { error: 'Tournament unregister failed', code: 'TOURNAMENT_UNREGISTER_ERROR' }, 'Tournament unregister error');
+  }
+});
+
+// Live bracket: every round's pairings with their match state, plus standings and prizes
+router.get('/:tournamentId/bracket', [
+  param('tournamentId').matches(/^tour_[a-zA-Z0-9]{8}$/).withMessage('Valid tournament ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const tournament = await loadTournament(req.params.tournamentId);
+    const started = tournament.status === 'in_progress' || tournament.status === 'completed';
+
+    res.json({
+      success: true,
+      tournament: formatTournament(tournament),
+      rounds: tournament.rounds.map(round => ({
+        number: round.number,
+        status: round.status,
+        startedAt: round.startedAt,
+        completedAt: round.completedAt,
+        pairings: round.pairings.map(p => formatPairing(p, tournament))
+      })),
+      standings: started ? standings(tournament) : [],
+      results: tournament.results
+        ? tournament.results.map(r => ({ ...r, amount: money.toMajor(r.amount, tournament.currency) }))
+        : null
+    });
+
+  } catch (error) {
+    sendTournamentError(res, error, { error: 'Bracket lookup failed', code: 'TOURNAMENT_BRACKET_ERROR' }, 'Tournament bracket error');
+  }
+});
+
+module.exports = {
+  routes: router,
+  createTournament,
+  cancelTournament,
+  checkScheduledStarts,
+  startScheduler,
+  stopScheduler,
+  formatTournament,
+  tournaments
+};
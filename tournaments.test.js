@@ -0,0 +1,104 @@
+const express = require('express');
+const repositories = require('./repositories');
+const ledger = require('./ledger');
+const walletSystem = require('./wallet');
+const tournamentSystem = require('./tournaments');
+
+const { userWallets, tournamentPools } = walletSystem;
+
+// Players are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+const ENTRY_FEE = 5000; // ₹50
+let sequence = 0;
+let server;
+let baseUrl;
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+const openTournament = () => tournamentSystem.createTournament({
+  name: `Refund Cup ${run}`,
+  gameType: 'chess',
+  format: 'single_elimination',
+  entryFee: ENTRY_FEE,
+  startsAt: Date.now() + 60 * 60 * 1000,
+  createdBy: 'admin_test'
+});
+
+// Funds each player with exactly the entry fee and registers them through the route
+const registerPlayers = async (tournament, count) => {
+  sequence += 1;
+  const players = Array.from({ length: count }, (_, i) => `tour_p${i + 1}_${run}_${sequence}`);
+  for (const playerId of players) {
+    await walletSystem.creditBonus(playerId, ENTRY_FEE, 'INR', 'test_funding');
+    const response = await post(`/api/tournaments/${tournament.id}/register`, { playerId }, {
+      'Idempotency-Key': `register-${run}-${playerId}`
+    });
+    expect(response.status).toBe(200);
+  }
+  return players;
+};
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/tournaments', tournamentSystem.routes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  expect(await walletSystem.ledgerDrift()).toEqual([]);
+  expect(ledger.getTrialBalance().balanced).toBe(true);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await repositories.disconnect();
+});
+
+describe('tournament cancellation', () => {
+  test('cancelling before the start refunds every entry and empties the pool', async () => {
+    const tournament = await openTournament();
+    const players = await registerPlayers(tournament, 3);
+    players.forEach(playerId => expect(userWallets.get(playerId).buckets.bonus).toBe(0));
+
+    const cancelled = await tournamentSystem.cancelTournament(tournament.id, 'Venue unavailable', 'admin_test');
+
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancelReason: 'Venue unavailable', cancelledBy: 'admin_test' });
+    expect(cancelled.refunds.map(r => r.playerId).sort()).toEqual([...players].sort());
+    expect(tournamentPools.get(tournament.id).status).toBe('refunded');
+    expect(ledger.getBalance(`tournament:${tournament.id}`, 'INR')).toBe(0);
+    players.forEach(playerId => expect(userWallets.get(playerId).buckets.bonus).toBe(ENTRY_FEE));
+  });
+
+  test('a tournament can only be cancelled, and refunded, once', async () => {
+    const tournament = await openTournament();
+    const [playerId] = await registerPlayers(tournament, 1);
+    await tournamentSystem.cancelTournament(tournament.id, 'Called off', 'admin_test');
+
+    await expect(tournamentSystem.cancelTournament(tournament.id, 'Called off again', 'admin_test'))
+      .rejects.toMatchObject({ code: 'TOURNAMENT_NOT_CANCELLABLE', status: 409 });
+    expect(userWallets.get(playerId).buckets.bonus).toBe(ENTRY_FEE);
+  });
+
+  test('a tournament short of players at its start time is called off with refunds', async () => {
+    const tournament = await openTournament();
+    const players = await registerPlayers(tournament, 2);
+
+    await tournamentSystem.checkScheduledStarts(tournament.startsAt + 1);
+
+    expect(tournamentSystem.tournaments.get(tournament.id)).toMatchObject({
+      status: 'cancelled',
+      cancelReason: 'Fewer than 4 players registered',
+      cancelledBy: 'system'
+    });
+    players.forEach(playerId => expect(userWallets.get(playerId).buckets.bonus).toBe(ENTRY_FEE));
+  });
+});
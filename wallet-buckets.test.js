@@ -0,0 +1,109 @@
+const express = require('express');
+const repositories = require('./repositories');
+const walletSystem = require('./wallet');
+const paymentGateways = require('./payment-gateways');
+
+const { userWallets, matchHolds } = walletSystem;
+
+// Players and matches are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+const STAKE = 10000; // ₹100
+let sequence = 0;
+let server;
+let baseUrl;
+
+const post = (path, body, key) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', 'Idempotency-Key': key },
+  body: JSON.stringify(body)
+});
+
+const nextPlayer = () => {
+  sequence += 1;
+  return `bucket_${run}_${sequence}`;
+};
+
+// Wins a ₹100 match against a bonus-funded opponent, leaving ₹180 in the winnings bucket
+const winMatch = async (playerId) => {
+  const opponentId = nextPlayer();
+  const matchId = `match_bk_${run}_${sequence}`;
+  await Promise.all([playerId, opponentId].map(id => walletSystem.creditBonus(id, STAKE, 'INR', 'test_funding')));
+  await walletSystem.holdMatchStakes(matchId, [playerId, opponentId], STAKE, 'INR');
+  await walletSystem.settleMatchHold(matchId, playerId, { winner: 18000, platform: 2000 });
+};
+
+// A ₹50 UPI deposit the sandbox gateway captures straight away; ₹49 reaches the wallet after the gateway fee
+const deposit = async (userId) => {
+  paymentGateways.getSandbox('razorpay').sandbox.script('createPayment', 'succeed');
+  const response = await post('/api/wallet/deposit', {
+    userId, amount: 50, currency: 'INR', paymentMethod: 'UPI', paymentDetails: { vpa: `${userId}@upi` }
+  }, `deposit-${run}-${userId}`);
+  expect(await response.json()).toMatchObject({ status: 'completed' });
+};
+
+const withdraw = (userId, amount) => post('/api/wallet/withdraw', {
+  userId, amount, currency: 'INR', withdrawalMethod: 'UPI', withdrawalDetails: { vpa: `${userId}@upi` }
+}, `withdraw-${run}-${userId}-${amount}`);
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/wallet', walletSystem.routes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  expect(await walletSystem.ledgerDrift()).toEqual([]);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await repositories.disconnect();
+});
+
+describe('balance buckets', () => {
+  test('a stake is drawn from bonus first, then deposits, then winnings', async () => {
+    const playerId = nextPlayer();
+    await winMatch(playerId);
+    await walletSystem.creditBonus(playerId, 2000, 'INR', 'test_funding');
+    await deposit(playerId);
+    const opponentId = nextPlayer();
+    await walletSystem.creditBonus(opponentId, STAKE, 'INR', 'test_funding');
+
+    const matchId = `match_bk_${run}_${sequence}_order`;
+    await walletSystem.holdMatchStakes(matchId, [playerId, opponentId], STAKE, 'INR');
+
+    const stake = matchHolds.get(matchId).stakes.find(s => s.playerId === playerId);
+    expect(stake.buckets).toEqual({ bonus: 2000, deposit: 4900, winnings: 3100 });
+    expect(userWallets.get(playerId).buckets).toEqual({ bonus: 0, deposit: 0, winnings: 14900 });
+  });
+
+  test('deposits and bonus credit cannot be withdrawn', async () => {
+    const playerId = nextPlayer();
+    await walletSystem.creditBonus(playerId, 2000, 'INR', 'test_funding');
+    await deposit(playerId);
+
+    const response = await withdraw(playerId, 10);
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ code: 'INSUFFICIENT_WITHDRAWABLE_BALANCE', withdrawable: 0, withdrawableBuckets: ['winnings'] });
+    expect(userWallets.get(playerId).buckets).toEqual({ bonus: 2000, deposit: 4900, winnings: 0 });
+  });
+
+  test('a withdrawal is paid from winnings only, up to what was won', async () => {
+    const playerId = nextPlayer();
+    await winMatch(playerId);
+    await deposit(playerId);
+
+    const tooMuch = await withdraw(playerId, 200);
+    const allowed = await withdraw(playerId, 100);
+
+    expect(await tooMuch.json()).toMatchObject({ code: 'INSUFFICIENT_WITHDRAWABLE_BALANCE', withdrawable: 180 });
+    expect(await allowed.json()).toMatchObject({ success: true, status: 'completed' });
+    expect(userWallets.get(playerId).buckets).toEqual({ bonus: 0, deposit: 4900, winnings: 8000 });
+  });
+});
@@ -0,0 +1,188 @@
+const repositories = require('./repositories');
+const ledger = require('./ledger');
+const walletSystem = require('./wallet');
+
+const { userWallets, transactions, matchHolds, developerWallet } = walletSystem;
+
+// Players and matches are named per run so a test database left from an earlier run doesn't collide
+const run = Date.now().toString(36);
+let sequence = 0;
+const STAKE = 10000; // ₹100
+const PAYOUT = { winner: 18000, platform: 2000 };
+
+const fundedPlayers = async () => {
+  sequence += 1;
+  const players = [`p1_${run}_${sequence}`, `p2_${run}_${sequence}`];
+  await Promise.all(players.map(playerId => walletSystem.creditBonus(playerId, STAKE, 'INR', 'test_funding')));
+  return players;
+};
+
+const heldMatch = async () => {
+  const players = await fundedPlayers();
+  const matchId = `match_${run}_${sequence}`;
+  await walletSystem.holdMatchStakes(matchId, players, STAKE, 'INR');
+  return { matchId, players };
+};
+
+const spendable = (playerId) => {
+  const { buckets } = userWallets.get(playerId);
+  return buckets.bonus + buckets.deposit + buckets.winnings;
+};
+
+beforeAll(async () => {
+  await repositories.load();
+  await walletSystem.restore();
+});
+
+afterEach(async () => {
+  // Every flow has to leave the cached balances where the journal says they are
+  expect(await walletSystem.ledgerDrift()).toEqual([]);
+  expect(ledger.getTrialBalance().balanced).toBe(true);
+});
+
+afterAll(() => repositories.disconnect());
+
+describe('match escrow', () => {
+  test('holding stakes moves them from both wallets into the match escrow', async () => {
+    const { matchId, players } = await heldMatch();
+
+    players.forEach(playerId => expect(spendable(playerId)).toBe(0));
+    expect(ledger.getBalance(`escrow:${matchId}`, 'INR')).toBe(2 * STAKE);
+    expect(matchHolds.get(matchId)).toMatchObject({ status: 'held', amount: STAKE, currency: 'INR' });
+  });
+
+  test('a player who cannot cover the stake holds nothing from either player', async () => {
+    const players = await fundedPlayers();
+    const matchId = `match_${run}_${sequence}`;
+
+    await expect(walletSystem.holdMatchStakes(matchId, players, STAKE + 1, 'INR'))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_STAKE_BALANCE', status: 400 });
+    players.forEach(playerId => expect(spendable(playerId)).toBe(STAKE));
+    expect(matchHolds.has(matchId)).toBe(false);
+  });
+
+  test('stakes for a match are held only once', async () => {
+    const { matchId, players } = await heldMatch();
+    await expect(walletSystem.holdMatchStakes(matchId, players, 0, 'INR'))
+      .rejects.toMatchObject({ code: 'ESCROW_ALREADY_HELD', status: 409 });
+  });
+
+  test('settling pays the winner and the platform fee and drains the escrow', async () => {
+    const { matchId, players: [winner, loser] } = await heldMatch();
+    const platformBefore = developerWallet.balance;
+    const earningsBefore = developerWallet.totalEarnings;
+
+    const hold = await walletSystem.settleMatchHold(matchId, winner, PAYOUT);
+
+    expect(hold.status).toBe('settled');
+    expect(userWallets.get(winner).buckets.winnings).toBe(PAYOUT.winner);
+    expect(spendable(loser)).toBe(0);
+    expect(developerWallet.balance - platformBefore).toBe(PAYOUT.platform);
+    expect(developerWallet.totalEarnings - earningsBefore).toBe(PAYOUT.platform);
+    expect(ledger.getBalance(`escrow:${matchId}`, 'INR')).toBe(0);
+    hold.stakes.forEach(stake => expect(transactions.get(stake.transactionId).status).toBe('settled'));
+  });
+
+  test('a settlement is refused for a non-player, an oversized payout or an already released hold', async () => {
+    const { matchId, players: [winner] } = await heldMatch();
+
+    await expect(walletSystem.settleMatchHold(matchId, 'someone_else', PAYOUT))
+      .rejects.toMatchObject({ code: 'ESCROW_WINNER_INVALID' });
+    await expect(walletSystem.settleMatchHold(matchId, winner, { winner: 2 * STAKE + 1, platform: 0 }))
+      .rejects.toMatchObject({ code: 'ESCROW_PAYOUT_EXCEEDS_POT' });
+
+    await walletSystem.settleMatchHold(matchId, winner, PAYOUT);
+    await expect(walletSystem.refundMatchHold(matchId, 'cancelled'))
+      .rejects.toMatchObject({ code: 'ESCROW_ALREADY_RELEASED', status: 409 });
+  });
+
+  test('refunding puts each stake back in the buckets it came from', async () => {
+    const { matchId, players } = await heldMatch();
+
+    const hold = await walletSystem.refundMatchHold(matchId, 'match_cancelled');
+
+    expect(hold.status).toBe('refunded');
+    players.forEach(playerId => expect(userWallets.get(playerId).buckets.bonus).toBe(STAKE));
+    expect(ledger.getBalance(`escrow:${matchId}`, 'INR')).toBe(0);
+    hold.payouts.forEach(payout => expect(transactions.get(payout.transactionId)).toMatchObject({ type: 'refund', reason: 'match_cancelled' }));
+  });
+});
+
+describe('disputed payouts', () => {
+  const settledMatch = async () => {
+    const { matchId, players } = await heldMatch();
+    await walletSystem.settleMatchHold(matchId, players[0], PAYOUT);
+    await walletSystem.freezeMatchPayout(matchId);
+    return { matchId, players };
+  };
+
+  test('freezing moves the winnings into the dispute account', async () => {
+    const { matchId, players: [winner] } = await settledMatch();
+
+    expect(matchHolds.get(matchId).status).toBe('frozen');
+    expect(userWallets.get(winner).buckets.winnings).toBe(0);
+    expect(ledger.getBalance(`dispute:${matchId}`, 'INR')).toBe(PAYOUT.winner);
+  });
+
+  test('only a settled payout can be frozen', async () => {
+    const { matchId } = await heldMatch();
+    await expect(walletSystem.freezeMatchPayout(matchId))
+      .rejects.toMatchObject({ code: 'ESCROW_NOT_SETTLED', status: 409 });
+  });
+
+  test('an upheld result gives the winnings back to the winner', async () => {
+    const { matchId, players: [winner] } = await settledMatch();
+
+    const hold = await walletSystem.resolveFrozenPayout(matchId, 'upheld', PAYOUT);
+
+    expect(hold.status).toBe('settled');
+    expect(userWallets.get(winner).buckets.winnings).toBe(PAYOUT.winner);
+    expect(ledger.getBalance(`dispute:${matchId}`, 'INR')).toBe(0);
+  });
+
+  test('a reversed result pays the other player instead', async () => {
+    const { matchId, players: [winner, loser] } = await settledMatch();
+
+    const hold = await walletSystem.resolveFrozenPayout(matchId, 'reversed', PAYOUT);
+
+    expect(hold.status).toBe('reversed');
+    expect(userWallets.get(winner).buckets.winnings).toBe(0);
+    expect(userWallets.get(loser).buckets.winnings).toBe(PAYOUT.winner);
+    expect(ledger.getBalance(`dispute:${matchId}`, 'INR')).toBe(0);
+  });
+
+  test('a voided match refunds both stakes and takes back the platform fee', async () => {
+    const { matchId, players } = await settledMatch();
+    const platformBefore = developerWallet.balance;
+    const earningsBefore = developerWallet.totalEarnings;
+
+    const hold = await walletSystem.resolveFrozenPayout(matchId, 'voided', PAYOUT);
+
+    expect(hold.status).toBe('voided');
+    players.forEach(playerId => expect(spendable(playerId)).toBe(STAKE));
+    expect(platformBefore - developerWallet.balance).toBe(PAYOUT.platform);
+    expect(earningsBefore - developerWallet.totalEarnings).toBe(PAYOUT.platform);
+  });
+
+  test('winnings spent before the freeze are clawed back from the winnings bucket', async () => {
+    const { matchId, players: [winner, loser] } = await heldMatch();
+    await walletSystem.settleMatchHold(matchId, winner, PAYOUT);
+    // The winner stakes part of the winnings in another match before the dispute is filed
+    const rematch = `${matchId}_rematch`;
+    await walletSystem.creditBonus(loser, STAKE, 'INR', 'test_funding');
+    await walletSystem.holdMatchStakes(rematch, [winner, loser], STAKE, 'INR');
+
+    const frozen = await walletSystem.freezeMatchPayout(matchId);
+    expect(frozen.frozen.amount).toBe(PAYOUT.winner - STAKE);
+
+    const hold = await walletSystem.resolveFrozenPayout(matchId, 'reversed', PAYOUT);
+    expect(hold.resolution.clawback).toBe(STAKE);
+    expect(userWallets.get(winner).buckets.winnings).toBe(-STAKE);
+  });
+
+  test('a payout that is not frozen cannot be resolved', async () => {
+    const { matchId } = await heldMatch();
+    await expect(walletSystem.resolveFrozenPayout(matchId, 'upheld', PAYOUT))
+      .rejects.toMatchObject({ code: 'ESCROW_NOT_FROZEN', status: 409 });
+  });
+});
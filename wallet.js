@@ -10,6 +10,12 @@
  * - Anti-fraud and security monitoring
  * - International payment gateway integration
  * - Developer wallet for platform earnings
+ * - Deposit, winnings and bonus balances kept apart; only winnings (and deposits, where policy
+ *   allows) can be withdrawn
+ * - Idempotency-Key replay protection on money-moving routes
+ * - Every money movement reads its wallets back from the database and commits them, the ledger
+ *   entry and its transactions together (see moveMoney), so cluster workers never overwrite
+ *   each other's balances
  */
 
 const express = require('express');
@@ -18,6 +24,16 @@ const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const winston = require('winston');
+const jwt = require('jsonwebtoken');
+const ledger = require('./ledger');
+const money = require('./money');
+const exchangeRates = require('./exchange-rates');
+const paymentGateways = require('./payment-gateways');
+const accountLinks = require('./account-links');
+const repositories = require('./repositories');
+const { requireIdempotencyKey } = require('./idempotency');
+const { rateLimitStore } = require('./state-store');
+const { ADMIN_JWT_SECRET, CURRENCY_CONFIG, WALLET_CONFIG } = require('./config');
 
 const router = express.Router();
 
@@ -38,42 +54,34 @@ const walletLogger = winston.createLogger({
 const walletLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 5, // 5 wallet operations per 5 minutes
-  message: { error: 'Wallet operation limit exceeded', code: 'WALLET_RATE_LIMIT' }
+  message: { error: 'Wallet operation limit exceeded', code: 'WALLET_RATE_LIMIT' },
+  store: rateLimitStore('wallet')
 });
 
 const withdrawalLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3, // 3 withdrawal requests per hour
-  message: { error: 'Withdrawal limit exceeded', code: 'WITHDRAWAL_RATE_LIMIT' }
+  message: { error: 'Withdrawal limit exceeded', code: 'WITHDRAWAL_RATE_LIMIT' },
+  store: rateLimitStore('wallet_withdrawal')
 });
 
-// In-memory storage (replace with database in production)
-const userWallets = new Map();
-const transactions = new Map();
-const pendingWithdrawals = new Map();
+// Wallets, transactions, match holds and tournament pools are kept in the database (see repositories.js); records
+// changed in place are saved with save(), and money only moves inside moveMoney(). restore()
+// rebuilds the indexes below after a restart.
+// Balances, totals and transaction amounts are integer minor units (see money.js)
+const userWallets = repositories.wallets;
+const transactions = repositories.transactions;
+const matchHolds = repositories.matchHolds;
+const tournamentPools = repositories.tournamentPools; // entry fees held until prizes are paid or refunded
+const DEVELOPER_OPENING_BALANCE = money.toMinor(45280, 'INR'); // ₹45,280
+const DEVELOPER_OPENING_EARNINGS = money.toMinor(125840, 'INR');
 const developerWallet = {
-  balance: 45280, // ₹45,280
+  balance: DEVELOPER_OPENING_BALANCE,
   currency: 'INR',
-  totalEarnings: 125840,
+  totalEarnings: DEVELOPER_OPENING_EARNINGS,
   pendingWithdrawals: []
 };
 
-// Currency conversion rates
-const CURRENCY_RATES = {
-  INR: 1,
-  USD: 0.012,
-  EUR: 0.011,
-  GBP: 0.0095,
-  CNY: 0.086,
-  JPY: 1.8,
-  KRW: 16.2,
-  BRL: 0.062,
-  RUB: 1.1,
-  AED: 0.044,
-  SAR: 0.045,
-  CAD: 0.016,
-  AUD: 0.018
-};
 
 // Payment gateway configurations
 const PAYMENT_GATEWAYS = {
@@ -112,9 +120,22 @@ const PAYMENT_GATEWAYS = {
 };
 
 // Helper functions
-const convertCurrency = (amount, fromCurrency, toCurrency) => {
-  const inrAmount = amount / CURRENCY_RATES[fromCurrency];
-  return Math.round(inrAmount * CURRENCY_RATES[toCurrency] * 100) / 100;
+const formatBuckets = (buckets, currency) => {
+  return Object.fromEntries(Object.entries(buckets).map(([bucket, amount]) => [bucket, money.toMajor(amount, currency)]));
+};
+
+// A transaction's bucket split is in its wallet's currency, which a deposit or withdrawal need not share
+const formatTransaction = (tx) => {
+  const formatted = { ...tx, amount: money.toMajor(tx.amount, tx.currency) };
+  ['netAmount', 'fees'].forEach(field => {
+    if (tx[field] !== undefined) {
+      formatted[field] = money.toMajor(tx[field], tx.currency);
+    }
+  });
+  if (tx.buckets) {
+    formatted.buckets = formatBuckets(tx.buckets, userWallets.get(tx.userId).currency);
+  }
+  return formatted;
 };
 
 const generateTransactionId = () => 'txn_' + uuidv4().substring(0, 12);
@@ -123,6 +144,7 @@ const createWallet = (userId, currency = 'INR') => {
   return {
     userId,
     balance: 0,
+    buckets: Object.fromEntries(WALLET_CONFIG.buckets.map(bucket => [bucket, 0])),
     currency,
     totalDeposits: 0,
     totalWithdrawals: 0,
@@ -134,14 +156,1167 @@ const createWallet = (userId, currency = 'INR') => {
 };
 
 const validateKYC = (amount, currency, kycStatus) => {
-  const limitINR = convertCurrency(amount, currency, 'INR');
+  const limitINR = exchangeRates.convert(amount, currency, 'INR');
   
-  if (limitINR > 10000 && kycStatus !== 'verified') {
+  if (limitINR > money.toMinor(10000, 'INR') && kycStatus !== 'verified') {
     return false;
   }
   return true;
 };
 
+// Ledger accounts - wallet and developer balances are cached projections of the journal
+const PLATFORM_FEES_ACCOUNT = 'platform:fees';
+const BONUS_ACCOUNT = 'promotions:bonus';
+const userAccount = (userId, bucket) => `user:${userId}:${bucket}`;
+const escrowAccount = (matchId) => `escrow:${matchId}`;
+const tournamentAccount = (tournamentId) => `tournament:${tournamentId}`;
+const disputeAccount = (matchId) => `dispute:${matchId}`;
+const gatewayClearingAccount = (gatewayId) => `gateway:${gatewayId}:clearing`;
+const gatewayFeesAccount = (gatewayId) => `gateway:${gatewayId}:fees`;
+
+const refreshBalances = (wallet) => {
+  wallet.buckets = Object.fromEntries(WALLET_CONFIG.buckets.map(bucket => (
+    [bucket, ledger.getBalance(userAccount(wallet.userId, bucket), wallet.currency)]
+  )));
+  wallet.balance = money.add(...Object.values(wallet.buckets));
+};
+
+// Fees booked since the opening balance, net of reversals, on top of the earnings carried in with it
+const refreshDeveloperWallet = () => {
+  developerWallet.balance = ledger.getBalance(PLATFORM_FEES_ACCOUNT, developerWallet.currency);
+  developerWallet.totalEarnings = money.subtract(money.add(DEVELOPER_OPENING_EARNINGS, developerWallet.balance), DEVELOPER_OPENING_BALANCE);
+};
+
+const postToLedger = (journalEntry) => {
+  const entry = ledger.postJournal({
+    ...journalEntry,
+    lines: ledger.balanceWithFx(journalEntry.lines),
+    metadata: { rateId: exchangeRates.getSnapshot().id, ...journalEntry.metadata }
+  });
+
+  // Move the cached balances of every wallet the entry touched by its lines. Each wallet was
+  // read back from the database when the movement began, so this worker's journal needn't hold
+  // what other workers posted. Saving them here also saves whatever else the caller changes on
+  // them before the write runs.
+  entry.lines.forEach(line => {
+    if (line.account.startsWith('user:')) {
+      const wallet = userWallets.get(line.account.slice('user:'.length, line.account.lastIndexOf(':')));
+      const bucket = line.account.slice(line.account.lastIndexOf(':') + 1);
+      if (wallet) {
+        wallet.buckets[bucket] = money.subtract(money.add(wallet.buckets[bucket], line.credit), line.debit);
+        wallet.balance = money.add(...Object.values(wallet.buckets));
+        userWallets.save(wallet);
+      }
+    } else if (line.account === PLATFORM_FEES_ACCOUNT) {
+      // Earnings follow the fees account, so a movement re-run after a conflict doesn't count its fee twice
+      refreshDeveloperWallet();
+    }
+  });
+
+  return entry;
+};
+
+/**
+ * Runs a money movement: reload names the records to read back from the database first, as
+ * { collection: [ids] } or a function resolving to that, and change (synchronous) checks them, posts to the ledger and saves.
+ * Resolves with what change returns once all of it is committed in one database transaction;
+ * rejects, with nothing kept, if change throws or the commit fails (see repositories.transaction).
+ */
+const moveMoney = async (reload, change) => {
+  try {
+    return await repositories.transaction(change, { reload });
+  } catch (error) {
+    // The journal has given back the entries that didn't commit
+    refreshDeveloperWallet();
+    throw error;
+  }
+};
+
+// What a movement on a match hold touches, read off the hold as stored
+const holdRecords = (matchId) => async () => {
+  await matchHolds.readBack([matchId]);
+  const hold = matchHolds.get(matchId);
+  const records = hold ? [...hold.stakes, ...(hold.payouts || []), hold.frozen || {}] : [];
+  return {
+    matchHolds: [matchId],
+    wallets: records.map(r => r.playerId).filter(id => id && id !== 'platform'),
+    transactions: records.map(r => r.transactionId).filter(Boolean)
+  };
+};
+
+// Carry the developer wallet's existing balance into the journal, once
+const openBooks = () => {
+  if (ledger.journal.some(entry => entry.type === 'opening_balance')) return;
+  postToLedger({
+    type: 'opening_balance',
+    lines: [
+      ledger.debit('equity:opening', DEVELOPER_OPENING_BALANCE, developerWallet.currency),
+      ledger.credit(PLATFORM_FEES_ACCOUNT, DEVELOPER_OPENING_BALANCE, developerWallet.currency)
+    ]
+  });
+};
+
+// With a database the books are opened by restore(), once the journal has been loaded
+if (!repositories.persistent) {
+  openBooks();
+}
+
+// Balance buckets - every wallet line names the bucket it moves, { bucket: amount } in the
+// wallet's currency, so refunds and reversals can put money back where it came from
+WALLET_CONFIG.stakeSpendOrder.concat(WALLET_CONFIG.withdrawableBuckets).forEach(bucket => {
+  if (!WALLET_CONFIG.buckets.includes(bucket)) {
+    throw new Error(`Unknown wallet bucket in WALLET_CONFIG: ${bucket}`);
+  }
+});
+
+// What the buckets can pay towards a debit. A bucket below zero (a dispute clawback) pays nothing,
+// and its debt still counts against the wallet as a whole.
+const availableFrom = (wallet, buckets) => {
+  const held = money.add(...buckets.map(bucket => Math.max(wallet.buckets[bucket], 0)));
+  return Math.max(Math.min(held, wallet.balance), 0);
+};
+
+const spendableBalance = (wallet) => availableFrom(wallet, WALLET_CONFIG.stakeSpendOrder);
+const withdrawableBalance = (wallet) => availableFrom(wallet, WALLET_CONFIG.withdrawableBuckets);
+
+// Takes amount from the buckets in order; callers check availableFrom() first
+const drawFromBuckets = (wallet, amount, buckets) => {
+  let remaining = amount;
+  const drawn = {};
+  buckets.forEach(bucket => {
+    const take = Math.min(remaining, Math.max(wallet.buckets[bucket], 0));
+    if (take > 0) {
+      drawn[bucket] = take;
+      remaining = money.subtract(remaining, take);
+    }
+  });
+  return drawn;
+};
+
+const debitBuckets = (userId, buckets, currency) => {
+  return Object.entries(buckets).map(([bucket, amount]) => ledger.debit(userAccount(userId, bucket), amount, currency));
+};
+
+const creditBuckets = (userId, buckets, currency) => {
+  return Object.entries(buckets).map(([bucket, amount]) => ledger.credit(userAccount(userId, bucket), amount, currency));
+};
+
+// Status changes are saved with the transaction
+const setTransactionStatus = (transactionId, status) => {
+  const transaction = transactions.get(transactionId);
+  transaction.status = status;
+  transactions.save(transaction);
+};
+
+// Match escrow - stakes are debited into a per-match hold until the match settles
+const toWalletAmount = (wallet, amount, currency) => {
+  return wallet.currency === currency ? amount : exchangeRates.convert(amount, currency, wallet.currency);
+};
+
+// A pre-check on the stored wallet; holdMatchStakes checks again as it debits
+const canCoverStake = async (userId, amount, currency) => {
+  await userWallets.reload([userId]);
+  const wallet = userWallets.get(userId);
+  return !!wallet && spendableBalance(wallet) >= toWalletAmount(wallet, amount, currency);
+};
+
+const escrowError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+const holdMatchStakes = (matchId, playerIds, amount, currency) => moveMoney({ wallets: playerIds, matchHolds: [matchId] }, () => {
+  if (matchHolds.has(matchId)) {
+    throw escrowError('Match stakes already held', 'ESCROW_ALREADY_HELD', { status: 409 });
+  }
+
+  // Check every player before debiting anyone so a failed hold leaves no partial debits
+  const stakes = playerIds.map(playerId => {
+    const wallet = userWallets.get(playerId);
+    return { playerId, wallet, walletAmount: wallet ? toWalletAmount(wallet, amount, currency) : amount };
+  });
+
+  const shortfall = stakes.find(s => !s.wallet || spendableBalance(s.wallet) < s.walletAmount);
+  if (shortfall) {
+    throw escrowError('Insufficient balance to cover match stake', 'INSUFFICIENT_STAKE_BALANCE', {
+      status: 400,
+      playerId: shortfall.playerId,
+      available: shortfall.wallet ? spendableBalance(shortfall.wallet) : 0,
+      required: shortfall.walletAmount
+    });
+  }
+  stakes.forEach(s => {
+    s.buckets = drawFromBuckets(s.wallet, s.walletAmount, WALLET_CONFIG.stakeSpendOrder);
+  });
+
+  // Free matches stake nothing, so their hold is bookkeeping only and never reaches the ledger
+  const free = amount === 0;
+  const entry = free ? null : postToLedger({
+    type: 'stake',
+    reference: matchId,
+    lines: stakes.flatMap(({ playerId, wallet, walletAmount, buckets }) => [
+      ...debitBuckets(playerId, buckets, wallet.currency),
+      ledger.credit(escrowAccount(matchId), walletAmount, wallet.currency)
+    ])
+  });
+
+  const hold = {
+    matchId,
+    amount,
+    currency,
+    free,
+    status: 'held',
+    journalId: entry ? entry.id : null,
+    rateId: entry ? entry.metadata.rateId : exchangeRates.getSnapshot().id,
+    stakes: stakes.map(({ playerId, wallet, walletAmount, buckets }) => {
+      wallet.lastActivity = Date.now();
+      userWallets.save(wallet);
+      if (free) {
+        return { playerId, amount: 0, currency: wallet.currency, buckets, transactionId: null };
+      }
+
+      const transactionId = generateTransactionId();
+      transactions.set(transactionId, {
+        id: transactionId,
+        userId: playerId,
+        type: 'stake',
+        amount: walletAmount,
+        currency: wallet.currency,
+        buckets,
+        matchId,
+        journalId: entry.id,
+        rateId: entry.metadata.rateId,
+        status: 'held',
+        timestamp: Date.now()
+      });
+
+      return { playerId, amount: walletAmount, currency: wallet.currency, buckets, transactionId };
+    }),
+    createdAt: Date.now()
+  };
+
+  matchHolds.set(matchId, hold);
+  walletLogger.info('Match stakes held', { matchId, players: playerIds, amount, currency });
+
+  return hold;
+});
+
+const getOpenHold = (matchId) => {
+  const hold = matchHolds.get(matchId);
+  if (!hold) {
+    throw escrowError('No stakes held for match', 'ESCROW_NOT_FOUND', { status: 404 });
+  }
+  if (hold.status !== 'held') {
+    throw escrowError('Match stakes already released', 'ESCROW_ALREADY_RELEASED', { status: 409 });
+  }
+  return hold;
+};
+
+// Closes a free match's hold; no money moved in, so none moves out
+const releaseFreeHold = (hold, status, payouts) => {
+  hold.status = status;
+  hold.releasedAt = Date.now();
+  hold.payouts = payouts;
+  matchHolds.save(hold);
+  walletLogger.info('Free match hold released', { matchId: hold.matchId, status });
+  return hold;
+};
+
+const settleMatchHold = (matchId, winnerId, payout) => moveMoney(holdRecords(matchId), () => {
+  const hold = getOpenHold(matchId);
+  const winnerStake = hold.stakes.find(s => s.playerId === winnerId);
+  if (!winnerStake) {
+    throw escrowError('Winner has no stake in match', 'ESCROW_WINNER_INVALID', { status: 400 });
+  }
+
+  // The platform keeps whatever the winner's payout leaves in the pot, so the hold always drains to zero
+  const pot = hold.amount * hold.stakes.length;
+  if (payout.winner > pot) {
+    throw escrowError('Payout exceeds held stakes', 'ESCROW_PAYOUT_EXCEEDS_POT', { status: 400, pot });
+  }
+
+  const winnerWallet = userWallets.get(winnerId);
+  if (hold.free) {
+    return releaseFreeHold(hold, 'settled', [{ playerId: winnerId, amount: 0, currency: winnerWallet.currency, transactionId: null }]);
+  }
+
+  const winAmount = toWalletAmount(winnerWallet, payout.winner, hold.currency);
+  const platformFeeINR = exchangeRates.convert(money.subtract(pot, payout.winner), hold.currency, 'INR');
+
+  const entry = postToLedger({
+    type: 'match_settlement',
+    reference: matchId,
+    lines: [
+      ...hold.stakes.map(s => ledger.debit(escrowAccount(matchId), s.amount, s.currency)),
+      ledger.credit(userAccount(winnerId, 'winnings'), winAmount, winnerWallet.currency),
+      ledger.credit(PLATFORM_FEES_ACCOUNT, platformFeeINR, 'INR')
+    ]
+  });
+
+  winnerWallet.totalWinnings += winAmount;
+  winnerWallet.lastActivity = Date.now();
+
+  const winTransactionId = generateTransactionId();
+  transactions.set(winTransactionId, {
+    id: winTransactionId,
+    userId: winnerId,
+    type: 'win',
+    amount: winAmount,
+    currency: winnerWallet.currency,
+    buckets: { winnings: winAmount },
+    matchId,
+    journalId: entry.id,
+    rateId: entry.metadata.rateId,
+    status: 'completed',
+    timestamp: Date.now()
+  });
+
+  const feeTransactionId = generateTransactionId();
+  transactions.set(feeTransactionId, {
+    id: feeTransactionId,
+    userId: 'platform',
+    type: 'platform_fee',
+    amount: platformFeeINR,
+    currency: 'INR',
+    matchId,
+    journalId: entry.id,
+    rateId: entry.metadata.rateId,
+    status: 'completed',
+    timestamp: Date.now()
+  });
+
+  hold.stakes.forEach(s => setTransactionStatus(s.transactionId, 'settled'));
+  hold.status = 'settled';
+  hold.releasedAt = Date.now();
+  hold.payouts = [
+    { playerId: winnerId, amount: winAmount, currency: winnerWallet.currency, transactionId: winTransactionId },
+    { playerId: 'platform', amount: platformFeeINR, currency: 'INR', transactionId: feeTransactionId }
+  ];
+  matchHolds.save(hold);
+
+  walletLogger.info('Match stakes settled', { matchId, winner: winnerId, amount: winAmount, platformFee: platformFeeINR });
+
+  return hold;
+});
+
+const refundMatchHold = (matchId, reason) => moveMoney(holdRecords(matchId), () => {
+  const hold = getOpenHold(matchId);
+  if (hold.free) {
+    return releaseFreeHold(hold, 'refunded', hold.stakes.map(s => ({ ...s })));
+  }
+
+  const entry = postToLedger({
+    type: 'refund',
+    reference: matchId,
+    lines: hold.stakes.flatMap(s => [
+      ledger.debit(escrowAccount(matchId), s.amount, s.currency),
+      ...creditBuckets(s.playerId, s.buckets, s.currency)
+    ])
+  });
+
+  hold.payouts = hold.stakes.map(s => {
+    userWallets.get(s.playerId).lastActivity = Date.now();
+    setTransactionStatus(s.transactionId, 'refunded');
+
+    const transactionId = generateTransactionId();
+    transactions.set(transactionId, {
+      id: transactionId,
+      userId: s.playerId,
+      type: 'refund',
+      amount: s.amount,
+      currency: s.currency,
+      buckets: s.buckets,
+      matchId,
+      reason,
+      journalId: entry.id,
+      rateId: entry.metadata.rateId,
+      status: 'completed',
+      timestamp: Date.now()
+    });
+
+    return { playerId: s.playerId, amount: s.amount, currency: s.currency, transactionId };
+  });
+
+  hold.status = 'refunded';
+  hold.releasedAt = Date.now();
+  matchHolds.save(hold);
+
+  walletLogger.info('Match stakes refunded', { matchId, reason });
+
+  return hold;
+});
+
+// Match disputes - a disputed match's winnings sit in its dispute account until an admin decides
+const freezeMatchPayout = (matchId) => moveMoney(holdRecords(matchId), () => {
+  const hold = matchHolds.get(matchId);
+  if (!hold) {
+    throw escrowError('No stakes held for match', 'ESCROW_NOT_FOUND', { status: 404 });
+  }
+  if (hold.status !== 'settled') {
+    throw escrowError('Only a settled match payout can be frozen', 'ESCROW_NOT_SETTLED', { status: 409, holdStatus: hold.status });
+  }
+
+  const [win] = hold.payouts;
+  const wallet = userWallets.get(win.playerId);
+
+  // Winnings already staked or withdrawn can't be frozen; the resolution takes them from the
+  // winnings bucket instead
+  const amount = Math.min(win.amount, Math.max(wallet.buckets.winnings, 0));
+  const frozen = { playerId: win.playerId, amount, currency: win.currency, transactionId: null, frozenAt: Date.now() };
+
+  if (amount > 0) {
+    const entry = postToLedger({
+      type: 'dispute_hold',
+      reference: matchId,
+      lines: [
+        ledger.debit(userAccount(win.playerId, 'winnings'), amount, win.currency),
+        ledger.credit(disputeAccount(matchId), amount, win.currency)
+      ]
+    });
+
+    frozen.transactionId = generateTransactionId();
+    transactions.set(frozen.transactionId, {
+      id: frozen.transactionId,
+      userId: win.playerId,
+      type: 'dispute_hold',
+      amount,
+      currency: win.currency,
+      buckets: { winnings: amount },
+      matchId,
+      journalId: entry.id,
+      rateId: entry.metadata.rateId,
+      status: 'held',
+      timestamp: Date.now()
+    });
+  }
+  if (win.transactionId) {
+    setTransactionStatus(win.transactionId, 'disputed');
+  }
+
+  hold.status = 'frozen';
+  hold.frozen = frozen;
+  matchHolds.save(hold);
+  walletLogger.info('Match payout frozen', { matchId, playerId: win.playerId, amount, currency: win.currency });
+
+  return hold;
+});
+
+/**
+ * Releases a frozen payout the way an admin decided the dispute:
+ * - upheld: the frozen winnings go back to the winner
+ * - reversed: the winnings are taken back and the other player is paid payout.winner
+ * - voided: the winnings and platform fee are taken back and both stakes are refunded
+ * payout is the match's { winner, platform } split in the hold currency. Winnings the winner
+ * spent before the freeze are taken from their winnings bucket, which can leave it below zero.
+ */
+const resolveFrozenPayout = (matchId, outcome, payout) => moveMoney(holdRecords(matchId), () => {
+  const hold = matchHolds.get(matchId);
+  if (!hold || hold.status !== 'frozen') {
+    throw escrowError('Match payout is not frozen', 'ESCROW_NOT_FROZEN', { status: 409 });
+  }
+
+  const [win, fee] = hold.payouts;
+  const { frozen } = hold;
+  const winnerWallet = userWallets.get(win.playerId);
+  const loserWallet = userWallets.get(hold.stakes.find(s => s.playerId !== win.playerId).playerId);
+  const clawback = outcome === 'upheld' ? 0 : money.subtract(win.amount, frozen.amount);
+
+  const credits = []; // { playerId, amount, currency, buckets, type } paid out by the resolution
+  if (outcome === 'upheld') {
+    credits.push({ playerId: win.playerId, amount: frozen.amount, currency: frozen.currency, buckets: { winnings: frozen.amount }, type: 'dispute_release' });
+  } else if (outcome === 'reversed') {
+    const amount = toWalletAmount(loserWallet, payout.winner, hold.currency);
+    credits.push({ playerId: loserWallet.userId, amount, currency: loserWallet.currency, buckets: { winnings: amount }, type: 'win' });
+  } else {
+    hold.stakes.forEach(s => credits.push({ playerId: s.playerId, amount: s.amount, currency: s.currency, buckets: s.buckets, type: 'refund' }));
+  }
+  const feeReversal = outcome === 'voided' && fee ? fee.amount : 0;
+
+  const lines = [
+    ledger.debit(disputeAccount(matchId), frozen.amount, frozen.currency),
+    ledger.debit(userAccount(win.playerId, 'winnings'), clawback, win.currency),
+    ledger.debit(PLATFORM_FEES_ACCOUNT, feeReversal, 'INR'),
+    ...credits.flatMap(c => creditBuckets(c.playerId, c.buckets, c.currency))
+  ];
+
+  // Free matches moved no money, so there is nothing to post
+  const entry = lines.some(line => line.debit > 0 || line.credit > 0)
+    ? postToLedger({ type: 'dispute_resolution', reference: matchId, lines, metadata: { outcome } })
+    : null;
+
+  const recordTransaction = (fields) => {
+    if (!entry || fields.amount === 0) {
+      return null;
+    }
+    const transactionId = generateTransactionId();
+    transactions.set(transactionId, {
+      id: transactionId,
+      ...fields,
+      matchId,
+      reason: `dispute_${outcome}`,
+      journalId: entry.id,
+      rateId: entry.metadata.rateId,
+      status: 'completed',
+      timestamp: Date.now()
+    });
+    return transactionId;
+  };
+
+  const payouts = credits.map(c => {
+    const wallet = userWallets.get(c.playerId);
+    wallet.lastActivity = Date.now();
+    if (c.type === 'win') {
+      wallet.totalWinnings += c.amount;
+    }
+    return { ...c, transactionId: recordTransaction({ userId: c.playerId, type: c.type, amount: c.amount, currency: c.currency, buckets: c.buckets }) };
+  });
+
+  if (outcome !== 'upheld') {
+    winnerWallet.totalWinnings -= win.amount;
+    recordTransaction({ userId: win.playerId, type: 'dispute_clawback', amount: clawback, currency: win.currency, buckets: { winnings: clawback } });
+  }
+  if (feeReversal > 0) {
+    recordTransaction({ userId: 'platform', type: 'platform_fee_reversal', amount: feeReversal, currency: 'INR' });
+    setTransactionStatus(fee.transactionId, 'reversed');
+  }
+
+  if (frozen.transactionId) {
+    setTransactionStatus(frozen.transactionId, 'released');
+  }
+  if (win.transactionId) {
+    setTransactionStatus(win.transactionId, outcome === 'upheld' ? 'completed' : 'reversed');
+  }
+  if (outcome === 'voided') {
+    hold.stakes.filter(s => s.transactionId).forEach(s => setTransactionStatus(s.transactionId, 'refunded'));
+  }
+
+  hold.status = outcome === 'upheld' ? 'settled' : outcome;
+  hold.resolution = { outcome, payouts, clawback, journalId: entry ? entry.id : null, resolvedAt: Date.now() };
+  matchHolds.save(hold);
+  [winnerWallet, loserWallet].forEach(wallet => userWallets.save(wallet));
+  walletLogger.info('Frozen match payout resolved', { matchId, outcome, clawback, platformFeeReversed: feeReversal });
+
+  return hold;
+});
+
+// Tournament entry pools - entry fees sit in the tournament's account until it pays out or is cancelled
+const getOpenPool = (tournamentId) => {
+  const pool = tournamentPools.get(tournamentId);
+  if (!pool) {
+    throw escrowError('No entry fees held for tournament', 'TOURNAMENT_POOL_NOT_FOUND', { status: 404 });
+  }
+  if (pool.status !== 'open') {
+    throw escrowError('Tournament entry fees already released', 'TOURNAMENT_POOL_RELEASED', { status: 409 });
+  }
+  return pool;
+};
+
+// What a movement on a tournament pool touches, read off the pool as stored: its entrants'
+// wallets and entry fees, and any other wallets named
+const poolRecords = (tournamentId, playerIds = []) => async () => {
+  await tournamentPools.readBack([tournamentId]);
+  const pool = tournamentPools.get(tournamentId);
+  const entries = pool ? Array.from(pool.entries.values()) : [];
+  return {
+    tournamentPools: [tournamentId],
+    wallets: [...new Set([...entries.map(e => e.playerId), ...playerIds])],
+    transactions: entries.map(e => e.transactionId).filter(Boolean)
+  };
+};
+
+const openTournamentPool = (tournamentId, entryFee, currency) => moveMoney({ tournamentPools: [tournamentId] }, () => {
+  if (tournamentPools.has(tournamentId)) {
+    throw escrowError('Tournament pool already open', 'TOURNAMENT_POOL_EXISTS', { status: 409 });
+  }
+  const pool = { tournamentId, entryFee, currency, status: 'open', entries: new Map(), createdAt: Date.now() };
+  tournamentPools.set(tournamentId, pool);
+  return pool;
+});
+
+const payTournamentEntry = (tournamentId, playerId) => moveMoney({ wallets: [playerId], tournamentPools: [tournamentId] }, () => {
+  const pool = getOpenPool(tournamentId);
+  const { entryFee, currency } = pool;
+  if (pool.entries.has(playerId)) {
+    throw escrowError('Entry fee already paid', 'TOURNAMENT_ENTRY_PAID', { status: 409 });
+  }
+
+  const wallet = userWallets.get(playerId);
+  const walletAmount = wallet ? toWalletAmount(wallet, entryFee, currency) : entryFee;
+  if (!wallet || spendableBalance(wallet) < walletAmount) {
+    throw escrowError('Insufficient balance to cover entry fee', 'INSUFFICIENT_ENTRY_BALANCE', {
+      status: 400,
+      playerId,
+      available: wallet ? spendableBalance(wallet) : 0,
+      required: walletAmount
+    });
+  }
+
+  wallet.lastActivity = Date.now();
+  userWallets.save(wallet);
+  const buckets = drawFromBuckets(wallet, walletAmount, WALLET_CONFIG.stakeSpendOrder);
+  const entry = { playerId, amount: walletAmount, currency: wallet.currency, buckets, transactionId: null, paidAt: Date.now() };
+
+  // Free tournaments take no fee, so there is nothing to post
+  if (entryFee > 0) {
+    const journalEntry = postToLedger({
+      type: 'tournament_entry',
+      reference: tournamentId,
+      lines: [
+        ...debitBuckets(playerId, buckets, wallet.currency),
+        ledger.credit(tournamentAccount(tournamentId), walletAmount, wallet.currency)
+      ]
+    });
+
+    entry.transactionId = generateTransactionId();
+    transactions.set(entry.transactionId, {
+      id: entry.transactionId,
+      userId: playerId,
+      type: 'tournament_entry',
+      amount: walletAmount,
+      currency: wallet.currency,
+      buckets,
+      tournamentId,
+      journalId: journalEntry.id,
+      rateId: journalEntry.metadata.rateId,
+      status: 'held',
+      timestamp: Date.now()
+    });
+  }
+
+  pool.entries.set(playerId, entry);
+  tournamentPools.save(pool);
+  walletLogger.info('Tournament entry paid', { tournamentId, playerId, amount: walletAmount, currency: wallet.currency });
+
+  return entry;
+});
+
+const refundEntries = (pool, entries, reason) => {
+  const paid = entries.filter(e => e.amount > 0);
+  const journalEntry = paid.length === 0 ? null : postToLedger({
+    type: 'refund',
+    reference: pool.tournamentId,
+    lines: paid.flatMap(e => [
+      ledger.debit(tournamentAccount(pool.tournamentId), e.amount, e.currency),
+      ...creditBuckets(e.playerId, e.buckets, e.currency)
+    ])
+  });
+
+  return entries.map(e => {
+    pool.entries.delete(e.playerId);
+    if (!journalEntry || e.amount === 0) {
+      return { playerId: e.playerId, amount: 0, currency: e.currency, transactionId: null };
+    }
+
+    setTransactionStatus(e.transactionId, 'refunded');
+    const transactionId = generateTransactionId();
+    transactions.set(transactionId, {
+      id: transactionId,
+      userId: e.playerId,
+      type: 'refund',
+      amount: e.amount,
+      currency: e.currency,
+      buckets: e.buckets,
+      tournamentId: pool.tournamentId,
+      reason,
+      journalId: journalEntry.id,
+      rateId: journalEntry.metadata.rateId,
+      status: 'completed',
+      timestamp: Date.now()
+    });
+    return { playerId: e.playerId, amount: e.amount, currency: e.currency, transactionId };
+  });
+};
+
+// One player leaves before the start and gets their fee back
+const refundTournamentEntry = (tournamentId, playerId, reason) => moveMoney(poolRecords(tournamentId), () => {
+  const pool = getOpenPool(tournamentId);
+  const entry = pool.entries.get(playerId);
+  if (!entry) {
+    throw escrowError('No entry fee paid', 'TOURNAMENT_ENTRY_NOT_FOUND', { status: 404 });
+  }
+
+  const [refund] = refundEntries(pool, [entry], reason);
+  tournamentPools.save(pool);
+  walletLogger.info('Tournament entry refunded', { tournamentId, playerId, reason });
+  return refund;
+});
+
+// The tournament is called off; everyone gets their fee back
+const refundTournamentEntries = (tournamentId, reason) => moveMoney(poolRecords(tournamentId), () => {
+  const pool = getOpenPool(tournamentId);
+  const refunds = refundEntries(pool, Array.from(pool.entries.values()), reason);
+
+  pool.status = 'refunded';
+  pool.releasedAt = Date.now();
+  pool.payouts = refunds;
+  tournamentPools.save(pool);
+  walletLogger.info('Tournament entries refunded', { tournamentId, reason, players: refunds.length });
+
+  return pool;
+});
+
+/**
+ * Pays prizes out of the entry pool. prizes: [{ playerId, amount }] in the pool's currency.
+ * The platform keeps whatever the prizes leave in the pool, so it always drains to zero.
+ */
+const payTournamentPrizes = (tournamentId, prizes) => moveMoney(poolRecords(tournamentId, prizes.map(p => p.playerId)), () => {
+  const pool = getOpenPool(tournamentId);
+  const entries = Array.from(pool.entries.values());
+  const pot = pool.entryFee * entries.length;
+  const awarded = prizes.filter(p => p.amount > 0);
+  const totalPrizes = awarded.reduce((sum, p) => money.add(sum, p.amount), 0);
+  if (totalPrizes > pot) {
+    throw escrowError('Prizes exceed entry pool', 'TOURNAMENT_PRIZES_EXCEED_POOL', { status: 400, pot });
+  }
+
+  pool.status = 'paid';
+  pool.releasedAt = Date.now();
+  tournamentPools.save(pool);
+  if (pot === 0) {
+    pool.payouts = [];
+    walletLogger.info('Free tournament closed', { tournamentId });
+    return pool;
+  }
+
+  const winnings = awarded.map(p => {
+    const wallet = userWallets.get(p.playerId);
+    return { playerId: p.playerId, wallet, amount: toWalletAmount(wallet, p.amount, pool.currency) };
+  });
+  const platformFeeINR = exchangeRates.convert(money.subtract(pot, totalPrizes), pool.currency, 'INR');
+
+  const journalEntry = postToLedger({
+    type: 'tournament_settlement',
+    reference: tournamentId,
+    lines: [
+      ...entries.map(e => ledger.debit(tournamentAccount(tournamentId), e.amount, e.currency)),
+      ...winnings.map(w => ledger.credit(userAccount(w.playerId, 'winnings'), w.amount, w.wallet.currency)),
+      ledger.credit(PLATFORM_FEES_ACCOUNT, platformFeeINR, 'INR')
+    ]
+  });
+
+  const recordTransaction = (fields) => {
+    const transactionId = generateTransactionId();
+    transactions.set(transactionId, {
+      id: transactionId,
+      ...fields,
+      tournamentId,
+      journalId: journalEntry.id,
+      rateId: journalEntry.metadata.rateId,
+      status: 'completed',
+      timestamp: Date.now()
+    });
+    return transactionId;
+  };
+
+  pool.payouts = winnings.map(w => {
+    w.wallet.totalWinnings += w.amount;
+    w.wallet.lastActivity = Date.now();
+    const transactionId = recordTransaction({
+      userId: w.playerId,
+      type: 'tournament_prize',
+      amount: w.amount,
+      currency: w.wallet.currency,
+      buckets: { winnings: w.amount }
+    });
+    return { playerId: w.playerId, amount: w.amount, currency: w.wallet.currency, transactionId };
+  });
+
+  pool.payouts.push({
+    playerId: 'platform',
+    amount: platformFeeINR,
+    currency: 'INR',
+    transactionId: recordTransaction({ userId: 'platform', type: 'platform_fee', amount: platformFeeINR, currency: 'INR' })
+  });
+
+  entries.filter(e => e.transactionId).forEach(e => setTransactionStatus(e.transactionId, 'settled'));
+  walletLogger.info('Tournament prizes paid', { tournamentId, prizes: winnings.length, platformFee: platformFeeINR });
+
+  return pool;
+});
+
+// Deposit settlement - a pending deposit is resolved once, by the gateway's answer or signed webhook
+const depositError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+};
+
+// Deposits started on another worker are read in from the database before the cache is searched
+const findDepositByGatewayReference = async (gatewayId, gatewayReference) => {
+  await transactions.find({ gatewayReference, type: 'deposit' });
+  return Array.from(transactions.values()).find(tx => tx.type === 'deposit' &&
+    tx.gateway === gatewayId &&
+    tx.paymentDetails && tx.paymentDetails.gatewayTransactionId === gatewayReference) || null;
+};
+
+// Returns { applied: false } when the deposit was already completed or failed
+const completeDeposit = (transaction, { eventId, amount, currency }) => moveMoney({ wallets: [transaction.userId], transactions: [transaction.id] }, () => {
+  if (transaction.status !== 'processing') {
+    return { applied: false, transaction };
+  }
+
+  if (amount !== transaction.amount || currency !== transaction.currency) {
+    throw depositError('Gateway amount does not match deposit', 'DEPOSIT_AMOUNT_MISMATCH', {
+      status: 400,
+      expected: { amount: transaction.amount, currency: transaction.currency },
+      received: { amount, currency }
+    });
+  }
+
+  const wallet = userWallets.get(transaction.userId);
+  const walletAmount = toWalletAmount(wallet, transaction.netAmount, transaction.currency);
+
+  // Book the deposit: gateway owes us the gross amount, the player is owed the net
+  const entry = postToLedger({
+    type: 'deposit',
+    reference: transaction.id,
+    lines: [
+      ledger.debit(gatewayClearingAccount(transaction.gateway), transaction.amount, transaction.currency),
+      ledger.credit(userAccount(transaction.userId, 'deposit'), walletAmount, wallet.currency),
+      ledger.credit(gatewayFeesAccount(transaction.gateway), transaction.fees, transaction.currency)
+    ],
+    metadata: { gatewayEventId: eventId }
+  });
+
+  transaction.status = 'completed';
+  transaction.completedAt = Date.now();
+  transaction.buckets = { deposit: walletAmount };
+  transaction.journalId = entry.id;
+  transaction.rateId = entry.metadata.rateId;
+  transaction.gatewayEventId = eventId;
+  transactions.save(transaction);
+
+  wallet.totalDeposits += walletAmount;
+  wallet.lastActivity = Date.now();
+
+  walletLogger.info('Deposit completed', {
+    userId: transaction.userId,
+    transactionId: transaction.id,
+    amount: walletAmount,
+    currency: wallet.currency,
+    eventId
+  });
+
+  return { applied: true, transaction };
+});
+
+const failDeposit = (transaction, { eventId, reason }) => moveMoney({ transactions: [transaction.id] }, () => {
+  if (transaction.status !== 'processing') {
+    return { applied: false, transaction };
+  }
+
+  transaction.status = 'failed';
+  transaction.failedAt = Date.now();
+  transaction.errorMessage = reason;
+  transaction.gatewayEventId = eventId;
+  transactions.save(transaction);
+
+  walletLogger.warn('Deposit failed', { userId: transaction.userId, transactionId: transaction.id, reason, eventId });
+
+  return { applied: true, transaction };
+});
+
+// Holds a deposit the gateway reported differently from what was asked for; nothing is credited
+// until someone has looked at it
+const flagDeposit = (transaction, { eventId, reason, expected, received }) => moveMoney({ transactions: [transaction.id] }, () => {
+  if (transaction.status !== 'processing') {
+    return { applied: false, transaction };
+  }
+
+  transaction.status = 'flagged';
+  transaction.flag = { reason, expected, received, flaggedAt: Date.now() };
+  transaction.gatewayEventId = eventId;
+  transactions.save(transaction);
+
+  walletLogger.warn('Deposit flagged', { userId: transaction.userId, transactionId: transaction.id, reason, expected, received, eventId });
+
+  return { applied: true, transaction };
+});
+
+// Bonus credit - promotional money the player can stake but never withdraw
+const creditBonus = (userId, amount, currency, reason) => moveMoney({ wallets: [userId] }, () => {
+  let wallet = userWallets.get(userId);
+  if (!wallet) {
+    wallet = createWallet(userId, currency);
+    userWallets.set(userId, wallet);
+  }
+  const walletAmount = toWalletAmount(wallet, amount, currency);
+
+  const entry = postToLedger({
+    type: 'bonus',
+    reference: userId,
+    lines: [
+      ledger.debit(BONUS_ACCOUNT, amount, currency),
+      ledger.credit(userAccount(userId, 'bonus'), walletAmount, wallet.currency)
+    ],
+    metadata: { reason }
+  });
+
+  const transactionId = generateTransactionId();
+  const transaction = {
+    id: transactionId,
+    userId,
+    type: 'bonus',
+    amount: walletAmount,
+    currency: wallet.currency,
+    buckets: { bonus: walletAmount },
+    reason,
+    journalId: entry.id,
+    rateId: entry.metadata.rateId,
+    status: 'completed',
+    timestamp: Date.now()
+  };
+  transactions.set(transactionId, transaction);
+  wallet.lastActivity = Date.now();
+
+  walletLogger.info('Bonus credited', { userId, transactionId, amount: walletAmount, currency: wallet.currency, reason });
+
+  return transaction;
+});
+
+// Withdrawal payouts - funds leave the wallet at request time and come back if the payout fails
+const journalLines = (journalId) => ledger.journal.find(entry => entry.id === journalId).lines;
+
+const withdrawalError = (message, code, details) => {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, { status: 400, details });
+};
+
+// Checks a withdrawal against the wallet and debits it into the gateway's clearing account;
+// throws withdrawalError with the response details when it can't go ahead
+const requestWithdrawal = (wallet, { amountMinor, withdrawCurrency, withdrawalMethod, withdrawalDetails }) => {
+  const { userId } = wallet;
+
+  // Convert amount to wallet's native currency for balance check
+  const walletAmount = withdrawCurrency === wallet.currency
+    ? amountMinor
+    : exchangeRates.convert(amountMinor, withdrawCurrency, wallet.currency);
+
+  // Check balance
+  if (wallet.balance < walletAmount) {
+    throw withdrawalError('Insufficient balance', 'INSUFFICIENT_BALANCE', {
+      available: money.toMajor(wallet.balance, wallet.currency),
+      requested: money.toMajor(walletAmount, wallet.currency),
+      currency: wallet.currency
+    });
+  }
+
+  // Bonus credit, and deposits unless policy allows, stay in the wallet
+  const withdrawable = withdrawableBalance(wallet);
+  if (withdrawable < walletAmount) {
+    throw withdrawalError('Amount exceeds withdrawable balance', 'INSUFFICIENT_WITHDRAWABLE_BALANCE', {
+      withdrawable: money.toMajor(withdrawable, wallet.currency),
+      requested: money.toMajor(walletAmount, wallet.currency),
+      withdrawableBuckets: WALLET_CONFIG.withdrawableBuckets,
+      currency: wallet.currency
+    });
+  }
+
+  // Validate KYC for large withdrawals
+  if (!validateKYC(amountMinor, withdrawCurrency, wallet.kycStatus)) {
+    throw withdrawalError('KYC verification required for withdrawals above ₹10,000', 'KYC_REQUIRED', {
+      kycStatus: wallet.kycStatus
+    });
+  }
+
+  // Find appropriate payment gateway
+  let gateway = null;
+  for (const [key, config] of Object.entries(PAYMENT_GATEWAYS)) {
+    if (config.currencies.includes(withdrawCurrency)) {
+      gateway = { id: key, ...config };
+      break;
+    }
+  }
+
+  if (!gateway) {
+    throw withdrawalError('Withdrawal not supported for currency', 'WITHDRAWAL_NOT_SUPPORTED', {});
+  }
+
+  // Calculate fees
+  const fees = money.percentage(amountMinor, gateway.fees);
+  const netAmount = money.subtract(amountMinor, fees);
+
+  // Create withdrawal transaction
+  const transactionId = generateTransactionId();
+  const withdrawal = {
+    id: transactionId,
+    userId,
+    type: 'withdrawal',
+    amount: amountMinor,
+    netAmount,
+    currency: withdrawCurrency,
+    fees,
+    gateway: gateway.id,
+    withdrawalMethod,
+    withdrawalDetails,
+    buckets: drawFromBuckets(wallet, walletAmount, WALLET_CONFIG.withdrawableBuckets),
+    status: 'pending',
+    timestamp: Date.now(),
+    estimatedCompletion: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+  };
+
+  // Deduct amount from wallet (held with the gateway until processed)
+  const entry = postToLedger({
+    type: 'withdrawal',
+    reference: transactionId,
+    lines: [
+      ...debitBuckets(userId, withdrawal.buckets, wallet.currency),
+      ledger.credit(gatewayClearingAccount(gateway.id), netAmount, withdrawCurrency),
+      ledger.credit(gatewayFeesAccount(gateway.id), fees, withdrawCurrency)
+    ]
+  });
+  withdrawal.journalId = entry.id;
+  withdrawal.rateId = entry.metadata.rateId;
+
+  transactions.set(transactionId, withdrawal);
+  wallet.lastActivity = Date.now();
+
+  return { transactionId, netAmount, fees };
+};
+
+const OPEN_WITHDRAWAL_STATUSES = ['pending', 'processing'];
+
+const isOpenWithdrawal = (withdrawal) => {
+  return !!withdrawal && withdrawal.type === 'withdrawal' && OPEN_WITHDRAWAL_STATUSES.includes(withdrawal.status);
+};
+
+// Withdrawals still waiting on a gateway, on every worker
+const countPendingWithdrawals = async () => {
+  const stored = await transactions.count({ type: 'withdrawal', status: { in: OPEN_WITHDRAWAL_STATUSES } });
+  return stored !== null ? stored : Array.from(transactions.values()).filter(isOpenWithdrawal).length;
+};
+
+// Transaction counts and amounts by type and currency; in memory mode the cache is all there is
+const transactionTotals = async () => {
+  const stored = await transactions.totals();
+  if (stored !== null) return stored;
+  const groups = {};
+  transactions.forEach(tx => {
+    const key = `${tx.type}:${tx.currency}`;
+    groups[key] = groups[key] || { type: tx.type, currency: tx.currency, count: 0, amount: 0 };
+    groups[key].count += 1;
+    groups[key].amount += tx.amount;
+  });
+  return Object.values(groups);
+};
+
+const payoutWithdrawal = async (transactionId) => {
+  await transactions.reload([transactionId]);
+  const withdrawal = transactions.get(transactionId);
+  if (!isOpenWithdrawal(withdrawal)) {
+    return withdrawal || null;
+  }
+
+  const gateway = paymentGateways.getGateway(withdrawal.gateway);
+
+  let payout;
+  try {
+    payout = withdrawal.gatewayReference
+      ? await gateway.getStatus(withdrawal.gatewayReference, 'payout')
+      : await gateway.payout({
+        reference: withdrawal.id,
+        amount: withdrawal.netAmount,
+        currency: withdrawal.currency,
+        method: withdrawal.withdrawalMethod,
+        destination: withdrawal.withdrawalDetails
+      });
+  } catch (error) {
+    // Outcome unknown - stay processing; a retry reuses the same payout reference
+    return moveMoney({ transactions: [transactionId] }, () => {
+      if (!isOpenWithdrawal(withdrawal)) return withdrawal;
+      withdrawal.status = 'processing';
+      withdrawal.lastError = error.message;
+      transactions.save(withdrawal);
+      walletLogger.warn('Withdrawal payout unresolved', { transactionId, error: error.message });
+      return withdrawal;
+    });
+  }
+
+  // The withdrawal may have been posted by another worker, so its entry is read in to mirror it
+  if (payout.status === 'failed') {
+    await ledger.refresh();
+  }
+
+  return moveMoney({ wallets: [withdrawal.userId], transactions: [transactionId] }, () => {
+    // Another worker may have settled it while the gateway answered
+    if (!isOpenWithdrawal(withdrawal)) return withdrawal;
+
+    withdrawal.gatewayReference = payout.gatewayReference;
+
+    if (payout.status === 'completed') {
+      const wallet = userWallets.get(withdrawal.userId);
+      wallet.totalWithdrawals += money.add(...Object.values(withdrawal.buckets));
+      userWallets.save(wallet);
+
+      withdrawal.status = 'completed';
+      withdrawal.completedAt = Date.now();
+    } else if (payout.status === 'failed') {
+      // Mirror the original entry so the player gets back exactly what was debited
+      const entry = postToLedger({
+        type: 'withdrawal_reversal',
+        reference: transactionId,
+        lines: journalLines(withdrawal.journalId).map(line => ({ ...line, debit: line.credit, credit: line.debit }))
+      });
+
+      withdrawal.status = 'failed';
+      withdrawal.failedAt = Date.now();
+      withdrawal.failureReason = payout.failureReason || 'Payout rejected by gateway';
+      withdrawal.reversalJournalId = entry.id;
+    } else {
+      withdrawal.status = 'processing';
+    }
+    transactions.save(withdrawal);
+
+    walletLogger.info('Withdrawal payout updated', {
+      transactionId,
+      gateway: withdrawal.gateway,
+      gatewayReference: withdrawal.gatewayReference,
+      status: withdrawal.status
+    });
+
+    return withdrawal;
+  });
+};
+
+// Wallet and developer balances that no longer match what the journal says they are. Both are
+// read back from the database first, so what other workers posted is counted on both sides.
+const ledgerDrift = async () => {
+  await ledger.refresh();
+  await userWallets.reload();
+  refreshDeveloperWallet();
+
+  return Array.from(userWallets.values())
+    .flatMap(wallet => WALLET_CONFIG.buckets.map(bucket => ({
+      account: userAccount(wallet.userId, bucket),
+      currency: wallet.currency,
+      cachedBalance: wallet.buckets[bucket],
+      ledgerBalance: ledger.getBalance(userAccount(wallet.userId, bucket), wallet.currency)
+    })))
+    .concat([{
+      account: PLATFORM_FEES_ACCOUNT,
+      currency: developerWallet.currency,
+      cachedBalance: developerWallet.balance,
+      ledgerBalance: ledger.getBalance(PLATFORM_FEES_ACCOUNT, developerWallet.currency)
+    }])
+    .filter(a => a.cachedBalance !== a.ledgerBalance);
+};
+
+// A player's wallet as stored, made on first use
+const ensureWallet = (userId, currency) => moveMoney({ wallets: [userId] }, () => {
+  if (!userWallets.has(userId)) {
+    userWallets.set(userId, createWallet(userId, currency));
+  }
+  return userWallets.get(userId);
+});
+
+// Players whose KYC is still pending, across every worker's wallets
+const countKycPending = async () => {
+  const stored = await userWallets.count({ kycStatus: 'pending' });
+  return stored !== null ? stored : Array.from(userWallets.values()).filter(w => w.kycStatus === 'pending').length;
+};
+
 // Apply rate limiting
 router.use('/deposit', walletLimiter);
 router.use('/withdraw', withdrawalLimiter);
@@ -159,26 +1334,26 @@ router.get('/:userId', [
     const { userId } = req.params;
     const { currency = 'INR' } = req.query;
 
-    let wallet = userWallets.get(userId);
-    if (!wallet) {
-      wallet = createWallet(userId, currency);
-      userWallets.set(userId, wallet);
-    }
+    // Read from the database, so a balance another worker changed shows as it stands
+    const wallet = await ensureWallet(userId, currency);
 
     // Convert balance to requested currency if different
     const displayBalance = wallet.currency === currency 
       ? wallet.balance 
-      : convertCurrency(wallet.balance, wallet.currency, currency);
+      : exchangeRates.convert(wallet.balance, wallet.currency, currency);
 
+    // Buckets and the withdrawable amount are in the wallet's own currency
     const walletInfo = {
       userId: wallet.userId,
-      balance: displayBalance,
+      balance: money.toMajor(displayBalance, currency),
       currency,
-      nativeBalance: wallet.balance,
+      nativeBalance: money.toMajor(wallet.balance, wallet.currency),
       nativeCurrency: wallet.currency,
-      totalDeposits: wallet.totalDeposits,
-      totalWithdrawals: wallet.totalWithdrawals,
-      totalWinnings: wallet.totalWinnings,
+      buckets: formatBuckets(wallet.buckets, wallet.currency),
+      withdrawableBalance: money.toMajor(withdrawableBalance(wallet), wallet.currency),
+      totalDeposits: money.toMajor(wallet.totalDeposits, wallet.currency),
+      totalWithdrawals: money.toMajor(wallet.totalWithdrawals, wallet.currency),
+      totalWinnings: money.toMajor(wallet.totalWinnings, wallet.currency),
       kycStatus: wallet.kycStatus,
       lastActivity: wallet.lastActivity
     };
@@ -193,10 +1368,10 @@ router.get('/:userId', [
 });
 
 // Deposit money to wallet
-router.post('/deposit', [
+router.post('/deposit', requireIdempotencyKey('wallet_deposit'), [
   body('userId').isLength({ min: 1 }).withMessage('User ID required'),
   body('amount').isFloat({ min: 1 }).withMessage('Valid amount required'),
-  body('currency').isIn(Object.keys(CURRENCY_RATES)).withMessage('Valid currency required'),
+  body('currency').isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
   body('paymentMethod').isIn(['UPI', 'Cards', 'NetBanking', 'Wallets', 'PIX', 'Alipay']).withMessage('Valid payment method required'),
   body('paymentDetails').isObject().withMessage('Payment details required')
 ], async (req, res) => {
@@ -209,11 +1384,7 @@ router.post('/deposit', [
     const { userId, amount, currency, paymentMethod, paymentDetails } = req.body;
 
     // Get or create wallet
-    let wallet = userWallets.get(userId);
-    if (!wallet) {
-      wallet = createWallet(userId, currency);
-      userWallets.set(userId, wallet);
-    }
+    await ensureWallet(userId, currency);
 
     // Find appropriate payment gateway
     let gateway = null;
@@ -240,87 +1411,105 @@ router.post('/deposit', [
     }
 
     // Calculate fees
-    const fees = Math.round(amount * gateway.fees * 100) / 100;
-    const netAmount = amount - fees;
+    const amountMinor = money.toMinor(amount, currency);
+    const fees = money.percentage(amountMinor, gateway.fees);
+    const netAmount = money.subtract(amountMinor, fees);
 
-    // Create transaction record
+    // Create transaction record - it stays processing until the gateway confirms payment
     const transactionId = generateTransactionId();
     const transaction = {
       id: transactionId,
       userId,
       type: 'deposit',
-      amount,
+      amount: amountMinor,
       netAmount,
       currency,
       fees,
       gateway: gateway.id,
       paymentMethod,
-      paymentDetails: {
-        ...paymentDetails,
-        gatewayTransactionId: 'gw_' + uuidv4().substring(0, 8)
-      },
+      paymentDetails: { ...paymentDetails },
       status: 'processing',
       timestamp: Date.now()
     };
 
-    transactions.set(transactionId, transaction);
-
-    // Mock payment processing (integrate with real gateway)
-    setTimeout(() => {
-      try {
-        // Simulate successful payment
-        transaction.status = 'completed';
-        transaction.completedAt = Date.now();
-
-        // Convert to wallet's native currency if needed
-        const walletAmount = currency === wallet.currency 
-          ? netAmount 
-          : convertCurrency(netAmount, currency, wallet.currency);
-
-        // Update wallet balance
-        wallet.balance += walletAmount;
-        wallet.totalDeposits += walletAmount;
-        wallet.lastActivity = Date.now();
-
-        walletLogger.info('Deposit completed', { 
-          userId, 
-          transactionId, 
-          amount: walletAmount, 
-          currency: wallet.currency 
-        });
-
-      } catch (error) {
-        transaction.status = 'failed';
-        transaction.errorMessage = error.message;
-        walletLogger.error('Deposit processing failed', { transactionId, error: error.message });
-      }
-    }, 3000); // 3-second simulation
+    await transactions.set(transactionId, transaction);
+
+    let payment;
+    try {
+      payment = await paymentGateways.getGateway(gateway.id).createPayment({
+        reference: transactionId,
+        amount: amountMinor,
+        currency,
+        method: paymentMethod,
+        details: paymentDetails
+      });
+    } catch (error) {
+      // Without a gateway reference there is nothing for the player to pay against
+      await failDeposit(transaction, { reason: error.message });
+      throw error;
+    }
+
+    transaction.paymentDetails.gatewayTransactionId = payment.gatewayReference;
+    await transactions.save(transaction);
+
+    // Most gateways confirm by webhook; settle here only when they answer synchronously
+    if (payment.status === 'completed') {
+      await completeDeposit(transaction, { amount: amountMinor, currency });
+    } else if (payment.status === 'failed') {
+      await failDeposit(transaction, { reason: payment.failureReason || 'Payment declined by gateway' });
+    }
+
+    walletLogger.info('Deposit initiated', {
+      userId,
+      transactionId,
+      amount,
+      currency,
+      gateway: gateway.id,
+      gatewayReference: payment.gatewayReference,
+      status: transaction.status
+    });
 
-    walletLogger.info('Deposit initiated', { userId, transactionId, amount, currency, gateway: gateway.id });
+    if (transaction.status === 'failed') {
+      return res.status(402).json({
+        error: 'Payment failed at gateway',
+        code: 'PAYMENT_FAILED',
+        transactionId,
+        reason: transaction.errorMessage
+      });
+    }
 
     res.json({
       success: true,
       transactionId,
-      status: 'processing',
+      status: transaction.status,
       amount,
-      netAmount,
-      fees,
+      netAmount: money.toMajor(netAmount, currency),
+      fees: money.toMajor(fees, currency),
       currency,
       gateway: gateway.name,
+      gatewayReference: payment.gatewayReference,
+      paymentData: payment.clientData,
       estimatedTime: '2-5 minutes'
     });
 
   } catch (error) {
+    if (error.code === 'MONEY_INVALID_PRECISION') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (['GATEWAY_TIMEOUT', 'GATEWAY_REQUEST_FAILED', 'GATEWAY_NOT_SUPPORTED'].includes(error.code)) {
+      walletLogger.error('Deposit gateway error', { error: error.message, code: error.code });
+      return res.status(error.status || 502).json({ error: 'Payment gateway unavailable', code: error.code });
+    }
     walletLogger.error('Deposit error', { error: error.message });
     res.status(500).json({ error: 'Deposit failed', code: 'DEPOSIT_ERROR' });
   }
 });
 
 // Withdraw money from wallet
-router.post('/withdraw', [
+router.post('/withdraw', requireIdempotencyKey('wallet_withdraw'), [
   body('userId').isLength({ min: 1 }).withMessage('User ID required'),
   body('amount').isFloat({ min: 1 }).withMessage('Valid amount required'),
-  body('currency').optional().isIn(Object.keys(CURRENCY_RATES)).withMessage('Valid currency required'),
+  body('currency').optional().isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
   body('withdrawalMethod').isIn(['UPI', 'BankTransfer', 'Cards', 'PIX', 'Alipay']).withMessage('Valid withdrawal method required'),
   body('withdrawalDetails').isObject().withMessage('Withdrawal details required')
 ], async (req, res) => {
@@ -332,82 +1521,23 @@ router.post('/withdraw', [
 
     const { userId, amount, currency, withdrawalMethod, withdrawalDetails } = req.body;
 
+    await userWallets.reload([userId]);
     const wallet = userWallets.get(userId);
     if (!wallet) {
       return res.status(404).json({ error: 'Wallet not found', code: 'WALLET_NOT_FOUND' });
     }
 
-    const withdrawCurrency = currency || wallet.currency;
-
-    // Convert amount to wallet's native currency for balance check
-    const walletAmount = withdrawCurrency === wallet.currency 
-      ? amount 
-      : convertCurrency(amount, withdrawCurrency, wallet.currency);
-
-    // Check balance
-    if (wallet.balance < walletAmount) {
-      return res.status(400).json({ 
-        error: 'Insufficient balance', 
-        code: 'INSUFFICIENT_BALANCE',
-        available: wallet.balance,
-        requested: walletAmount,
-        currency: wallet.currency
-      });
-    }
-
-    // Validate KYC for large withdrawals
-    if (!validateKYC(amount, withdrawCurrency, wallet.kycStatus)) {
-      return res.status(400).json({
-        error: 'KYC verification required for withdrawals above ₹10,000',
-        code: 'KYC_REQUIRED',
-        kycStatus: wallet.kycStatus
-      });
-    }
-
-    // Find appropriate payment gateway
-    let gateway = null;
-    for (const [key, config] of Object.entries(PAYMENT_GATEWAYS)) {
-      if (config.currencies.includes(withdrawCurrency)) {
-        gateway = { id: key, ...config };
-        break;
-      }
-    }
-
-    if (!gateway) {
-      return res.status(400).json({ 
-        error: 'Withdrawal not supported for currency', 
-        code: 'WITHDRAWAL_NOT_SUPPORTED' 
-      });
-    }
-
-    // Calculate fees
-    const fees = Math.round(amount * gateway.fees * 100) / 100;
-    const netAmount = amount - fees;
-
-    // Create withdrawal transaction
-    const transactionId = generateTransactionId();
-    const withdrawal = {
-      id: transactionId,
-      userId,
-      type: 'withdrawal',
-      amount,
-      netAmount,
-      currency: withdrawCurrency,
-      fees,
-      gateway: gateway.id,
-      withdrawalMethod,
-      withdrawalDetails,
-      status: 'pending',
-      timestamp: Date.now(),
-      estimatedCompletion: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
-    };
+    // Accounts cashing out to the same destination are linked (see account-links.js)
+    await accountLinks.recordIdentity(userId, 'payout', accountLinks.payoutFingerprint(withdrawalMethod, withdrawalDetails));
 
-    transactions.set(transactionId, withdrawal);
-    pendingWithdrawals.set(transactionId, withdrawal);
+    const withdrawCurrency = currency || wallet.currency;
+    const amountMinor = money.toMinor(amount, withdrawCurrency);
 
-    // Deduct amount from wallet (held until processed)
-    wallet.balance -= walletAmount;
-    wallet.lastActivity = Date.now();
+    // The balance checks run on the wallet as stored, in the transaction that debits it
+    const { transactionId, netAmount, fees } = await moveMoney({ wallets: [userId] }, () => (
+      requestWithdrawal(wallet, { amountMinor, withdrawCurrency, withdrawalMethod, withdrawalDetails })
+    ));
+    const withdrawal = transactions.get(transactionId);
 
     walletLogger.info('Withdrawal requested', { 
       userId, 
@@ -416,19 +1546,36 @@ router.post('/withdraw', [
       currency: withdrawCurrency 
     });
 
+    await payoutWithdrawal(transactionId);
+
+    if (withdrawal.status === 'failed') {
+      return res.status(402).json({
+        error: 'Payout failed at gateway; amount returned to wallet',
+        code: 'PAYOUT_FAILED',
+        transactionId,
+        reason: withdrawal.failureReason
+      });
+    }
+
     res.json({
       success: true,
       transactionId,
-      status: 'pending',
+      status: withdrawal.status,
       amount,
-      netAmount,
-      fees,
+      netAmount: money.toMajor(netAmount, withdrawCurrency),
+      fees: money.toMajor(fees, withdrawCurrency),
       currency: withdrawCurrency,
       estimatedTime: '6-24 hours',
-      message: 'Withdrawal request submitted for processing'
+      message: withdrawal.status === 'completed' ? 'Withdrawal paid out' : 'Withdrawal request submitted for processing'
     });
 
   } catch (error) {
+    if (error.code === 'MONEY_INVALID_PRECISION') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.details) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code, ...error.details });
+    }
     walletLogger.error('Withdrawal error', { error: error.message });
     res.status(500).json({ error: 'Withdrawal failed', code: 'WITHDRAWAL_ERROR' });
   }
@@ -439,7 +1586,7 @@ router.get('/:userId/transactions', [
   param('userId').isLength({ min: 1 }).withMessage('User ID required'),
   query('page').optional().isInt({ min: 1 }).withMessage('Valid page required'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Valid limit required'),
-  query('type').optional().isIn(['deposit', 'withdrawal', 'win', 'loss', 'refund']).withMessage('Valid type required')
+  query('type').optional().isIn(['deposit', 'withdrawal', 'stake', 'win', 'loss', 'refund', 'bonus']).withMessage('Valid type required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -450,13 +1597,10 @@ router.get('/:userId/transactions', [
     const { userId } = req.params;
     const { page = 1, limit = 20, type } = req.query;
 
-    // Filter transactions for user
-    let userTransactions = Array.from(transactions.values())
-      .filter(tx => tx.userId === userId);
-
-    if (type) {
-      userTransactions = userTransactions.filter(tx => tx.type === type);
-    }
+    // Transactions made on other workers are read in from the database first
+    await transactions.find(type ? { userId, type } : { userId });
+    const userTransactions = Array.from(transactions.values())
+      .filter(tx => tx.userId === userId && (!type || tx.type === type));
 
     // Sort by timestamp (newest first)
     userTransactions.sort((a, b) => b.timestamp - a.timestamp);
@@ -466,13 +1610,14 @@ router.get('/:userId/transactions', [
     const endIndex = startIndex + parseInt(limit);
     const paginatedTransactions = userTransactions.slice(startIndex, endIndex);
 
-    const transactionSummary = paginatedTransactions.map(tx => ({
+    const transactionSummary = paginatedTransactions.map(formatTransaction).map(tx => ({
       id: tx.id,
       type: tx.type,
       amount: tx.amount,
       netAmount: tx.netAmount,
       currency: tx.currency,
       fees: tx.fees,
+      buckets: tx.buckets,
       status: tx.status,
       timestamp: tx.timestamp,
       completedAt: tx.completedAt,
@@ -507,7 +1652,7 @@ router.get('/transaction/:transactionId', [
       return res.status(404).json({ error: 'Transaction not found', code: 'TRANSACTION_NOT_FOUND' });
     }
 
-    res.json({ success: true, transaction });
+    res.json({ success: true, transaction: formatTransaction(transaction) });
 
   } catch (error) {
     walletLogger.error('Transaction details error', { error: error.message });
@@ -515,13 +1660,32 @@ router.get('/transaction/:transactionId', [
   }
 });
 
-// Process match winnings (called by match system)
-router.post('/process-winnings', [
-  body('matchId').isLength({ min: 1 }).withMessage('Match ID required'),
-  body('winner').isLength({ min: 1 }).withMessage('Winner ID required'),
-  body('amount').isFloat({ min: 0 }).withMessage('Valid amount required'),
-  body('currency').isIn(Object.keys(CURRENCY_RATES)).withMessage('Valid currency required'),
-  body('platformFee').isFloat({ min: 0 }).withMessage('Valid platform fee required')
+// Settling a match by hand is for admins only, with the same token admin.js issues
+const authenticateAdmin = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'Admin token required', code: 'ADMIN_TOKEN_MISSING' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, ADMIN_JWT_SECRET);
+    if (decoded.role !== 'admin' || decoded.adminId !== 'dev_skillzy_owner_2024') {
+      return res.status(403).json({ error: 'Admin access denied', code: 'ADMIN_ACCESS_DENIED' });
+    }
+    req.admin = decoded;
+    next();
+  } catch (error) {
+    walletLogger.warn('Admin token rejected', { error: error.message });
+    return res.status(403).json({ error: 'Invalid admin token', code: 'ADMIN_TOKEN_INVALID' });
+  }
+};
+
+// Process match winnings for a match whose hold was left held, e.g. by a worker that died while
+// settling it. The payout is the split the match was created with from its stake tier; only the
+// winner is named here, and it has to be one of the match's players.
+router.post('/process-winnings', authenticateAdmin, requireIdempotencyKey('wallet_process_winnings'), [
+  body('matchId').matches(/^match_[a-zA-Z0-9]{8}$/).withMessage('Valid match ID required'),
+  body('winner').isLength({ min: 1 }).withMessage('Winner ID required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -529,62 +1693,41 @@ router.post('/process-winnings', [
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { matchId, winner, amount, currency, platformFee } = req.body;
+    const { matchId, winner } = req.body;
 
-    // Get winner's wallet
-    let winnerWallet = userWallets.get(winner);
-    if (!winnerWallet) {
-      winnerWallet = createWallet(winner, currency);
-      userWallets.set(winner, winnerWallet);
+    await repositories.matches.reload([matchId]);
+    const match = repositories.matches.get(matchId);
+    if (!match || !match.payout) {
+      return res.status(404).json({ error: 'Match not found', code: 'MATCH_NOT_FOUND' });
     }
 
-    // Convert amount to winner's wallet currency
-    const walletAmount = currency === winnerWallet.currency 
-      ? amount 
-      : convertCurrency(amount, currency, winnerWallet.currency);
-
-    // Add winnings to wallet
-    winnerWallet.balance += walletAmount;
-    winnerWallet.totalWinnings += walletAmount;
-    winnerWallet.lastActivity = Date.now();
+    const hold = await settleMatchHold(matchId, winner, match.payout);
+    const winnerWallet = userWallets.get(winner);
+    // A free match pays nothing and takes no fee
+    const [winPayout, feePayout = { amount: 0, currency: 'INR' }] = hold.payouts;
 
-    // Create winning transaction
-    const transactionId = generateTransactionId();
-    const winTransaction = {
-      id: transactionId,
-      userId: winner,
-      type: 'win',
-      amount: walletAmount,
-      currency: winnerWallet.currency,
+    walletLogger.info('Match winnings processed', {
       matchId,
-      status: 'completed',
-      timestamp: Date.now()
-    };
-
-    transactions.set(transactionId, winTransaction);
-
-    // Add platform fee to developer wallet
-    const developerFeeINR = convertCurrency(platformFee, currency, 'INR');
-    developerWallet.balance += developerFeeINR;
-    developerWallet.totalEarnings += developerFeeINR;
-
-    walletLogger.info('Match winnings processed', { 
-      matchId, 
-      winner, 
-      amount: walletAmount, 
-      currency: winnerWallet.currency,
-      platformFee: developerFeeINR 
+      winner,
+      adminId: req.admin.adminId,
+      amount: winPayout.amount,
+      currency: winPayout.currency,
+      platformFee: feePayout.amount
     });
 
     res.json({
       success: true,
-      transactionId,
-      winnerBalance: winnerWallet.balance,
+      transactionId: winPayout.transactionId,
+      winnings: money.toMajor(winPayout.amount, winPayout.currency),
+      winnerBalance: money.toMajor(winnerWallet.balance, winnerWallet.currency),
       currency: winnerWallet.currency,
-      platformEarnings: developerFeeINR
+      platformEarnings: money.toMajor(feePayout.amount, feePayout.currency)
     });
 
   } catch (error) {
+    if (error.code && error.code.startsWith('ESCROW_')) {
+      return res.status(error.status || 409).json({ error: error.message, code: error.code });
+    }
     walletLogger.error('Winnings processing error', { error: error.message });
     res.status(500).json({ error: 'Winnings processing failed', code: 'WINNINGS_ERROR' });
   }
@@ -596,18 +1739,22 @@ router.get('/developer/balance', async (req, res) => {
     // In production, add admin authentication here
     
     const { currency = 'INR' } = req.query;
+
+    // Fees other workers took since this one loaded the ledger
+    await ledger.refresh();
+    refreshDeveloperWallet();
     
     let displayBalance = developerWallet.balance;
     if (currency !== 'INR') {
-      displayBalance = convertCurrency(developerWallet.balance, 'INR', currency);
+      displayBalance = exchangeRates.convert(developerWallet.balance, 'INR', currency);
     }
 
     const developerInfo = {
-      balance: displayBalance,
+      balance: money.toMajor(displayBalance, currency),
       currency,
-      nativeBalance: developerWallet.balance,
+      nativeBalance: money.toMajor(developerWallet.balance, 'INR'),
       nativeCurrency: 'INR',
-      totalEarnings: developerWallet.totalEarnings,
+      totalEarnings: money.toMajor(developerWallet.totalEarnings, 'INR'),
       pendingWithdrawals: developerWallet.pendingWithdrawals.length,
       lastUpdate: Date.now()
     };
@@ -624,28 +1771,33 @@ router.get('/developer/balance', async (req, res) => {
 // Platform statistics
 router.get('/stats/platform', async (req, res) => {
   try {
+    // Totals come from the database, so transactions made on every worker are counted
+    const totals = await transactionTotals();
+    const sumOf = (rows) => rows.reduce((sum, row) => sum + row.count, 0);
+    const ofType = (type) => sumOf(totals.filter(row => row.type === type));
+    const storedWallets = await userWallets.count();
+
     const stats = {
-      totalWallets: userWallets.size,
-      totalTransactions: transactions.size,
-      pendingWithdrawals: pendingWithdrawals.size,
-      totalVolume: Array.from(transactions.values())
-        .reduce((sum, tx) => sum + (tx.type === 'deposit' ? tx.amount : 0), 0),
-      totalEarnings: developerWallet.totalEarnings,
+      totalWallets: storedWallets !== null ? storedWallets : userWallets.size,
+      totalTransactions: sumOf(totals),
+      pendingWithdrawals: await countPendingWithdrawals(),
+      totalVolume: totals
+        .reduce((sum, row) => sum + (row.type === 'deposit' ? money.toMajor(row.amount, row.currency) : 0), 0),
+      totalEarnings: money.toMajor(developerWallet.totalEarnings, 'INR'),
       currencyBreakdown: {},
       transactionTypes: {
-        deposits: Array.from(transactions.values()).filter(tx => tx.type === 'deposit').length,
-        withdrawals: Array.from(transactions.values()).filter(tx => tx.type === 'withdrawal').length,
-        winnings: Array.from(transactions.values()).filter(tx => tx.type === 'win').length
+        deposits: ofType('deposit'),
+        withdrawals: ofType('withdrawal'),
+        winnings: ofType('win')
       }
     };
 
     // Calculate currency breakdown
-    Object.keys(CURRENCY_RATES).forEach(currency => {
-      const currencyTransactions = Array.from(transactions.values())
-        .filter(tx => tx.currency === currency);
+    CURRENCY_CONFIG.supportedCurrencies.forEach(currency => {
+      const currencyTotals = totals.filter(row => row.currency === currency);
       stats.currencyBreakdown[currency] = {
-        transactions: currencyTransactions.length,
-        volume: currencyTransactions.reduce((sum, tx) => sum + tx.amount, 0)
+        transactions: sumOf(currencyTotals),
+        volume: money.toMajor(currencyTotals.reduce((sum, row) => sum + row.amount, 0), currency)
       };
     });
 
@@ -657,12 +1809,52 @@ router.get('/stats/platform', async (req, res) => {
   }
 });
 
+/**
+ * Rebuilds wallet state after a restart, once repositories.load() has filled the caches: loads
+ * the journal, opens the books on a new database and refreshes every cached balance from the
+ * ledger.
+ */
+const restore = async () => {
+  await ledger.load();
+  openBooks();
+
+  userWallets.forEach(refreshBalances);
+  refreshDeveloperWallet();
+
+  walletLogger.info('Wallets restored', {
+    wallets: userWallets.size,
+    journalEntries: ledger.journal.length,
+    pendingWithdrawals: await countPendingWithdrawals()
+  });
+};
+
 module.exports = { 
   routes: router, 
   userWallets, 
   transactions, 
   developerWallet,
-  convertCurrency,
-  CURRENCY_RATES,
+  matchHolds,
+  ensureWallet,
+  countKycPending,
+  canCoverStake,
+  holdMatchStakes,
+  settleMatchHold,
+  refundMatchHold,
+  freezeMatchPayout,
+  resolveFrozenPayout,
+  tournamentPools,
+  openTournamentPool,
+  payTournamentEntry,
+  refundTournamentEntry,
+  refundTournamentEntries,
+  payTournamentPrizes,
+  findDepositByGatewayReference,
+  completeDeposit,
+  failDeposit,
+  flagDeposit,
+  creditBonus,
+  payoutWithdrawal,
+  ledgerDrift,
+  restore,
   PAYMENT_GATEWAYS
 };
\ No newline at end of file
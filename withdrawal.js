@@ -9,6 +9,14 @@ const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const winston = require('winston');
+const money = require('./money');
+const exchangeRates = require('./exchange-rates');
+const paymentGateways = require('./payment-gateways');
+const accountLinks = require('./account-links');
+const repositories = require('./repositories');
+const { requireIdempotencyKey } = require('./idempotency');
+const { rateLimitStore } = require('./state-store');
+const { CURRENCY_CONFIG } = require('./config');
 
 const router = express.Router();
 
@@ -29,10 +37,13 @@ const withdrawalLogger = winston.createLogger({
 const withdrawalLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 2, // Only 2 withdrawal requests per hour
-  message: { error: 'Maximum withdrawal requests exceeded', code: 'WITHDRAWAL_LIMIT_EXCEEDED' }
+  message: { error: 'Maximum withdrawal requests exceeded', code: 'WITHDRAWAL_LIMIT_EXCEEDED' },
+  store: rateLimitStore('withdrawal')
 });
 
-// In-memory storage (replace with database in production)
+// Withdrawals are saved to the database on every change (see repositories.js);
+// restoreWithdrawals() rebuilds these maps from it after a restart
+// Withdrawal amounts and fees are integer minor units (see money.js)
 const withdrawalRequests = new Map();
 const processingQueue = new Map();
 const completedWithdrawals = new Map();
@@ -87,29 +98,15 @@ const WITHDRAWAL_CONFIG = {
   }
 };
 
-// Currency conversion rates
-const CURRENCY_RATES = {
-  INR: 1,
-  USD: 0.012,
-  EUR: 0.011,
-  GBP: 0.0095,
-  CNY: 0.086,
-  JPY: 1.8,
-  KRW: 16.2,
-  BRL: 0.062,
-  RUB: 1.1,
-  AED: 0.044,
-  SAR: 0.045,
-  CAD: 0.016,
-  AUD: 0.018
-};
 
 // Helper functions
 const generateWithdrawalId = () => 'wd_' + uuidv4().substring(0, 12);
-const convertCurrency = (amount, from, to) => {
-  const inrAmount = amount / CURRENCY_RATES[from];
-  return Math.round(inrAmount * CURRENCY_RATES[to] * 100) / 100;
-};
+
+const formatAmounts = (withdrawal) => ({
+  amount: money.toMajor(withdrawal.amount, withdrawal.currency),
+  netAmount: money.toMajor(withdrawal.netAmount, withdrawal.currency),
+  processingFee: money.toMajor(withdrawal.processingFee, withdrawal.currency)
+});
 
 const validateBankDetails = (method, details) => {
   switch (method) {
@@ -141,10 +138,10 @@ const validateBankDetails = (method, details) => {
 router.use(withdrawalLimiter);
 
 // Request withdrawal
-router.post('/request', [
+router.post('/request', requireIdempotencyKey('withdrawal_request'), [
   body('userId').isLength({ min: 1 }).withMessage('User ID required'),
   body('amount').isFloat({ min: 1 }).withMessage('Valid amount required'),
-  body('currency').isIn(Object.keys(CURRENCY_RATES)).withMessage('Valid currency required'),
+  body('currency').isIn(CURRENCY_CONFIG.supportedCurrencies).withMessage('Valid currency required'),
   body('withdrawalMethod').isIn(['UPI', 'BankTransfer', 'Cards', 'PIX', 'Alipay', 'PayPal']).withMessage('Valid withdrawal method required'),
   body('withdrawalDetails').isObject().withMessage('Withdrawal details required'),
   body('kycStatus').optional().isIn(['pending', 'verified', 'rejected']).withMessage('Valid KYC status')
@@ -169,8 +166,9 @@ router.post('/request', [
     }
 
     // Check KYC requirements for large withdrawals
-    const amountInINR = convertCurrency(amount, currency, 'INR');
-    if (amountInINR > 10000 && kycStatus !== 'verified') {
+    const amountMinor = money.toMinor(amount, currency);
+    const amountInINR = exchangeRates.convert(amountMinor, currency, 'INR');
+    if (amountInINR > money.toMinor(10000, 'INR') && kycStatus !== 'verified') {
       return res.status(400).json({
         error: 'KYC verification required for withdrawals above ₹10,000',
         code: 'KYC_REQUIRED',
@@ -187,6 +185,9 @@ router.post('/request', [
       });
     }
 
+    // Accounts cashing out to the same destination are linked (see account-links.js)
+    await accountLinks.recordIdentity(userId, 'payout', accountLinks.payoutFingerprint(withdrawalMethod, withdrawalDetails));
+
     // Check for duplicate recent requests
     const recentRequests = Array.from(withdrawalRequests.values())
       .filter(req => req.userId === userId && 
@@ -202,15 +203,15 @@ router.post('/request', [
 
     // Calculate processing fee
     const feeRate = WITHDRAWAL_CONFIG.processingFees[withdrawalMethod];
-    const processingFee = Math.round(amount * feeRate * 100) / 100;
-    const netAmount = amount - processingFee;
+    const processingFee = money.percentage(amountMinor, feeRate);
+    const netAmount = money.subtract(amountMinor, processingFee);
 
     // Create withdrawal request
     const withdrawalId = generateWithdrawalId();
     const withdrawalRequest = {
       id: withdrawalId,
       userId,
-      amount,
+      amount: amountMinor,
       netAmount,
       processingFee,
       currency,
@@ -222,11 +223,12 @@ router.post('/request', [
       },
       status: 'pending_approval',
       kycStatus,
+      rateId: exchangeRates.getSnapshot().id,
       timestamp: Date.now(),
       estimatedCompletion: Date.now() + getProcessingTimeMs(withdrawalMethod),
       processingTime: WITHDRAWAL_CONFIG.processingTimes[withdrawalMethod],
       securityHash: crypto.createHash('sha256')
-        .update(`${withdrawalId}${userId}${amount}${currency}`)
+        .update(`${withdrawalId}${userId}${amountMinor}${currency}`)
         .digest('hex')
     };
 
@@ -236,8 +238,9 @@ router.post('/request', [
     processingQueue.set(withdrawalId, {
       ...withdrawalRequest,
       queuePosition: processingQueue.size + 1,
-      priority: amountInINR > 50000 ? 'high' : 'normal'
+      priority: amountInINR > money.toMinor(50000, 'INR') ? 'high' : 'normal'
     });
+    await repositories.withdrawals.save(processingQueue.get(withdrawalId));
 
     withdrawalLogger.info('Withdrawal request created', {
       withdrawalId,
@@ -252,9 +255,7 @@ router.post('/request', [
       success: true,
       withdrawalId,
       status: 'pending_approval',
-      amount,
-      netAmount,
-      processingFee,
+      ...formatAmounts(withdrawalRequest),
       currency,
       withdrawalMethod,
       estimatedProcessingTime: WITHDRAWAL_CONFIG.processingTimes[withdrawalMethod],
@@ -262,6 +263,9 @@ router.post('/request', [
     });
 
   } catch (error) {
+    if (error.code === 'MONEY_INVALID_PRECISION') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     withdrawalLogger.error('Withdrawal request error', { error: error.message });
     res.status(500).json({ error: 'Withdrawal request failed', code: 'WITHDRAWAL_REQUEST_ERROR' });
   }
@@ -285,8 +289,7 @@ router.get('/:withdrawalId/status', [
     const statusResponse = {
       id: withdrawal.id,
       status: withdrawal.status,
-      amount: withdrawal.amount,
-      netAmount: withdrawal.netAmount,
+      ...formatAmounts(withdrawal),
       currency: withdrawal.currency,
       withdrawalMethod: withdrawal.withdrawalMethod,
       timestamp: withdrawal.timestamp,
@@ -374,6 +377,7 @@ router.post('/:withdrawalId/cancel', [
     processingQueue.delete(withdrawalId);
     withdrawalRequests.delete(withdrawalId);
     completedWithdrawals.set(withdrawalId, withdrawal);
+    await repositories.withdrawals.save(withdrawal);
 
     withdrawalLogger.info('Withdrawal cancelled', {
       withdrawalId,
@@ -438,8 +442,7 @@ router.get('/history/:userId', [
     // Format response
     const withdrawalSummary = paginatedWithdrawals.map(w => ({
       id: w.id,
-      amount: w.amount,
-      netAmount: w.netAmount,
+      ...formatAmounts(w),
       currency: w.currency,
       withdrawalMethod: w.withdrawalMethod,
       status: w.status,
@@ -495,8 +498,10 @@ router.post('/admin/:withdrawalId/approve', [
     processingQueue.delete(withdrawalId);
     withdrawalRequests.set(withdrawalId, withdrawal);
 
-    // Start actual payment processing
-    processPayment(withdrawal);
+    // Start actual payment processing; a state it couldn't save is picked up again on restart
+    processPayment(withdrawal).catch(error => {
+      withdrawalLogger.error('Withdrawal state not saved', { withdrawalId, error: error.message });
+    });
 
     withdrawalLogger.info('Withdrawal approved by admin', {
       withdrawalId,
@@ -556,67 +561,107 @@ const processPayment = async (withdrawal) => {
   try {
     withdrawal.status = 'processing';
     withdrawal.processingStarted = Date.now();
-    withdrawal.gatewayReference = 'gw_' + uuidv4().substring(0, 12);
+    withdrawal.gateway = withdrawal.gateway || paymentGateways.payoutGatewayFor(withdrawal.withdrawalMethod, withdrawal.currency);
+    await repositories.withdrawals.save(withdrawal);
+
+    const gateway = paymentGateways.getGateway(withdrawal.gateway);
+    const payout = withdrawal.gatewayReference
+      ? await gateway.getStatus(withdrawal.gatewayReference, 'payout')
+      : await gateway.payout({
+        reference: withdrawal.id,
+        amount: withdrawal.netAmount,
+        currency: withdrawal.currency,
+        method: withdrawal.withdrawalMethod,
+        destination: withdrawal.withdrawalDetails
+      });
+
+    withdrawal.gatewayReference = payout.gatewayReference;
 
     withdrawalLogger.info('Payment processing started', {
       withdrawalId: withdrawal.id,
-      gatewayReference: withdrawal.gatewayReference
+      gateway: withdrawal.gateway,
+      gatewayReference: withdrawal.gatewayReference,
+      status: payout.status
     });
 
-    // Mock payment processing (integrate with real gateway)
-    setTimeout(async () => {
-      try {
-        // Simulate successful processing (90% success rate)
-        const isSuccess = Math.random() > 0.1;
-
-        if (isSuccess) {
-          withdrawal.status = 'completed';
-          withdrawal.completedAt = Date.now();
-          
-          withdrawalLogger.info('Payment completed successfully', {
-            withdrawalId: withdrawal.id,
-            gatewayReference: withdrawal.gatewayReference
-          });
-        } else {
-          withdrawal.status = 'failed';
-          withdrawal.failedAt = Date.now();
-          withdrawal.failureReason = 'Gateway processing error';
-          
-          withdrawalLogger.error('Payment processing failed', {
-            withdrawalId: withdrawal.id,
-            gatewayReference: withdrawal.gatewayReference,
-            reason: withdrawal.failureReason
-          });
-        }
-
-        // Move to completed withdrawals
-        withdrawalRequests.delete(withdrawal.id);
-        completedWithdrawals.set(withdrawal.id, withdrawal);
-
-      } catch (error) {
-        withdrawal.status = 'failed';
-        withdrawal.failureReason = error.message;
-        withdrawalLogger.error('Payment processing exception', {
-          withdrawalId: withdrawal.id,
-          error: error.message
-        });
-      }
-    }, 10000); // 10-second simulation
+    if (payout.status === 'completed') {
+      withdrawal.status = 'completed';
+      withdrawal.completedAt = Date.now();
+
+      withdrawalLogger.info('Payment completed successfully', {
+        withdrawalId: withdrawal.id,
+        gatewayReference: withdrawal.gatewayReference
+      });
+    } else if (payout.status === 'failed') {
+      withdrawal.status = 'failed';
+      withdrawal.failedAt = Date.now();
+      withdrawal.failureReason = payout.failureReason || 'Gateway processing error';
+
+      withdrawalLogger.error('Payment processing failed', {
+        withdrawalId: withdrawal.id,
+        gatewayReference: withdrawal.gatewayReference,
+        reason: withdrawal.failureReason
+      });
+    }
+
+    // Finished payouts leave the active set; pending ones stay until the gateway settles them
+    if (withdrawal.status !== 'processing') {
+      withdrawalRequests.delete(withdrawal.id);
+      completedWithdrawals.set(withdrawal.id, withdrawal);
+    }
+    await repositories.withdrawals.save(withdrawal);
 
   } catch (error) {
-    withdrawal.status = 'failed';
-    withdrawal.failureReason = error.message;
+    // Timeouts leave the outcome unknown; re-running reuses the withdrawal id as the payout reference
+    if (!['GATEWAY_TIMEOUT', 'GATEWAY_REQUEST_FAILED'].includes(error.code)) {
+      withdrawal.status = 'failed';
+      withdrawal.failureReason = error.message;
+    }
+    withdrawal.lastError = error.message;
+    await repositories.withdrawals.save(withdrawal);
     withdrawalLogger.error('Payment initiation error', {
       withdrawalId: withdrawal.id,
+      code: error.code,
       error: error.message
     });
   }
 };
 
+/**
+ * Rebuilds the request, queue and completed maps from the database after a restart.
+ * Payouts the restart interrupted are picked up again; the withdrawal id is the payout
+ * reference, so the gateway never pays one twice.
+ */
+const restoreWithdrawals = () => {
+  const resumed = [];
+  repositories.withdrawals.forEach(withdrawal => {
+    if (withdrawal.status === 'pending_approval') {
+      withdrawalRequests.set(withdrawal.id, withdrawal);
+      processingQueue.set(withdrawal.id, withdrawal);
+    } else if (['approved', 'processing'].includes(withdrawal.status)) {
+      withdrawalRequests.set(withdrawal.id, withdrawal);
+      resumed.push(withdrawal);
+    } else {
+      completedWithdrawals.set(withdrawal.id, withdrawal);
+    }
+  });
+
+  resumed.forEach(withdrawal => processPayment(withdrawal).catch(error => {
+    withdrawalLogger.error('Withdrawal state not saved', { withdrawalId: withdrawal.id, error: error.message });
+  }));
+  withdrawalLogger.info('Withdrawals restored', {
+    pendingApproval: processingQueue.size,
+    resumed: resumed.length,
+    finished: completedWithdrawals.size
+  });
+};
+
 module.exports = { 
   routes: router, 
   withdrawalRequests, 
   processingQueue, 
   completedWithdrawals,
+  processPayment,
+  restoreWithdrawals,
   WITHDRAWAL_CONFIG 
 };
\ No newline at end of file